@@ -10,64 +10,152 @@ const fs = require('fs');
 const path = require('path');
 
 // Import feature modules
-const { initializeClient } = require('./lib/client');
-const { getCurrentUser, getUser } = require('./lib/users');
-const { getTasksForUser, getTask, getTaskStories, addTaskComment, createTask, updateTask, addTaskToProject, removeTaskFromProject, searchTasks, displaySearchedTasks } = require('./lib/tasks');
-const { displayTasks, displayTaskDetails, displayUserInfo } = require('./lib/display');
-const { searchProjects, displayProjects, getSections, displaySections, clearCache } = require('./lib/projects');
+const { createClient, initializeClient, AsanaConfigError } = require('./lib/client');
+const { getCurrentUser, getUser, resolveUserGids } = require('./lib/users');
+const { getTasksForUser, getTask, getSubtaskTree, applySubtaskChecklist, getDependencies, getDependents, addDependencies, removeDependencies, addDependents, removeDependents, addFollowers, removeFollowers, getTaskStories, addTaskComment, createTask, updateTask, deleteTask, duplicateTask, DUPLICATE_INCLUDE_OPTIONS, addTaskToProject, removeTaskFromProject, searchTasks, displaySearchedTasks, readTaskGidsFromFile } = require('./lib/tasks');
+const { displayTasks, displayTaskDetails, displaySubtaskTree, displayDependencies, displayUserInfo } = require('./lib/display');
+const { searchProjects, createProject, updateProject, archiveProject, unarchiveProject, PROJECT_VIEWS, displayProjects, getSections, resolveSectionGid, moveTasksToSection, createSection, renameSection, moveSection, deleteSection, displaySections, clearCache } = require('./lib/projects');
+const { resolveProfile, listProfiles, useProfile, displayProfiles, getProfilesFile } = require('./lib/profiles');
+const { getWorkspaces, resolveWorkspace, displayWorkspaces } = require('./lib/workspaces');
+const { login, logout, getAuthStatus, displayAuthStatus } = require('./lib/auth');
+const { getProjectGraph, findCycles, analyzeCriticalPath, dueDate, toDot, toMermaid } = require('./lib/graph');
+const { listTags, createTag, resolveTagGids, addTagToTask, removeTagFromTask, displayTags, clearTagCache } = require('./lib/tags');
+const { listAttachments, uploadAttachment, downloadAttachments, displayAttachments } = require('./lib/attachments');
+const { resolveTaskCustomFields, getSearchCustomFields, resolveCustomFieldFilters } = require('./lib/custom-fields');
+const { listProjectTemplates, resolveProjectTemplateGid, instantiateProjectTemplate, loadBlueprint, stringifyBlueprint, createProjectFromBlueprint, exportBlueprint, displayProjectTemplates } = require('./lib/templates');
 
-// Initialize Asana client (this validates API key)
-const {
-    client,
-    tasksApiInstance,
-    usersApiInstance,
-    projectsApiInstance,
-    workspacesApiInstance,
-    storiesApiInstance,
-    sectionsApiInstance
-} = initializeClient();
+// Log retried requests (rate limits, transient errors) to stderr so stdout stays clean
+function logRetry(level, message, data) {
+    if (level === 'warn' || level === 'error') {
+        console.error(`[Retry] ${message}:`, JSON.stringify(data));
+    }
+}
+
+/**
+ * Create helpers bound to an Asana client
+ * @param {Object} options - Options for createClient() (token, tokenProvider, baseUrl, ...),
+ *                           or an object returned by createClient()/initializeClient()
+ * @returns {Object} API instances plus helper functions bound to them
+ */
+function createHelpers(options = {}) {
+    const apiInstances = options.client && options.tasksApiInstance ? options : createClient(options);
+    const {
+        tasksApiInstance,
+        usersApiInstance,
+        storiesApiInstance,
+        jobsApiInstance
+    } = apiInstances;
+
+    return {
+        // API instances
+        ...apiInstances,
+
+        // User functions
+        getCurrentUser: () => getCurrentUser(usersApiInstance),
+        getUser: (userGid) => getUser(usersApiInstance, userGid),
+        resolveUserGids: (users) => resolveUserGids(usersApiInstance, users),
+
+        // Task functions
+        getTasksForUser: (userGid, workspace, options) => getTasksForUser(tasksApiInstance, userGid, workspace, options),
+        getTask: (taskGid, options) => getTask(tasksApiInstance, taskGid, options),
+        getSubtaskTree: (taskGid, options) => getSubtaskTree(tasksApiInstance, taskGid, options),
+        applySubtaskChecklist: (taskGid, checklist, options) => applySubtaskChecklist(tasksApiInstance, taskGid, checklist, options),
+        getDependencies: (taskGid, options) => getDependencies(tasksApiInstance, taskGid, options),
+        getDependents: (taskGid, options) => getDependents(tasksApiInstance, taskGid, options),
+        addDependencies: (taskGid, dependencyGids) => addDependencies(tasksApiInstance, taskGid, dependencyGids),
+        removeDependencies: (taskGid, dependencyGids) => removeDependencies(tasksApiInstance, taskGid, dependencyGids),
+        addDependents: (taskGid, dependentGids) => addDependents(tasksApiInstance, taskGid, dependentGids),
+        removeDependents: (taskGid, dependentGids) => removeDependents(tasksApiInstance, taskGid, dependentGids),
+        addFollowers: (taskGid, userGids) => addFollowers(tasksApiInstance, taskGid, userGids),
+        removeFollowers: (taskGid, userGids) => removeFollowers(tasksApiInstance, taskGid, userGids),
+        getTaskStories: (taskGid, options) => getTaskStories(storiesApiInstance, taskGid, options),
+        addTaskComment: (taskGid, commentData, options) => addTaskComment(storiesApiInstance, taskGid, commentData, options),
+        createTask: (taskData, options) => createTask(tasksApiInstance, taskData, options),
+        updateTask: (taskGid, updates, options) => updateTask(tasksApiInstance, taskGid, updates, options),
+        deleteTask: (taskGid) => deleteTask(tasksApiInstance, taskGid),
+        duplicateTask: (taskGid, options, logFn) => duplicateTask(tasksApiInstance, jobsApiInstance, taskGid, options, logFn),
+        searchTasks: (searchOptions, logFn) => searchTasks(tasksApiInstance, searchOptions, logFn)
+    };
+}
+
+// Default helpers configured from ASANA_API_KEY, created on first use
+// so that requiring this module has no side effects
+let defaultHelpers = null;
+
+function getDefaultHelpers() {
+    if (!defaultHelpers) {
+        defaultHelpers = createHelpers(initializeClient({ logFn: logRetry }));
+    }
+    return defaultHelpers;
+}
 
 // Export everything for use in other modules
 module.exports = {
-    // API instances
-    client,
-    tasksApiInstance,
-    usersApiInstance,
-    projectsApiInstance,
-    workspacesApiInstance,
-    
-    // User functions
-    getCurrentUser: () => getCurrentUser(usersApiInstance),
-    getUser: (userGid) => getUser(usersApiInstance, userGid),
-    
-    // Task functions
-    getTasksForUser: (userGid, workspace, options) => getTasksForUser(tasksApiInstance, userGid, workspace, options),
-    getTask: (taskGid, options) => getTask(tasksApiInstance, taskGid, options),
-    getTaskStories: (taskGid, options) => getTaskStories(storiesApiInstance, taskGid, options),
-    addTaskComment: (taskGid, commentData, options) => addTaskComment(storiesApiInstance, taskGid, commentData, options),
-    createTask: (taskData) => createTask(tasksApiInstance, taskData),
-    updateTask: (taskGid, updates) => updateTask(tasksApiInstance, taskGid, updates),
-    searchTasks: (searchOptions) => searchTasks(tasksApiInstance, searchOptions),
+    // Factories
+    createHelpers,
+    createClient,
+    initializeClient,
+    AsanaConfigError,
+
     displaySearchedTasks,
-    
+
     // Display functions
     displayTasks,
     displayTaskDetails,
+    displaySubtaskTree,
+    displayDependencies,
     displayUserInfo,
-    
+
     // Project functions
     searchProjects,
     displayProjects
 };
 
+// Lazily bound exports (API instances and helpers using the default client)
+[
+    'client', 'rateLimiter',
+    'tasksApiInstance', 'usersApiInstance', 'projectsApiInstance', 'workspacesApiInstance',
+    'getCurrentUser', 'getUser', 'resolveUserGids',
+    'getTasksForUser', 'getTask', 'getSubtaskTree', 'applySubtaskChecklist',
+    'getDependencies', 'getDependents', 'addDependencies', 'removeDependencies', 'addDependents', 'removeDependents',
+    'addFollowers', 'removeFollowers',
+    'getTaskStories', 'addTaskComment', 'createTask', 'updateTask', 'deleteTask', 'duplicateTask', 'searchTasks'
+].forEach(key => {
+    Object.defineProperty(module.exports, key, {
+        enumerable: true,
+        get: () => getDefaultHelpers()[key]
+    });
+});
+
 // CLI support
 if (require.main === module) {
+    // Global flags (valid for every command) are removed before command parsing
+    function extractGlobalFlag(flag) {
+        const flagIndex = process.argv.indexOf(`--${flag}`);
+        if (flagIndex > 1) {
+            const value = process.argv[flagIndex + 1];
+            process.argv.splice(flagIndex, 2);
+            return value;
+        }
+        return null;
+    }
+    
+    const profileName = extractGlobalFlag('profile');
+    const workspaceArg = extractGlobalFlag('workspace');
+    
     const command = process.argv[2];
     
     // Valid flags for each command
     const VALID_FLAGS = {
         'projects': ['name', 'archived', 'format', 'fields'],
-        'sections': ['project', 'format', 'fields'],
+        'create-project': ['name', 'team', 'notes', 'notes-file', 'view', 'color', 'sections', 'due_on', 'start_on'],
+        'update-project': ['name', 'notes', 'notes-file', 'view', 'color', 'due_on', 'start_on'],
+        'archive-project': [],
+        'unarchive-project': [],
+        'project-from-template': ['name', 'team', 'dates', 'roles', 'start', 'format'],
+        'export-blueprint': ['anchor', 'output', 'format', 'depth', 'limit'],
+        'workspaces': ['format'],
+        'sections': ['project', 'format', 'fields', 'before', 'after', 'move-tasks-to'],
         'search-tasks': [
             'format', 'fields', 'limit',
             'projects', 'projects.any', 'projects.not', 'projects.all',
@@ -85,14 +173,30 @@ if (require.main === module) {
             'created_on', 'created_on.before', 'created_on.after', 'created_at.before', 'created_at.after',
             'completed_on', 'completed_on.before', 'completed_on.after', 'completed_at.before', 'completed_at.after',
             'modified_on', 'modified_on.before', 'modified_on.after', 'modified_at.before', 'modified_at.after',
-            'text', 'sort_by', 'sort_ascending'
+            'text', 'sort_by', 'sort_ascending', 'cf'
         ],
-        'create-task': ['name', 'notes', 'notes-file', 'html_notes', 'html_notes-file', 'assignee', 'projects', 'workspace', 'parent', 'due_on', 'due_at', 'start_on', 'completed', 'markdown'],
-        'update-task': ['name', 'notes', 'notes-file', 'html_notes', 'html_notes-file', 'assignee', 'projects', 'parent', 'due_on', 'due_at', 'start_on', 'completed', 'markdown'],
+        'create-task': ['name', 'notes', 'notes-file', 'html_notes', 'html_notes-file', 'assignee', 'projects', 'workspace', 'parent', 'due_on', 'due_at', 'start_on', 'completed', 'markdown', 'checklist', 'checklist-file', 'field'],
+        'update-task': ['name', 'notes', 'notes-file', 'html_notes', 'html_notes-file', 'assignee', 'projects', 'parent', 'due_on', 'due_at', 'start_on', 'completed', 'markdown', 'checklist', 'checklist-file', 'sync-subtasks', 'field'],
         'add-comment': ['text', 'html_text', 'markdown'],
         'add-to-project': ['project', 'section'],
+        'move-task': ['section', 'project', 'before', 'after', 'from-file'],
         'remove-from-project': ['project'],
-        'task': ['format'],
+        'deps': ['format'],
+        'block': ['by', 'blocking'],
+        'unblock': ['by', 'blocking'],
+        'project-graph': ['format', 'clusters', 'output'],
+        'critical-path': ['format', 'milestone'],
+        'tags': ['name', 'format', 'color', 'notes'],
+        'delete-task': ['yes'],
+        'duplicate-task': ['name', 'include'],
+        'follow': ['users'],
+        'unfollow': ['users'],
+        'tag': [],
+        'untag': [],
+        'attachments': ['format'],
+        'attach': [],
+        'download-attachments': ['dir', 'overwrite'],
+        'task': ['format', 'subtasks', 'depth'],
         'save-task-notes': ['file', 'format']
     };
     
@@ -132,6 +236,64 @@ if (require.main === module) {
         return options;
     }
     
+    // Take the repeatable --field "Name=value" flags out of task arguments
+    function extractFieldFlags(args) {
+        const fields = {};
+        const rest = [];
+        for (let i = 0; i < args.length; i++) {
+            if (args[i] !== '--field') {
+                rest.push(args[i]);
+                continue;
+            }
+            const pair = args[i + 1] || '';
+            const separator = pair.indexOf('=');
+            if (separator < 1) {
+                console.error(`❌ Invalid --field "${pair}" (expected "Name=value", e.g. --field "Priority=High")`);
+                process.exit(1);
+            }
+            fields[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+            i++;
+        }
+        return { args: rest, fields };
+    }
+    
+    // Take --checklist / --checklist-file out of parsed task fields and parse the checklist
+    function extractChecklist(fields) {
+        let checklist = fields.checklist || null;
+        if (fields['checklist-file']) {
+            const filePath = path.resolve(fields['checklist-file']);
+            try {
+                checklist = fs.readFileSync(filePath, 'utf8');
+                console.log(`📄 Read checklist from: ${filePath}`);
+            } catch (error) {
+                console.error(`❌ Error reading checklist file: ${error.message}`);
+                process.exit(1);
+            }
+        }
+        delete fields.checklist;
+        delete fields['checklist-file'];
+        if (!checklist) {
+            return null;
+        }
+        
+        // Parsed up front so a checklist without items fails before anything is written
+        const { parseChecklist } = require('./lib/markdown');
+        const items = parseChecklist(checklist);
+        if (items.length === 0) {
+            console.error('❌ No checklist items found. Use "- [ ] item" lines, indented to nest');
+            process.exit(1);
+        }
+        return items;
+    }
+    
+    function printChecklistSummary(summary) {
+        const labels = { created: '➕ Created', completed: '✅ Completed', moved: '↕️  Reordered' };
+        Object.entries(labels).forEach(([key, label]) => {
+            summary[key].forEach(t => console.log(`${label}: ${t.name} (GID: ${t.gid})`));
+        });
+        console.log(`Subtasks: ${summary.created.length} created, ${summary.completed.length} completed, ${summary.unchanged.length} unchanged, ${summary.moved.length} reordered`);
+    }
+    
     function showHelp() {
         console.log('\n🚀 Asana Node Helpers\n');
         console.log('Usage: node index.js <command> [options]\n');
@@ -139,18 +301,52 @@ if (require.main === module) {
         console.log('  tasks                          - Fetch YOUR incomplete tasks');
         console.log('  completed                      - Fetch YOUR last 20 completed tasks');
         console.log('  task <gid> [--format markdown|html|raw] - Get details of a specific task');
+        console.log('  task <gid> --subtasks [--depth <n>] - Include the subtask tree (default depth: 3)');
         console.log('  task-comments <gid>            - Get comments/discussion for a task');
         console.log('  save-task-notes <gid> --file <path> [--format markdown|html|raw] - Save task notes to file');
         console.log('  add-comment <gid> --text <text> - Add a comment to a task');
         console.log('  user                           - Show current user info');
+        console.log('  workspaces [--format list|json] - List available workspaces');
         console.log('  projects [options]             - Search projects in your workspace');
+        console.log('  create-project --name <name> [options] - Create a project (notes, view, color, initial sections)');
+        console.log('  update-project <gid> [options] - Update a project');
+        console.log('  archive-project <gid> / unarchive-project <gid> - Archive or restore a project');
+        console.log('  project-from-template <template|file> [options] - Create a project from an Asana template or a YAML/JSON blueprint');
+        console.log('  export-blueprint <project_gid> [--anchor <date>] [--output <file>] [--limit <n>] - Save a project\'s structure as a blueprint');
         console.log('  sections <project_gid>         - List sections in a project');
+        console.log('  sections create|rename|move|delete ... - Manage sections (run "sections create" for usage)');
+        console.log('  project-graph <project_gid> [--format dot|mermaid] [--clusters] [--output <file>] - Dependency graph of a project');
+        console.log('  critical-path <project_gid> [--milestone <gid>] [--format list|table|json] - Critical path and schedule risks');
         console.log('  search-tasks [options]         - Search tasks with advanced filters');
         console.log('  create-task --name <name> [options] - Create a new task');
         console.log('  update-task <gid> [options]    - Update an existing task');
+        console.log('  update-task <gid> --checklist-file <path> [--sync-subtasks true] - Add/sync subtasks from a checklist');
+        console.log('  delete-task <gid> [--yes]      - Delete a task (asks for confirmation)');
+        console.log('  duplicate-task <gid> [--name <name>] [--include <options>] - Copy a task');
         console.log('  add-to-project <task_gid> --project <gid> [--section <gid>] - Add/move task to project/section');
+        console.log('  move-task <task_gid...> --section <gid|name> [--before|--after <task_gid>] - Move/reorder tasks in a section');
         console.log('  remove-from-project <task_gid> --project <gid> - Remove task from project');
-        console.log('  clear-cache                    - Clear projects cache\n');
+        console.log('  deps <gid> [--format list|json] - Show tasks blocking / blocked by a task');
+        console.log('  block <gid> --by <gid1,gid2>   - Mark a task as blocked by other tasks');
+        console.log('  unblock <gid> [--by <gid1,gid2>] - Remove blockers (all if --by is omitted)');
+        console.log('  follow <gid> --users <user1,user2> - Add followers (GIDs, "me" or emails)');
+        console.log('  unfollow <gid> --users <user1,user2> - Remove followers');
+        console.log('  tags [--name <text>] [--format list|table|json] - List tags in your workspace');
+        console.log('  tags create <name> [--color <color>] [--notes <text>] - Create a tag');
+        console.log('  tag <task_gid> <tag1,tag2>     - Add tags to a task (names or GIDs)');
+        console.log('  untag <task_gid> <tag1,tag2>   - Remove tags from a task (names or GIDs)');
+        console.log('  attachments <task_gid> [--format list|json] - List attachments of a task');
+        console.log('  attach <task_gid> <file...>    - Upload files as attachments');
+        console.log('  download-attachments <task_gid> --dir <path> [--overwrite true] - Download all attachments');
+        console.log('  profiles list                  - List configured profiles');
+        console.log('  profiles use <name>            - Make a profile the default');
+        console.log('  auth login [--port <n>] [--no-browser] - Log in with OAuth (instead of ASANA_API_KEY)');
+        console.log('  auth status                    - Show OAuth login state');
+        console.log('  auth logout                    - Revoke and delete stored OAuth tokens');
+        console.log('  clear-cache                    - Clear projects and tags cache\n');
+        console.log('Global options:');
+        console.log('  --profile <name>               - Use a named profile (token, default workspace/team/project)');
+        console.log('  --workspace <gid|name>         - Workspace to use (default: profile workspace, then your first workspace)\n');
         console.log('Project search options (use --flag value):');
         console.log('  --name <text>                  - Search by name');
         console.log('  --archived <true|false>        - Filter by archived status');
@@ -161,11 +357,13 @@ if (require.main === module) {
         console.log('Task search options (use --flag value):');
         console.log('  Projects: --projects.any, --projects.not, --projects.all');
         console.log('  Sections: --sections.any, --sections.not, --sections.all');
-        console.log('  Tags: --tags.any, --tags.not, --tags.all');
+        console.log('  Tags: --tags.any, --tags.not, --tags.all (names or GIDs)');
         console.log('  Assignee: --assignee.any, --assignee.not (use "me" for yourself)');
         console.log('  Teams: --teams.any');
         console.log('  Other: --text, --completed, --is_subtask, --is_blocked, --is_blocking');
         console.log('  Dates: --due_on.before, --due_on.after, --created_at.before, etc.');
+        console.log('  Custom fields: --cf "Priority=High", --cf "Estimate>5", --cf "Customer^=Acme", --cf "Reviewers?", --cf "!Customer"');
+        console.log('                 (repeatable; =, <, >, ^= starts with, $= ends with, *= contains, Name? set, !Name not set)');
         console.log('  Sort: --sort_by, --sort_ascending');
         console.log('  Display: --format <list|table|json>, --fields <field1,field2,...>\n');
         console.log('Task create/update options:');
@@ -187,9 +385,12 @@ if (require.main === module) {
         console.log('  node index.js projects --name "Native Apps"');
         console.log('  node index.js search-tasks --assignee.any me --completed false');
         console.log('  node index.js search-tasks --projects.all 123,456 --due_on.before 2026-12-31');
+        console.log('  node index.js search-tasks --projects.any 123 --cf "Priority=High" --cf "Estimate>5"');
         console.log('  node index.js create-task --name "Fix bug" --assignee me --projects 123');
         console.log('  node index.js update-task 1234567890 --notes "Updated **description**"');
-        console.log('  node index.js add-comment 1234567890 --text "Great work! 🎉"\n');
+        console.log('  node index.js add-comment 1234567890 --text "Great work! 🎉"');
+        console.log('  node index.js tasks --profile work');
+        console.log('  node index.js search-tasks --workspace "Acme Corp" --assignee.any me\n');
         console.log('Full API docs: https://developers.asana.com/reference/searchtasksforworkspace\n');
     }
     
@@ -198,21 +399,177 @@ if (require.main === module) {
         process.exit(0);
     }
     
+    // Profile management doesn't need an Asana client
+    if (command === 'profiles') {
+        const subcommand = process.argv[3] || 'list';
+        try {
+            if (subcommand === 'list') {
+                displayProfiles(listProfiles());
+            } else if (subcommand === 'use') {
+                const nameToUse = process.argv[4];
+                if (!nameToUse) {
+                    console.log('Usage: node index.js profiles use <name>');
+                    process.exit(1);
+                }
+                useProfile(nameToUse);
+                console.log(`✅ Now using profile '${nameToUse}'`);
+            } else {
+                console.log('Usage: node index.js profiles <list|use> [name]');
+                console.log(`\nProfiles file: ${getProfilesFile()}`);
+                process.exit(1);
+            }
+        } catch (error) {
+            console.error(`Error: ${error.message}`);
+            if (error.hint) {
+                console.error(error.hint);
+            }
+            process.exit(1);
+        }
+        process.exit(0);
+    }
+    
+    // OAuth login/logout doesn't need an Asana client either
+    async function runAuthCommand(subcommand, authArgs) {
+        try {
+            // Token requests go through the profile's proxy and CA bundle, like API requests
+            const authProfile = resolveProfile(profileName);
+            const authNetwork = {
+                proxy: authProfile?.proxy ?? undefined,
+                noProxy: authProfile?.noProxy || undefined,
+                caBundle: authProfile?.caBundle || undefined
+            };
+            
+            if (subcommand === 'login') {
+                const noBrowser = authArgs.includes('--no-browser');
+                const loginOptions = parseArgs(authArgs.filter(arg => arg !== '--no-browser'));
+                const credentials = await login({
+                    clientId: loginOptions['client-id'],
+                    clientSecret: loginOptions['client-secret'],
+                    port: loginOptions.port,
+                    openBrowser: !noBrowser,
+                    onAuthorizeUrl: (url, redirectUri) => {
+                        console.log('\nOpen this URL to authorize asana-node-helpers:\n');
+                        console.log(`  ${url}\n`);
+                        console.log(`Waiting for the redirect to ${redirectUri} ...`);
+                    },
+                    ...authNetwork
+                });
+                console.log(`\n✅ Logged in${credentials.user ? ` as ${credentials.user.name}` : ''}`);
+                displayAuthStatus(getAuthStatus());
+            } else if (subcommand === 'status') {
+                displayAuthStatus(getAuthStatus());
+            } else if (subcommand === 'logout') {
+                const result = await logout(authNetwork);
+                if (!result.loggedOut) {
+                    console.log('Not logged in with OAuth.');
+                } else {
+                    console.log('✅ Logged out, stored OAuth tokens deleted');
+                    if (!result.revoked) {
+                        console.log(`⚠️  Refresh token could not be revoked${result.error ? `: ${result.error}` : ''}`);
+                    }
+                }
+            } else {
+                console.log('Usage: node index.js auth <login|status|logout>');
+                console.log('\nLogin options:');
+                console.log('  --client-id <id>         - OAuth app client ID (or ASANA_CLIENT_ID)');
+                console.log('  --client-secret <secret> - OAuth app client secret (or ASANA_CLIENT_SECRET)');
+                console.log('  --port <n>               - Loopback redirect port (or ASANA_OAUTH_PORT, default 8787)');
+                console.log('  --no-browser             - Only print the authorization URL');
+                process.exit(1);
+            }
+        } catch (error) {
+            console.error(`Error: ${error.message}`);
+            if (error.hint) {
+                console.error(error.hint);
+            }
+            process.exit(1);
+        }
+        process.exit(0);
+    }
+    
+    if (command === 'auth') {
+        runAuthCommand(process.argv[3] || 'status', process.argv.slice(4));
+        // Stop module evaluation here - the command finishes asynchronously
+        return;
+    }
+    
+    // Initialize Asana client (this validates API key or OAuth login)
+    let apiInstances;
+    let profile = null;
+    try {
+        profile = resolveProfile(profileName);
+        apiInstances = initializeClient({
+            token: profile?.token || undefined,
+            baseUrl: profile?.baseUrl || undefined,
+            timeoutMs: profile?.timeoutMs || undefined,
+            proxy: profile?.proxy ?? undefined,
+            noProxy: profile?.noProxy || undefined,
+            caBundle: profile?.caBundle || undefined,
+            logFn: logRetry
+        });
+    } catch (error) {
+        if (error instanceof AsanaConfigError) {
+            console.error(`Error: ${error.message}`);
+            if (error.hint) {
+                console.error(error.hint);
+            }
+            process.exit(1);
+        }
+        throw error;
+    }
+    
+    if (process.env.ASANA_RECORD) {
+        console.error(`[Cassette] Recording requests to ${process.env.ASANA_RECORD}`);
+    } else if (process.env.ASANA_REPLAY) {
+        console.error(`[Cassette] Replaying responses from ${process.env.ASANA_REPLAY}`);
+    }
+    
+    const {
+        tasksApiInstance,
+        usersApiInstance,
+        projectsApiInstance,
+        workspacesApiInstance,
+        storiesApiInstance,
+        sectionsApiInstance,
+        customFieldsApiInstance,
+        tagsApiInstance,
+        attachmentsApiInstance,
+        jobsApiInstance,
+        projectTemplatesApiInstance
+    } = apiInstances;
+    
     (async () => {
         try {
             const user = await getCurrentUser(usersApiInstance);
             
+            // --workspace, then the profile's workspace, falling back to the user's first workspace
+            const workspaceSelection = workspaceArg || profile?.workspace;
+            const defaultWorkspace = workspaceSelection
+                ? await resolveWorkspace(workspacesApiInstance, workspaceSelection)
+                : user.workspaces?.[0]?.gid || null;
+            
+            // The profile's team belongs to the profile's workspace: ignore it when --workspace picks another one
+            let profileTeam = profile?.team || null;
+            if (profileTeam && workspaceArg) {
+                const profileWorkspace = profile.workspace
+                    ? await resolveWorkspace(workspacesApiInstance, profile.workspace)
+                    : user.workspaces?.[0]?.gid;
+                if (profileWorkspace !== defaultWorkspace) {
+                    profileTeam = null;
+                }
+            }
+            
             switch (command) {
                 case 'tasks':
-                    if (user.workspaces && user.workspaces.length > 0) {
-                        const tasks = await getTasksForUser(tasksApiInstance, 'me', user.workspaces[0].gid, { completed: false });
+                    if (defaultWorkspace) {
+                        const tasks = await getTasksForUser(tasksApiInstance, 'me', defaultWorkspace, { completed: false });
                         displayTasks(tasks);
                     }
                     break;
                 
                 case 'completed':
-                    if (user.workspaces && user.workspaces.length > 0) {
-                        const tasks = await getTasksForUser(tasksApiInstance, 'me', user.workspaces[0].gid, { completed: true, limit: 20 });
+                    if (defaultWorkspace) {
+                        const tasks = await getTasksForUser(tasksApiInstance, 'me', defaultWorkspace, { completed: true, limit: 20 });
                         displayTasks(tasks);
                     }
                     break;
@@ -221,7 +578,7 @@ if (require.main === module) {
                     const taskGidToFetch = process.argv[3];
                     if (!taskGidToFetch) {
                         console.log('Please provide a task GID');
-                        console.log('Usage: node index.js task <task_gid> [--format markdown|html|text]');
+                        console.log('Usage: node index.js task <task_gid> [--format markdown|html|text] [--subtasks [--depth <n>]]');
                         process.exit(1);
                     }
                     
@@ -230,9 +587,12 @@ if (require.main === module) {
                     if (!taskCmdValidation.valid) {
                         console.error(`\n❌ Invalid flag(s): --${taskCmdValidation.invalidFlags.join(', --')}\n`);
                         console.log('Valid flags for task command:');
-                        console.log('  --format <markdown|html|text>  - Output format for notes\n');
-                        console.log('Example:');
-                        console.log('  node index.js task 1234567890 --format html\n');
+                        console.log('  --format <markdown|html|text>  - Output format for notes');
+                        console.log('  --subtasks                     - Show the subtask tree');
+                        console.log('  --depth <n>                    - Subtask levels to fetch (default: 3)\n');
+                        console.log('Examples:');
+                        console.log('  node index.js task 1234567890 --format html');
+                        console.log('  node index.js task 1234567890 --subtasks --depth 2\n');
                         process.exit(1);
                     }
                     
@@ -247,11 +607,26 @@ if (require.main === module) {
                         }
                     }
                     
-                    const taskDetails = await getTask(tasksApiInstance, taskGidToFetch);
-                    // Fetch comment count
-                    const taskStories = await getTaskStories(storiesApiInstance, taskGidToFetch, { commentsOnly: true });
+                    // Subtask tree (--subtasks takes no value; --depth implies it)
+                    const showSubtasks = process.argv.includes('--subtasks') || process.argv.includes('--depth');
+                    let subtaskDepth = 3;
+                    const depthIndex = process.argv.indexOf('--depth');
+                    if (depthIndex > -1) {
+                        subtaskDepth = parseInt(process.argv[depthIndex + 1], 10);
+                        if (!Number.isInteger(subtaskDepth) || subtaskDepth < 1) {
+                            console.log('Invalid depth. Use a positive integer');
+                            process.exit(1);
+                        }
+                    }
+                    
+                    // Fetch task, comment count and subtasks in parallel (the shared rate limiter keeps this within quota)
+                    const [taskDetails, taskStories, subtaskTree] = await Promise.all([
+                        getTask(tasksApiInstance, taskGidToFetch),
+                        getTaskStories(storiesApiInstance, taskGidToFetch, { commentsOnly: true }),
+                        showSubtasks ? getSubtaskTree(tasksApiInstance, taskGidToFetch, { depth: subtaskDepth }) : null
+                    ]);
                     taskDetails.commentCount = taskStories.length;
-                    displayTaskDetails(taskDetails, { noteFormat });
+                    displayTaskDetails(taskDetails, { noteFormat, subtaskTree });
                     break;
                 
                 case 'task-comments':
@@ -423,6 +798,24 @@ if (require.main === module) {
                     displayUserInfo(user);
                     break;
                 
+                case 'workspaces':
+                    const workspacesArgs = process.argv.slice(3);
+                    const workspacesValidation = validateFlags('workspaces', workspacesArgs);
+                    if (!workspacesValidation.valid) {
+                        console.error(`\n❌ Invalid flag(s): --${workspacesValidation.invalidFlags.join(', --')}\n`);
+                        console.log('Valid flags for workspaces command:');
+                        console.log('  --format <list|json>   - Output format\n');
+                        process.exit(1);
+                    }
+                    
+                    const workspacesOptions = parseArgs(workspacesArgs);
+                    const workspaces = await getWorkspaces(workspacesApiInstance);
+                    displayWorkspaces(workspaces, {
+                        format: workspacesOptions.format || 'list',
+                        defaultWorkspace
+                    });
+                    break;
+                
                 case 'projects':
                     const args = process.argv.slice(3);
                     
@@ -467,12 +860,249 @@ if (require.main === module) {
                         }
                     }
                     
-                    if (user.workspaces && user.workspaces.length > 0) {
-                        const projects = await searchProjects(projectsApiInstance, user.workspaces[0].gid, searchOptions);
+                    // Limit to the profile's default team, if any
+                    if (profileTeam && searchOptions.team === undefined) {
+                        searchOptions.team = profileTeam;
+                    }
+                    
+                    if (defaultWorkspace) {
+                        const projects = await searchProjects(projectsApiInstance, defaultWorkspace, searchOptions);
                         displayProjects(projects, displayOptions);
                     }
                     break;
                 
+                case 'create-project':
+                case 'update-project':
+                    const isProjectCreate = command === 'create-project';
+                    const projectGidForUpdate = isProjectCreate ? null : process.argv[3];
+                    const projectWriteArgs = process.argv.slice(isProjectCreate ? 3 : 4);
+                    const projectWriteValidation = validateFlags(command, projectWriteArgs);
+                    const projectWriteOptions = parseArgs(projectWriteArgs);
+                    const projectGidMissing = !isProjectCreate && (!projectGidForUpdate || projectGidForUpdate.startsWith('--'));
+                    
+                    if (!projectWriteValidation.valid || projectGidMissing || (isProjectCreate && !projectWriteOptions.name)) {
+                        if (!projectWriteValidation.valid) {
+                            console.error(`\n❌ Invalid flag(s): --${projectWriteValidation.invalidFlags.join(', --')}\n`);
+                        }
+                        console.log(isProjectCreate
+                            ? 'Usage: node index.js create-project --name <name> [--team <gid>] [options]'
+                            : 'Usage: node index.js update-project <project_gid> [options]');
+                        console.log('\nOptions:');
+                        if (isProjectCreate) {
+                            console.log('  --name <text>           - Project name (required)');
+                            console.log('  --team <gid>            - Team GID (required in organizations; default: profile team)');
+                        } else {
+                            console.log('  --name <text>           - New project name');
+                        }
+                        console.log('  --notes <markdown>      - Description (markdown converted to Asana formatting)');
+                        console.log('  --notes-file <path>     - Read the description from a markdown file');
+                        console.log(`  --view <view>           - Default view: ${PROJECT_VIEWS.join(', ')}`);
+                        console.log('  --color <color>         - Color, e.g. dark-green, light-blue, none');
+                        console.log('  --due_on <YYYY-MM-DD>   - Due date');
+                        console.log('  --start_on <YYYY-MM-DD> - Start date (needs a due date)');
+                        if (isProjectCreate) {
+                            console.log('  --sections <a,b,c>      - Initial sections, in order');
+                        }
+                        console.log('\nExamples:');
+                        if (isProjectCreate) {
+                            console.log('  node index.js create-project --name "Release 2.4" --team 1234567890 --view board --sections "To do,Doing,Done"');
+                        } else {
+                            console.log('  node index.js update-project 1234567890 --notes-file brief.md --color dark-green');
+                        }
+                        process.exit(1);
+                    }
+                    
+                    const projectFields = {};
+                    ['name', 'notes', 'view', 'color', 'due_on', 'start_on'].forEach(field => {
+                        if (projectWriteOptions[field] !== undefined) projectFields[field] = projectWriteOptions[field];
+                    });
+                    if (projectWriteOptions['notes-file']) {
+                        try {
+                            projectFields.notes = fs.readFileSync(path.resolve(projectWriteOptions['notes-file']), 'utf8');
+                        } catch (error) {
+                            console.error(`❌ Error reading notes file: ${error.message}`);
+                            process.exit(1);
+                        }
+                    }
+                    
+                    if (isProjectCreate) {
+                        projectFields.team = projectWriteOptions.team || profileTeam || undefined;
+                        if (projectWriteOptions.sections) {
+                            projectFields.sections = projectWriteOptions.sections.split(',').map(name => name.trim()).filter(Boolean);
+                        }
+                        const createdProject = await createProject(projectsApiInstance, sectionsApiInstance, defaultWorkspace, projectFields);
+                        console.log(`✅ Created project "${createdProject.name}" (${createdProject.gid})`);
+                        console.log(`   ${createdProject.permalink_url}`);
+                        if (createdProject.sections) {
+                            console.log(`   Sections: ${createdProject.sections.map(section => section.name).join(', ')}`);
+                        }
+                    } else {
+                        const updatedProject = await updateProject(projectsApiInstance, projectGidForUpdate, projectFields);
+                        console.log(`✅ Updated project "${updatedProject.name}" (${updatedProject.gid})`);
+                    }
+                    break;
+                
+                case 'archive-project':
+                case 'unarchive-project':
+                    const projectGidForArchive = process.argv[3];
+                    const archiveValidation = validateFlags(command, process.argv.slice(4));
+                    if (!projectGidForArchive || projectGidForArchive.startsWith('--') || !archiveValidation.valid) {
+                        console.log(`Usage: node index.js ${command} <project_gid>`);
+                        process.exit(1);
+                    }
+                    
+                    const archiving = command === 'archive-project';
+                    const archivedProject = await (archiving ? archiveProject : unarchiveProject)(projectsApiInstance, projectGidForArchive);
+                    console.log(`✅ ${archiving ? 'Archived' : 'Unarchived'} project "${archivedProject.name}" (${archivedProject.gid})`);
+                    break;
+                
+                case 'project-from-template':
+                    const templateSource = process.argv[3];
+                    const templateArgs = process.argv.slice(templateSource && !templateSource.startsWith('--') ? 4 : 3);
+                    const templateValidation = validateFlags('project-from-template', templateArgs);
+                    const templateOptions = parseArgs(templateArgs);
+                    const isBlueprint = Boolean(templateSource) && (/\.(ya?ml|json)$/i.test(templateSource) || fs.existsSync(templateSource));
+                    const isTemplateList = templateSource === 'list';
+                    
+                    if (!templateSource || templateSource.startsWith('--') || !templateValidation.valid
+                        || (!isBlueprint && !isTemplateList && !templateOptions.name)) {
+                        if (!templateValidation.valid) {
+                            console.error(`\n❌ Invalid flag(s): --${templateValidation.invalidFlags.join(', --')}\n`);
+                        }
+                        console.log('Usage: node index.js project-from-template list [--team <gid>] [--format list|json]');
+                        console.log('       node index.js project-from-template <template_gid|name> --name <name> [options]');
+                        console.log('       node index.js project-from-template <blueprint.yaml|json> [options]');
+                        console.log('\nCreate a project from an Asana project template, or from a local blueprint file');
+                        console.log('describing sections, tasks, subtasks, assignees and relative due dates (see README)');
+                        console.log('\nOptions:');
+                        console.log('  --name <text>           - Project name (required for templates; overrides the blueprint name)');
+                        console.log('  --team <gid>            - Team GID (default: template/blueprint team, then profile team)');
+                        console.log('  --dates <name=date,...> - Template date variables, e.g. "Release date=2026-11-20"');
+                        console.log('  --roles <name=user,...> - Template roles, assigned to a GID, "me" or an email');
+                        console.log('  --start <YYYY-MM-DD>    - Blueprint: date relative due dates count from (default: today)\n');
+                        console.log('Examples:');
+                        console.log('  node index.js project-from-template list');
+                        console.log('  node index.js project-from-template "Sprint release" --name "Release 2.5" --dates "Release date=2026-11-20" --roles "Release manager=me"');
+                        console.log('  node index.js project-from-template release.yaml --name "Release 2.5" --start 2026-11-02');
+                        process.exit(1);
+                    }
+                    
+                    const templateTeam = templateOptions.team || profileTeam;
+                    const templateScope = templateTeam ? { team: templateTeam } : { workspace: defaultWorkspace };
+                    
+                    if (isTemplateList) {
+                        const templates = await listProjectTemplates(projectTemplatesApiInstance, templateScope);
+                        displayProjectTemplates(templates, { format: templateOptions.format });
+                        break;
+                    }
+                    
+                    if (isBlueprint) {
+                        const blueprint = loadBlueprint(path.resolve(templateSource));
+                        const summary = await createProjectFromBlueprint(apiInstances, defaultWorkspace, blueprint, {
+                            name: templateOptions.name,
+                            team: templateOptions.team || (blueprint.team ? undefined : profileTeam || undefined),
+                            startDate: templateOptions.start
+                        });
+                        
+                        console.log(`✅ Created project "${summary.project.name}" (${summary.project.gid})`);
+                        console.log(`   ${summary.project.url}`);
+                        if (summary.tasks.length > 0) {
+                            console.log(`\n   ${summary.taskSection ? `${summary.taskSection.name} (top of the project)` : '(no section)'}`);
+                            summary.tasks.forEach(task => console.log(`   - ${task.name}: ${task.url}`));
+                        }
+                        summary.sections.forEach(section => {
+                            console.log(`\n   ${section.name}`);
+                            section.tasks.forEach(task => console.log(`   - ${task.name}: ${task.url}`));
+                        });
+                        const topLevelCount = summary.tasks.length + summary.sections.reduce((sum, section) => sum + section.tasks.length, 0);
+                        console.log(`\n   ${summary.sections.length} section(s), ${topLevelCount} task(s), ${summary.subtaskCount} subtask(s)`);
+                        break;
+                    }
+                    
+                    // "Name=value,Name=value" → { Name: value }
+                    const parseAssignments = (value, flag) => {
+                        const pairs = {};
+                        (value || '').split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+                            const separator = pair.indexOf('=');
+                            if (separator < 1) {
+                                console.error(`❌ Invalid --${flag} entry "${pair}" (expected Name=value)`);
+                                process.exit(1);
+                            }
+                            pairs[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+                        });
+                        return pairs;
+                    };
+                    
+                    const templateGid = await resolveProjectTemplateGid(projectTemplatesApiInstance, templateSource, templateScope);
+                    const templateProject = await instantiateProjectTemplate(projectTemplatesApiInstance, jobsApiInstance, usersApiInstance, templateGid, {
+                        name: templateOptions.name,
+                        team: templateOptions.team,
+                        dates: parseAssignments(templateOptions.dates, 'dates'),
+                        roles: parseAssignments(templateOptions.roles, 'roles')
+                    });
+                    console.log(`✅ Created project "${templateProject.name}" (${templateProject.gid}) from template`);
+                    console.log(`   ${templateProject.permalink_url || `https://app.asana.com/0/${templateProject.gid}`}`);
+                    break;
+                
+                case 'export-blueprint':
+                    const exportHasPositional = process.argv[3] && !process.argv[3].startsWith('--');
+                    const exportProjectGid = exportHasPositional ? process.argv[3] : profile?.project;
+                    const exportArgs = process.argv.slice(exportHasPositional ? 4 : 3);
+                    const exportValidation = validateFlags('export-blueprint', exportArgs);
+                    const exportOptions = parseArgs(exportArgs);
+                    const exportFormat = exportOptions.format
+                        || (exportOptions.output && /\.json$/i.test(exportOptions.output) ? 'json' : 'yaml');
+                    const exportLimit = exportOptions.limit !== undefined ? Number(exportOptions.limit) : undefined;
+                    const exportLimitValid = exportLimit === undefined || (Number.isInteger(exportLimit) && exportLimit > 0);
+                    const exportDepth = exportOptions.depth !== undefined ? Number(exportOptions.depth) : undefined;
+                    const exportDepthValid = exportDepth === undefined || (Number.isInteger(exportDepth) && exportDepth >= 0);
+                    
+                    if (!exportProjectGid || !exportValidation.valid || !['yaml', 'json'].includes(exportFormat) || !exportLimitValid || !exportDepthValid) {
+                        if (!exportValidation.valid) {
+                            console.error(`\n❌ Invalid flag(s): --${exportValidation.invalidFlags.join(', --')}\n`);
+                        }
+                        if (!exportLimitValid) {
+                            console.error(`\n❌ Invalid --limit "${exportOptions.limit}" (expected a positive whole number)\n`);
+                        }
+                        if (!exportDepthValid) {
+                            console.error(`\n❌ Invalid --depth "${exportOptions.depth}" (expected a whole number, 0 for no subtasks)\n`);
+                        }
+                        console.log('Usage: node index.js export-blueprint <project_gid> [--anchor <YYYY-MM-DD>] [--output <file>] [--format yaml|json] [--depth <n>] [--limit <n>]');
+                        console.log('\nWrite a project\'s sections, tasks and subtasks as a blueprint for project-from-template.');
+                        console.log('Due and start dates become offsets in days from the anchor date.');
+                        console.log('\nOptions:');
+                        console.log('  --anchor <YYYY-MM-DD> - Date offsets count from (default: project start, else earliest task date)');
+                        console.log('  --output <file>       - Write to a file instead of stdout (.json files are written as JSON)');
+                        console.log('  --format <format>     - yaml (default) or json');
+                        console.log('  --depth <n>           - Subtask levels to include, 0 for none (default: 5)');
+                        console.log('  --limit <n>           - Maximum tasks to export, not counting subtasks (default: 1000)\n');
+                        console.log('Examples:');
+                        console.log('  node index.js export-blueprint 1234567890 --output release.yaml');
+                        console.log('  node index.js project-from-template release.yaml --name "Release 2.6" --start 2026-12-01');
+                        process.exit(1);
+                    }
+                    
+                    const exported = await exportBlueprint(apiInstances, exportProjectGid, {
+                        anchor: exportOptions.anchor,
+                        depth: exportDepth,
+                        limit: exportLimit
+                    });
+                    const blueprintSource = stringifyBlueprint(exported.blueprint, exportFormat);
+                    
+                    if (exportOptions.output) {
+                        fs.writeFileSync(path.resolve(exportOptions.output), blueprintSource, 'utf8');
+                        console.error(`✅ Wrote ${exported.blueprint.sections.length} section(s), ${exported.taskCount} task(s) and ${exported.subtaskCount} subtask(s) to ${exportOptions.output}`);
+                    } else {
+                        process.stdout.write(blueprintSource);
+                    }
+                    if (exported.anchor) {
+                        console.error(`📅 Dates are relative to ${exported.anchor}; replay with --start <date>`);
+                    }
+                    if (exported.truncated) {
+                        console.error(`⚠️  Only the first ${exported.taskCount} task(s) were exported; raise --limit to include the rest`);
+                    }
+                    break;
+                
                 case 'search-tasks':
                     const taskArgs = process.argv.slice(3);
                     
@@ -487,19 +1117,22 @@ if (require.main === module) {
                         console.log('  Assignee: --assignee.any, --assignee.not');
                         console.log('  Boolean: --completed, --is_subtask, --is_blocked, --is_blocking, --has_attachment');
                         console.log('  Dates: --due_on, --due_on.before, --due_on.after, --created_at.before, etc.');
+                        console.log('  Custom fields: --cf "Priority=High", --cf "Estimate>5", --cf "Customer^=Acme", --cf "!Customer" (repeatable)');
                         console.log('  Other: --text, --sort_by, --sort_ascending');
                         console.log('  Display: --format, --fields\n');
                         console.log('Examples:');
                         console.log('  node index.js search-tasks --assignee.any me --completed false');
-                        console.log('  node index.js search-tasks --projects.all 123,456 --due_on.before 2026-12-31\n');
+                        console.log('  node index.js search-tasks --projects.all 123,456 --due_on.before 2026-12-31');
+                        console.log('  node index.js search-tasks --projects.any 123 --cf "Priority=High" --cf "Estimate>5"\n');
                         console.log('Full docs: https://developers.asana.com/reference/searchtasksforworkspace\n');
                         process.exit(1);
                     }
                     
                     const taskSearchOptions = {
-                        workspace: user.workspaces && user.workspaces.length > 0 ? user.workspaces[0].gid : null
+                        workspace: defaultWorkspace
                     };
                     const taskDisplayOptions = {};
+                    const customFieldFilters = [];
                     
                     if (!taskSearchOptions.workspace) {
                         console.log('No workspace found for user');
@@ -522,6 +1155,11 @@ if (require.main === module) {
                                 taskSearchOptions.fields = fields;
                                 i++;
                             }
+                            // Custom field filters (repeatable)
+                            else if (flag === 'cf') {
+                                customFieldFilters.push(value);
+                                i++;
+                            }
                             // Boolean parameters
                             else if (['completed', 'is_subtask', 'is_blocked', 'is_blocking', 'has_attachment', 'sort_ascending'].includes(flag)) {
                                 taskSearchOptions[flag] = value === 'true';
@@ -535,12 +1173,28 @@ if (require.main === module) {
                         }
                     }
                     
+                    // Tag filters accept names as well as GIDs
+                    for (const tagFlag of ['tags', 'tags.any', 'tags.not', 'tags.all']) {
+                        if (taskSearchOptions[tagFlag]) {
+                            taskSearchOptions[tagFlag] = (await resolveTagGids(tagsApiInstance, defaultWorkspace, taskSearchOptions[tagFlag])).join(',');
+                        }
+                    }
+                    
+                    // Custom field filters name fields and options; look them up in the searched projects
+                    if (customFieldFilters.length > 0) {
+                        const filterProjectGids = ['projects', 'projects.any', 'projects.all']
+                            .filter(flag => taskSearchOptions[flag])
+                            .flatMap(flag => taskSearchOptions[flag].split(',').map(gid => gid.trim()).filter(Boolean));
+                        const searchFields = await getSearchCustomFields(projectsApiInstance, customFieldsApiInstance, defaultWorkspace, filterProjectGids);
+                        Object.assign(taskSearchOptions, resolveCustomFieldFilters(searchFields, customFieldFilters));
+                    }
+                    
                     const foundTasks = await searchTasks(tasksApiInstance, taskSearchOptions);
                     displaySearchedTasks(foundTasks, taskDisplayOptions);
                     break;
                 
                 case 'create-task':
-                    const createArgs = process.argv.slice(3);
+                    const { args: createArgs, fields: createFieldValues } = extractFieldFlags(process.argv.slice(3));
                     
                     // Validate flags
                     const createValidation = validateFlags('create-task', createArgs);
@@ -554,16 +1208,21 @@ if (require.main === module) {
                         console.log('  --html_notes-file <path> - Read description from HTML file');
                         console.log('  --assignee <gid|me>     - Assignee');
                         console.log('  --projects <gid1,gid2>  - Project GIDs (comma-separated)');
-                        console.log('  --workspace <gid>       - Workspace GID (for personal tasks)');
+                        console.log('  --workspace <gid|name> - Workspace GID or name (for personal tasks)');
                         console.log('  --parent <gid>          - Parent task GID (creates as subtask)');
                         console.log('  --due_on <YYYY-MM-DD>   - Due date');
                         console.log('  --due_at <datetime>     - Due datetime (ISO 8601)');
                         console.log('  --start_on <YYYY-MM-DD> - Start date');
                         console.log('  --completed <true|false> - Completion status');
-                        console.log('  --markdown <false>      - Disable markdown conversion\n');
+                        console.log('  --markdown <false>      - Disable markdown conversion');
+                        console.log('  --checklist <markdown>  - Create subtasks from a "- [ ] item" checklist');
+                        console.log('  --checklist-file <path> - Read the checklist from a markdown file');
+                        console.log('  --field <name=value>    - Set a custom field of the task\'s projects (repeatable)\n');
                         console.log('Examples:');
                         console.log('  node index.js create-task --name "Fix bug" --assignee me --projects 123');
-                        console.log('  node index.js create-task --name "Personal task" --assignee me --workspace 137249556945\n');
+                        console.log('  node index.js create-task --name "Fix bug" --projects 123 --field "Priority=High" --field "Estimate=3"');
+                        console.log('  node index.js create-task --name "Personal task" --assignee me --workspace 137249556945');
+                        console.log('  node index.js create-task --name "Launch" --projects 123 --checklist-file plan.md\n');
                         process.exit(1);
                     }
                     
@@ -638,6 +1297,8 @@ if (require.main === module) {
                         }
                     }
                     
+                    const createChecklist = extractChecklist(taskData);
+                    
                     // Validate required fields
                     if (!taskData.name) {
                         console.log('Please provide at least a task name');
@@ -650,13 +1311,16 @@ if (require.main === module) {
                         console.log('  --html_notes    Task description in HTML');
                         console.log('  --html_notes-file Path to HTML file for task description');
                         console.log('  --projects      Project GID (comma-separated for multiple)');
-                        console.log('  --workspace     Workspace GID (for personal tasks, visible only to you)');
+                        console.log('  --workspace     Workspace GID or name (for personal tasks, visible only to you)');
                         console.log('  --assignee      User GID (use "me" for yourself)');
                         console.log('  --due_on        Due date (YYYY-MM-DD)');
                         console.log('  --due_at        Due datetime (ISO 8601)');
                         console.log('  --start_on      Start date (YYYY-MM-DD)');
                         console.log('  --completed     Completion status (true/false)');
                         console.log('  --markdown      Enable/disable markdown conversion (default: true)');
+                        console.log('  --checklist     Markdown checklist to create as subtasks ("- [ ] item", nested by indentation)');
+                        console.log('  --checklist-file Path to a markdown file containing the checklist');
+                        console.log('  --field         Custom field as "Name=value" (repeatable; fields come from --projects)');
                         console.log('\nNote: Use --workspace for personal tasks (not in any project), or --projects for shared tasks');
                         process.exit(1);
                     }
@@ -676,12 +1340,34 @@ if (require.main === module) {
                         taskData.projects = taskData.projects.split(',').map(p => p.trim());
                     }
                     
+                    // Explicit --workspace creates a personal task in that workspace,
+                    // otherwise fall back to the profile's default project/workspace
+                    if (workspaceArg) {
+                        taskData.workspace = defaultWorkspace;
+                    } else if (!taskData.projects && !taskData.parent) {
+                        if (profile?.project) {
+                            taskData.projects = [profile.project];
+                        } else if (profile?.workspace) {
+                            taskData.workspace = defaultWorkspace;
+                        }
+                    }
+                    
+                    if (Object.keys(createFieldValues).length > 0) {
+                        taskData.custom_fields = await resolveTaskCustomFields(tasksApiInstance, projectsApiInstance, usersApiInstance, createFieldValues, {
+                            projects: taskData.projects
+                        });
+                    }
+                    
                     console.log('Creating task:', taskData);
                     const newTask = await createTask(tasksApiInstance, taskData);
                     console.log(`✅ Task created successfully!`);
                     console.log(`Name: ${newTask.name}`);
                     console.log(`GID: ${newTask.gid}`);
                     console.log(`URL: https://app.asana.com/0/0/${newTask.gid}`);
+                    
+                    if (createChecklist) {
+                        printChecklistSummary(await applySubtaskChecklist(tasksApiInstance, newTask.gid, createChecklist));
+                    }
                     break;
                 
                 case 'update-task':
@@ -700,12 +1386,18 @@ if (require.main === module) {
                         console.log('  --start_on <YYYY-MM-DD> - Set start date');
                         console.log('  --completed <true|false> - Mark complete/incomplete');
                         console.log('  --markdown <false>      - Disable markdown conversion');
-                        console.log('\nExample:');
+                        console.log('  --checklist <markdown>  - Add subtasks from a "- [ ] item" checklist');
+                        console.log('  --checklist-file <path> - Read the checklist from a markdown file');
+                        console.log('  --sync-subtasks <true>  - Match existing subtasks by name instead of adding all items');
+                        console.log('  --field <name=value>    - Set a custom field, e.g. "Priority=High" (repeatable, empty value clears)');
+                        console.log('\nExamples:');
                         console.log('  node index.js update-task 1234567890 --notes "Updated **description**"');
+                        console.log('  node index.js update-task 1234567890 --field "Priority=Low" --field "Platforms=iOS,Web"');
+                        console.log('  node index.js update-task 1234567890 --checklist-file plan.md --sync-subtasks true');
                         process.exit(1);
                     }
                     
-                    const updateArgs = process.argv.slice(4);
+                    const { args: updateArgs, fields: updateFieldValues } = extractFieldFlags(process.argv.slice(4));
                     
                     // Validate flags
                     const updateValidation = validateFlags('update-task', updateArgs);
@@ -723,7 +1415,11 @@ if (require.main === module) {
                         console.log('  --due_on <YYYY-MM-DD>   - Set due date');
                         console.log('  --start_on <YYYY-MM-DD> - Set start date');
                         console.log('  --completed <true|false> - Mark complete/incomplete');
-                        console.log('  --markdown <false>      - Disable markdown conversion\n');
+                        console.log('  --markdown <false>      - Disable markdown conversion');
+                        console.log('  --checklist <markdown>  - Add subtasks from a "- [ ] item" checklist');
+                        console.log('  --checklist-file <path> - Read the checklist from a markdown file');
+                        console.log('  --sync-subtasks <true>  - Match existing subtasks by name instead of adding all items');
+                        console.log('  --field <name=value>    - Set a custom field, e.g. "Priority=High" (repeatable, empty value clears)\n');
                         console.log('Example:');
                         console.log('  node index.js update-task 1234567890 --notes "Updated **description**"\n');
                         process.exit(1);
@@ -800,8 +1496,19 @@ if (require.main === module) {
                         }
                     }
                     
-                    if (Object.keys(updates).length === 0) {
-                        console.log('Please provide fields to update (e.g., --name "New Name" --due_on 2024-12-31)');
+                    const updateChecklist = extractChecklist(updates);
+                    const syncSubtasks = updates['sync-subtasks'] === true;
+                    delete updates['sync-subtasks'];
+                    
+                    if (Object.keys(updateFieldValues).length > 0) {
+                        updates.custom_fields = await resolveTaskCustomFields(tasksApiInstance, projectsApiInstance, usersApiInstance, updateFieldValues, {
+                            taskGid,
+                            projects: typeof updates.projects === 'string' ? updates.projects.split(',').map(p => p.trim()) : []
+                        });
+                    }
+                    
+                    if (Object.keys(updates).length === 0 && !updateChecklist) {
+                        console.log('Please provide fields to update (e.g., --name "New Name" --due_on 2024-12-31 --field "Priority=High")');
                         process.exit(1);
                     }
                     
@@ -812,16 +1519,101 @@ if (require.main === module) {
                         console.log('   Remove --markdown false to enable automatic markdown conversion.\n');
                     }
                     
-                    console.log(`Updating task ${taskGid}:`, updates);
-                    const updatedTask = await updateTask(tasksApiInstance, taskGid, updates, { convertMarkdown });
-                    console.log('✅ Task updated successfully!');
-                    console.log(`Name: ${updatedTask.name}`);
-                    if (updatedTask.start_on) console.log(`Start: ${updatedTask.start_on}`);
-                    if (updatedTask.due_on) console.log(`Due: ${updatedTask.due_on}`);
+                    if (Object.keys(updates).length > 0) {
+                        console.log(`Updating task ${taskGid}:`, updates);
+                        const updatedTask = await updateTask(tasksApiInstance, taskGid, updates, { convertMarkdown });
+                        console.log('✅ Task updated successfully!');
+                        console.log(`Name: ${updatedTask.name}`);
+                        if (updatedTask.start_on) console.log(`Start: ${updatedTask.start_on}`);
+                        if (updatedTask.due_on) console.log(`Due: ${updatedTask.due_on}`);
+                    }
+                    
+                    if (updateChecklist) {
+                        printChecklistSummary(await applySubtaskChecklist(tasksApiInstance, taskGid, updateChecklist, { sync: syncSubtasks }));
+                    }
                     break;
                 
                 case 'sections':
-                    const projectGidForSections = process.argv[3];
+                    const sectionAction = ['create', 'rename', 'move', 'delete'].includes(process.argv[3]) ? process.argv[3] : null;
+                    if (sectionAction) {
+                        const sectionPositionals = [];
+                        let sectionArgIndex = 4;
+                        while (process.argv[sectionArgIndex] && !process.argv[sectionArgIndex].startsWith('--')) {
+                            sectionPositionals.push(process.argv[sectionArgIndex]);
+                            sectionArgIndex++;
+                        }
+                        const sectionActionArgs = process.argv.slice(sectionArgIndex);
+                        const sectionActionValidation = validateFlags('sections', sectionActionArgs);
+                        const sectionActionOptions = parseArgs(sectionActionArgs);
+                        const sectionPositionalsNeeded = { create: 1, rename: 2, move: 1, delete: 1 }[sectionAction];
+                        const sectionPlacementMissing = sectionAction === 'move' && !sectionActionOptions.before === !sectionActionOptions.after;
+                        
+                        if (!sectionActionValidation.valid || sectionPositionals.length !== sectionPositionalsNeeded || sectionPlacementMissing || (sectionActionOptions.before && sectionActionOptions.after)) {
+                            if (!sectionActionValidation.valid) {
+                                console.error(`\n❌ Invalid flag(s): --${sectionActionValidation.invalidFlags.join(', --')}\n`);
+                            }
+                            console.log('Usage: node index.js sections create <name> [--project <gid>] [--before <section> | --after <section>]');
+                            console.log('       node index.js sections rename <section> <new_name> [--project <gid>]');
+                            console.log('       node index.js sections move <section> --before <section> | --after <section> [--project <gid>]');
+                            console.log('       node index.js sections delete <section> [--move-tasks-to <section>] [--project <gid>]');
+                            console.log('\nSections are given as GIDs or names; names are looked up in --project (default: the profile\'s project).');
+                            console.log('\nOptions:');
+                            console.log('  --project <gid>           - Project the section belongs to (required for create and for names)');
+                            console.log('  --before <section>        - Place before this section');
+                            console.log('  --after <section>         - Place after this section (create adds to the end by default)');
+                            console.log('  --move-tasks-to <section> - Move the section\'s tasks here before deleting (non-empty sections are refused otherwise)\n');
+                            console.log('Examples:');
+                            console.log('  node index.js sections create "QA" --project 1234567890 --after "In Progress"');
+                            console.log('  node index.js sections rename QA "Review" --project 1234567890');
+                            console.log('  node index.js sections move 1111111111 --before 2222222222');
+                            console.log('  node index.js sections delete Review --move-tasks-to Done --project 1234567890');
+                            process.exit(1);
+                        }
+                        
+                        const sectionProject = sectionActionOptions.project || profile?.project;
+                        const sectionRefs = [
+                            sectionAction !== 'create' ? sectionPositionals[0] : null,
+                            sectionActionOptions.before,
+                            sectionActionOptions.after,
+                            sectionActionOptions['move-tasks-to']
+                        ].filter(Boolean);
+                        if (!sectionProject && (sectionAction === 'create' || sectionRefs.some(ref => !/^\d+$/.test(ref)))) {
+                            console.error(`❌ --project is required ${sectionAction === 'create' ? 'to create a section' : 'when sections are given by name'}`);
+                            process.exit(1);
+                        }
+                        const toSectionGid = ref => ref ? resolveSectionGid(sectionsApiInstance, sectionProject, ref) : undefined;
+                        
+                        if (sectionAction === 'create') {
+                            const createdSection = await createSection(sectionsApiInstance, sectionProject, sectionPositionals[0], {
+                                before: await toSectionGid(sectionActionOptions.before),
+                                after: await toSectionGid(sectionActionOptions.after)
+                            });
+                            console.log(`✅ Created section "${createdSection.name}" (${createdSection.gid})`);
+                        } else if (sectionAction === 'rename') {
+                            const renamedSection = await renameSection(sectionsApiInstance, await toSectionGid(sectionPositionals[0]), sectionPositionals[1]);
+                            console.log(`✅ Renamed section ${renamedSection.gid} to "${renamedSection.name}"`);
+                        } else if (sectionAction === 'move') {
+                            const reorderedSections = await moveSection(sectionsApiInstance, await toSectionGid(sectionPositionals[0]), {
+                                before: await toSectionGid(sectionActionOptions.before),
+                                after: await toSectionGid(sectionActionOptions.after)
+                            });
+                            console.log('✅ Section moved. New order:');
+                            reorderedSections.forEach((s, i) => console.log(`  ${i + 1}. ${s.name} (${s.gid})`));
+                        } else {
+                            const deletedSection = await deleteSection(sectionsApiInstance, tasksApiInstance, await toSectionGid(sectionPositionals[0]), {
+                                moveTasksTo: await toSectionGid(sectionActionOptions['move-tasks-to'])
+                            });
+                            if (deletedSection.movedTasks.length > 0) {
+                                console.log(`Moved ${deletedSection.movedTasks.length} task(s) to section ${sectionActionOptions['move-tasks-to']}`);
+                            }
+                            console.log(`✅ Deleted section "${deletedSection.section.name}" (${deletedSection.section.gid})`);
+                        }
+                        break;
+                    }
+                    
+                    // Project GID is positional, falling back to the profile's default project
+                    const sectionsHasPositional = process.argv[3] && !process.argv[3].startsWith('--');
+                    const projectGidForSections = sectionsHasPositional ? process.argv[3] : profile?.project;
                     if (!projectGidForSections) {
                         console.log('Usage: node index.js sections <project_gid> [--format json|list|table] [--fields name,gid]');
                         console.log('\nList all sections in a project');
@@ -833,7 +1625,7 @@ if (require.main === module) {
                         process.exit(1);
                     }
                     
-                    const sectionsArgs = process.argv.slice(4);
+                    const sectionsArgs = process.argv.slice(sectionsHasPositional ? 4 : 3);
                     const sectionsValidation = validateFlags('sections', sectionsArgs);
                     if (!sectionsValidation.valid) {
                         console.error(`\n❌ Invalid flag(s): --${sectionsValidation.invalidFlags.join(', --')}\n`);
@@ -854,6 +1646,132 @@ if (require.main === module) {
                     displaySections(sections, sectionsDisplayOpts);
                     break;
                 
+                case 'project-graph':
+                    // --clusters takes no value
+                    const graphHasPositional = process.argv[3] && !process.argv[3].startsWith('--');
+                    const graphProjectGid = graphHasPositional ? process.argv[3] : profile?.project;
+                    const graphArgs = process.argv.slice(graphHasPositional ? 4 : 3);
+                    const graphValidation = validateFlags('project-graph', graphArgs);
+                    const graphOptions = parseArgs(graphArgs.filter(arg => arg !== '--clusters'));
+                    const graphFormat = graphOptions.format || 'mermaid';
+                    
+                    if (!graphProjectGid || !graphValidation.valid || !['dot', 'mermaid'].includes(graphFormat)) {
+                        if (!graphValidation.valid) {
+                            console.error(`\n❌ Invalid flag(s): --${graphValidation.invalidFlags.join(', --')}\n`);
+                        }
+                        console.log('Usage: node index.js project-graph <project_gid> [--format dot|mermaid] [--clusters] [--output <file>]');
+                        console.log('\nWrite the dependency graph of a project (edges point from blocker to blocked task)');
+                        console.log('\nOptions:');
+                        console.log('  --format <format>   - dot (Graphviz) or mermaid (default)');
+                        console.log('  --clusters          - Group tasks by section');
+                        console.log('  --output <file>     - Write to a file instead of stdout\n');
+                        console.log('Examples:');
+                        console.log('  node index.js project-graph 1234567890 --clusters > graph.mmd');
+                        console.log('  node index.js project-graph 1234567890 --format dot | dot -Tsvg > graph.svg');
+                        process.exit(1);
+                    }
+                    
+                    const [graph, graphProject] = await Promise.all([
+                        getProjectGraph(tasksApiInstance, graphProjectGid),
+                        projectsApiInstance.getProject(graphProjectGid, { opt_fields: 'name' })
+                    ]);
+                    
+                    // Cycles are reported on stderr so the graph itself can be piped
+                    const cycles = findCycles(graph);
+                    if (cycles.length > 0) {
+                        const names = new Map(graph.nodes.map(node => [node.gid, node.name]));
+                        console.error(`⚠️  Found ${cycles.length} dependency cycle(s) (drawn in red):`);
+                        cycles.forEach((cycle, i) => {
+                            const chain = [...cycle, cycle[0]].map(gid => `${names.get(gid)} (${gid})`).join(' → ');
+                            console.error(`  ${i + 1}. ${chain}`);
+                        });
+                    }
+                    
+                    const renderOptions = {
+                        clusters: graphArgs.includes('--clusters'),
+                        title: graphProject.data.name,
+                        cycles
+                    };
+                    const graphSource = graphFormat === 'dot' ? toDot(graph, renderOptions) : toMermaid(graph, renderOptions);
+                    
+                    if (graphOptions.output) {
+                        fs.writeFileSync(path.resolve(graphOptions.output), graphSource, 'utf8');
+                        console.error(`✅ Wrote ${graph.nodes.length} task(s) and ${graph.edges.length} dependency link(s) to ${graphOptions.output}`);
+                    } else {
+                        process.stdout.write(graphSource);
+                    }
+                    break;
+                
+                case 'critical-path':
+                    const pathHasPositional = process.argv[3] && !process.argv[3].startsWith('--');
+                    const pathProjectGid = pathHasPositional ? process.argv[3] : profile?.project;
+                    const pathArgs = process.argv.slice(pathHasPositional ? 4 : 3);
+                    const pathValidation = validateFlags('critical-path', pathArgs);
+                    const pathOptions = parseArgs(pathArgs);
+                    const pathFormat = pathOptions.format || 'list';
+                    
+                    if (!pathProjectGid || !pathValidation.valid || !['list', 'table', 'json'].includes(pathFormat)) {
+                        if (!pathValidation.valid) {
+                            console.error(`\n❌ Invalid flag(s): --${pathValidation.invalidFlags.join(', --')}\n`);
+                        }
+                        console.log('Usage: node index.js critical-path <project_gid> [--milestone <gid>] [--format list|table|json]');
+                        console.log('\nShow the longest chain of open dependencies to the final milestone, tasks due');
+                        console.log('before their blockers, and tasks waiting on overdue or unassigned work');
+                        console.log('\nOptions:');
+                        console.log('  --milestone <gid>   - Task the path must end at (default: open milestone due last)');
+                        console.log('  --format <format>   - list (default), table or json\n');
+                        console.log('Examples:');
+                        console.log('  node index.js critical-path 1234567890');
+                        console.log('  node index.js critical-path 1234567890 --milestone 1111111111 --format table');
+                        process.exit(1);
+                    }
+                    
+                    const pathGraph = await getProjectGraph(tasksApiInstance, pathProjectGid);
+                    const analysis = analyzeCriticalPath(pathGraph, { milestone: pathOptions.milestone });
+                    
+                    // Flatten the blocker so list/table columns get distinct labels
+                    const withBlocker = ({ blocker, ...task }) => ({
+                        ...task,
+                        blocked_by: `${blocker.name} (${blocker.gid})`,
+                        blocker_due_on: dueDate(blocker)
+                    });
+                    const report = {
+                        milestone: analysis.milestone,
+                        critical_path: analysis.criticalPath,
+                        date_conflicts: analysis.dateConflicts.map(withBlocker),
+                        blocked_by_problems: analysis.blockedByProblems.map(withBlocker)
+                    };
+                    
+                    if (pathFormat === 'json') {
+                        console.log(JSON.stringify({ ...report, cycles: analysis.cycles }, null, 2));
+                        break;
+                    }
+                    
+                    if (analysis.cycles.length > 0) {
+                        console.error(`⚠️  Ignoring ${analysis.cycles.length} dependency cycle(s); run project-graph to see them\n`);
+                    }
+                    
+                    const pathDisplay = { format: pathFormat };
+                    if (analysis.milestone) {
+                        console.log(`🏁 Critical path to "${analysis.milestone.name}" (${analysis.milestone.gid})${analysis.milestone.completed ? ' - already completed' : ''}\n`);
+                    } else {
+                        console.log('🏁 Critical path (no open milestone, showing the longest dependency chain)\n');
+                    }
+                    if (report.critical_path.length > 0) {
+                        // Flatten the assignee too, so it isn't labelled as a second "Name"
+                        const pathTasks = report.critical_path.map(task => ({ ...task, assignee: task.assignee?.name, due_on: dueDate(task) }));
+                        displaySearchedTasks(pathTasks, { ...pathDisplay, fields: ['name', 'gid', 'assignee', 'due_on'] });
+                    } else if (!analysis.milestone?.completed) {
+                        console.log('No open tasks found.');
+                    }
+                    
+                    console.log('\n📅 Due before a blocker\n');
+                    displaySearchedTasks(report.date_conflicts, { ...pathDisplay, fields: ['name', 'gid', 'due_on', 'blocked_by', 'blocker_due_on'] });
+                    
+                    console.log('\n🚧 Blocked by overdue or unassigned work\n');
+                    displaySearchedTasks(report.blocked_by_problems, { ...pathDisplay, fields: ['name', 'gid', 'blocked_by', 'reason'] });
+                    break;
+                
                 case 'add-to-project':
                     const taskGidForAdd = process.argv[3];
                     if (!taskGidForAdd) {
@@ -880,6 +1798,9 @@ if (require.main === module) {
                     }
                     
                     const addOptions = parseArgs(addArgs);
+                    if (!addOptions.project && profile?.project) {
+                        addOptions.project = profile.project;
+                    }
                     if (!addOptions.project) {
                         console.error('❌ --project flag is required\n');
                         console.log('Usage: node index.js add-to-project <task_gid> --project <project_gid> [--section <section_gid>]');
@@ -895,6 +1816,69 @@ if (require.main === module) {
                     }
                     break;
                 
+                case 'move-task':
+                    const moveTaskGids = [];
+                    let moveArgIndex = 3;
+                    while (process.argv[moveArgIndex] && !process.argv[moveArgIndex].startsWith('--')) {
+                        moveTaskGids.push(...process.argv[moveArgIndex].split(',').map(gid => gid.trim()).filter(Boolean));
+                        moveArgIndex++;
+                    }
+                    const moveArgs = process.argv.slice(moveArgIndex);
+                    const moveValidation = validateFlags('move-task', moveArgs);
+                    const moveOptions = parseArgs(moveArgs);
+                    if (!moveValidation.valid || !moveOptions.section || (moveTaskGids.length === 0 && !moveOptions['from-file']) || (moveOptions.before && moveOptions.after)) {
+                        if (!moveValidation.valid) {
+                            console.error(`\n❌ Invalid flag(s): --${moveValidation.invalidFlags.join(', --')}\n`);
+                        }
+                        console.log('Usage: node index.js move-task <task_gid> [task_gid...] --section <gid|name> [--before <task_gid> | --after <task_gid>]');
+                        console.log('       node index.js move-task --from-file <saved_results> --section <gid|name> [--before <task_gid> | --after <task_gid>]');
+                        console.log('\nMove tasks into a section (in the given order), optionally next to another task');
+                        console.log('\nOptions:');
+                        console.log('  --section <gid|name>  - Target section (required)');
+                        console.log('  --project <gid>       - Project to look up a section name in (default: the task\'s project)');
+                        console.log('  --before <task_gid>   - Place the tasks before this task');
+                        console.log('  --after <task_gid>    - Place the tasks after this task');
+                        console.log('  --from-file <file>    - Move the tasks listed in saved search results (JSON, CSV or markdown)\n');
+                        console.log('Examples:');
+                        console.log('  node index.js move-task 1234567890 --section "In Progress"');
+                        console.log('  node index.js move-task 1234567890,1234567891 --section 1111111111 --after 1234567899');
+                        console.log('  node index.js move-task --from-file results.json --section Done --project 9876543210');
+                        console.log('\nWithout --before/--after tasks go to the top of the section.');
+                        process.exit(1);
+                    }
+                    
+                    if (moveOptions['from-file']) {
+                        moveTaskGids.push(...readTaskGidsFromFile(path.resolve(moveOptions['from-file'])).filter(gid => !moveTaskGids.includes(gid)));
+                    }
+                    
+                    let moveProject = moveOptions.project;
+                    if (!moveProject && !/^\d+$/.test(moveOptions.section)) {
+                        // Look the section name up in the project of the first task
+                        const firstMoveTask = await getTask(tasksApiInstance, moveTaskGids[0], { opt_fields: 'memberships.project.gid' });
+                        const moveTaskProjects = [...new Set((firstMoveTask.memberships || []).map(m => m.project?.gid).filter(Boolean))];
+                        moveProject = moveTaskProjects.length === 1 ? moveTaskProjects[0] : profile?.project;
+                        if (!moveProject) {
+                            console.error(`❌ Task ${moveTaskGids[0]} is in ${moveTaskProjects.length} projects; pass --project to look up section "${moveOptions.section}"`);
+                            process.exit(1);
+                        }
+                    }
+                    
+                    const moveSectionGid = await resolveSectionGid(sectionsApiInstance, moveProject, moveOptions.section);
+                    const moveResult = await moveTasksToSection(sectionsApiInstance, moveTaskGids, moveSectionGid, {
+                        before: moveOptions.before,
+                        after: moveOptions.after
+                    });
+                    
+                    if (moveResult.moved.length > 0) {
+                        console.log(`✅ Moved ${moveResult.moved.length} task(s) to section ${moveSectionGid}: ${moveResult.moved.join(', ')}`);
+                    }
+                    if (moveResult.failed.length > 0) {
+                        console.error(`❌ Failed to move ${moveResult.failed.length} task(s):`);
+                        moveResult.failed.forEach(f => console.error(`  ${f.gid}: ${f.error}`));
+                        process.exit(1);
+                    }
+                    break;
+                
                 case 'remove-from-project':
                     const taskGidForRemove = process.argv[3];
                     if (!taskGidForRemove) {
@@ -928,8 +1912,339 @@ if (require.main === module) {
                     console.log(`Task ${taskGidForRemove} removed from project ${removeOptions.project}`);
                     break;
                 
+                case 'deps':
+                    const taskGidForDeps = process.argv[3];
+                    if (!taskGidForDeps || taskGidForDeps.startsWith('--')) {
+                        console.log('Usage: node index.js deps <task_gid> [--format list|json]');
+                        console.log('\nShow the tasks blocking a task and the tasks it blocks');
+                        process.exit(1);
+                    }
+                    
+                    const depsArgs = process.argv.slice(4);
+                    const depsValidation = validateFlags('deps', depsArgs);
+                    if (!depsValidation.valid) {
+                        console.error(`\n❌ Invalid flag(s): --${depsValidation.invalidFlags.join(', --')}\n`);
+                        console.log('Valid flags for deps command:');
+                        console.log('  --format <list|json>   - Output format (default: list)\n');
+                        process.exit(1);
+                    }
+                    
+                    const depsOptions = parseArgs(depsArgs);
+                    const [blockers, blocked] = await Promise.all([
+                        getDependencies(tasksApiInstance, taskGidForDeps),
+                        getDependents(tasksApiInstance, taskGidForDeps)
+                    ]);
+                    if (depsOptions.format === 'json') {
+                        console.log(JSON.stringify({ dependencies: blockers, dependents: blocked }, null, 2));
+                    } else {
+                        displayDependencies(blockers, blocked);
+                    }
+                    break;
+                
+                case 'block':
+                case 'unblock':
+                    const taskGidForBlock = process.argv[3];
+                    const blockArgs = process.argv.slice(4);
+                    const blockValidation = validateFlags(command, blockArgs);
+                    const blockOptions = parseArgs(blockArgs);
+                    const isBlock = command === 'block';
+                    
+                    if (!taskGidForBlock || taskGidForBlock.startsWith('--') || !blockValidation.valid ||
+                        (isBlock && !blockOptions.by && !blockOptions.blocking)) {
+                        if (!blockValidation.valid) {
+                            console.error(`\n❌ Invalid flag(s): --${blockValidation.invalidFlags.join(', --')}\n`);
+                        }
+                        if (isBlock) {
+                            console.log('Usage: node index.js block <task_gid> --by <gid1,gid2> [--blocking <gid1,gid2>]');
+                            console.log('\nOptions:');
+                            console.log('  --by <gids>         - Tasks that block this task (it depends on them)');
+                            console.log('  --blocking <gids>   - Tasks that this task blocks\n');
+                            console.log('Example:');
+                            console.log('  node index.js block 1234567890 --by 1111111111,2222222222');
+                        } else {
+                            console.log('Usage: node index.js unblock <task_gid> [--by <gid1,gid2>] [--blocking <gid1,gid2>]');
+                            console.log('\nOptions:');
+                            console.log('  --by <gids>         - Blockers to remove (default: all blockers)');
+                            console.log('  --blocking <gids>   - Stop blocking these tasks\n');
+                            console.log('Examples:');
+                            console.log('  node index.js unblock 1234567890 --by 1111111111');
+                            console.log('  node index.js unblock 1234567890');
+                        }
+                        process.exit(1);
+                    }
+                    
+                    if (isBlock) {
+                        if (blockOptions.by) {
+                            await addDependencies(tasksApiInstance, taskGidForBlock, blockOptions.by);
+                            console.log(`✅ Task ${taskGidForBlock} is now blocked by ${blockOptions.by}`);
+                        }
+                        if (blockOptions.blocking) {
+                            await addDependents(tasksApiInstance, taskGidForBlock, blockOptions.blocking);
+                            console.log(`✅ Task ${taskGidForBlock} is now blocking ${blockOptions.blocking}`);
+                        }
+                        break;
+                    }
+                    
+                    // Without flags, remove every blocker
+                    let blockersToRemove = blockOptions.by;
+                    if (!blockOptions.by && !blockOptions.blocking) {
+                        blockersToRemove = (await getDependencies(tasksApiInstance, taskGidForBlock, { opt_fields: 'gid' })).map(t => t.gid);
+                        if (blockersToRemove.length === 0) {
+                            console.log(`Task ${taskGidForBlock} has no blockers.`);
+                            break;
+                        }
+                    }
+                    if (blockersToRemove) {
+                        await removeDependencies(tasksApiInstance, taskGidForBlock, blockersToRemove);
+                        console.log(`✅ Removed blocker(s) ${[].concat(blockersToRemove).join(',')} from task ${taskGidForBlock}`);
+                    }
+                    if (blockOptions.blocking) {
+                        await removeDependents(tasksApiInstance, taskGidForBlock, blockOptions.blocking);
+                        console.log(`✅ Task ${taskGidForBlock} no longer blocks ${blockOptions.blocking}`);
+                    }
+                    break;
+                
+                case 'delete-task':
+                    const taskGidForDelete = process.argv[3];
+                    const deleteArgs = process.argv.slice(4);
+                    const deleteValidation = validateFlags('delete-task', deleteArgs);
+                    if (!taskGidForDelete || taskGidForDelete.startsWith('--') || !deleteValidation.valid) {
+                        if (!deleteValidation.valid) {
+                            console.error(`\n❌ Invalid flag(s): --${deleteValidation.invalidFlags.join(', --')}\n`);
+                        }
+                        console.log('Usage: node index.js delete-task <task_gid> [--yes]');
+                        console.log('\nDelete a task and its subtasks (restorable from the Asana trash for 30 days)');
+                        console.log('\nOptions:');
+                        console.log('  --yes               - Skip the confirmation prompt\n');
+                        process.exit(1);
+                    }
+                    
+                    const taskToDelete = await getTask(tasksApiInstance, taskGidForDelete, { opt_fields: 'name,num_subtasks' });
+                    if (!deleteArgs.includes('--yes')) {
+                        if (!process.stdin.isTTY) {
+                            console.error('❌ Refusing to delete without confirmation. Pass --yes to delete non-interactively.');
+                            process.exit(1);
+                        }
+                        const subtaskNote = taskToDelete.num_subtasks ? ` and its ${taskToDelete.num_subtasks} subtask(s)` : '';
+                        const readline = require('readline/promises');
+                        const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+                        const answer = await prompt.question(`Delete "${taskToDelete.name}" (${taskGidForDelete})${subtaskNote}? [y/N] `);
+                        prompt.close();
+                        if (!['y', 'yes'].includes(answer.trim().toLowerCase())) {
+                            console.log('Cancelled.');
+                            break;
+                        }
+                    }
+                    
+                    await deleteTask(tasksApiInstance, taskGidForDelete);
+                    console.log(`✅ Deleted task "${taskToDelete.name}" (${taskGidForDelete})`);
+                    break;
+                
+                case 'duplicate-task':
+                    const taskGidForDuplicate = process.argv[3];
+                    const duplicateArgs = process.argv.slice(4);
+                    const duplicateValidation = validateFlags('duplicate-task', duplicateArgs);
+                    const duplicateOptions = parseArgs(duplicateArgs);
+                    const unknownIncludes = (duplicateOptions.include || '').split(',')
+                        .map(option => option.trim())
+                        .filter(option => option && !DUPLICATE_INCLUDE_OPTIONS.includes(option));
+                    
+                    if (!taskGidForDuplicate || taskGidForDuplicate.startsWith('--') || !duplicateValidation.valid || unknownIncludes.length > 0) {
+                        if (!duplicateValidation.valid) {
+                            console.error(`\n❌ Invalid flag(s): --${duplicateValidation.invalidFlags.join(', --')}\n`);
+                        }
+                        if (unknownIncludes.length > 0) {
+                            console.error(`\n❌ Unknown --include option(s): ${unknownIncludes.join(', ')}\n`);
+                        }
+                        console.log('Usage: node index.js duplicate-task <task_gid> [--name <name>] [--include <option1,option2>]');
+                        console.log('\nCopy a task and wait until the copy is created');
+                        console.log('\nOptions:');
+                        console.log('  --name <name>       - Name of the copy (default: "Copy of <name>")');
+                        console.log(`  --include <options> - What to copy (default: all): ${DUPLICATE_INCLUDE_OPTIONS.join(', ')}\n`);
+                        console.log('Examples:');
+                        console.log('  node index.js duplicate-task 1234567890');
+                        console.log('  node index.js duplicate-task 1234567890 --name "Sprint 12 checklist" --include notes,subtasks,projects');
+                        process.exit(1);
+                    }
+                    
+                    console.log('⏳ Duplicating task...');
+                    const duplicatedTask = await duplicateTask(tasksApiInstance, jobsApiInstance, taskGidForDuplicate, {
+                        name: duplicateOptions.name,
+                        include: duplicateOptions.include
+                    });
+                    console.log(`✅ Created "${duplicatedTask.name}" (${duplicatedTask.gid})`);
+                    break;
+                
+                case 'follow':
+                case 'unfollow':
+                    const taskGidForFollow = process.argv[3];
+                    const followArgs = process.argv.slice(4);
+                    const followValidation = validateFlags(command, followArgs);
+                    const followOptions = parseArgs(followArgs);
+                    
+                    if (!taskGidForFollow || taskGidForFollow.startsWith('--') || !followValidation.valid || !followOptions.users) {
+                        if (!followValidation.valid) {
+                            console.error(`\n❌ Invalid flag(s): --${followValidation.invalidFlags.join(', --')}\n`);
+                        }
+                        console.log(`Usage: node index.js ${command} <task_gid> --users <user1,user2>`);
+                        console.log(`\n${command === 'follow' ? 'Add followers (collaborators) to' : 'Remove followers from'} a task`);
+                        console.log('\nOptions:');
+                        console.log('  --users <users>     - Comma-separated user GIDs, "me" or email addresses\n');
+                        console.log('Examples:');
+                        console.log(`  node index.js ${command} 1234567890 --users me`);
+                        console.log(`  node index.js ${command} 1234567890 --users sam@example.com,1111111111`);
+                        process.exit(1);
+                    }
+                    
+                    // Resolve every user before changing anything
+                    const followerGids = await resolveUserGids(usersApiInstance, followOptions.users);
+                    const followedTask = command === 'follow'
+                        ? await addFollowers(tasksApiInstance, taskGidForFollow, followerGids)
+                        : await removeFollowers(tasksApiInstance, taskGidForFollow, followerGids);
+                    console.log(`✅ ${command === 'follow' ? 'Added' : 'Removed'} follower(s) ${followOptions.users} ${command === 'follow' ? 'to' : 'from'} task ${taskGidForFollow}`);
+                    console.log(`\nFollowers (${followedTask.followers.length}):`);
+                    followedTask.followers.forEach(follower => {
+                        console.log(`  - ${follower.name} (GID: ${follower.gid})`);
+                    });
+                    break;
+                
+                case 'tags':
+                    const isTagCreate = process.argv[3] === 'create';
+                    const tagsArgs = process.argv.slice(isTagCreate ? 5 : (process.argv[3] === 'list' ? 4 : 3));
+                    const tagsValidation = validateFlags('tags', tagsArgs);
+                    const tagsOptions = parseArgs(tagsArgs);
+                    const newTagName = isTagCreate ? process.argv[4] : null;
+                    
+                    if (!tagsValidation.valid || (isTagCreate && (!newTagName || newTagName.startsWith('--')))) {
+                        if (!tagsValidation.valid) {
+                            console.error(`\n❌ Invalid flag(s): --${tagsValidation.invalidFlags.join(', --')}\n`);
+                        }
+                        console.log('Usage: node index.js tags [--name <text>] [--format list|table|json]');
+                        console.log('       node index.js tags create <name> [--color <color>] [--notes <text>]');
+                        console.log('\nOptions:');
+                        console.log('  --name <text>       - Filter by name (partial match)');
+                        console.log('  --format <format>   - list (default), table or json');
+                        console.log('  --color <color>     - Tag color, e.g. dark-red, light-green (create only)');
+                        console.log('  --notes <text>      - Tag description (create only)\n');
+                        console.log('Examples:');
+                        console.log('  node index.js tags --name bug');
+                        console.log('  node index.js tags create urgent --color dark-red');
+                        process.exit(1);
+                    }
+                    
+                    if (isTagCreate) {
+                        const tagData = { name: newTagName };
+                        if (tagsOptions.color) tagData.color = tagsOptions.color;
+                        if (tagsOptions.notes) tagData.notes = tagsOptions.notes;
+                        const newTag = await createTag(tagsApiInstance, defaultWorkspace, tagData);
+                        console.log(`✅ Created tag "${newTag.name}" (${newTag.gid})`);
+                        break;
+                    }
+                    
+                    const tags = await listTags(tagsApiInstance, defaultWorkspace, { name: tagsOptions.name });
+                    displayTags(tags, { format: tagsOptions.format || 'list' });
+                    break;
+                
+                case 'tag':
+                case 'untag':
+                    const taskGidForTag = process.argv[3];
+                    const tagList = process.argv[4];
+                    const tagValidation = validateFlags(command, process.argv.slice(5));
+                    
+                    if (!taskGidForTag || !tagList || tagList.startsWith('--') || !tagValidation.valid) {
+                        console.log(`Usage: node index.js ${command} <task_gid> <tag1,tag2>`);
+                        console.log(`\n${command === 'tag' ? 'Add existing tags to' : 'Remove tags from'} a task. Tags can be names (case-insensitive) or GIDs.\n`);
+                        console.log('Examples:');
+                        console.log(`  node index.js ${command} 1234567890 bug`);
+                        console.log(`  node index.js ${command} 1234567890 "customer-request,urgent"`);
+                        console.log('\nTip: Use "tags" to list tags and "tags create <name>" to add one');
+                        process.exit(1);
+                    }
+                    
+                    // Resolve every name before changing anything
+                    const tagGids = await resolveTagGids(tagsApiInstance, defaultWorkspace, tagList);
+                    for (const tagGid of tagGids) {
+                        await (command === 'tag' ? addTagToTask : removeTagFromTask)(tasksApiInstance, taskGidForTag, tagGid);
+                    }
+                    console.log(`✅ ${command === 'tag' ? 'Added' : 'Removed'} tag(s) ${tagList} ${command === 'tag' ? 'to' : 'from'} task ${taskGidForTag}`);
+                    break;
+                
+                case 'attachments':
+                    const taskGidForAttachments = process.argv[3];
+                    const attachmentsArgs = process.argv.slice(4);
+                    const attachmentsValidation = validateFlags('attachments', attachmentsArgs);
+                    if (!taskGidForAttachments || taskGidForAttachments.startsWith('--') || !attachmentsValidation.valid) {
+                        if (!attachmentsValidation.valid) {
+                            console.error(`\n❌ Invalid flag(s): --${attachmentsValidation.invalidFlags.join(', --')}\n`);
+                        }
+                        console.log('Usage: node index.js attachments <task_gid> [--format list|json]');
+                        console.log('\nList the files attached to a task');
+                        process.exit(1);
+                    }
+                    
+                    const attachmentList = await listAttachments(attachmentsApiInstance, taskGidForAttachments);
+                    displayAttachments(attachmentList, { format: parseArgs(attachmentsArgs).format || 'list' });
+                    break;
+                
+                case 'attach':
+                    const taskGidForAttach = process.argv[3];
+                    const attachFiles = process.argv.slice(4);
+                    if (!taskGidForAttach || taskGidForAttach.startsWith('--') || attachFiles.length === 0 || attachFiles.some(file => file.startsWith('--'))) {
+                        console.log('Usage: node index.js attach <task_gid> <file...>');
+                        console.log('\nUpload one or more local files to a task (up to 100 MB each)\n');
+                        console.log('Examples:');
+                        console.log('  node index.js attach 1234567890 crash.log');
+                        console.log('  node index.js attach 1234567890 screenshots/*.png');
+                        process.exit(1);
+                    }
+                    
+                    // Check every file before uploading any
+                    const missingFiles = attachFiles.filter(file => !fs.existsSync(file) || !fs.statSync(file).isFile());
+                    if (missingFiles.length > 0) {
+                        console.error(`❌ File(s) not found: ${missingFiles.join(', ')}`);
+                        process.exit(1);
+                    }
+                    
+                    for (const file of attachFiles) {
+                        const attachment = await uploadAttachment(attachmentsApiInstance, taskGidForAttach, file);
+                        console.log(`✅ Attached ${attachment.name} (${attachment.gid})`);
+                    }
+                    break;
+                
+                case 'download-attachments':
+                    const taskGidForDownload = process.argv[3];
+                    const downloadArgs = process.argv.slice(4);
+                    const downloadValidation = validateFlags('download-attachments', downloadArgs);
+                    const downloadOptions = parseArgs(downloadArgs);
+                    if (!taskGidForDownload || taskGidForDownload.startsWith('--') || !downloadValidation.valid || !downloadOptions.dir) {
+                        if (!downloadValidation.valid) {
+                            console.error(`\n❌ Invalid flag(s): --${downloadValidation.invalidFlags.join(', --')}\n`);
+                        }
+                        console.log('Usage: node index.js download-attachments <task_gid> --dir <path> [--overwrite true]');
+                        console.log('\nDownload every file attached to a task');
+                        console.log('\nOptions:');
+                        console.log('  --dir <path>          - Target directory (created if missing)');
+                        console.log('  --overwrite true      - Replace existing files (default: skip them)\n');
+                        console.log('Example:');
+                        console.log('  node index.js download-attachments 1234567890 --dir ./bug-1234');
+                        process.exit(1);
+                    }
+                    
+                    const downloadResult = await downloadAttachments(attachmentsApiInstance, taskGidForDownload, downloadOptions.dir, {
+                        overwrite: downloadOptions.overwrite === 'true'
+                    });
+                    downloadResult.downloaded.forEach(file => {
+                        console.log(`✅ ${file.path}`);
+                    });
+                    downloadResult.skipped.forEach(file => {
+                        console.log(`⏭️  Skipped ${file.name} (${file.gid}): ${file.reason}`);
+                    });
+                    console.log(`\nDownloaded ${downloadResult.downloaded.length} of ${downloadResult.downloaded.length + downloadResult.skipped.length} attachment(s) to ${path.resolve(downloadOptions.dir)}`);
+                    break;
+                
                 case 'clear-cache':
                     clearCache();
+                    clearTagCache();
                     break;
                 
                 default:
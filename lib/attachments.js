@@ -0,0 +1,289 @@
+/**
+ * Attachment-related operations
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+
+// Asana rejects uploads over 100MB
+const MAX_UPLOAD_BYTES = 100 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
+const ATTACHMENT_FIELDS = 'name,gid,size,created_at,host,resource_subtype,download_url,view_url,permanent_url';
+
+/**
+ * List the attachments of a task (or other parent object)
+ * @param {Object} attachmentsApiInstance - Asana AttachmentsApi instance
+ * @param {string} parentGid - Task GID
+ * @param {Object} options - Optional parameters (opt_fields)
+ * @returns {Promise<Array>} Array of attachments
+ */
+async function listAttachments(attachmentsApiInstance, parentGid, options = {}) {
+    try {
+        const opts = {
+            opt_fields: options.opt_fields || ATTACHMENT_FIELDS,
+            limit: 100
+        };
+
+        let allAttachments = [];
+        let offset = null;
+
+        do {
+            if (offset) {
+                opts.offset = offset;
+            }
+
+            const result = await attachmentsApiInstance.getAttachmentsForObject(parentGid, opts);
+            allAttachments = allAttachments.concat(result.data);
+
+            offset = result._response?.next_page?.offset || null;
+        } while (offset);
+
+        return allAttachments;
+    } catch (error) {
+        console.error('Error fetching attachments:', error.response?.body || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Upload a local file as an attachment
+ * @param {Object} attachmentsApiInstance - Asana AttachmentsApi instance
+ * @param {string} parentGid - Task GID
+ * @param {string} filePath - Path of the file to upload
+ * @param {Object} options - Upload options
+ * @param {string} options.name - Attachment name (default: the file name)
+ * @returns {Promise<Object>} Created attachment
+ * @throws {Error} If the file is missing, not a regular file, or over 100MB (before uploading)
+ */
+async function uploadAttachment(attachmentsApiInstance, parentGid, filePath, options = {}) {
+    const resolvedPath = path.resolve(filePath);
+    const stats = fs.statSync(resolvedPath, { throwIfNoEntry: false });
+    if (!stats || !stats.isFile()) {
+        throw new Error(`File not found: ${filePath}`);
+    }
+    if (stats.size > MAX_UPLOAD_BYTES) {
+        throw new Error(`File too large: ${filePath} is ${formatBytes(stats.size)} (Asana allows up to 100 MB)`);
+    }
+
+    try {
+        const opts = {
+            parent: parentGid,
+            file: fs.createReadStream(resolvedPath),
+            opt_fields: ATTACHMENT_FIELDS
+        };
+        if (options.name) {
+            opts.name = options.name;
+        }
+
+        const result = await attachmentsApiInstance.createAttachmentForObject(opts);
+        return result.data;
+    } catch (error) {
+        console.error('Error uploading attachment:', error.response?.body || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Stream a URL to a file, following redirects
+ * Writes to a temporary file first so an interrupted or stalled download leaves nothing behind.
+ * @param {string} url - URL to download
+ * @param {string} destination - File path to write
+ * @param {Object} options - Download options
+ * @param {number} options.timeoutMs - Abort when the connection is idle this long (0 disables)
+ * @param {Object} options.agent - HTTPS agent for https: URLs (the API client's, for its proxy and CA bundle)
+ * @returns {Promise<number>} Bytes written
+ */
+function fetchToFile(url, destination, options = {}, redirects = 0) {
+    return new Promise((resolve, reject) => {
+        const secure = url.startsWith('https:');
+        const client = secure ? https : http;
+        const agent = secure ? options.agent : null;
+        const partial = `${destination}.part`;
+        let file = null;
+
+        const fail = error => {
+            if (file) {
+                file.destroy();
+            }
+            fs.rmSync(partial, { force: true });
+            reject(error);
+        };
+
+        const request = client.get(url, agent ? { agent } : {}, response => {
+            if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+                response.resume();
+                if (redirects >= MAX_REDIRECTS) {
+                    reject(new Error(`Too many redirects downloading ${url}`));
+                    return;
+                }
+                resolve(fetchToFile(new URL(response.headers.location, url).toString(), destination, options, redirects + 1));
+                return;
+            }
+            if (response.statusCode !== 200) {
+                response.resume();
+                reject(new Error(`Download failed with HTTP ${response.statusCode}`));
+                return;
+            }
+
+            file = fs.createWriteStream(partial);
+            response.pipe(file);
+            file.on('finish', () => {
+                try {
+                    fs.renameSync(partial, destination);
+                    resolve(fs.statSync(destination).size);
+                } catch (error) {
+                    fail(error);
+                }
+            });
+            file.on('error', fail);
+            response.on('error', fail);
+        });
+        if (options.timeoutMs) {
+            request.setTimeout(options.timeoutMs, () => {
+                request.destroy(new Error(`Download timed out after ${options.timeoutMs}ms without data`));
+            });
+        }
+        request.on('error', fail);
+    });
+}
+
+/**
+ * Make an attachment name safe to use as a file name
+ */
+function safeFileName(name, fallback) {
+    const cleaned = path.basename(String(name || '')).replace(/[\\/:*?"<>|\x00-\x1f]/g, '_').trim();
+    return cleaned && cleaned !== '.' && cleaned !== '..' ? cleaned : fallback;
+}
+
+/**
+ * Download a single attachment to a file
+ * Asana's download_url is a short-lived pre-signed URL, so it is fetched right before downloading.
+ * @param {Object} attachmentsApiInstance - Asana AttachmentsApi instance
+ * @param {string} attachmentGid - Attachment GID
+ * @param {string} destination - File path to write
+ * @returns {Promise<Object>} { gid, name, path, size }
+ * @throws {Error} If the attachment has no download URL (e.g. a linked Google Drive file)
+ */
+async function downloadAttachment(attachmentsApiInstance, attachmentGid, destination) {
+    let attachment;
+    try {
+        const result = await attachmentsApiInstance.getAttachment(attachmentGid, { opt_fields: 'name,host,download_url' });
+        attachment = result.data;
+    } catch (error) {
+        console.error('Error fetching attachment:', error.response?.body || error.message);
+        throw error;
+    }
+
+    if (!attachment.download_url) {
+        throw new Error(`Attachment "${attachment.name}" (${attachmentGid}) is hosted on ${attachment.host || 'an external service'} and cannot be downloaded`);
+    }
+
+    // Same timeout, proxy and CA bundle as API calls (environment or profile settings)
+    const apiClient = attachmentsApiInstance.apiClient;
+    const size = await fetchToFile(attachment.download_url, destination, {
+        timeoutMs: apiClient?.timeout,
+        agent: apiClient?.requestAgent || undefined
+    });
+    return { gid: attachmentGid, name: attachment.name, path: destination, size };
+}
+
+/**
+ * Download every attachment of a task into a directory
+ * Attachments with the same name are saved as "name-<gid>.ext". Existing files are
+ * kept (reported as skipped) unless options.overwrite is set.
+ * @param {Object} attachmentsApiInstance - Asana AttachmentsApi instance
+ * @param {string} parentGid - Task GID
+ * @param {string} dir - Target directory (created if missing)
+ * @param {Object} options - Download options
+ * @param {boolean} options.overwrite - Replace existing files
+ * @param {Function} logFn - Optional logging function (level, message, data)
+ * @returns {Promise<Object>} { downloaded: [{ gid, name, path, size }], skipped: [{ gid, name, reason }] }
+ */
+async function downloadAttachments(attachmentsApiInstance, parentGid, dir, options = {}, logFn = null) {
+    const targetDir = path.resolve(dir);
+    fs.mkdirSync(targetDir, { recursive: true });
+
+    const attachments = await listAttachments(attachmentsApiInstance, parentGid, { opt_fields: 'name,gid,host' });
+    const downloaded = [];
+    const skipped = [];
+    const usedNames = new Set();
+
+    for (const attachment of attachments) {
+        let fileName = safeFileName(attachment.name, attachment.gid);
+        if (usedNames.has(fileName.toLowerCase())) {
+            const ext = path.extname(fileName);
+            fileName = `${path.basename(fileName, ext)}-${attachment.gid}${ext}`;
+        }
+        usedNames.add(fileName.toLowerCase());
+
+        const destination = path.join(targetDir, fileName);
+        if (!options.overwrite && fs.existsSync(destination)) {
+            skipped.push({ gid: attachment.gid, name: attachment.name, reason: `${fileName} already exists` });
+            continue;
+        }
+
+        try {
+            downloaded.push(await downloadAttachment(attachmentsApiInstance, attachment.gid, destination));
+        } catch (error) {
+            if (logFn) {
+                logFn('warn', 'Skipping attachment', { gid: attachment.gid, name: attachment.name, error: error.message });
+            }
+            skipped.push({ gid: attachment.gid, name: attachment.name, reason: error.message });
+        }
+    }
+
+    return { downloaded, skipped };
+}
+
+/**
+ * Format a byte count for display
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Display attachments
+ * @param {Array} attachments - Array of attachment objects
+ * @param {Object} displayOptions - Display configuration
+ * @param {string} displayOptions.format - Output format: 'list' (default), 'json'
+ */
+function displayAttachments(attachments, displayOptions = {}) {
+    if (!attachments || attachments.length === 0) {
+        console.log('No attachments found.');
+        return;
+    }
+
+    if (displayOptions.format === 'json') {
+        console.log(JSON.stringify(attachments, null, 2));
+        return;
+    }
+
+    console.log(`Found ${attachments.length} attachment(s):\n`);
+    attachments.forEach((attachment, index) => {
+        const details = [attachment.gid];
+        if (attachment.size !== undefined && attachment.size !== null) {
+            details.push(formatBytes(attachment.size));
+        }
+        if (attachment.host && attachment.host !== 'asana') {
+            details.push(attachment.host);
+        }
+        if (attachment.created_at) {
+            details.push(new Date(attachment.created_at).toLocaleDateString());
+        }
+        console.log(`${index + 1}. 📎 ${attachment.name} (${details.join(', ')})`);
+    });
+}
+
+module.exports = {
+    listAttachments,
+    uploadAttachment,
+    downloadAttachment,
+    downloadAttachments,
+    displayAttachments
+};
@@ -0,0 +1,463 @@
+/**
+ * OAuth 2.0 login for Asana (alternative to personal access tokens)
+ *
+ * `auth login` runs the authorization-code flow (with PKCE) through a local
+ * loopback redirect and stores the tokens in a file readable only by the owner
+ * (default: ~/.asana-node-helpers/auth.json, override with ASANA_AUTH_FILE).
+ * The client refreshes the access token before it expires and on 401.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { AsanaConfigError } = require('./client');
+const { createAgent } = require('./network');
+
+const AUTHORIZE_URL = 'https://app.asana.com/-/oauth_authorize';
+const TOKEN_URL = 'https://app.asana.com/-/oauth_token';
+const REVOKE_URL = 'https://app.asana.com/-/oauth_revoke';
+
+const DEFAULT_AUTH_FILE = path.join(os.homedir(), '.asana-node-helpers', 'auth.json');
+const DEFAULT_REDIRECT_PORT = 8787;
+const DEFAULT_LOGIN_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Refresh this long before the access token expires (Asana tokens last one hour)
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+/**
+ * Get the path of the OAuth credentials file
+ * @returns {string} Absolute path
+ */
+function getAuthFile() {
+    const file = process.env.ASANA_AUTH_FILE || DEFAULT_AUTH_FILE;
+    if (file === '~' || file.startsWith('~/')) {
+        return path.join(os.homedir(), file.slice(1));
+    }
+    return file;
+}
+
+/**
+ * Load stored OAuth credentials
+ * @returns {Object|null} Credentials, or null if not logged in
+ */
+function loadCredentials() {
+    const file = getAuthFile();
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new AsanaConfigError(`Failed to read OAuth credentials ${file}: ${error.message}`, 'INVALID_AUTH_FILE');
+    }
+}
+
+/**
+ * Save OAuth credentials (owner read/write only)
+ * @param {Object} credentials - Credentials to store
+ */
+function saveCredentials(credentials) {
+    const file = getAuthFile();
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    }
+    fs.writeFileSync(file, JSON.stringify(credentials, null, 2) + '\n', { encoding: 'utf8', mode: 0o600 });
+    fs.chmodSync(file, 0o600);
+}
+
+/**
+ * POST a form to an Asana OAuth endpoint
+ * @param {string} url - Endpoint URL
+ * @param {Object} form - Form fields
+ * @param {Object} network - Proxy/CA settings, as for createClient() ({ proxy, noProxy, caBundle })
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+function postForm(url, form, network = {}) {
+    const body = new URLSearchParams(form).toString();
+
+    return new Promise((resolve, reject) => {
+        // Same proxy/CA settings as API requests
+        const req = https.request(url, {
+            method: 'POST',
+            agent: createAgent(url, network) || undefined,
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'Content-Length': Buffer.byteLength(body),
+                'Accept': 'application/json'
+            }
+        }, res => {
+            let data = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { data += chunk; });
+            res.on('end', () => {
+                let parsed = {};
+                try {
+                    parsed = data ? JSON.parse(data) : {};
+                } catch (e) {
+                    parsed = { error: 'invalid_response', error_description: data.slice(0, 200) };
+                }
+
+                if (res.statusCode >= 400) {
+                    const error = new Error(`OAuth request failed (${res.statusCode}): ${parsed.error_description || parsed.error || 'unknown error'}`);
+                    error.status = res.statusCode;
+                    error.oauthError = parsed.error || null;
+                    reject(error);
+                    return;
+                }
+                resolve(parsed);
+            });
+        });
+
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+/**
+ * Pick the proxy/CA settings out of caller options
+ */
+function getNetworkOptions(options) {
+    return { proxy: options.proxy, noProxy: options.noProxy, caBundle: options.caBundle };
+}
+
+/**
+ * Convert a token endpoint response into stored credentials
+ * @param {Object} tokenResponse - Response from the token endpoint
+ * @param {Object} previous - Previously stored credentials (kept fields: client, refresh token, user)
+ * @returns {Object} Credentials
+ */
+function toCredentials(tokenResponse, previous = {}) {
+    return {
+        client_id: previous.client_id,
+        client_secret: previous.client_secret,
+        access_token: tokenResponse.access_token,
+        // Refresh responses don't include a new refresh token
+        refresh_token: tokenResponse.refresh_token || previous.refresh_token,
+        expires_at: new Date(Date.now() + (tokenResponse.expires_in || 3600) * 1000).toISOString(),
+        user: tokenResponse.data
+            ? { gid: tokenResponse.data.gid, name: tokenResponse.data.name, email: tokenResponse.data.email }
+            : previous.user || null
+    };
+}
+
+/**
+ * Base64url-encode a buffer (PKCE verifier/challenge)
+ */
+function base64Url(buffer) {
+    return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Open a URL in the default browser (best effort)
+ */
+function openBrowser(url) {
+    const command = process.platform === 'darwin' ? 'open'
+        : process.platform === 'win32' ? 'cmd'
+        : 'xdg-open';
+    const args = process.platform === 'win32' ? ['/c', 'start', '', url] : [url];
+
+    try {
+        const child = spawn(command, args, { stdio: 'ignore', detached: true });
+        child.on('error', () => {});
+        child.unref();
+    } catch (error) {
+        // The URL is printed as well, so a missing opener is not fatal
+    }
+}
+
+/**
+ * Wait for the OAuth redirect on a loopback port
+ * @param {number} port - Local port (must match the app's redirect URL)
+ * @param {string} state - Expected state value
+ * @param {number} timeoutMs - Give up after this long
+ * @returns {Promise<string>} Authorization code
+ */
+function waitForAuthorizationCode(port, state, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        let timer = null;
+
+        const server = http.createServer((req, res) => {
+            const url = new URL(req.url, `http://localhost:${port}`);
+            if (url.pathname !== '/callback') {
+                res.writeHead(404);
+                res.end();
+                return;
+            }
+
+            const finish = (error, code) => {
+                res.writeHead(error ? 400 : 200, { 'Content-Type': 'text/plain; charset=utf-8' });
+                res.end(error
+                    ? `Asana login failed: ${error.message}\n`
+                    : 'Asana login complete. You can close this window.\n');
+                clearTimeout(timer);
+                server.close();
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(code);
+                }
+            };
+
+            if (url.searchParams.get('error')) {
+                finish(new Error(`Authorization denied: ${url.searchParams.get('error')}`));
+            } else if (url.searchParams.get('state') !== state) {
+                finish(new Error('OAuth state mismatch'));
+            } else if (!url.searchParams.get('code')) {
+                finish(new Error('No authorization code in redirect'));
+            } else {
+                finish(null, url.searchParams.get('code'));
+            }
+        });
+
+        server.on('error', error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        server.listen(port, '127.0.0.1');
+
+        timer = setTimeout(() => {
+            server.close();
+            reject(new Error(`Timed out waiting for Asana authorization after ${Math.round(timeoutMs / 1000)}s`));
+        }, timeoutMs);
+    });
+}
+
+/**
+ * Run the OAuth authorization-code flow and store the resulting tokens
+ * @param {Object} options - Login options
+ * @param {string} options.clientId - OAuth app client ID (env: ASANA_CLIENT_ID)
+ * @param {string} options.clientSecret - OAuth app client secret (env: ASANA_CLIENT_SECRET)
+ * @param {number} options.port - Loopback redirect port (env: ASANA_OAUTH_PORT, default 8787)
+ * @param {boolean} options.openBrowser - Open the authorization URL automatically (default true)
+ * @param {number} options.timeoutMs - How long to wait for the redirect (default 5 minutes)
+ * @param {Function} options.onAuthorizeUrl - Called with the authorization URL (e.g. to print it)
+ * @param {string|boolean} options.proxy - Proxy for the token request (see createClient)
+ * @param {string} options.noProxy - Hosts that bypass the proxy (see createClient)
+ * @param {string} options.caBundle - Extra CA certificates (see createClient)
+ * @returns {Promise<Object>} Stored credentials
+ */
+async function login(options = {}) {
+    const clientId = options.clientId || process.env.ASANA_CLIENT_ID;
+    const clientSecret = options.clientSecret || process.env.ASANA_CLIENT_SECRET;
+    if (!clientId || !clientSecret) {
+        throw new AsanaConfigError(
+            'OAuth client ID and secret are required',
+            'MISSING_OAUTH_CLIENT',
+            'Register an app at https://app.asana.com/0/my-apps, then export ASANA_CLIENT_ID and ASANA_CLIENT_SECRET'
+        );
+    }
+
+    const port = Number(options.port || process.env.ASANA_OAUTH_PORT || DEFAULT_REDIRECT_PORT);
+    const redirectUri = `http://localhost:${port}/callback`;
+    const state = crypto.randomBytes(16).toString('hex');
+    const codeVerifier = base64Url(crypto.randomBytes(32));
+    const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    const authorizeUrl = `${AUTHORIZE_URL}?` + new URLSearchParams({
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        response_type: 'code',
+        state,
+        code_challenge_method: 'S256',
+        code_challenge: codeChallenge
+    }).toString();
+
+    const codePromise = waitForAuthorizationCode(port, state, options.timeoutMs || DEFAULT_LOGIN_TIMEOUT_MS);
+
+    if (options.onAuthorizeUrl) {
+        options.onAuthorizeUrl(authorizeUrl, redirectUri);
+    }
+    if (options.openBrowser !== false) {
+        openBrowser(authorizeUrl);
+    }
+
+    const code = await codePromise;
+    const tokenResponse = await postForm(TOKEN_URL, {
+        grant_type: 'authorization_code',
+        client_id: clientId,
+        client_secret: clientSecret,
+        redirect_uri: redirectUri,
+        code,
+        code_verifier: codeVerifier
+    }, getNetworkOptions(options));
+
+    const credentials = toCredentials(tokenResponse, { client_id: clientId, client_secret: clientSecret });
+    saveCredentials(credentials);
+    return credentials;
+}
+
+/**
+ * Exchange the stored refresh token for a new access token
+ * @param {Object} credentials - Stored credentials (default: loaded from the auth file)
+ * @param {Object} network - Proxy/CA settings ({ proxy, noProxy, caBundle })
+ * @returns {Promise<Object>} Updated credentials
+ */
+async function refreshCredentials(credentials = loadCredentials(), network = {}) {
+    if (!credentials?.refresh_token) {
+        throw new AsanaConfigError(
+            'No OAuth refresh token stored',
+            'NOT_LOGGED_IN',
+            'Run: node index.js auth login'
+        );
+    }
+
+    let tokenResponse;
+    try {
+        tokenResponse = await postForm(TOKEN_URL, {
+            grant_type: 'refresh_token',
+            client_id: credentials.client_id,
+            client_secret: credentials.client_secret,
+            refresh_token: credentials.refresh_token
+        }, network);
+    } catch (error) {
+        if (error.oauthError === 'invalid_grant') {
+            throw new AsanaConfigError(
+                'OAuth refresh token was revoked or expired',
+                'NOT_LOGGED_IN',
+                'Run: node index.js auth login'
+            );
+        }
+        throw error;
+    }
+
+    const updated = toCredentials(tokenResponse, credentials);
+    saveCredentials(updated);
+    return updated;
+}
+
+/**
+ * Create a token provider backed by the stored OAuth credentials
+ * Refreshes proactively shortly before expiry; `refresh()` forces a refresh
+ * (used by the client after a 401). Concurrent callers share one refresh.
+ * @param {Function} logFn - Optional logging function (level, message, data)
+ * @param {Object} network - Proxy/CA settings for refreshing, as passed to createClient ({ proxy, noProxy, caBundle })
+ * @returns {Function|null} Token provider with a refresh() method, or null if not logged in
+ */
+function createOAuthTokenProvider(logFn = null, network = {}) {
+    let credentials = loadCredentials();
+    if (!credentials) {
+        return null;
+    }
+
+    let refreshing = null;
+
+    function refresh() {
+        if (!refreshing) {
+            refreshing = refreshCredentials(credentials, network)
+                .then(updated => {
+                    credentials = updated;
+                    if (logFn) {
+                        logFn('info', 'Refreshed Asana OAuth access token', { expiresAt: updated.expires_at });
+                    }
+                    return updated.access_token;
+                })
+                .finally(() => {
+                    refreshing = null;
+                });
+        }
+        return refreshing;
+    }
+
+    async function tokenProvider() {
+        const expiresAt = Date.parse(credentials.expires_at);
+        if (!credentials.access_token || !(expiresAt - EXPIRY_MARGIN_MS > Date.now())) {
+            return refresh();
+        }
+        return credentials.access_token;
+    }
+
+    tokenProvider.refresh = refresh;
+    return tokenProvider;
+}
+
+/**
+ * Get the current OAuth login state
+ * @returns {Object} { loggedIn, file, user, expiresAt, expired }
+ */
+function getAuthStatus() {
+    const credentials = loadCredentials();
+    if (!credentials) {
+        return { loggedIn: false, file: getAuthFile() };
+    }
+
+    return {
+        loggedIn: true,
+        file: getAuthFile(),
+        user: credentials.user || null,
+        expiresAt: credentials.expires_at || null,
+        expired: !(Date.parse(credentials.expires_at) > Date.now())
+    };
+}
+
+/**
+ * Revoke the stored refresh token and delete the credentials file
+ * Revocation is best effort: the file is removed even if Asana can't be reached.
+ * @param {Object} options - Proxy/CA settings for the revoke request ({ proxy, noProxy, caBundle })
+ * @returns {Promise<Object>} { loggedOut, revoked, error }
+ */
+async function logout(options = {}) {
+    const credentials = loadCredentials();
+    if (!credentials) {
+        return { loggedOut: false, revoked: false };
+    }
+
+    let revoked = false;
+    let revokeError = null;
+    if (credentials.refresh_token && credentials.client_id && credentials.client_secret) {
+        try {
+            await postForm(REVOKE_URL, {
+                client_id: credentials.client_id,
+                client_secret: credentials.client_secret,
+                token: credentials.refresh_token
+            }, getNetworkOptions(options));
+            revoked = true;
+        } catch (error) {
+            revokeError = error.message;
+        }
+    }
+
+    fs.unlinkSync(getAuthFile());
+    return { loggedOut: true, revoked, error: revokeError };
+}
+
+/**
+ * Display OAuth login state
+ * @param {Object} status - Status from getAuthStatus()
+ */
+function displayAuthStatus(status) {
+    if (!status.loggedIn) {
+        console.log('Not logged in with OAuth.');
+        console.log(`Credentials file: ${status.file}`);
+        if (process.env.ASANA_API_KEY) {
+            console.log('Using personal access token from ASANA_API_KEY.');
+        }
+        return;
+    }
+
+    console.log('Logged in with OAuth');
+    if (status.user) {
+        console.log(`  User: ${status.user.name} (${status.user.email || status.user.gid})`);
+    }
+    console.log(`  Access token ${status.expired ? 'expired' : 'expires'}: ${status.expiresAt}${status.expired ? ' (refreshed on next request)' : ''}`);
+    console.log(`  Credentials file: ${status.file}`);
+    if (process.env.ASANA_API_KEY) {
+        console.log('  Note: ASANA_API_KEY is set and takes precedence over OAuth.');
+    }
+}
+
+module.exports = {
+    getAuthFile,
+    loadCredentials,
+    login,
+    refreshCredentials,
+    createOAuthTokenProvider,
+    getAuthStatus,
+    logout,
+    displayAuthStatus
+};
@@ -0,0 +1,238 @@
+/**
+ * Record-and-replay of Asana API traffic ("cassettes")
+ *
+ * ASANA_RECORD=path writes every request/response made through the client to a
+ * JSON cassette; ASANA_REPLAY=path answers requests from it without network
+ * access. Used to reproduce user reports (pagination, rejected HTML) offline.
+ * Credentials never reach the cassette: the Authorization header is added by the
+ * SDK after this layer, and any credential-like headers or params are redacted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CASSETTE_VERSION = 1;
+
+// Header/param names that may carry credentials
+const SENSITIVE_KEY = /authorization|cookie|token|secret|password|api[-_]?key/i;
+
+// Response headers worth keeping (Retry-After matters for replaying rate limits)
+const KEPT_RESPONSE_HEADERS = ['content-type', 'retry-after', 'x-asana-request-id'];
+
+/**
+ * Replace values of credential-like keys
+ * @param {Object} params - Headers or query params
+ * @returns {Object} Copy with sensitive values redacted
+ */
+function scrub(params = {}) {
+    const scrubbed = {};
+    Object.entries(params || {}).forEach(([key, value]) => {
+        scrubbed[key] = SENSITIVE_KEY.test(key) ? '[REDACTED]' : value;
+    });
+    return scrubbed;
+}
+
+function clone(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Describe a callApi() invocation as a cassette request
+ * The path is stored relative to the base URL so cassettes replay against any endpoint.
+ */
+function describeRequest(client, args) {
+    const [pathTemplate, httpMethod, pathParams, queryParams, headerParams, formParams, bodyParam] = args;
+    const url = client.buildUrl(pathTemplate, pathParams || {});
+
+    const query = scrub(client.normalizeParams(queryParams || {}));
+    delete query._; // SDK cache buster
+
+    const request = {
+        method: String(httpMethod).toUpperCase(),
+        path: url.slice(client.basePath.length),
+        query,
+        body: clone(bodyParam)
+    };
+
+    const headers = scrub(headerParams);
+    delete headers['X-Asana-Client-Lib'];
+    if (Object.keys(headers).length > 0) {
+        request.headers = headers;
+    }
+
+    if (formParams && Object.keys(formParams).length > 0) {
+        request.form = {};
+        Object.entries(client.normalizeParams(formParams)).forEach(([key, value]) => {
+            request.form[key] = client.isFileParam(value) ? '[file]' : (SENSITIVE_KEY.test(key) ? '[REDACTED]' : value);
+        });
+    }
+
+    return request;
+}
+
+function pickHeaders(headers = {}) {
+    const kept = {};
+    KEPT_RESPONSE_HEADERS.forEach(name => {
+        if (headers[name] !== undefined) {
+            kept[name] = headers[name];
+        }
+    });
+    return kept;
+}
+
+/**
+ * Matching key: method, path, query (sorted) and body
+ */
+function requestKey(request) {
+    const query = Object.keys(request.query || {}).sort()
+        .map(key => `${key}=${JSON.stringify(request.query[key])}`)
+        .join('&');
+    return `${request.method} ${request.path}?${query} ${JSON.stringify(request.body ?? null)}`;
+}
+
+/**
+ * Load a cassette file
+ * @param {string} file - Cassette path
+ * @returns {Object} Cassette ({ version, baseUrl, interactions })
+ */
+function loadCassette(file) {
+    let cassette;
+    try {
+        cassette = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to read cassette ${file}: ${error.message}`);
+    }
+    if (!Array.isArray(cassette.interactions)) {
+        throw new Error(`Invalid cassette ${file}: missing interactions`);
+    }
+    return cassette;
+}
+
+/**
+ * Record every request made through the client to a cassette file
+ * Installed innermost, so each HTTP attempt (including rate-limited ones) is recorded.
+ * The file is rewritten after every interaction, so a crash keeps what was recorded.
+ * @param {Object} client - Asana ApiClient instance
+ * @param {string} file - Cassette path (overwritten)
+ * @param {Function} logFn - Optional logging function (level, message, data)
+ */
+function installRecorder(client, file, logFn = null) {
+    const originalCallApi = client.callApi.bind(client);
+    const cassette = {
+        version: CASSETTE_VERSION,
+        recordedAt: new Date().toISOString(),
+        baseUrl: client.basePath,
+        interactions: []
+    };
+
+    function save() {
+        const dir = path.dirname(file);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        fs.writeFileSync(file, JSON.stringify(cassette, null, 2) + '\n', 'utf8');
+    }
+
+    save();
+    if (logFn) {
+        logFn('info', 'Recording Asana requests to cassette', { file });
+    }
+
+    client.callApi = async function (...args) {
+        // Snapshot before the call - callers reuse and mutate option objects between pages
+        const request = describeRequest(client, args);
+
+        try {
+            const result = await originalCallApi(...args);
+            cassette.interactions.push({
+                request,
+                response: {
+                    status: result.response?.status ?? 200,
+                    headers: pickHeaders(result.response?.headers),
+                    body: clone(result.response?.body)
+                }
+            });
+            save();
+            return result;
+        } catch (error) {
+            cassette.interactions.push({
+                request,
+                response: error.response
+                    ? { status: error.status || error.response.status, headers: pickHeaders(error.response.headers), body: clone(error.response.body) }
+                    : { error: { message: error.message, code: error.code || null, timeout: error.timeout || null } }
+            });
+            save();
+            throw error;
+        }
+    };
+}
+
+/**
+ * Answer requests from a cassette instead of the network
+ * Identical requests are served in recorded order (e.g. a 429 followed by a 200).
+ * Requests missing from the cassette fail with code 'CASSETTE_MISS'.
+ * @param {Object} client - Asana ApiClient instance
+ * @param {string} file - Cassette path
+ * @param {Function} logFn - Optional logging function (level, message, data)
+ */
+function installReplayer(client, file, logFn = null) {
+    const cassette = loadCassette(file);
+
+    const queues = new Map();
+    cassette.interactions.forEach(interaction => {
+        const key = requestKey(interaction.request);
+        if (!queues.has(key)) {
+            queues.set(key, []);
+        }
+        queues.get(key).push(interaction.response);
+    });
+
+    if (logFn) {
+        logFn('info', 'Replaying Asana requests from cassette', { file, interactions: cassette.interactions.length });
+    }
+
+    client.callApi = async function (...args) {
+        const request = describeRequest(client, args);
+        const queue = queues.get(requestKey(request));
+
+        if (!queue || queue.length === 0) {
+            const error = new Error(`No recorded response in cassette for ${request.method} ${request.path}`);
+            error.code = 'CASSETTE_MISS';
+            error.request = request;
+            throw error;
+        }
+
+        // Keep serving the last response once a key's recordings are used up
+        const recorded = queue.length > 1 ? queue.shift() : queue[0];
+
+        if (recorded.error) {
+            const error = new Error(recorded.error.message);
+            error.code = recorded.error.code;
+            error.timeout = recorded.error.timeout;
+            throw error;
+        }
+
+        const response = {
+            status: recorded.status,
+            headers: recorded.headers || {},
+            body: recorded.body,
+            text: JSON.stringify(recorded.body)
+        };
+
+        if (recorded.status >= 400) {
+            const error = new Error(`${recorded.status} (replayed)`);
+            error.status = recorded.status;
+            error.response = response;
+            throw error;
+        }
+
+        const returnType = args[10];
+        return { data: client.deserialize(response, returnType), response };
+    };
+}
+
+module.exports = {
+    loadCassette,
+    installRecorder,
+    installReplayer
+};
@@ -1,21 +1,379 @@
+const fs = require('fs');
 const Asana = require('asana');
+const { createRateLimiter } = require('./limiter');
+const { createAgent } = require('./network');
+const { installRecorder, installReplayer } = require('./cassette');
+
+// Retry defaults (overridable via options or environment variables)
+const DEFAULT_MAX_RETRIES = 5;
+const DEFAULT_RETRY_BASE_DELAY_MS = 1000;
+const DEFAULT_RETRY_MAX_DELAY_MS = 60000;
+
+// Default API endpoint and request timeout (matches the SDK defaults)
+const DEFAULT_BASE_URL = 'https://app.asana.com/api/1.0';
+const DEFAULT_TIMEOUT_MS = 60000;
+
+// Rate limiter defaults (Asana allows 1500 requests/minute on paid plans, 150 on free)
+const DEFAULT_RATE_LIMIT_RPM = 1500;
+const DEFAULT_MAX_CONCURRENT = 15;
+
+// Network error codes that are worth retrying
+const RETRYABLE_NETWORK_CODES = new Set([
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ECONNABORTED',
+    'ETIMEDOUT',
+    'ESOCKETTIMEDOUT',
+    'EPIPE',
+    'EAI_AGAIN',
+    'ENOTFOUND',
+    'ENETUNREACH'
+]);
+
+// Methods that can safely be repeated after a 5xx or network failure
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+
+/**
+ * Read a non-negative integer from an environment variable
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value to use when unset or invalid
+ * @returns {number} Parsed value
+ */
+function readIntEnv(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ * @param {string} header - Retry-After header value
+ * @returns {number|null} Delay in milliseconds, or null if missing/invalid
+ */
+function parseRetryAfter(header) {
+    if (!header) return null;
+
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(header);
+    if (!isNaN(date)) {
+        return Math.max(0, date - Date.now());
+    }
+
+    return null;
+}
+
+/**
+ * Decide whether a failed request should be retried
+ * @param {Error} error - Error thrown by the Asana SDK (superagent)
+ * @param {string} httpMethod - HTTP method of the request
+ * @returns {string|null} Retry reason ('rate_limit', 'server_error', 'network') or null
+ */
+function getRetryReason(error, httpMethod) {
+    const status = error.status || error.response?.status;
+
+    // Rate limited requests were never processed, so any method can be retried
+    if (status === 429) {
+        return 'rate_limit';
+    }
+
+    // Avoid duplicating writes (e.g. creating the same task twice)
+    if (!IDEMPOTENT_METHODS.has(String(httpMethod).toUpperCase())) {
+        return null;
+    }
+
+    if (status >= 500 && status < 600) {
+        return 'server_error';
+    }
+
+    if (!status && (RETRYABLE_NETWORK_CODES.has(error.code) || error.timeout)) {
+        return 'network';
+    }
+
+    return null;
+}
+
+/**
+ * Calculate delay before the next attempt
+ * Honors Retry-After when present, otherwise uses exponential backoff with full jitter
+ * @param {Error} error - Error from the failed attempt
+ * @param {number} attempt - Retry attempt number (1-based)
+ * @param {Object} retryOptions - Retry configuration
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(error, attempt, retryOptions) {
+    const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+    if (retryAfter !== null) {
+        return retryAfter;
+    }
+
+    const exponential = retryOptions.baseDelayMs * Math.pow(2, attempt - 1);
+    const capped = Math.min(exponential, retryOptions.maxDelayMs);
+    return Math.round(Math.random() * capped);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Route every request of the ApiClient through a shared rate limiter
+ * Installed before retries so each retry attempt also waits for a token.
+ * @param {Object} client - Asana ApiClient instance
+ * @param {Object} limiter - Limiter created by createRateLimiter()
+ */
+function installRateLimiter(client, limiter) {
+    const originalCallApi = client.callApi.bind(client);
+
+    client.rateLimiter = limiter;
+    client.callApi = function (...args) {
+        return limiter.schedule(() => originalCallApi(...args));
+    };
+}
+
+/**
+ * Wrap the ApiClient so every API instance retries rate limits and transient errors
+ * All *Api classes (and collection pagination) go through client.callApi, so this
+ * single wrapper covers every helper in lib/.
+ * @param {Object} client - Asana ApiClient instance
+ * @param {Object} retryOptions - Retry configuration
+ * @param {number} retryOptions.maxRetries - Maximum retries per request (0 disables)
+ * @param {number} retryOptions.baseDelayMs - Base delay for exponential backoff
+ * @param {number} retryOptions.maxDelayMs - Upper bound for backoff delay
+ * @param {Function} logFn - Optional logging function (level, message, data)
+ */
+function installRetry(client, retryOptions, logFn = null) {
+    const originalCallApi = client.callApi.bind(client);
+
+    client.retryStats = { retries: 0, rateLimited: 0, failures: 0 };
+
+    client.callApi = async function (path, httpMethod, ...rest) {
+        let attempt = 0;
+
+        while (true) {
+            try {
+                return await originalCallApi(path, httpMethod, ...rest);
+            } catch (error) {
+                const reason = getRetryReason(error, httpMethod);
+
+                if (!reason || attempt >= retryOptions.maxRetries) {
+                    if (reason) {
+                        client.retryStats.failures++;
+                        if (logFn) {
+                            logFn('error', 'Asana request failed after retries', {
+                                method: httpMethod,
+                                path,
+                                retries: attempt,
+                                status: error.status || null,
+                                code: error.code || null
+                            });
+                        }
+                    }
+                    throw error;
+                }
+
+                attempt++;
+                client.retryStats.retries++;
+                if (reason === 'rate_limit') {
+                    client.retryStats.rateLimited++;
+                }
+
+                const delayMs = getRetryDelay(error, attempt, retryOptions);
+
+                if (logFn) {
+                    logFn('warn', 'Retrying Asana request', {
+                        method: httpMethod,
+                        path,
+                        reason,
+                        status: error.status || null,
+                        code: error.code || null,
+                        attempt,
+                        maxRetries: retryOptions.maxRetries,
+                        delayMs,
+                        totalRetries: client.retryStats.retries
+                    });
+                }
+
+                await sleep(delayMs);
+
+                // Upload streams were consumed by the failed attempt; reopen them from disk
+                const formParams = rest[3];
+                Object.keys(formParams || {}).forEach(key => {
+                    if (formParams[key] instanceof fs.ReadStream) {
+                        formParams[key] = fs.createReadStream(formParams[key].path);
+                    }
+                });
+            }
+        }
+    };
+}
 
 /**
- * Initialize and configure the Asana client
- * Validates that ASANA_API_KEY is set
+ * Error thrown when the client cannot be configured (e.g. missing token)
+ * Library consumers can catch this instead of the process exiting.
+ */
+class AsanaConfigError extends Error {
+    /**
+     * @param {string} message - Human readable description
+     * @param {string} code - Machine readable code (e.g. 'MISSING_TOKEN')
+     * @param {string} hint - Optional suggestion for fixing the problem
+     */
+    constructor(message, code, hint = null) {
+        super(message);
+        this.name = 'AsanaConfigError';
+        this.code = code;
+        this.hint = hint;
+    }
+}
+
+/**
+ * Resolve the access token before every request when a token provider is used
+ * Installed innermost so retries pick up a freshly provided token.
+ * @param {Object} client - Asana ApiClient instance
+ * @param {Function} tokenProvider - Function returning a token (or a promise of one)
+ */
+function installTokenProvider(client, tokenProvider) {
+    const originalCallApi = client.callApi.bind(client);
+
+    client.callApi = async function (...args) {
+        const token = await tokenProvider();
+        if (!token) {
+            throw new AsanaConfigError('Token provider returned no Asana access token', 'MISSING_TOKEN');
+        }
+        client.authentications.token.accessToken = token;
+        return originalCallApi(...args);
+    };
+}
+
+/**
+ * Refresh the access token once and repeat the request when Asana answers 401
+ * Installed outside the rate limiter so the repeated request is rate limited too.
+ * @param {Object} client - Asana ApiClient instance
+ * @param {Function} tokenRefresher - Function returning a new token (or a promise of one)
+ * @param {Function} logFn - Optional logging function (level, message, data)
+ */
+function installTokenRefresh(client, tokenRefresher, logFn = null) {
+    const originalCallApi = client.callApi.bind(client);
+
+    client.callApi = async function (path, httpMethod, ...rest) {
+        try {
+            return await originalCallApi(path, httpMethod, ...rest);
+        } catch (error) {
+            if ((error.status || error.response?.status) !== 401) {
+                throw error;
+            }
+
+            if (logFn) {
+                logFn('info', 'Asana access token rejected, refreshing', { method: httpMethod, path });
+            }
+            const token = await tokenRefresher();
+            if (!token) {
+                throw error;
+            }
+            client.authentications.token.accessToken = token;
+            return originalCallApi(path, httpMethod, ...rest);
+        }
+    };
+}
+
+/**
+ * Create a configured Asana client without touching process state
+ * Throws AsanaConfigError instead of exiting, so it is safe to use from other services.
+ * @param {Object} options - Client settings
+ * @param {string} options.token - Asana personal access token
+ * @param {Function} options.tokenProvider - Alternative to token: function returning a token (or a promise of one), called before each request
+ * @param {Function} options.tokenRefresher - Function returning a new token after a 401 (default: tokenProvider.refresh, if present)
+ * @param {string} options.baseUrl - API base URL (env: ASANA_BASE_URL, default: https://app.asana.com/api/1.0)
+ * @param {number} options.timeoutMs - Per-request timeout (env: ASANA_TIMEOUT_MS, default 60000)
+ * @param {string|boolean} options.proxy - HTTPS proxy URL, or false to disable (default: HTTPS_PROXY, respecting NO_PROXY)
+ * @param {string} options.noProxy - Hosts that bypass the proxy, comma-separated (env: NO_PROXY)
+ * @param {string} options.caBundle - Extra CA certificates (PEM file) to trust (env: ASANA_CA_BUNDLE)
+ * @param {number} options.maxRetries - Maximum retries per request (env: ASANA_MAX_RETRIES, default 5)
+ * @param {number} options.retryBaseDelayMs - Base backoff delay (env: ASANA_RETRY_BASE_DELAY_MS, default 1000)
+ * @param {number} options.retryMaxDelayMs - Maximum backoff delay (env: ASANA_RETRY_MAX_DELAY_MS, default 60000)
+ * @param {number} options.requestsPerMinute - Client-side rate limit (env: ASANA_RATE_LIMIT_RPM, default 1500, 0 disables)
+ * @param {number} options.maxConcurrent - Maximum in-flight requests (env: ASANA_MAX_CONCURRENT, default 15, 0 disables)
+ * @param {number} options.burst - Token bucket capacity (env: ASANA_RATE_LIMIT_BURST, default 10% of requestsPerMinute)
+ * @param {Object} options.rateLimiter - Existing limiter to share between several clients
+ * @param {string} options.record - Record all requests/responses to this cassette file (env: ASANA_RECORD)
+ * @param {string} options.replay - Serve responses from this cassette file instead of the network (env: ASANA_REPLAY)
+ * @param {Function} options.logFn - Optional logging function (level, message, data) for retry and limiter events
  * @returns {Object} Object containing client and API instances
  */
-function initializeClient() {
-    // Check if ASANA_API_KEY is set
-    if (!process.env.ASANA_API_KEY) {
-        console.error('Error: ASANA_API_KEY environment variable is not set');
-        console.error('Please set your Asana API key: export ASANA_API_KEY=your_api_key_here');
-        process.exit(1);
+function createClient(options = {}) {
+    const { token, tokenProvider } = options;
+    const tokenRefresher = options.tokenRefresher || tokenProvider?.refresh;
+    const record = options.record || process.env.ASANA_RECORD;
+    const replay = options.replay || process.env.ASANA_REPLAY;
+
+    if (tokenProvider !== undefined && typeof tokenProvider !== 'function') {
+        throw new AsanaConfigError('tokenProvider must be a function returning an Asana access token', 'INVALID_TOKEN_PROVIDER');
+    }
+    if (record && replay) {
+        throw new AsanaConfigError('ASANA_RECORD and ASANA_REPLAY cannot be used together', 'INVALID_CASSETTE_CONFIG');
+    }
+    // Replays never reach Asana, so they don't need credentials
+    if (!token && !tokenProvider && !replay) {
+        throw new AsanaConfigError(
+            'No Asana access token provided',
+            'MISSING_TOKEN',
+            'Pass { token } or { tokenProvider } to createClient(), or set ASANA_API_KEY when using initializeClient()'
+        );
     }
 
     // Initialize Asana client
     const client = new Asana.ApiClient();
-    client.authentications.token.accessToken = process.env.ASANA_API_KEY;
+    if (token) {
+        client.authentications.token.accessToken = token;
+    }
+    // Endpoint, timeout and agent (proxy/CA) are set on the shared ApiClient,
+    // so they apply to every API instance created below
+    const baseUrl = options.baseUrl || process.env.ASANA_BASE_URL || DEFAULT_BASE_URL;
+    client.basePath = baseUrl.replace(/\/+$/, '');
+    client.timeout = options.timeoutMs || readIntEnv('ASANA_TIMEOUT_MS', 0) || DEFAULT_TIMEOUT_MS;
+    try {
+        client.requestAgent = createAgent(client.basePath, { proxy: options.proxy, noProxy: options.noProxy, caBundle: options.caBundle });
+    } catch (error) {
+        throw new AsanaConfigError(error.message, 'INVALID_NETWORK_CONFIG', 'Check ASANA_BASE_URL, HTTPS_PROXY and ASANA_CA_BUNDLE');
+    }
+
+    // Cassettes wrap the raw transport, so every HTTP attempt is recorded/replayed
+    try {
+        if (record) {
+            installRecorder(client, record, options.logFn || null);
+        } else if (replay) {
+            installReplayer(client, replay, options.logFn || null);
+        }
+    } catch (error) {
+        throw new AsanaConfigError(error.message, 'INVALID_CASSETTE_CONFIG');
+    }
+
+    if (tokenProvider && !replay) {
+        installTokenProvider(client, tokenProvider);
+    }
+
+    // Share one limiter between all API instances (they all use this client)
+    const rateLimiter = options.rateLimiter || createRateLimiter({
+        requestsPerMinute: options.requestsPerMinute ?? readIntEnv('ASANA_RATE_LIMIT_RPM', DEFAULT_RATE_LIMIT_RPM),
+        maxConcurrent: options.maxConcurrent ?? readIntEnv('ASANA_MAX_CONCURRENT', DEFAULT_MAX_CONCURRENT),
+        burst: options.burst ?? readIntEnv('ASANA_RATE_LIMIT_BURST', 0),
+        logFn: options.logFn || null
+    });
+    installRateLimiter(client, rateLimiter);
+
+    // OAuth: refresh the access token on 401 and repeat the request once
+    if (tokenRefresher && !replay) {
+        installTokenRefresh(client, tokenRefresher, options.logFn || null);
+    }
+
+    // Retry rate limits (429) and transient failures (5xx, network errors)
+    installRetry(client, {
+        maxRetries: options.maxRetries ?? readIntEnv('ASANA_MAX_RETRIES', DEFAULT_MAX_RETRIES),
+        baseDelayMs: options.retryBaseDelayMs ?? readIntEnv('ASANA_RETRY_BASE_DELAY_MS', DEFAULT_RETRY_BASE_DELAY_MS),
+        maxDelayMs: options.retryMaxDelayMs ?? readIntEnv('ASANA_RETRY_MAX_DELAY_MS', DEFAULT_RETRY_MAX_DELAY_MS)
+    }, options.logFn || null);
 
     // Create API instances
     const tasksApiInstance = new Asana.TasksApi(client);
@@ -25,19 +383,65 @@ function initializeClient() {
     const storiesApiInstance = new Asana.StoriesApi(client);
     const sectionsApiInstance = new Asana.SectionsApi(client);
     const customFieldsApiInstance = new Asana.CustomFieldsApi(client);
+    const tagsApiInstance = new Asana.TagsApi(client);
+    const attachmentsApiInstance = new Asana.AttachmentsApi(client);
+    const jobsApiInstance = new Asana.JobsApi(client);
+    const projectTemplatesApiInstance = new Asana.ProjectTemplatesApi(client);
 
     return {
         client,
+        rateLimiter,
         tasksApiInstance,
         usersApiInstance,
         projectsApiInstance,
         workspacesApiInstance,
         storiesApiInstance,
         sectionsApiInstance,
-        customFieldsApiInstance
+        customFieldsApiInstance,
+        tagsApiInstance,
+        attachmentsApiInstance,
+        jobsApiInstance,
+        projectTemplatesApiInstance
     };
 }
 
+/**
+ * Initialize the Asana client from the environment
+ * Uses ASANA_API_KEY unless a token or tokenProvider is passed explicitly,
+ * then falls back to the OAuth credentials stored by `auth login`.
+ * @param {Object} options - Same options as createClient()
+ * @returns {Object} Object containing client and API instances
+ * @throws {AsanaConfigError} If no token is available
+ */
+function initializeClient(options = {}) {
+    const replaying = options.replay || process.env.ASANA_REPLAY;
+    if (!options.token && !options.tokenProvider && !process.env.ASANA_API_KEY && !replaying) {
+        // Required lazily: lib/auth.js depends on AsanaConfigError from this module
+        const { createOAuthTokenProvider } = require('./auth');
+        const oauthTokenProvider = createOAuthTokenProvider(options.logFn || null, {
+            proxy: options.proxy,
+            noProxy: options.noProxy,
+            caBundle: options.caBundle
+        });
+        if (oauthTokenProvider) {
+            return createClient({ ...options, tokenProvider: oauthTokenProvider });
+        }
+
+        throw new AsanaConfigError(
+            'ASANA_API_KEY environment variable is not set',
+            'MISSING_TOKEN',
+            'Please set your Asana API key: export ASANA_API_KEY=your_api_key_here, or log in with OAuth: node index.js auth login'
+        );
+    }
+
+    return createClient({
+        ...options,
+        token: options.tokenProvider ? options.token : (options.token || process.env.ASANA_API_KEY)
+    });
+}
+
 module.exports = {
-    initializeClient
+    createClient,
+    initializeClient,
+    AsanaConfigError
 };
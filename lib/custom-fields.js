@@ -0,0 +1,374 @@
+/**
+ * Custom field helpers
+ *
+ * Custom fields are referred to by name (case-insensitive) or GID. Values are written
+ * the way people think of them ("High", 5, "2026-11-20", "me") and converted to what the
+ * API expects for the field's type.
+ */
+
+const { resolveUserGids } = require('./users');
+
+const CUSTOM_FIELD_FIELDS = 'name,gid,type,resource_subtype,precision,enum_options.name,enum_options.gid,enum_options.enabled';
+
+// Task fields needed to read custom field values back (see customFieldValue)
+const CUSTOM_FIELD_VALUE_FIELDS = [
+    'custom_fields.gid', 'custom_fields.name', 'custom_fields.type', 'custom_fields.resource_subtype',
+    'custom_fields.display_value', 'custom_fields.enum_value.name', 'custom_fields.multi_enum_values.name',
+    'custom_fields.number_value', 'custom_fields.text_value', 'custom_fields.date_value.date',
+    'custom_fields.people_value.gid', 'custom_fields.people_value.email'
+];
+
+/**
+ * Type of a custom field (resource_subtype, falling back to the older `type`)
+ */
+function customFieldType(field) {
+    return field.resource_subtype || field.type;
+}
+
+/**
+ * Get the custom fields set up on a project
+ * @param {Object} projectsApiInstance - Asana ProjectsApi instance
+ * @param {string} projectGid - Project GID
+ * @returns {Promise<Array>} Field definitions (name, gid, type, enum options)
+ */
+async function getProjectCustomFields(projectsApiInstance, projectGid) {
+    try {
+        const opt_fields = CUSTOM_FIELD_FIELDS.split(',').map(field => `custom_field_settings.custom_field.${field}`).join(',');
+        const result = await projectsApiInstance.getProject(projectGid, { opt_fields });
+        return (result.data.custom_field_settings || []).map(setting => setting.custom_field);
+    } catch (error) {
+        console.error('Error fetching project custom fields:', error.response?.body || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Get every custom field defined in a workspace
+ * @param {Object} customFieldsApiInstance - Asana CustomFieldsApi instance
+ * @param {string} workspace - Workspace GID
+ * @returns {Promise<Array>} Field definitions (name, gid, type, enum options)
+ */
+async function getWorkspaceCustomFields(customFieldsApiInstance, workspace) {
+    try {
+        const opts = { limit: 100, opt_fields: CUSTOM_FIELD_FIELDS };
+        let allFields = [];
+        let offset = null;
+
+        do {
+            if (offset) {
+                opts.offset = offset;
+            }
+
+            const result = await customFieldsApiInstance.getCustomFieldsForWorkspace(workspace, opts);
+            allFields = allFields.concat(result.data);
+
+            offset = result._response?.next_page?.offset || null;
+        } while (offset);
+
+        return allFields;
+    } catch (error) {
+        console.error('Error fetching workspace custom fields:', error.response?.body || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Add a custom field to a project
+ * @param {Object} projectsApiInstance - Asana ProjectsApi instance
+ * @param {string} projectGid - Project GID
+ * @param {string} fieldGid - Custom field GID
+ * @returns {Promise<Object>} The new custom field setting
+ */
+async function addCustomFieldToProject(projectsApiInstance, projectGid, fieldGid) {
+    try {
+        const result = await projectsApiInstance.addCustomFieldSettingForProject({ data: { custom_field: fieldGid } }, projectGid);
+        return result.data;
+    } catch (error) {
+        console.error('Error adding custom field to project:', error.response?.body || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Find a custom field by name (case-insensitive) or GID
+ * @param {Array} fields - Field definitions to search
+ * @param {string} field - Field name or GID
+ * @returns {Object} The field definition
+ * @throws {Error} If no field (or more than one field) matches
+ */
+function findCustomField(fields, field) {
+    const value = String(field).trim();
+    const matches = fields.filter(f => f.gid === value || f.name.toLowerCase() === value.toLowerCase());
+    if (matches.length === 0) {
+        throw new Error(`Unknown custom field "${value}". Available fields: ${fields.map(f => f.name).join(', ') || 'none'}`);
+    }
+    if (matches.length > 1) {
+        throw new Error(`Custom field name "${value}" is ambiguous (${matches.map(f => f.gid).join(', ')}); use a GID`);
+    }
+    return matches[0];
+}
+
+/**
+ * Find an enum option of a field by name (case-insensitive) or GID
+ */
+function findEnumOption(field, option) {
+    const value = String(option).trim();
+    const options = (field.enum_options || []).filter(o => o.enabled !== false);
+    const match = options.find(o => o.gid === value || o.name.toLowerCase() === value.toLowerCase());
+    if (!match) {
+        throw new Error(`"${value}" is not an option of custom field "${field.name}". Options: ${options.map(o => o.name).join(', ') || 'none'}`);
+    }
+    return match.gid;
+}
+
+/**
+ * Convert custom field values to the API's { field_gid: value } form
+ * Empty values ('' or null) clear a field. Expected values by type:
+ * - enum: option name or GID
+ * - multi_enum: list (or comma-separated string) of option names or GIDs
+ * - number: a number
+ * - text: any text
+ * - date: YYYY-MM-DD
+ * - people: list (or comma-separated string) of user GIDs, "me" or emails
+ * @param {Array} fields - Field definitions the names are looked up in (e.g. getProjectCustomFields)
+ * @param {Object} values - Field name/GID → value
+ * @param {Object} usersApiInstance - Asana UsersApi instance (to resolve people by email)
+ * @returns {Promise<Object>} Field GID → API value
+ * @throws {Error} If a field is unknown or a value doesn't fit the field's type
+ */
+async function resolveCustomFieldValues(fields, values, usersApiInstance) {
+    const resolved = {};
+
+    for (const [name, value] of Object.entries(values || {})) {
+        const field = findCustomField(fields, name);
+        const type = customFieldType(field);
+        const list = Array.isArray(value) ? value : String(value ?? '').split(',').map(item => item.trim()).filter(Boolean);
+
+        if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+            resolved[field.gid] = type === 'multi_enum' || type === 'people' ? [] : null;
+        } else if (type === 'enum') {
+            resolved[field.gid] = findEnumOption(field, value);
+        } else if (type === 'multi_enum') {
+            resolved[field.gid] = list.map(option => findEnumOption(field, option));
+        } else if (type === 'number') {
+            const number = typeof value === 'number' ? value : Number(String(value).trim());
+            if (String(value).trim() === '' || !Number.isFinite(number)) {
+                throw new Error(`Custom field "${field.name}" expects a number, got "${value}"`);
+            }
+            resolved[field.gid] = number;
+        } else if (type === 'text') {
+            resolved[field.gid] = String(value);
+        } else if (type === 'date') {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value).trim())) {
+                throw new Error(`Custom field "${field.name}" expects a date (YYYY-MM-DD), got "${value}"`);
+            }
+            resolved[field.gid] = { date: String(value).trim() };
+        } else if (type === 'people') {
+            resolved[field.gid] = await resolveUserGids(usersApiInstance, list);
+        } else {
+            throw new Error(`Custom field "${field.name}" (${type}) cannot be set`);
+        }
+    }
+
+    return resolved;
+}
+
+/**
+ * Resolve custom field values for a task being created or updated
+ * Names are looked up among the fields the task can hold: those of an existing task
+ * (from its projects) and those of the projects it is created in or added to.
+ * @param {Object} tasksApiInstance - Asana TasksApi instance
+ * @param {Object} projectsApiInstance - Asana ProjectsApi instance
+ * @param {Object} usersApiInstance - Asana UsersApi instance (to resolve people by email)
+ * @param {Object} values - Field name/GID → value (see resolveCustomFieldValues)
+ * @param {Object} options - Where the fields come from
+ * @param {string} options.taskGid - Existing task GID (updates)
+ * @param {Array} options.projects - Project GIDs the task is created in or added to
+ * @returns {Promise<Object>} Field GID → API value, for the task's `custom_fields`
+ * @throws {Error} If the task can't hold custom fields, or a name or value doesn't resolve
+ */
+async function resolveTaskCustomFields(tasksApiInstance, projectsApiInstance, usersApiInstance, values, options = {}) {
+    const fields = [];
+    const addFields = more => more.forEach(field => {
+        if (!fields.some(f => f.gid === field.gid)) {
+            fields.push(field);
+        }
+    });
+
+    if (options.taskGid) {
+        try {
+            const opt_fields = CUSTOM_FIELD_FIELDS.split(',').map(field => `custom_fields.${field}`).join(',');
+            const result = await tasksApiInstance.getTask(options.taskGid, { opt_fields });
+            addFields(result.data.custom_fields || []);
+        } catch (error) {
+            console.error('Error fetching task custom fields:', error.response?.body || error.message);
+            throw error;
+        }
+    }
+    for (const projectGid of options.projects || []) {
+        addFields(await getProjectCustomFields(projectsApiInstance, projectGid));
+    }
+
+    if (fields.length === 0) {
+        throw new Error('No custom fields available: custom fields come from the task\'s projects, and none of them have any');
+    }
+    return resolveCustomFieldValues(fields, values, usersApiInstance);
+}
+
+// Search filter operators and the Asana search parameter each maps to
+const FILTER_OPERATORS = {
+    '=': 'value',
+    '<': 'less_than',
+    '>': 'greater_than',
+    '^=': 'starts_with',
+    '$=': 'ends_with',
+    '*=': 'contains'
+};
+
+// Operators each field type can be searched with; other types (multi-enum, date,
+// people) only support is set / is not set
+const FILTER_OPERATORS_BY_TYPE = {
+    enum: ['='],
+    number: ['=', '<', '>'],
+    text: ['=', '^=', '$=', '*=']
+};
+
+/**
+ * Parse a custom field search filter
+ * "Name=value", "Name<n", "Name>n", "Name^=prefix", "Name$=suffix", "Name*=text",
+ * "Name?" (field is set) or "!Name" (field is not set).
+ * @param {string} filter - Filter expression
+ * @returns {Object} { field, operator, value } or { field, isSet }
+ * @throws {Error} If the filter has no operator
+ */
+function parseCustomFieldFilter(filter) {
+    const value = String(filter).trim();
+    const match = value.match(/^(.+?)\s*(\^=|\$=|\*=|=|<|>)\s*(.*)$/);
+    if (match) {
+        return { field: match[1].trim(), operator: match[2], value: match[3] };
+    }
+    if (value.endsWith('?') && value.length > 1) {
+        return { field: value.slice(0, -1).trim(), isSet: true };
+    }
+    if (value.startsWith('!') && value.length > 1) {
+        return { field: value.slice(1).trim(), isSet: false };
+    }
+    throw new Error(`Invalid custom field filter "${value}". Use Name=value, Name<n, Name>n, Name^=text, Name$=text, Name*=text, Name? or !Name`);
+}
+
+/**
+ * Get the custom fields search filters can refer to
+ * The fields of the given projects when the search is limited to projects, otherwise
+ * every field in the workspace.
+ * @param {Object} projectsApiInstance - Asana ProjectsApi instance
+ * @param {Object} customFieldsApiInstance - Asana CustomFieldsApi instance
+ * @param {string} workspace - Workspace GID
+ * @param {Array} projectGids - Projects the search is limited to
+ * @returns {Promise<Array>} Field definitions
+ */
+async function getSearchCustomFields(projectsApiInstance, customFieldsApiInstance, workspace, projectGids = []) {
+    if (projectGids.length === 0) {
+        return getWorkspaceCustomFields(customFieldsApiInstance, workspace);
+    }
+
+    const fields = [];
+    for (const projectGid of projectGids) {
+        (await getProjectCustomFields(projectsApiInstance, projectGid)).forEach(field => {
+            if (!fields.some(f => f.gid === field.gid)) {
+                fields.push(field);
+            }
+        });
+    }
+    return fields;
+}
+
+/**
+ * Turn custom field filters into Asana search parameters
+ * Field and option names become GIDs, and operators are checked against the field type
+ * (see FILTER_OPERATORS_BY_TYPE): "Priority=High" → custom_fields.<gid>.value=<option gid>,
+ * "Estimate>5" → custom_fields.<gid>.greater_than=5, "!Customer" → custom_fields.<gid>.is_set=false.
+ * @param {Array} fields - Field definitions the names are looked up in (see getSearchCustomFields)
+ * @param {Array|string} filters - Filter expressions (see parseCustomFieldFilter)
+ * @returns {Object} Search parameters ({ 'custom_fields.<gid>.<operator>': value })
+ * @throws {Error} If a field, option or operator doesn't fit
+ */
+function resolveCustomFieldFilters(fields, filters) {
+    const params = {};
+
+    for (const filter of Array.isArray(filters) ? filters : [filters]) {
+        const parsed = parseCustomFieldFilter(filter);
+        const field = findCustomField(fields, parsed.field);
+        const type = customFieldType(field);
+        const prefix = `custom_fields.${field.gid}`;
+
+        if (parsed.isSet !== undefined) {
+            params[`${prefix}.is_set`] = parsed.isSet;
+            continue;
+        }
+
+        const allowed = FILTER_OPERATORS_BY_TYPE[type] || [];
+        if (!allowed.includes(parsed.operator)) {
+            throw new Error(allowed.length > 0
+                ? `Custom field "${field.name}" (${type}) can't be searched with "${parsed.operator}"; use ${allowed.join(', ')}, ? or !`
+                : `Custom field "${field.name}" (${type}) can only be searched with ? (set) or ! (not set)`);
+        }
+        if (parsed.value === '') {
+            throw new Error(`Custom field filter "${filter}" has no value; use "!${field.name}" to find tasks without it`);
+        }
+
+        const param = `${prefix}.${FILTER_OPERATORS[parsed.operator]}`;
+        if (type === 'enum') {
+            params[param] = findEnumOption(field, parsed.value);
+        } else if (type === 'number') {
+            if (!Number.isFinite(Number(parsed.value))) {
+                throw new Error(`Custom field "${field.name}" expects a number, got "${parsed.value}"`);
+            }
+            params[param] = Number(parsed.value);
+        } else {
+            params[param] = parsed.value;
+        }
+    }
+
+    return params;
+}
+
+/**
+ * Read a task's custom field value back in the form resolveCustomFieldValues accepts
+ * Needs the task fetched with CUSTOM_FIELD_VALUE_FIELDS.
+ * @param {Object} taskField - Entry of a task's custom_fields
+ * @returns {*} Option name(s), number, text, YYYY-MM-DD, people (emails, else GIDs), or null when unset
+ */
+function customFieldValue(taskField) {
+    switch (customFieldType(taskField)) {
+        case 'enum':
+            return taskField.enum_value?.name ?? null;
+        case 'multi_enum':
+            return taskField.multi_enum_values?.length ? taskField.multi_enum_values.map(option => option.name) : null;
+        case 'number':
+            return taskField.number_value ?? null;
+        case 'text':
+            return taskField.text_value || null;
+        case 'date':
+            return taskField.date_value?.date ?? null;
+        case 'people':
+            return taskField.people_value?.length ? taskField.people_value.map(user => user.email || user.gid) : null;
+        default:
+            return taskField.display_value ?? null;
+    }
+}
+
+module.exports = {
+    CUSTOM_FIELD_FIELDS,
+    CUSTOM_FIELD_VALUE_FIELDS,
+    customFieldType,
+    getProjectCustomFields,
+    getWorkspaceCustomFields,
+    addCustomFieldToProject,
+    findCustomField,
+    resolveCustomFieldValues,
+    resolveTaskCustomFields,
+    parseCustomFieldFilter,
+    getSearchCustomFields,
+    resolveCustomFieldFilters,
+    customFieldValue
+};
@@ -74,7 +74,17 @@ function displayTaskDetails(task, options = {}) {
         });
     }
     
-    if (task.subtasks && task.subtasks.length > 0) {
+    if (task.followers && task.followers.length > 0) {
+        console.log(`\nFollowers:`);
+        task.followers.forEach(f => {
+            console.log(`  - ${f.name} (GID: ${f.gid})`);
+        });
+    }
+    
+    if (options.subtaskTree) {
+        console.log(`\nSubtasks (${countSubtasks(options.subtaskTree)}):`);
+        displaySubtaskTree(options.subtaskTree, { indent: 1 });
+    } else if (task.subtasks && task.subtasks.length > 0) {
         console.log(`\nSubtasks (${task.subtasks.length}):`);
         task.subtasks.forEach(st => {
             const status = st.completed ? '✅' : '⬜';
@@ -82,6 +92,11 @@ function displayTaskDetails(task, options = {}) {
         });
     }
     
+    if ((task.dependencies && task.dependencies.length > 0) || (task.dependents && task.dependents.length > 0)) {
+        console.log('');
+        displayDependencies(task.dependencies || [], task.dependents || [], { skipEmpty: true });
+    }
+    
     if (task.num_hearts || task.num_likes) {
         console.log(`\n❤️  Likes: ${task.num_hearts || task.num_likes || 0}`);
     }
@@ -183,6 +198,84 @@ function displayTaskDetails(task, options = {}) {
     console.log('');
 }
 
+/**
+ * Count the nodes of a subtask tree (as returned by getSubtaskTree)
+ * @param {Array} nodes - Subtask nodes
+ * @returns {number} Total number of subtasks at all levels
+ */
+function countSubtasks(nodes = []) {
+    return nodes.reduce((count, node) => count + 1 + countSubtasks(node.subtasks), 0);
+}
+
+/**
+ * Display a subtask tree as an indented checklist
+ * @param {Array} nodes - Subtask nodes from getSubtaskTree()
+ * @param {Object} options - Display options
+ * @param {number} options.indent - Starting indentation level (default: 0)
+ */
+function displaySubtaskTree(nodes, options = {}) {
+    const indent = options.indent || 0;
+
+    if (!nodes || nodes.length === 0) {
+        if (indent === 0) {
+            console.log('No subtasks found.');
+        }
+        return;
+    }
+
+    nodes.forEach(node => {
+        const status = node.completed ? '✅' : '⬜';
+        const details = [`GID: ${node.gid}`];
+        if (node.assignee?.name) {
+            details.push(node.assignee.name);
+        }
+        if (node.due_on) {
+            details.push(`due ${node.due_on}`);
+        }
+        console.log(`${'  '.repeat(indent)}${status} ${node.name} (${details.join(', ')})`);
+
+        // Branch cut off by the depth limit
+        if ((!node.subtasks || node.subtasks.length === 0) && node.num_subtasks > 0) {
+            console.log(`${'  '.repeat(indent + 1)}… ${node.num_subtasks} more subtask(s), increase --depth to show`);
+        }
+        displaySubtaskTree(node.subtasks, { indent: indent + 1 });
+    });
+}
+
+/**
+ * Display the tasks blocking a task and the tasks it blocks
+ * @param {Array} dependencies - Tasks the task depends on (blocked by)
+ * @param {Array} dependents - Tasks depending on the task (blocking)
+ * @param {Object} options - Display options
+ * @param {boolean} options.skipEmpty - Omit empty lists instead of printing "None"
+ */
+function displayDependencies(dependencies, dependents, options = {}) {
+    const sections = [
+        ['Blocked by', dependencies, ` (${dependencies.filter(t => !t.completed).length} of ${dependencies.length} incomplete)`],
+        ['Blocking', dependents, ` (${dependents.length})`]
+    ];
+
+    sections
+        .filter(([, tasks]) => tasks.length > 0 || !options.skipEmpty)
+        .forEach(([label, tasks, count], index) => {
+            console.log(`${index > 0 ? '\n' : ''}${label}${tasks.length > 0 ? count : ''}:`);
+            if (tasks.length === 0) {
+                console.log('  None');
+            }
+            tasks.forEach(t => {
+                const status = t.completed ? '✅' : '⬜';
+                const details = [`GID: ${t.gid}`];
+                if (t.assignee?.name) {
+                    details.push(t.assignee.name);
+                }
+                if (t.due_on) {
+                    details.push(`due ${t.due_on}`);
+                }
+                console.log(`  ${status} ${t.name} (${details.join(', ')})`);
+            });
+        });
+}
+
 /**
  * Display user information
  * @param {Object} user - User object
@@ -292,6 +385,8 @@ function convertHtmlToMarkdown(htmlNotes) {
 module.exports = {
     displayTasks,
     displayTaskDetails,
+    displaySubtaskTree,
+    displayDependencies,
     displayUserInfo,
     convertHtmlToMarkdown
 };
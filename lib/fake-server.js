@@ -0,0 +1,1669 @@
+/**
+ * In-memory fake Asana API for offline development
+ *
+ * Implements the endpoints used by the helpers (users, workspaces, tasks CRUD,
+ * subtasks, dependencies, followers, tags, attachments, task duplication jobs,
+ * workspace task search (with custom field filters), stories, project and section CRUD, project templates,
+ * custom fields and project custom field settings)
+ * on top of a JSON fixture (default: fixtures/fake-asana.json). Responses use
+ * Asana's envelope ({ data, next_page }) and honor opt_fields, so lib/ code and
+ * the MCP tools run unchanged against it:
+ *
+ *   node lib/fake-server.js --port 3000
+ *   ASANA_BASE_URL=http://localhost:3000/api/1.0 ASANA_API_KEY=fake node index.js tasks
+ *
+ * Faults (429s, 5xx) and slow responses can be injected from code
+ * (injectFault / addLatency) or over HTTP via the /_fake/* control endpoints.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+
+const API_PREFIX = '/api/1.0';
+const DEFAULT_FIXTURE = path.join(__dirname, '..', 'fixtures', 'fake-asana.json');
+const MAX_PAGE_SIZE = 100;
+const MAX_DEPENDENCIES = 30;
+
+/**
+ * Error that is rendered as an Asana error response
+ */
+class FakeApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Load a fixture file
+ * @param {string} file - Path to the JSON fixture (default: fixtures/fake-asana.json)
+ * @returns {Object} Fixture data
+ */
+function loadFixture(file = DEFAULT_FIXTURE) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Build mutable server state from a fixture
+ */
+function createState(fixture) {
+    const data = JSON.parse(JSON.stringify(fixture));
+    const state = {
+        me: data.me,
+        tokens: data.tokens || [],
+        users: data.users || [],
+        workspaces: data.workspaces || [],
+        teams: data.teams || [],
+        projects: data.projects || [],
+        sections: data.sections || [],
+        custom_fields: data.custom_fields || [],
+        tags: data.tags || [],
+        tasks: data.tasks || [],
+        stories: data.stories || [],
+        attachments: data.attachments || [],
+        project_templates: data.project_templates || [],
+        jobs: []
+    };
+
+    // Continue numbering after the highest fixture GID (including nested ones, e.g. template sections)
+    const allGids = [...JSON.stringify(state).matchAll(/"gid":"(\d+)"/g)].map(match => Number(match[1]));
+    state.nextGid = Math.max(1200000000000000, ...allGids) + 1;
+
+    return state;
+}
+
+/**
+ * Parse a multipart/form-data body
+ * @returns {Object} Field values by name; file parts become { filename, content (Buffer) }
+ */
+function parseMultipart(buffer, boundary) {
+    const fields = {};
+    const delimiter = Buffer.from(`--${boundary}`);
+    let start = buffer.indexOf(delimiter);
+
+    while (start !== -1) {
+        start += delimiter.length;
+        if (buffer.slice(start, start + 2).toString() === '--') break;
+        const next = buffer.indexOf(delimiter, start);
+        if (next === -1) break;
+
+        // Each part: CRLF, headers, blank line, content, CRLF
+        const part = buffer.slice(start + 2, next - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        const headers = part.slice(0, headerEnd).toString('utf8');
+        const content = part.slice(headerEnd + 4);
+        const name = /;\s*name="([^"]*)"/i.exec(headers)?.[1];
+        const filename = /;\s*filename="([^"]*)"/i.exec(headers)?.[1];
+        if (name) {
+            fields[name] = filename !== undefined ? { filename, content } : content.toString('utf8');
+        }
+        start = next;
+    }
+    return fields;
+}
+
+function now() {
+    return new Date().toISOString();
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function stripHtml(html) {
+    return String(html)
+        .replace(/<br\s*\/?>/g, '\n')
+        .replace(/<\/(p|li|h\d|ul|ol)>/g, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&')
+        .trim();
+}
+
+function splitList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function parseBool(value) {
+    if (value === undefined) return undefined;
+    return value === true || value === 'true';
+}
+
+/**
+ * Apply opt_fields to a full resource view
+ * Object/array fields requested without sub-fields come back compact ({ gid, resource_type }).
+ */
+function compactOf(value) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && value.gid !== undefined) {
+        return { gid: value.gid, resource_type: value.resource_type };
+    }
+    return value;
+}
+
+function pickPath(source, parts, target) {
+    const [head, ...rest] = parts;
+    if (!source || typeof source !== 'object' || !(head in source)) {
+        return;
+    }
+
+    const value = source[head];
+    if (value === null || value === undefined || typeof value !== 'object') {
+        target[head] = value;
+        return;
+    }
+
+    if (Array.isArray(value)) {
+        if (rest.length === 0) {
+            target[head] = target[head] || value.map(compactOf);
+            return;
+        }
+        target[head] = target[head] || value.map(item => (item && item.gid !== undefined ? compactOf(item) : {}));
+        value.forEach((item, i) => pickPath(item, rest, target[head][i]));
+        return;
+    }
+
+    if (rest.length === 0) {
+        target[head] = target[head] || compactOf(value);
+        return;
+    }
+    target[head] = target[head] || (value.gid !== undefined ? compactOf(value) : {});
+    pickPath(value, rest, target[head]);
+}
+
+function selectFields(view, optFields, compactFields) {
+    if (!optFields) {
+        if (!compactFields) return view;
+        const compact = {};
+        compactFields.forEach(field => {
+            if (field in view) compact[field] = view[field];
+        });
+        return compact;
+    }
+
+    const result = { gid: view.gid, resource_type: view.resource_type };
+    splitList(optFields).forEach(field => pickPath(view, field.split('.'), result));
+    return result;
+}
+
+/**
+ * Paginate a list with Asana-style offset tokens
+ */
+function paginate(items, query, basePath) {
+    const limit = Math.min(parseInt(query.limit, 10) || MAX_PAGE_SIZE, MAX_PAGE_SIZE);
+    const start = query.offset ? parseInt(Buffer.from(query.offset, 'base64').toString('utf8'), 10) || 0 : 0;
+    const page = items.slice(start, start + limit);
+
+    let nextPage = null;
+    if (start + limit < items.length) {
+        const offset = Buffer.from(String(start + limit)).toString('base64');
+        nextPage = { offset, path: `${basePath}?limit=${limit}&offset=${offset}`, uri: null };
+    }
+    return { page, nextPage };
+}
+
+/**
+ * Create the fake Asana API server
+ * @param {Object} options - Server options
+ * @param {Object} options.fixture - Fixture data (default: loaded from options.fixtureFile)
+ * @param {string} options.fixtureFile - Fixture path (default: fixtures/fake-asana.json)
+ * @param {number} options.latencyMs - Delay added to every API response
+ * @param {Function} options.logFn - Optional logging function (level, message, data)
+ * @returns {Object} { server, state, listen, close, injectFault, addLatency, reset, getRequests }
+ */
+function createFakeAsanaServer(options = {}) {
+    const fixture = options.fixture || loadFixture(options.fixtureFile);
+    const logFn = options.logFn || null;
+
+    let state = createState(fixture);
+    let faults = [];
+    let latencies = options.latencyMs ? [{ ms: options.latencyMs, count: Infinity }] : [];
+    let requests = [];
+    // Origin of the current request, used for attachment download URLs
+    let origin = 'http://127.0.0.1';
+
+    // ---- lookups ----
+
+    function newGid() {
+        return String(state.nextGid++);
+    }
+
+    function find(collection, gid, label) {
+        const item = state[collection].find(entry => entry.gid === String(gid));
+        if (!item) {
+            throw new FakeApiError(404, `${label}: Unknown object: ${gid}`);
+        }
+        return item;
+    }
+
+    // Users can be referenced by GID, "me" or email address
+    function resolveUserGid(gid) {
+        if (gid === 'me') return state.me;
+        const byEmail = String(gid).includes('@') && state.users.find(user => user.email === String(gid).toLowerCase());
+        return byEmail ? byEmail.gid : String(gid);
+    }
+
+    function ref(collection, gid, resourceType) {
+        if (!gid) return null;
+        const item = state[collection].find(entry => entry.gid === String(gid));
+        return item ? { gid: item.gid, resource_type: resourceType, name: item.name } : null;
+    }
+
+    function userRef(gid) {
+        if (!gid) return null;
+        const user = state.users.find(entry => entry.gid === String(gid));
+        return user ? { gid: user.gid, resource_type: 'user', name: user.name, email: user.email } : null;
+    }
+
+    // ---- views ----
+
+    function customFieldView(field) {
+        return {
+            gid: field.gid,
+            resource_type: 'custom_field',
+            resource_subtype: field.type,
+            name: field.name,
+            type: field.type,
+            description: field.description || '',
+            precision: field.precision,
+            enum_options: field.type === 'enum' || field.type === 'multi_enum'
+                ? (field.enum_options || []).map(option => ({ resource_type: 'enum_option', enabled: true, ...option }))
+                : undefined
+        };
+    }
+
+    function customFieldValueView(field, value) {
+        const view = customFieldView(field);
+        let displayValue = null;
+
+        if (field.type === 'enum') {
+            const option = (field.enum_options || []).find(opt => opt.gid === value) || null;
+            view.enum_value = option ? { gid: option.gid, resource_type: 'enum_option', name: option.name, color: option.color } : null;
+            displayValue = option ? option.name : null;
+        } else if (field.type === 'multi_enum') {
+            const options = (value || []).map(gid => (field.enum_options || []).find(opt => opt.gid === gid)).filter(Boolean);
+            view.multi_enum_values = options.map(option => ({ gid: option.gid, resource_type: 'enum_option', name: option.name, color: option.color }));
+            displayValue = options.length > 0 ? options.map(option => option.name).join(', ') : null;
+        } else if (field.type === 'date') {
+            view.date_value = value ? { date: value, date_time: null } : null;
+            displayValue = value || null;
+        } else if (field.type === 'people') {
+            view.people_value = (value || []).map(userRef).filter(Boolean);
+            displayValue = view.people_value.length > 0 ? view.people_value.map(user => user.name).join(', ') : null;
+        } else if (field.type === 'number') {
+            view.number_value = value ?? null;
+            displayValue = value === undefined || value === null ? null : String(value);
+        } else {
+            view.text_value = value ?? null;
+            displayValue = value ?? null;
+        }
+
+        view.display_value = displayValue;
+        return view;
+    }
+
+    // Custom fields on a task: every field set on one of its projects
+    function taskCustomFields(task) {
+        const fieldGids = new Set();
+        (task.memberships || []).forEach(m => {
+            const project = state.projects.find(p => p.gid === m.project);
+            (project?.custom_field_settings || []).forEach(gid => fieldGids.add(gid));
+        });
+        Object.keys(task.custom_fields || {}).forEach(gid => fieldGids.add(gid));
+
+        return [...fieldGids]
+            .map(gid => state.custom_fields.find(field => field.gid === gid))
+            .filter(Boolean)
+            .map(field => customFieldValueView(field, task.custom_fields?.[field.gid]));
+    }
+
+    function dependentsOf(task) {
+        return state.tasks.filter(t => (t.dependencies || []).includes(task.gid));
+    }
+
+    function taskView(task) {
+        const subtasks = state.tasks.filter(t => t.parent === task.gid);
+        const dependencies = (task.dependencies || []).map(gid => state.tasks.find(t => t.gid === gid)).filter(Boolean);
+        const dependents = dependentsOf(task);
+        const memberships = (task.memberships || []).map(m => ({
+            project: ref('projects', m.project, 'project'),
+            section: ref('sections', m.section, 'section')
+        }));
+
+        return {
+            gid: task.gid,
+            resource_type: 'task',
+            resource_subtype: task.resource_subtype || 'default_task',
+            name: task.name,
+            notes: task.notes || '',
+            html_notes: task.html_notes || `<body>${escapeHtml(task.notes || '')}</body>`,
+            completed: !!task.completed,
+            completed_at: task.completed_at || null,
+            due_on: task.due_on || null,
+            due_at: task.due_at || null,
+            start_on: task.start_on || null,
+            created_at: task.created_at,
+            modified_at: task.modified_at,
+            created_by: userRef(task.created_by),
+            assignee: userRef(task.assignee),
+            workspace: ref('workspaces', task.workspace, 'workspace'),
+            parent: ref('tasks', task.parent, 'task'),
+            projects: memberships.map(m => m.project).filter(Boolean),
+            memberships,
+            tags: (task.tags || []).map(gid => ref('tags', gid, 'tag')).filter(Boolean),
+            followers: (task.followers || []).map(userRef).filter(Boolean),
+            custom_fields: taskCustomFields(task),
+            subtasks: subtasks.map(t => ({ gid: t.gid, resource_type: 'task', name: t.name, completed: !!t.completed })),
+            num_subtasks: subtasks.length,
+            dependencies: dependencies.map(t => ({ gid: t.gid, resource_type: 'task', name: t.name, completed: !!t.completed })),
+            dependents: dependents.map(t => ({ gid: t.gid, resource_type: 'task', name: t.name, completed: !!t.completed })),
+            num_likes: task.num_likes || 0,
+            num_hearts: task.num_likes || 0,
+            liked: false,
+            permalink_url: `https://app.asana.com/0/0/${task.gid}`
+        };
+    }
+
+    function projectView(project) {
+        return {
+            gid: project.gid,
+            resource_type: 'project',
+            name: project.name,
+            archived: !!project.archived,
+            color: project.color || null,
+            notes: project.notes || '',
+            html_notes: project.html_notes || `<body>${escapeHtml(project.notes || '')}</body>`,
+            public: project.public !== false,
+            created_at: project.created_at,
+            modified_at: project.modified_at,
+            due_date: project.due_on || null,
+            due_on: project.due_on || null,
+            start_on: project.start_on || null,
+            default_view: project.default_view || 'list',
+            owner: userRef(project.owner),
+            team: ref('teams', project.team, 'team'),
+            workspace: ref('workspaces', project.workspace, 'workspace'),
+            custom_field_settings: (project.custom_field_settings || []).map(gid => customFieldSettingView(project, gid)).filter(Boolean),
+            permalink_url: `https://app.asana.com/0/${project.gid}`
+        };
+    }
+
+    function customFieldSettingView(project, fieldGid) {
+        const field = state.custom_fields.find(f => f.gid === fieldGid);
+        if (!field) return null;
+        return {
+            gid: `${project.gid}-${field.gid}`,
+            resource_type: 'custom_field_setting',
+            is_important: true,
+            project: { gid: project.gid, resource_type: 'project', name: project.name },
+            custom_field: customFieldView(field)
+        };
+    }
+
+    function sectionView(section) {
+        return {
+            gid: section.gid,
+            resource_type: 'section',
+            name: section.name,
+            created_at: section.created_at,
+            project: ref('projects', section.project, 'project')
+        };
+    }
+
+    function tagView(tag) {
+        return {
+            gid: tag.gid,
+            resource_type: 'tag',
+            name: tag.name,
+            color: tag.color || null,
+            notes: tag.notes || '',
+            created_at: tag.created_at || null,
+            workspace: ref('workspaces', tag.workspace, 'workspace')
+        };
+    }
+
+    function attachmentView(attachment) {
+        const hosted = (attachment.host || 'asana') === 'asana';
+        return {
+            gid: attachment.gid,
+            resource_type: 'attachment',
+            resource_subtype: hosted ? 'asana' : (attachment.host || 'external'),
+            name: attachment.name,
+            host: attachment.host || 'asana',
+            size: hosted ? Buffer.from(attachment.content || '', 'base64').length : null,
+            created_at: attachment.created_at,
+            download_url: hosted ? `${origin}/_fake/files/${attachment.gid}` : null,
+            view_url: hosted ? `${origin}/_fake/files/${attachment.gid}` : (attachment.view_url || null),
+            permanent_url: `https://app.asana.com/app/asana/-/get_asset?asset_id=${attachment.gid}`,
+            parent: ref('tasks', attachment.parent, 'task')
+        };
+    }
+
+    function jobView(job) {
+        return {
+            gid: job.gid,
+            resource_type: 'job',
+            resource_subtype: job.new_project ? 'instantiate_project' : 'duplicate_task',
+            status: job.status,
+            new_task: ref('tasks', job.new_task, 'task'),
+            new_project: ref('projects', job.new_project, 'project')
+        };
+    }
+
+    function projectTemplateView(template) {
+        return {
+            gid: template.gid,
+            resource_type: 'project_template',
+            name: template.name,
+            description: template.description || '',
+            color: template.color || null,
+            public: template.public !== false,
+            owner: userRef(template.owner),
+            team: ref('teams', template.team, 'team'),
+            requested_dates: (template.requested_dates || []).map(date => ({ gid: date.gid, name: date.name, description: date.description || '' })),
+            requested_roles: (template.requested_roles || []).map(role => ({ gid: role.gid, name: role.name }))
+        };
+    }
+
+    function storyView(story) {
+        return {
+            gid: story.gid,
+            resource_type: 'story',
+            resource_subtype: story.resource_subtype || 'comment_added',
+            type: story.resource_subtype === 'comment_added' || !story.resource_subtype ? 'comment' : 'system',
+            text: story.text,
+            html_text: story.html_text || `<body>${escapeHtml(story.text || '')}</body>`,
+            created_at: story.created_at,
+            created_by: userRef(story.created_by),
+            target: ref('tasks', story.task, 'task')
+        };
+    }
+
+    function userView(user) {
+        return {
+            gid: user.gid,
+            resource_type: 'user',
+            name: user.name,
+            email: user.email,
+            photo: null,
+            workspaces: (user.workspaces || state.workspaces.map(w => w.gid))
+                .map(gid => ref('workspaces', gid, 'workspace'))
+                .filter(Boolean)
+        };
+    }
+
+    function workspaceView(workspace) {
+        return {
+            gid: workspace.gid,
+            resource_type: 'workspace',
+            name: workspace.name,
+            is_organization: !!workspace.is_organization
+        };
+    }
+
+    const TASK_COMPACT = ['gid', 'resource_type', 'resource_subtype', 'name'];
+    const NAMED_COMPACT = ['gid', 'resource_type', 'name'];
+
+    // ---- task writes ----
+
+    function setNotes(target, data) {
+        if (data.html_notes !== undefined) {
+            const html = String(data.html_notes).trim();
+            if (!html.startsWith('<body>') || !html.endsWith('</body>')) {
+                throw new FakeApiError(400, 'html_notes: XML is invalid, expected a <body> root element');
+            }
+            target.html_notes = html;
+            target.notes = stripHtml(html);
+        } else if (data.notes !== undefined) {
+            target.notes = data.notes;
+            target.html_notes = null;
+        }
+    }
+
+    function applyTaskFields(task, data) {
+        ['name', 'due_on', 'due_at', 'start_on', 'resource_subtype'].forEach(field => {
+            if (data[field] !== undefined) task[field] = data[field];
+        });
+        setNotes(task, data);
+
+        if (data.assignee !== undefined) {
+            if (data.assignee === null) {
+                task.assignee = null;
+            } else {
+                task.assignee = find('users', resolveUserGid(data.assignee), 'assignee').gid;
+            }
+        }
+        if (data.completed !== undefined) {
+            const completed = parseBool(data.completed);
+            if (completed && !task.completed) task.completed_at = now();
+            if (!completed) task.completed_at = null;
+            task.completed = completed;
+        }
+        if (data.parent !== undefined) {
+            task.parent = data.parent ? find('tasks', data.parent, 'parent').gid : null;
+        }
+        if (data.followers !== undefined) {
+            task.followers = data.followers.map(gid => find('users', resolveUserGid(gid), 'followers').gid);
+        }
+        if (data.tags !== undefined) {
+            task.tags = data.tags.map(gid => find('tags', gid, 'tags').gid);
+        }
+        if (data.custom_fields !== undefined) {
+            task.custom_fields = task.custom_fields || {};
+            Object.entries(data.custom_fields).forEach(([fieldGid, value]) => {
+                const field = find('custom_fields', fieldGid, 'custom_fields');
+                if (field.type === 'enum' && value !== null && !(field.enum_options || []).some(opt => opt.gid === value)) {
+                    throw new FakeApiError(400, `custom_fields: enum option ${value} is not valid for ${field.name}`);
+                }
+                if (field.type === 'number' && value !== null && !Number.isFinite(Number(value))) {
+                    throw new FakeApiError(400, `custom_fields: ${field.name} expects a number`);
+                }
+                if (field.type === 'multi_enum') {
+                    if (!Array.isArray(value) || value.some(gid => !(field.enum_options || []).some(opt => opt.gid === gid))) {
+                        throw new FakeApiError(400, `custom_fields: ${field.name} expects a list of enum options`);
+                    }
+                } else if (field.type === 'date') {
+                    if (value !== null && !/^\d{4}-\d{2}-\d{2}$/.test(value?.date || '')) {
+                        throw new FakeApiError(400, `custom_fields: ${field.name} expects { date: YYYY-MM-DD }`);
+                    }
+                    value = value ? value.date : null;
+                } else if (field.type === 'people') {
+                    if (!Array.isArray(value)) {
+                        throw new FakeApiError(400, `custom_fields: ${field.name} expects a list of users`);
+                    }
+                    value = value.map(gid => find('users', resolveUserGid(gid), 'custom_fields').gid);
+                }
+                task.custom_fields[fieldGid] = field.type === 'number' && value !== null ? Number(value) : value;
+            });
+        }
+        task.modified_at = now();
+    }
+
+    /**
+     * Add or remove dependency links: `blocked` depends on each of `blockers`
+     */
+    function linkDependencies(blocked, blockers, add) {
+        const linkCount = task => (task.dependencies || []).length + dependentsOf(task).length;
+
+        blockers.forEach(blocker => {
+            blocked.dependencies = (blocked.dependencies || []).filter(gid => gid !== blocker.gid);
+            if (add) {
+                if (blocker.gid === blocked.gid) {
+                    throw new FakeApiError(400, 'dependencies: A task cannot depend on itself');
+                }
+                // Asana caps dependencies plus dependents per task
+                const full = [blocked, blocker].find(task => linkCount(task) >= MAX_DEPENDENCIES);
+                if (full) {
+                    throw new FakeApiError(400, `dependencies: Task ${full.gid} already has ${MAX_DEPENDENCIES} dependencies and dependents`);
+                }
+                blocked.dependencies.push(blocker.gid);
+            }
+            blocker.modified_at = now();
+        });
+        blocked.modified_at = now();
+    }
+
+    function taskList(data, key) {
+        const gids = data?.[key];
+        if (!Array.isArray(gids) || gids.length === 0) {
+            throw new FakeApiError(400, `${key}: Missing input`);
+        }
+        return gids.map(gid => find('tasks', gid, key));
+    }
+
+    function createTaskRecord(data) {
+        if (!data) {
+            throw new FakeApiError(400, 'data: Missing input');
+        }
+
+        const projects = splitList(Array.isArray(data.projects) ? data.projects.join(',') : data.projects);
+        const parent = data.parent ? find('tasks', data.parent, 'parent') : null;
+
+        let workspace = data.workspace;
+        if (!workspace && projects.length > 0) {
+            workspace = find('projects', projects[0], 'projects').workspace;
+        }
+        if (!workspace && parent) {
+            workspace = parent.workspace;
+        }
+        if (!workspace) {
+            throw new FakeApiError(400, 'workspace: Missing input. You should specify one of workspace, parent, projects');
+        }
+        find('workspaces', workspace, 'workspace');
+
+        const timestamp = now();
+        const task = {
+            gid: newGid(),
+            name: data.name,
+            workspace: String(workspace),
+            created_at: timestamp,
+            modified_at: timestamp,
+            created_by: state.me,
+            completed: false,
+            completed_at: null,
+            assignee: null,
+            parent: null,
+            memberships: projects.map(gid => ({ project: find('projects', gid, 'projects').gid, section: null })),
+            tags: [],
+            followers: [state.me],
+            dependencies: [],
+            custom_fields: {}
+        };
+        applyTaskFields(task, data);
+
+        state.tasks.push(task);
+        return task;
+    }
+
+    const PROJECT_VIEWS = ['list', 'board', 'calendar', 'timeline'];
+
+    function applyProjectFields(project, data) {
+        ['name', 'color', 'due_on', 'start_on', 'archived', 'public'].forEach(field => {
+            if (data[field] !== undefined) project[field] = data[field];
+        });
+        if (data.due_date !== undefined) project.due_on = data.due_date;
+        if (data.default_view !== undefined) {
+            if (!PROJECT_VIEWS.includes(data.default_view)) {
+                throw new FakeApiError(400, `default_view: Invalid value. Must be one of ${PROJECT_VIEWS.join(', ')}`);
+            }
+            project.default_view = data.default_view;
+        }
+        if (data.name === '') {
+            throw new FakeApiError(400, 'name: Cannot be empty');
+        }
+        setNotes(project, data);
+        project.modified_at = now();
+    }
+
+    // Create a project with the template's sections and tasks; due dates are
+    // offsets from the template's date variable, assignees come from roles
+    function instantiateTemplate(template, data) {
+        const values = new Map();
+        for (const entry of data.requested_dates || []) {
+            if (!(template.requested_dates || []).some(date => date.gid === entry.gid)) {
+                throw new FakeApiError(400, `requested_dates: Unknown date variable ${entry.gid}`);
+            }
+            values.set(entry.gid, entry.value);
+        }
+        const missing = (template.requested_dates || []).filter(date => !values.has(date.gid));
+        if (missing.length > 0) {
+            throw new FakeApiError(400, `requested_dates: Missing values for ${missing.map(date => date.gid).join(', ')}`);
+        }
+        const roles = new Map();
+        for (const entry of data.requested_roles || []) {
+            if (!(template.requested_roles || []).some(role => role.gid === entry.gid)) {
+                throw new FakeApiError(400, `requested_roles: Unknown role ${entry.gid}`);
+            }
+            roles.set(entry.gid, find('users', resolveUserGid(entry.value), 'requested_roles').gid);
+        }
+
+        const team = find('teams', data.team || template.team, 'team');
+        const timestamp = now();
+        const project = {
+            gid: newGid(),
+            name: data.name,
+            workspace: team.workspace,
+            team: team.gid,
+            owner: state.me,
+            color: template.color || null,
+            notes: template.description || '',
+            archived: false,
+            created_at: timestamp,
+            modified_at: timestamp,
+            custom_field_settings: []
+        };
+        state.projects.push(project);
+
+        const anchor = values.values().next().value;
+        for (const sectionTemplate of template.sections || []) {
+            const section = { gid: newGid(), name: sectionTemplate.name, project: project.gid, created_at: timestamp };
+            state.sections.push(section);
+            for (const taskTemplate of sectionTemplate.tasks || []) {
+                const task = createTaskRecord({ name: taskTemplate.name, projects: [project.gid] });
+                task.memberships[0].section = section.gid;
+                if (anchor && taskTemplate.due_offset !== undefined) {
+                    const due = new Date(`${anchor}T00:00:00Z`);
+                    due.setUTCDate(due.getUTCDate() + taskTemplate.due_offset);
+                    task.due_on = due.toISOString().slice(0, 10);
+                }
+                task.assignee = roles.get(taskTemplate.role) || null;
+            }
+        }
+        return project;
+    }
+
+    // Copy a task as Asana's duplicate endpoint does, honoring the include options
+    function duplicateTaskRecord(source, name, include, parentGid) {
+        const copy = {
+            ...JSON.parse(JSON.stringify(source)),
+            gid: newGid(),
+            name,
+            created_at: now(),
+            modified_at: now(),
+            created_by: state.me,
+            completed: false,
+            completed_at: null
+        };
+        if (!include.has('notes')) {
+            copy.notes = '';
+            delete copy.html_notes;
+        }
+        if (!include.has('assignee')) copy.assignee = null;
+        if (!include.has('dates')) {
+            copy.due_on = null;
+            copy.due_at = null;
+            copy.start_on = null;
+        }
+        if (!include.has('projects')) copy.memberships = [];
+        if (!include.has('tags')) copy.tags = [];
+        if (!include.has('followers')) copy.followers = [state.me];
+        if (!include.has('dependencies')) copy.dependencies = [];
+        copy.parent = parentGid !== undefined ? parentGid : (include.has('parent') ? source.parent : null);
+        state.tasks.push(copy);
+
+        if (include.has('attachments')) {
+            state.attachments
+                .filter(a => a.parent === source.gid)
+                .forEach(a => state.attachments.push({ ...a, gid: newGid(), parent: copy.gid, created_at: now() }));
+        }
+        if (include.has('subtasks')) {
+            state.tasks
+                .filter(t => t.parent === source.gid && t !== copy)
+                .forEach(subtask => duplicateTaskRecord(subtask, subtask.name, include, copy.gid));
+        }
+        return copy;
+    }
+
+    // Move a task next to another one (changes its order within projects)
+    function reorderTask(task, data) {
+        const anchorGid = data.insert_before || data.insert_after;
+        if (!anchorGid) return;
+
+        const anchor = find('tasks', anchorGid, data.insert_before ? 'insert_before' : 'insert_after');
+        state.tasks.splice(state.tasks.indexOf(task), 1);
+        const anchorIndex = state.tasks.indexOf(anchor);
+        state.tasks.splice(data.insert_before ? anchorIndex : anchorIndex + 1, 0, task);
+    }
+
+    function sectionForProject(projectGid, sectionGid) {
+        if (!sectionGid) return null;
+        const section = find('sections', sectionGid, 'section');
+        if (section.project !== projectGid) {
+            throw new FakeApiError(400, `section: Section ${sectionGid} is not in project ${projectGid}`);
+        }
+        return section.gid;
+    }
+
+    function addTaskToProjectRecord(task, data) {
+        const project = find('projects', data.project, 'project');
+        const section = sectionForProject(project.gid, data.section);
+
+        const membership = task.memberships.find(m => m.project === project.gid);
+        if (membership) {
+            if (section || !membership.section) {
+                membership.section = section || firstSection(project.gid);
+            }
+        } else {
+            task.memberships.push({ project: project.gid, section: section || firstSection(project.gid) });
+        }
+        reorderTask(task, data);
+        task.modified_at = now();
+    }
+
+    // Move a section next to another section of the same project (changes list order)
+    function placeSection(section, beforeGid, afterGid) {
+        const anchorGid = beforeGid || afterGid;
+        if (!anchorGid) return;
+
+        const anchor = find('sections', sectionForProject(section.project, anchorGid), 'section');
+        if (anchor === section) return;
+        state.sections.splice(state.sections.indexOf(section), 1);
+        const anchorIndex = state.sections.indexOf(anchor);
+        state.sections.splice(beforeGid ? anchorIndex : anchorIndex + 1, 0, section);
+    }
+
+    function firstSection(projectGid) {
+        return state.sections.find(s => s.project === projectGid)?.gid || null;
+    }
+
+    // ---- filters ----
+
+    function dateOf(timestamp) {
+        return timestamp ? timestamp.slice(0, 10) : null;
+    }
+
+    function compareFilter(query, name, value, toComparable = v => v) {
+        const exact = query[name];
+        const before = query[`${name}.before`];
+        const after = query[`${name}.after`];
+
+        if (exact !== undefined) {
+            if (exact === 'null') return value === null || value === undefined;
+            if (value === null || value === undefined || toComparable(value) !== toComparable(exact)) return false;
+        }
+        if (before !== undefined && (value === null || value === undefined || !(toComparable(value) < toComparable(before)))) return false;
+        if (after !== undefined && (value === null || value === undefined || !(toComparable(value) > toComparable(after)))) return false;
+        return true;
+    }
+
+    function matchesSet(query, name, values) {
+        const any = splitList(query[`${name}.any`]).map(resolveUserGid);
+        const not = splitList(query[`${name}.not`]).map(resolveUserGid);
+        const all = splitList(query[`${name}.all`]).map(resolveUserGid);
+
+        if (any.length > 0 && !any.some(v => values.includes(v))) return false;
+        if (not.length > 0 && not.some(v => values.includes(v))) return false;
+        if (all.length > 0 && !all.every(v => values.includes(v))) return false;
+        return true;
+    }
+
+    function matchesSearch(task, query) {
+        const time = v => Date.parse(v);
+
+        if (query.text) {
+            const text = query.text.toLowerCase();
+            if (!`${task.name} ${task.notes || ''}`.toLowerCase().includes(text)) return false;
+        }
+        if (query.resource_subtype && (task.resource_subtype || 'default_task') !== query.resource_subtype) return false;
+
+        if (!matchesSet(query, 'assignee', task.assignee ? [task.assignee] : ['null'])) return false;
+        if (!matchesSet(query, 'projects', task.memberships.map(m => m.project))) return false;
+        if (!matchesSet(query, 'sections', task.memberships.map(m => m.section).filter(Boolean))) return false;
+        if (!matchesSet(query, 'tags', task.tags || [])) return false;
+        if (!matchesSet(query, 'followers', task.followers || [])) return false;
+        if (!matchesSet(query, 'created_by', task.created_by ? [task.created_by] : [])) return false;
+        if (!matchesSet(query, 'teams', task.memberships.map(m => state.projects.find(p => p.gid === m.project)?.team).filter(Boolean))) return false;
+
+        if (!compareFilter(query, 'due_on', task.due_on || dateOf(task.due_at))) return false;
+        if (!compareFilter(query, 'due_at', task.due_at, time)) return false;
+        if (!compareFilter(query, 'start_on', task.start_on)) return false;
+        if (!compareFilter(query, 'created_on', dateOf(task.created_at))) return false;
+        if (!compareFilter(query, 'created_at', task.created_at, time)) return false;
+        if (!compareFilter(query, 'completed_on', dateOf(task.completed_at))) return false;
+        if (!compareFilter(query, 'completed_at', task.completed_at, time)) return false;
+        if (!compareFilter(query, 'modified_on', dateOf(task.modified_at))) return false;
+        if (!compareFilter(query, 'modified_at', task.modified_at, time)) return false;
+
+        if (query.completed !== undefined && !!task.completed !== parseBool(query.completed)) return false;
+        if (query.is_subtask !== undefined && !!task.parent !== parseBool(query.is_subtask)) return false;
+        if (query.is_blocked !== undefined && isBlocked(task) !== parseBool(query.is_blocked)) return false;
+        if (query.is_blocking !== undefined && isBlocking(task) !== parseBool(query.is_blocking)) return false;
+        if (query.has_attachment !== undefined && parseBool(query.has_attachment)) return false;
+        if (!matchesCustomFields(task, query)) return false;
+
+        return true;
+    }
+
+    // custom_fields.{gid}.{is_set|value|starts_with|ends_with|contains|less_than|greater_than}
+    function matchesCustomFields(task, query) {
+        return Object.entries(query).every(([key, expected]) => {
+            const match = key.match(/^custom_fields\.(\d+)\.(is_set|value|starts_with|ends_with|contains|less_than|greater_than)$/);
+            if (!match) return true;
+
+            const field = find('custom_fields', match[1], 'custom_fields');
+            const value = task.custom_fields?.[field.gid];
+            const isSet = value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+            if (match[2] === 'is_set') return isSet === parseBool(expected);
+            if (!isSet) return false;
+
+            const text = String(value).toLowerCase();
+            const comparable = v => (field.type === 'number' ? Number(v) : String(v));
+            switch (match[2]) {
+                case 'value': return comparable(value) === comparable(expected);
+                case 'starts_with': return text.startsWith(String(expected).toLowerCase());
+                case 'ends_with': return text.endsWith(String(expected).toLowerCase());
+                case 'contains': return text.includes(String(expected).toLowerCase());
+                case 'less_than': return comparable(value) < comparable(expected);
+                default: return comparable(value) > comparable(expected);
+            }
+        });
+    }
+
+    // Blocked: has an incomplete dependency. Blocking: incomplete and has dependents.
+    function isBlocked(task) {
+        return (task.dependencies || []).some(gid => state.tasks.some(t => t.gid === gid && !t.completed));
+    }
+
+    function isBlocking(task) {
+        return !task.completed && dependentsOf(task).length > 0;
+    }
+
+    function sortTasks(tasks, sortBy = 'modified_at', ascending = false) {
+        const keyOf = {
+            due_date: t => t.due_at || t.due_on,
+            created_at: t => t.created_at,
+            completed_at: t => t.completed_at,
+            modified_at: t => t.modified_at,
+            likes: t => t.num_likes || 0
+        }[sortBy];
+        if (!keyOf) {
+            throw new FakeApiError(400, `sort_by: Invalid value ${sortBy}`);
+        }
+
+        return [...tasks].sort((a, b) => {
+            const ka = keyOf(a);
+            const kb = keyOf(b);
+            // Tasks without a value sort last
+            if (ka === null || ka === undefined) return kb === null || kb === undefined ? 0 : 1;
+            if (kb === null || kb === undefined) return -1;
+            const cmp = typeof ka === 'number' ? ka - kb : Date.parse(ka) - Date.parse(kb) || String(ka).localeCompare(String(kb));
+            return ascending ? cmp : -cmp;
+        });
+    }
+
+    // completed_since / modified_since used by GET /tasks and /projects/:gid/tasks
+    function matchesListFilters(task, query) {
+        if (query.completed_since) {
+            const since = query.completed_since === 'now' ? Date.now() : Date.parse(query.completed_since);
+            if (task.completed && !(Date.parse(task.completed_at) >= since)) return false;
+        }
+        if (query.modified_since && !(Date.parse(task.modified_at) >= Date.parse(query.modified_since))) return false;
+        if (query.completed !== undefined && !!task.completed !== parseBool(query.completed)) return false;
+        return true;
+    }
+
+    // ---- routing ----
+
+    function list(items, view, query, basePath, compactFields) {
+        const { page, nextPage } = paginate(items, query, basePath);
+        return {
+            status: 200,
+            body: { data: page.map(item => selectFields(view(item), query.opt_fields, compactFields)), next_page: nextPage }
+        };
+    }
+
+    function single(item, view, query, status = 200) {
+        return { status, body: { data: selectFields(view(item), query.opt_fields) } };
+    }
+
+    const routes = [
+        ['GET', '/users/:user', (p, q) => single(find('users', resolveUserGid(p.user), 'user'), userView, q)],
+        ['GET', '/workspaces', (p, q) => list(state.workspaces, workspaceView, q, '/workspaces', NAMED_COMPACT)],
+        ['GET', '/workspaces/:workspace', (p, q) => single(find('workspaces', p.workspace, 'workspace'), workspaceView, q)],
+
+        ['GET', '/workspaces/:workspace/tasks/search', (p, q) => {
+            const workspace = find('workspaces', p.workspace, 'workspace');
+            if (workspace.is_premium === false) {
+                throw new FakeApiError(402, 'Search is only available to premium users.');
+            }
+            const matches = state.tasks.filter(t => t.workspace === workspace.gid && matchesSearch(t, q));
+            const sorted = sortTasks(matches, q.sort_by, parseBool(q.sort_ascending) === true);
+            const limit = Math.min(parseInt(q.limit, 10) || 20, MAX_PAGE_SIZE);
+            // Search has no offset pagination - callers page with time filters
+            return {
+                status: 200,
+                body: { data: sorted.slice(0, limit).map(t => selectFields(taskView(t), q.opt_fields, TASK_COMPACT)) }
+            };
+        }],
+
+        ['GET', '/workspaces/:workspace/tags', (p, q) => {
+            find('workspaces', p.workspace, 'workspace');
+            return list(state.tags.filter(t => t.workspace === p.workspace), tagView, q, `/workspaces/${p.workspace}/tags`, NAMED_COMPACT);
+        }],
+        ['POST', '/workspaces/:workspace/tags', (p, q, body) => {
+            const workspace = find('workspaces', p.workspace, 'workspace');
+            const data = body.data || {};
+            if (!data.name) {
+                throw new FakeApiError(400, 'name: Missing input');
+            }
+            const tag = { gid: newGid(), name: data.name, color: data.color || null, notes: data.notes || '', workspace: workspace.gid, created_at: now() };
+            state.tags.push(tag);
+            return single(tag, tagView, q, 201);
+        }],
+        ['GET', '/tags/:tag', (p, q) => single(find('tags', p.tag, 'tag'), tagView, q)],
+
+        ['GET', '/tasks', (p, q) => {
+            let tasks;
+            if (q.project) {
+                tasks = state.tasks.filter(t => t.memberships.some(m => m.project === q.project));
+            } else if (q.section) {
+                tasks = state.tasks.filter(t => t.memberships.some(m => m.section === q.section));
+            } else if (q.assignee && q.workspace) {
+                const assignee = resolveUserGid(q.assignee);
+                tasks = state.tasks.filter(t => t.assignee === assignee && t.workspace === q.workspace);
+            } else {
+                throw new FakeApiError(400, 'Must specify exactly one of project, tag, section, user task list, or assignee + workspace');
+            }
+            return list(tasks.filter(t => matchesListFilters(t, q)), taskView, q, '/tasks', TASK_COMPACT);
+        }],
+        ['POST', '/tasks', (p, q, body) => single(createTaskRecord(body.data), taskView, q, 201)],
+        ['GET', '/tasks/:task', (p, q) => single(find('tasks', p.task, 'task'), taskView, q)],
+        ['PUT', '/tasks/:task', (p, q, body) => {
+            const task = find('tasks', p.task, 'task');
+            applyTaskFields(task, body.data || {});
+            return single(task, taskView, q);
+        }],
+        ['DELETE', '/tasks/:task', (p) => {
+            // Subtasks are deleted along with their parent
+            const deleted = new Set([find('tasks', p.task, 'task').gid]);
+            let size;
+            do {
+                size = deleted.size;
+                state.tasks.filter(t => deleted.has(t.parent)).forEach(t => deleted.add(t.gid));
+            } while (deleted.size > size);
+
+            state.tasks = state.tasks.filter(t => !deleted.has(t.gid));
+            state.stories = state.stories.filter(s => !deleted.has(s.task));
+            state.attachments = state.attachments.filter(a => !deleted.has(a.parent));
+            return { status: 200, body: { data: {} } };
+        }],
+        ['POST', '/tasks/:task/duplicate', (p, q, body) => {
+            const task = find('tasks', p.task, 'task');
+            const data = body.data || {};
+            if (!data.name) {
+                throw new FakeApiError(400, 'name: Missing input');
+            }
+            const include = new Set(splitList(Array.isArray(data.include) ? data.include.join(',') : data.include));
+            const copy = duplicateTaskRecord(task, data.name, include);
+            // Report "in_progress" on the first poll, like a real job that takes a moment
+            const job = { gid: newGid(), status: 'in_progress', pending_polls: 1, new_task: copy.gid };
+            state.jobs.push(job);
+            return single(job, jobView, q, 201);
+        }],
+        ['GET', '/project_templates', (p, q) => {
+            if (!q.workspace && !q.team) {
+                throw new FakeApiError(400, 'workspace: Missing input');
+            }
+            const templates = state.project_templates.filter(template =>
+                (!q.workspace || template.workspace === q.workspace) &&
+                (!q.team || template.team === q.team)
+            );
+            return list(templates, projectTemplateView, q, '/project_templates', NAMED_COMPACT);
+        }],
+        ['GET', '/project_templates/:template', (p, q) => single(find('project_templates', p.template, 'project_template'), projectTemplateView, q)],
+        ['POST', '/project_templates/:template/instantiateProject', (p, q, body) => {
+            const template = find('project_templates', p.template, 'project_template');
+            const data = body.data || {};
+            if (!data.name) {
+                throw new FakeApiError(400, 'name: Missing input');
+            }
+            const project = instantiateTemplate(template, data);
+            const job = { gid: newGid(), status: 'in_progress', pending_polls: 1, new_project: project.gid };
+            state.jobs.push(job);
+            return single(job, jobView, q, 201);
+        }],
+        ['GET', '/jobs/:job', (p, q) => {
+            const job = find('jobs', p.job, 'job');
+            if (job.pending_polls > 0) {
+                job.pending_polls--;
+            } else {
+                job.status = 'succeeded';
+            }
+            return single(job, jobView, q);
+        }],
+        ['GET', '/tasks/:task/subtasks', (p, q) => {
+            find('tasks', p.task, 'task');
+            return list(state.tasks.filter(t => t.parent === p.task), taskView, q, `/tasks/${p.task}/subtasks`, TASK_COMPACT);
+        }],
+        ['POST', '/tasks/:task/subtasks', (p, q, body) => {
+            const parent = find('tasks', p.task, 'task');
+            return single(createTaskRecord({ workspace: parent.workspace, ...body.data, parent: parent.gid }), taskView, q, 201);
+        }],
+        ['POST', '/tasks/:task/setParent', (p, q, body) => {
+            const task = find('tasks', p.task, 'task');
+            const data = body.data || {};
+            if (data.parent === undefined) {
+                throw new FakeApiError(400, 'parent: Missing input');
+            }
+            task.parent = data.parent ? find('tasks', data.parent, 'parent').gid : null;
+            task.modified_at = now();
+
+            // Subtask order is the order of the task list; move the record next to its anchor
+            const anchorGid = data.insert_after || data.insert_before;
+            state.tasks = state.tasks.filter(t => t !== task);
+            if (anchorGid) {
+                const anchor = find('tasks', anchorGid, 'insert_after/insert_before');
+                if (anchor.parent !== task.parent) {
+                    throw new FakeApiError(400, `${anchorGid} is not a subtask of ${task.parent}`);
+                }
+                state.tasks.splice(state.tasks.indexOf(anchor) + (data.insert_after ? 1 : 0), 0, task);
+            } else {
+                state.tasks.push(task);
+            }
+            return single(task, taskView, q);
+        }],
+        ['GET', '/tasks/:task/dependencies', (p, q) => {
+            const task = find('tasks', p.task, 'task');
+            const dependencies = (task.dependencies || []).map(gid => state.tasks.find(t => t.gid === gid)).filter(Boolean);
+            return list(dependencies, taskView, q, `/tasks/${p.task}/dependencies`, TASK_COMPACT);
+        }],
+        ['GET', '/tasks/:task/dependents', (p, q) => {
+            const task = find('tasks', p.task, 'task');
+            return list(dependentsOf(task), taskView, q, `/tasks/${p.task}/dependents`, TASK_COMPACT);
+        }],
+        ['POST', '/tasks/:task/addDependencies', (p, q, body) => {
+            linkDependencies(find('tasks', p.task, 'task'), taskList(body.data, 'dependencies'), true);
+            return { status: 200, body: { data: {} } };
+        }],
+        ['POST', '/tasks/:task/removeDependencies', (p, q, body) => {
+            linkDependencies(find('tasks', p.task, 'task'), taskList(body.data, 'dependencies'), false);
+            return { status: 200, body: { data: {} } };
+        }],
+        ['POST', '/tasks/:task/addDependents', (p, q, body) => {
+            const task = find('tasks', p.task, 'task');
+            taskList(body.data, 'dependents').forEach(dependent => linkDependencies(dependent, [task], true));
+            return { status: 200, body: { data: {} } };
+        }],
+        ['POST', '/tasks/:task/removeDependents', (p, q, body) => {
+            const task = find('tasks', p.task, 'task');
+            taskList(body.data, 'dependents').forEach(dependent => linkDependencies(dependent, [task], false));
+            return { status: 200, body: { data: {} } };
+        }],
+        ['POST', '/tasks/:task/addFollowers', (p, q, body) => {
+            const task = find('tasks', p.task, 'task');
+            const followers = (body.data?.followers || []).map(gid => find('users', resolveUserGid(gid), 'followers').gid);
+            task.followers = [...new Set([...(task.followers || []), ...followers])];
+            task.modified_at = now();
+            return single(task, taskView, q);
+        }],
+        ['POST', '/tasks/:task/removeFollowers', (p, q, body) => {
+            const task = find('tasks', p.task, 'task');
+            const followers = (body.data?.followers || []).map(gid => find('users', resolveUserGid(gid), 'followers').gid);
+            task.followers = (task.followers || []).filter(gid => !followers.includes(gid));
+            task.modified_at = now();
+            return single(task, taskView, q);
+        }],
+        ['POST', '/tasks/:task/addTag', (p, q, body) => {
+            const task = find('tasks', p.task, 'task');
+            const tag = find('tags', body.data?.tag, 'tag');
+            if (!(task.tags || []).includes(tag.gid)) {
+                task.tags = [...(task.tags || []), tag.gid];
+                task.modified_at = now();
+            }
+            return { status: 200, body: { data: {} } };
+        }],
+        ['POST', '/tasks/:task/removeTag', (p, q, body) => {
+            const task = find('tasks', p.task, 'task');
+            const tag = find('tags', body.data?.tag, 'tag');
+            task.tags = (task.tags || []).filter(gid => gid !== tag.gid);
+            task.modified_at = now();
+            return { status: 200, body: { data: {} } };
+        }],
+        ['POST', '/tasks/:task/addProject', (p, q, body) => {
+            addTaskToProjectRecord(find('tasks', p.task, 'task'), body.data || {});
+            return { status: 200, body: { data: {} } };
+        }],
+        ['POST', '/tasks/:task/removeProject', (p, q, body) => {
+            const task = find('tasks', p.task, 'task');
+            const project = find('projects', body.data?.project, 'project');
+            task.memberships = task.memberships.filter(m => m.project !== project.gid);
+            task.modified_at = now();
+            return { status: 200, body: { data: {} } };
+        }],
+        ['GET', '/tasks/:task/stories', (p, q) => {
+            find('tasks', p.task, 'task');
+            return list(state.stories.filter(s => s.task === p.task), storyView, q, `/tasks/${p.task}/stories`, ['gid', 'resource_type', 'resource_subtype', 'text', 'created_at', 'created_by', 'type']);
+        }],
+        ['POST', '/tasks/:task/stories', (p, q, body) => {
+            const task = find('tasks', p.task, 'task');
+            const data = body.data || {};
+            if (!data.text && !data.html_text) {
+                throw new FakeApiError(400, 'text: Missing input');
+            }
+            if (data.html_text !== undefined && !/^\s*<body>[\s\S]*<\/body>\s*$/.test(data.html_text)) {
+                throw new FakeApiError(400, 'html_text: XML is invalid, expected a <body> root element');
+            }
+            const story = {
+                gid: newGid(),
+                task: task.gid,
+                resource_subtype: 'comment_added',
+                text: data.text || stripHtml(data.html_text),
+                html_text: data.html_text || null,
+                created_at: now(),
+                created_by: state.me
+            };
+            state.stories.push(story);
+            return single(story, storyView, q, 201);
+        }],
+
+        ['GET', '/attachments', (p, q) => {
+            const parent = find('tasks', q.parent, 'parent');
+            return list(state.attachments.filter(a => a.parent === parent.gid), attachmentView, q, '/attachments', ['gid', 'resource_type', 'name', 'resource_subtype']);
+        }],
+        ['GET', '/attachments/:attachment', (p, q) => single(find('attachments', p.attachment, 'attachment'), attachmentView, q)],
+        ['POST', '/attachments', (p, q, body) => {
+            const form = body.form;
+            if (!form) {
+                throw new FakeApiError(400, 'Attachments must be uploaded as multipart/form-data');
+            }
+            const parent = find('tasks', form.parent, 'parent');
+            if (!form.file || typeof form.file !== 'object') {
+                throw new FakeApiError(400, 'file: Missing input');
+            }
+            const attachment = {
+                gid: newGid(),
+                parent: parent.gid,
+                name: form.name || decodeURIComponent(form.file.filename),
+                host: 'asana',
+                created_at: now(),
+                content: form.file.content.toString('base64')
+            };
+            state.attachments.push(attachment);
+            return single(attachment, attachmentView, q, 200);
+        }],
+        ['DELETE', '/attachments/:attachment', (p) => {
+            const attachment = find('attachments', p.attachment, 'attachment');
+            state.attachments = state.attachments.filter(a => a !== attachment);
+            return { status: 200, body: { data: {} } };
+        }],
+
+        ['GET', '/projects', (p, q) => {
+            if (!q.workspace && !q.team) {
+                throw new FakeApiError(400, 'workspace: Missing input');
+            }
+            const archived = parseBool(q.archived);
+            const projects = state.projects.filter(project =>
+                (!q.workspace || project.workspace === q.workspace) &&
+                (!q.team || project.team === q.team) &&
+                (archived === undefined || !!project.archived === archived)
+            );
+            return list(projects, projectView, q, '/projects', NAMED_COMPACT);
+        }],
+        ['POST', '/projects', (p, q, body) => {
+            const data = body.data || {};
+            if (!data.name) {
+                throw new FakeApiError(400, 'name: Missing input');
+            }
+            const team = data.team ? find('teams', data.team, 'team') : null;
+            const workspace = find('workspaces', data.workspace || team?.workspace, 'workspace');
+            if (workspace.is_organization && !team) {
+                throw new FakeApiError(400, 'team: Missing input. You must specify a team when creating a project in an organization');
+            }
+
+            const timestamp = now();
+            const project = {
+                gid: newGid(),
+                workspace: workspace.gid,
+                team: team?.gid || null,
+                owner: state.me,
+                archived: false,
+                created_at: timestamp,
+                custom_field_settings: []
+            };
+            applyProjectFields(project, data);
+            state.projects.push(project);
+            // New projects start with one empty section
+            state.sections.push({ gid: newGid(), name: 'Untitled section', project: project.gid, created_at: timestamp });
+            return single(project, projectView, q, 201);
+        }],
+        ['GET', '/projects/:project', (p, q) => single(find('projects', p.project, 'project'), projectView, q)],
+        ['PUT', '/projects/:project', (p, q, body) => {
+            const project = find('projects', p.project, 'project');
+            applyProjectFields(project, body.data || {});
+            return single(project, projectView, q);
+        }],
+        ['GET', '/projects/:project/tasks', (p, q) => {
+            find('projects', p.project, 'project');
+            const tasks = state.tasks.filter(t => t.memberships.some(m => m.project === p.project) && matchesListFilters(t, q));
+            return list(tasks, taskView, q, `/projects/${p.project}/tasks`, TASK_COMPACT);
+        }],
+        ['GET', '/projects/:project/sections', (p, q) => {
+            find('projects', p.project, 'project');
+            return list(state.sections.filter(s => s.project === p.project), sectionView, q, `/projects/${p.project}/sections`, NAMED_COMPACT);
+        }],
+        ['GET', '/projects/:project/custom_field_settings', (p, q) => {
+            const project = find('projects', p.project, 'project');
+            const settings = (project.custom_field_settings || []).filter(gid => state.custom_fields.some(f => f.gid === gid));
+            return list(settings, gid => customFieldSettingView(project, gid), q, `/projects/${p.project}/custom_field_settings`);
+        }],
+        ['POST', '/projects/:project/addCustomFieldSetting', (p, q, body) => {
+            const project = find('projects', p.project, 'project');
+            const field = find('custom_fields', body.data?.custom_field, 'custom_field');
+            project.custom_field_settings = project.custom_field_settings || [];
+            if (project.custom_field_settings.includes(field.gid)) {
+                throw new FakeApiError(400, `custom_field: ${field.name} is already on this project`);
+            }
+            project.custom_field_settings.push(field.gid);
+            return { status: 200, body: { data: customFieldSettingView(project, field.gid) } };
+        }],
+        ['POST', '/projects/:project/sections', (p, q, body) => {
+            const project = find('projects', p.project, 'project');
+            const data = body.data || {};
+            if (!data.name) {
+                throw new FakeApiError(400, 'name: Missing input');
+            }
+            const section = { gid: newGid(), name: data.name, project: project.gid, created_at: now() };
+            state.sections.push(section);
+            placeSection(section, data.insert_before, data.insert_after);
+            return single(section, sectionView, q, 201);
+        }],
+        ['POST', '/projects/:project/sections/insert', (p, q, body) => {
+            find('projects', p.project, 'project');
+            const data = body.data || {};
+            const section = sectionForProject(p.project, data.section);
+            if (!section) {
+                throw new FakeApiError(400, 'section: Missing input');
+            }
+            if (!data.before_section === !data.after_section) {
+                throw new FakeApiError(400, 'Exactly one of before_section or after_section must be specified');
+            }
+            placeSection(find('sections', section, 'section'), data.before_section, data.after_section);
+            return { status: 200, body: { data: {} } };
+        }],
+        ['GET', '/sections/:section', (p, q) => single(find('sections', p.section, 'section'), sectionView, q)],
+        ['PUT', '/sections/:section', (p, q, body) => {
+            const section = find('sections', p.section, 'section');
+            if (body.data?.name !== undefined) {
+                if (!body.data.name) {
+                    throw new FakeApiError(400, 'name: Cannot be empty');
+                }
+                section.name = body.data.name;
+            }
+            return single(section, sectionView, q);
+        }],
+        ['DELETE', '/sections/:section', (p) => {
+            const section = find('sections', p.section, 'section');
+            if (state.tasks.some(t => t.memberships.some(m => m.section === section.gid))) {
+                throw new FakeApiError(400, 'Section must be empty to be deleted');
+            }
+            if (state.sections.filter(s => s.project === section.project).length === 1) {
+                throw new FakeApiError(400, 'Cannot delete the last section of a project');
+            }
+            state.sections = state.sections.filter(s => s !== section);
+            return { status: 200, body: { data: {} } };
+        }],
+        ['GET', '/sections/:section/tasks', (p, q) => {
+            find('sections', p.section, 'section');
+            const tasks = state.tasks.filter(t => t.memberships.some(m => m.section === p.section) && matchesListFilters(t, q));
+            return list(tasks, taskView, q, `/sections/${p.section}/tasks`, TASK_COMPACT);
+        }],
+        ['POST', '/sections/:section/addTask', (p, q, body) => {
+            const section = find('sections', p.section, 'section');
+            const task = find('tasks', body.data?.task, 'task');
+            const anchorGid = body.data?.insert_before || body.data?.insert_after;
+            if (body.data?.insert_before && body.data?.insert_after) {
+                throw new FakeApiError(400, 'Only one of insert_before or insert_after may be specified');
+            }
+            if (anchorGid && !find('tasks', anchorGid, 'task').memberships.some(m => m.section === section.gid)) {
+                throw new FakeApiError(400, `${body.data.insert_before ? 'insert_before' : 'insert_after'}: Task ${anchorGid} is not in section ${section.gid}`);
+            }
+            // Without an anchor Asana puts the task at the top of the section
+            const first = anchorGid ? null : state.tasks.find(t => t !== task && t.memberships.some(m => m.section === section.gid));
+            addTaskToProjectRecord(task, { ...body.data, insert_before: body.data?.insert_before || first?.gid, project: section.project, section: section.gid });
+            return { status: 200, body: { data: {} } };
+        }],
+        ['GET', '/workspaces/:workspace/custom_fields', (p, q) => {
+            find('workspaces', p.workspace, 'workspace');
+            // Fixture fields without a workspace belong to every workspace
+            const fields = state.custom_fields.filter(f => !f.workspace || f.workspace === p.workspace);
+            return list(fields, customFieldView, q, `/workspaces/${p.workspace}/custom_fields`, NAMED_COMPACT);
+        }],
+        ['GET', '/custom_fields/:custom_field', (p, q) => single(find('custom_fields', p.custom_field, 'custom_field'), customFieldView, q)]
+    ].map(([method, pattern, handler]) => {
+        const names = [];
+        const regex = new RegExp('^' + pattern.replace(/:(\w+)/g, (m, name) => {
+            names.push(name);
+            return '([^/]+)';
+        }) + '$');
+        return { method, regex, names, handler };
+    });
+
+    function route(method, pathname, query, body) {
+        for (const r of routes) {
+            const match = r.method === method && pathname.match(r.regex);
+            if (match) {
+                const params = {};
+                r.names.forEach((name, i) => { params[name] = decodeURIComponent(match[i + 1]); });
+                return r.handler(params, query, body);
+            }
+        }
+        throw new FakeApiError(404, `No matching route for request: ${method} ${pathname}`);
+    }
+
+    // ---- faults & latency ----
+
+    function matchesRule(rule, method, pathname) {
+        if (rule.method && rule.method.toUpperCase() !== method) return false;
+        if (rule.path) {
+            const pattern = rule.path instanceof RegExp ? rule.path : null;
+            if (pattern ? !pattern.test(pathname) : !pathname.includes(rule.path)) return false;
+        }
+        return true;
+    }
+
+    function takeRule(rules, method, pathname) {
+        const rule = rules.find(r => r.count > 0 && matchesRule(r, method, pathname));
+        if (rule) {
+            rule.count--;
+        }
+        return rule || null;
+    }
+
+    /**
+     * Fail the next matching request(s)
+     * @param {Object} fault - { status (default 429), count (default 1), retryAfter (seconds), method, path (substring or RegExp), message }
+     */
+    function injectFault(fault = {}) {
+        // Unset fields (e.g. omitted from a /_fake/faults body) keep their defaults
+        const defined = Object.fromEntries(Object.entries(fault).filter(([, value]) => value !== undefined));
+        faults.push({ status: 429, count: 1, ...defined });
+    }
+
+    /**
+     * Delay matching responses
+     * @param {number} ms - Delay in milliseconds
+     * @param {Object} match - { count (default: all requests), method, path (substring or RegExp) }
+     */
+    function addLatency(ms, match = {}) {
+        latencies.push({ count: Infinity, ...match, ms });
+    }
+
+    /**
+     * Restore fixture data and clear faults, latency and the request log
+     */
+    function reset() {
+        state = createState(fixture);
+        faults = [];
+        latencies = options.latencyMs ? [{ ms: options.latencyMs, count: Infinity }] : [];
+        requests = [];
+    }
+
+    function control(method, pathname, body) {
+        if (method === 'POST' && pathname === '/_fake/faults') {
+            injectFault({
+                status: body.status,
+                count: body.count,
+                retryAfter: body.retry_after,
+                method: body.method,
+                path: body.path,
+                message: body.message
+            });
+            return { status: 200, body: { faults } };
+        }
+        if (method === 'POST' && pathname === '/_fake/latency') {
+            addLatency(body.ms || 0, { count: body.count ?? Infinity, method: body.method, path: body.path });
+            return { status: 200, body: { latencies } };
+        }
+        if (method === 'POST' && pathname === '/_fake/reset') {
+            reset();
+            return { status: 200, body: { reset: true } };
+        }
+        if (method === 'GET' && pathname === '/_fake/requests') {
+            return { status: 200, body: { requests } };
+        }
+        if (method === 'GET' && pathname === '/_fake/state') {
+            return { status: 200, body: state };
+        }
+        throw new FakeApiError(404, `Unknown control endpoint: ${method} ${pathname}`);
+    }
+
+    // ---- HTTP ----
+
+    function send(res, status, body, headers = {}) {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=UTF-8', ...headers });
+        res.end(JSON.stringify(body));
+    }
+
+    function errorBody(message) {
+        return { errors: [{ message }] };
+    }
+
+    function readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            req.on('data', chunk => { chunks.push(chunk); });
+            req.on('end', () => {
+                const buffer = Buffer.concat(chunks);
+                const boundary = /multipart\/form-data;.*boundary=(?:"([^"]+)"|([^;]+))/i.exec(req.headers['content-type'] || '');
+                if (boundary) {
+                    resolve({ form: parseMultipart(buffer, boundary[1] || boundary[2]) });
+                    return;
+                }
+                const data = buffer.toString('utf8');
+                if (!data) {
+                    resolve({});
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(data));
+                } catch (error) {
+                    reject(new FakeApiError(400, 'Could not parse request data, invalid JSON'));
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    async function handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const method = req.method.toUpperCase();
+        const query = Object.fromEntries(url.searchParams.entries());
+
+        try {
+            const body = await readBody(req);
+            origin = `http://${req.headers.host || '127.0.0.1'}`;
+
+            // Attachment downloads (stand-in for Asana's pre-signed storage URLs, no auth)
+            const fileMatch = method === 'GET' && url.pathname.match(/^\/_fake\/files\/(\d+)$/);
+            if (fileMatch) {
+                const attachment = find('attachments', fileMatch[1], 'attachment');
+                // Latency rules with a /_fake/files path simulate a stalled download
+                const latency = takeRule(latencies, method, url.pathname);
+                if (latency && latency.ms > 0) {
+                    await new Promise(resolve => setTimeout(resolve, latency.ms));
+                }
+                res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+                res.end(Buffer.from(attachment.content || '', 'base64'));
+                return;
+            }
+
+            if (url.pathname.startsWith('/_fake/')) {
+                const result = control(method, url.pathname, body);
+                send(res, result.status, result.body);
+                return;
+            }
+
+            if (!url.pathname.startsWith(API_PREFIX)) {
+                throw new FakeApiError(404, `No matching route for request: ${method} ${url.pathname}`);
+            }
+            const pathname = url.pathname.slice(API_PREFIX.length) || '/';
+            // Uploaded file contents are logged by name and size only
+            const loggedBody = body.form?.file?.content
+                ? { form: { ...body.form, file: { filename: body.form.file.filename, size: body.form.file.content.length } } }
+                : body;
+            requests.push({ method, path: pathname, query, body: loggedBody, at: now() });
+
+            const latency = takeRule(latencies, method, pathname);
+            if (latency && latency.ms > 0) {
+                await new Promise(resolve => setTimeout(resolve, latency.ms));
+            }
+
+            const authorization = req.headers.authorization || '';
+            const token = authorization.startsWith('Bearer ') ? authorization.slice(7) : null;
+            if (!token || (state.tokens.length > 0 && !state.tokens.includes(token))) {
+                send(res, 401, errorBody('Not Authorized'));
+                return;
+            }
+
+            const fault = takeRule(faults, method, pathname);
+            if (fault) {
+                const headers = fault.retryAfter !== undefined ? { 'Retry-After': String(fault.retryAfter) } : {};
+                const message = fault.message || (fault.status === 429 ? 'You have made too many requests recently. Please, be chill.' : 'Server Error');
+                if (logFn) {
+                    logFn('info', 'Fake Asana: injected fault', { method, path: pathname, status: fault.status });
+                }
+                send(res, fault.status, errorBody(message), headers);
+                return;
+            }
+
+            const result = route(method, pathname, query, body);
+            send(res, result.status, result.body);
+        } catch (error) {
+            const status = error instanceof FakeApiError ? error.status : 500;
+            if (logFn && status === 500) {
+                logFn('error', 'Fake Asana: handler error', { method, path: url.pathname, error: error.message });
+            }
+            send(res, status, errorBody(error.message));
+        }
+    }
+
+    const server = http.createServer((req, res) => {
+        handle(req, res);
+    });
+
+    /**
+     * Start listening
+     * @param {number} port - Port (default: random free port)
+     * @param {string} host - Interface (default: 127.0.0.1)
+     * @returns {Promise<Object>} { port, baseUrl } - use baseUrl as ASANA_BASE_URL
+     */
+    function listen(port = 0, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, host, () => {
+                const actualPort = server.address().port;
+                resolve({ port: actualPort, baseUrl: `http://${host}:${actualPort}${API_PREFIX}` });
+            });
+        });
+    }
+
+    function close() {
+        return new Promise(resolve => server.close(() => resolve()));
+    }
+
+    return {
+        server,
+        get state() {
+            return state;
+        },
+        listen,
+        close,
+        injectFault,
+        addLatency,
+        reset,
+        getRequests: () => requests
+    };
+}
+
+module.exports = {
+    createFakeAsanaServer,
+    loadFixture
+};
+
+// Standalone: node lib/fake-server.js [--port 3000] [--fixture path] [--latency ms]
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const getArg = (flag, fallback) => {
+        const index = args.indexOf(`--${flag}`);
+        return index >= 0 ? args[index + 1] : fallback;
+    };
+
+    const fake = createFakeAsanaServer({
+        fixtureFile: getArg('fixture', process.env.ASANA_FAKE_FIXTURE || DEFAULT_FIXTURE),
+        latencyMs: parseInt(getArg('latency', '0'), 10) || 0,
+        logFn: (level, message, data) => console.error(`[${level}] ${message}`, data ? JSON.stringify(data) : '')
+    });
+
+    fake.listen(parseInt(getArg('port', '3000'), 10), getArg('host', '127.0.0.1')).then(({ baseUrl }) => {
+        console.log(`Fake Asana API listening on ${baseUrl}\n`);
+        console.log('Use it with:');
+        console.log(`  export ASANA_BASE_URL=${baseUrl}`);
+        console.log('  export ASANA_API_KEY=fake-token\n');
+        console.log('Control endpoints:');
+        console.log('  POST /_fake/faults   {"status":429,"count":2,"retry_after":1,"path":"/tasks"}');
+        console.log('  POST /_fake/latency  {"ms":2000,"count":1,"path":"/workspaces"}');
+        console.log('  POST /_fake/reset    Restore fixture data');
+        console.log('  GET  /_fake/requests Request log');
+        console.log('  GET  /_fake/state    Current data');
+    });
+}
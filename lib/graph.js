@@ -0,0 +1,416 @@
+/**
+ * Task dependency graphs for projects
+ *
+ * Builds the "blocked by" graph of a project's tasks and renders it as
+ * Graphviz DOT or Mermaid. Edges point from the blocking task to the task
+ * that waits on it.
+ */
+
+const { getTasksForProject } = require('./tasks');
+
+const GRAPH_FIELDS = [
+    'name', 'gid', 'resource_subtype', 'completed', 'assignee.name', 'assignee.gid', 'due_on', 'due_at', 'start_on',
+    'dependencies.gid', 'dependencies.name', 'dependencies.completed',
+    'memberships.project.gid', 'memberships.section.gid', 'memberships.section.name'
+];
+
+/**
+ * Fetch a project's tasks and their dependency links
+ * Blockers outside the project are kept as `external` nodes so edges are never dropped.
+ * @param {Object} tasksApiInstance - Asana TasksApi instance
+ * @param {string} projectGid - Project GID
+ * @param {Object} options - Options
+ * @param {number} options.maxResults - Maximum tasks to fetch (default: 1000)
+ * @param {Function} logFn - Optional logging function (level, message, data)
+ * @returns {Promise<Object>} Graph ({ projectGid, nodes, edges }); nodes carry `section` and `external`
+ */
+async function getProjectGraph(tasksApiInstance, projectGid, options = {}, logFn = null) {
+    const tasks = await getTasksForProject(tasksApiInstance, projectGid, {
+        fields: GRAPH_FIELDS,
+        maxResults: options.maxResults || 1000
+    }, logFn);
+
+    const nodes = new Map();
+    tasks.forEach(task => {
+        const membership = (task.memberships || []).find(m => m.project?.gid === projectGid);
+        nodes.set(task.gid, { ...task, section: membership?.section || null, external: false });
+    });
+
+    const edges = [];
+    tasks.forEach(task => {
+        (task.dependencies || []).forEach(dependency => {
+            if (!nodes.has(dependency.gid)) {
+                nodes.set(dependency.gid, { ...dependency, section: null, external: true });
+            }
+            edges.push({ from: dependency.gid, to: task.gid });
+        });
+    });
+
+    return { projectGid, nodes: [...nodes.values()], edges };
+}
+
+/**
+ * Find dependency cycles
+ * Reports one cycle per group of mutually dependent tasks (strongly connected
+ * component), as the shortest loop through the group's first task.
+ * @param {Object} graph - Graph from getProjectGraph()
+ * @returns {Array<Array<string>>} Cycles as task GIDs in dependency order (each blocks the next, the last blocks the first)
+ */
+function findCycles(graph) {
+    const adjacency = new Map(graph.nodes.map(node => [node.gid, []]));
+    graph.edges.forEach(edge => adjacency.get(edge.from).push(edge.to));
+
+    // Tarjan's algorithm, iterative so long chains don't overflow the stack
+    const index = new Map();
+    const lowLink = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const cycles = [];
+    let counter = 0;
+
+    adjacency.forEach((_, root) => {
+        if (index.has(root)) {
+            return;
+        }
+
+        const work = [{ gid: root, next: 0 }];
+        while (work.length > 0) {
+            const frame = work[work.length - 1];
+            const { gid } = frame;
+
+            if (frame.next === 0) {
+                index.set(gid, counter);
+                lowLink.set(gid, counter);
+                counter++;
+                stack.push(gid);
+                onStack.add(gid);
+            }
+
+            const neighbors = adjacency.get(gid);
+            if (frame.next < neighbors.length) {
+                const neighbor = neighbors[frame.next++];
+                if (!index.has(neighbor)) {
+                    work.push({ gid: neighbor, next: 0 });
+                } else if (onStack.has(neighbor)) {
+                    lowLink.set(gid, Math.min(lowLink.get(gid), index.get(neighbor)));
+                }
+                continue;
+            }
+
+            work.pop();
+            if (work.length > 0) {
+                const parent = work[work.length - 1].gid;
+                lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(gid)));
+            }
+
+            if (lowLink.get(gid) === index.get(gid)) {
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== gid);
+
+                if (component.length > 1) {
+                    cycles.push(shortestLoop(adjacency, new Set(component), component[component.length - 1]));
+                }
+            }
+        }
+    });
+
+    return cycles;
+}
+
+/**
+ * Breadth-first search for the shortest path from start back to itself within a component
+ */
+function shortestLoop(adjacency, members, start) {
+    const previous = new Map();
+    const queue = [start];
+
+    while (queue.length > 0) {
+        const gid = queue.shift();
+        for (const next of adjacency.get(gid)) {
+            if (!members.has(next)) {
+                continue;
+            }
+            if (next === start) {
+                const loop = [gid];
+                while (loop[0] !== start) {
+                    loop.unshift(previous.get(loop[0]));
+                }
+                return loop;
+            }
+            if (!previous.has(next)) {
+                previous.set(next, gid);
+                queue.push(next);
+            }
+        }
+    }
+    return [...members];
+}
+
+/**
+ * Group nodes by section (in order of first appearance); external tasks go last
+ */
+function groupBySection(nodes) {
+    const groups = new Map();
+    nodes.forEach(node => {
+        const key = node.external ? 'external' : (node.section?.gid || 'none');
+        if (!groups.has(key)) {
+            const label = node.external ? 'Other projects' : (node.section?.name || 'No section');
+            groups.set(key, { key, label, nodes: [] });
+        }
+        groups.get(key).nodes.push(node);
+    });
+
+    const external = groups.get('external');
+    groups.delete('external');
+    return external ? [...groups.values(), external] : [...groups.values()];
+}
+
+function cycleEdgeSet(cycles) {
+    const members = new Map();
+    cycles.forEach((cycle, i) => cycle.forEach(gid => members.set(gid, i)));
+    return edge => members.has(edge.from) && members.get(edge.from) === members.get(edge.to);
+}
+
+function escapeDot(text) {
+    return String(text ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, ' ');
+}
+
+/**
+ * Render a graph as Graphviz DOT
+ * @param {Object} graph - Graph from getProjectGraph()
+ * @param {Object} options - Render options
+ * @param {boolean} options.clusters - Group tasks into subgraph clusters per section
+ * @param {string} options.title - Graph label (e.g. the project name)
+ * @param {Array} options.cycles - Cycles from findCycles(), drawn in red
+ * @returns {string} DOT source
+ */
+function toDot(graph, options = {}) {
+    const inCycle = cycleEdgeSet(options.cycles || []);
+    const lines = [
+        `digraph "${escapeDot(options.title || graph.projectGid)}" {`,
+        '    rankdir=LR;',
+        '    node [shape=box, style="rounded", fontname="Helvetica"];'
+    ];
+
+    const nodeLine = (node, indent) => {
+        const styles = ['rounded'];
+        const attrs = [`label="${escapeDot(node.name)}"`];
+        if (node.completed) {
+            styles.push('filled');
+            attrs.push('fillcolor="#d4edda"', 'fontcolor="#6c757d"');
+        }
+        if (node.external) {
+            styles.push('dashed');
+        }
+        if (styles.length > 1) {
+            attrs.push(`style="${styles.join(',')}"`);
+        }
+        return `${indent}"${node.gid}" [${attrs.join(', ')}];`;
+    };
+
+    if (options.clusters) {
+        groupBySection(graph.nodes).forEach((group, i) => {
+            lines.push(`    subgraph cluster_${i} {`);
+            lines.push(`        label="${escapeDot(group.label)}";`);
+            lines.push('        style="rounded"; color="#adb5bd";');
+            group.nodes.forEach(node => lines.push(nodeLine(node, '        ')));
+            lines.push('    }');
+        });
+    } else {
+        graph.nodes.forEach(node => lines.push(nodeLine(node, '    ')));
+    }
+
+    graph.edges.forEach(edge => {
+        const attrs = inCycle(edge) ? ' [color="red", penwidth=2]' : '';
+        lines.push(`    "${edge.from}" -> "${edge.to}"${attrs};`);
+    });
+
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
+
+function escapeMermaid(text) {
+    return String(text ?? '').replace(/"/g, '#quot;').replace(/\n/g, ' ');
+}
+
+/**
+ * Render a graph as a Mermaid flowchart
+ * @param {Object} graph - Graph from getProjectGraph()
+ * @param {Object} options - Render options (same as toDot)
+ * @returns {string} Mermaid source
+ */
+function toMermaid(graph, options = {}) {
+    const inCycle = cycleEdgeSet(options.cycles || []);
+    const id = gid => `t${gid}`;
+    const lines = ['flowchart LR'];
+
+    if (options.title) {
+        lines.unshift('---', `title: ${escapeMermaid(options.title)}`, '---');
+    }
+
+    const nodeLine = (node, indent) => `${indent}${id(node.gid)}["${escapeMermaid(node.name)}"]`;
+
+    if (options.clusters) {
+        groupBySection(graph.nodes).forEach((group, i) => {
+            lines.push(`    subgraph section${i}["${escapeMermaid(group.label)}"]`);
+            group.nodes.forEach(node => lines.push(nodeLine(node, '        ')));
+            lines.push('    end');
+        });
+    } else {
+        graph.nodes.forEach(node => lines.push(nodeLine(node, '    ')));
+    }
+
+    const cycleLinks = [];
+    graph.edges.forEach((edge, i) => {
+        lines.push(`    ${id(edge.from)} --> ${id(edge.to)}`);
+        if (inCycle(edge)) {
+            cycleLinks.push(i);
+        }
+    });
+
+    const completed = graph.nodes.filter(node => node.completed).map(node => id(node.gid));
+    const external = graph.nodes.filter(node => node.external).map(node => id(node.gid));
+    lines.push('    classDef completed fill:#d4edda,stroke:#28a745,color:#6c757d');
+    lines.push('    classDef external stroke-dasharray:5 5');
+    if (completed.length > 0) {
+        lines.push(`    class ${completed.join(',')} completed`);
+    }
+    if (external.length > 0) {
+        lines.push(`    class ${external.join(',')} external`);
+    }
+    if (cycleLinks.length > 0) {
+        lines.push(`    linkStyle ${cycleLinks.join(',')} stroke:red,stroke-width:2px`);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Calendar date of a Date in the local time zone, as YYYY-MM-DD
+ */
+function localDate(date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Due date of a task as YYYY-MM-DD (due_at is reduced to its local date)
+ */
+function dueDate(task) {
+    return task.due_on || (task.due_at ? localDate(new Date(task.due_at)) : null);
+}
+
+/**
+ * Analyze the schedule of a project graph
+ * - Critical path: the longest chain of incomplete tasks ending at the final milestone
+ *   (the given milestone, else the incomplete milestone due last, else the end of the
+ *   longest chain in the project). Ties go to the chain ending latest.
+ * - Date conflicts: tasks due before one of their blockers.
+ * - Blocked by problem work: incomplete tasks waiting on overdue or unassigned blockers.
+ * Links inside dependency cycles are ignored for the critical path.
+ * @param {Object} graph - Graph from getProjectGraph()
+ * @param {Object} options - Options
+ * @param {string} options.milestone - GID of the task the path must end at
+ * @param {string} options.today - Reference date for "overdue" (YYYY-MM-DD, default: today)
+ * @returns {Object} { milestone, criticalPath, dateConflicts, blockedByProblems, cycles }
+ */
+function analyzeCriticalPath(graph, options = {}) {
+    const today = options.today || localDate();
+    const nodes = new Map(graph.nodes.map(node => [node.gid, node]));
+    const cycles = findCycles(graph);
+    const inCycle = cycleEdgeSet(cycles);
+
+    if (options.milestone && !nodes.has(options.milestone)) {
+        throw new Error(`Task ${options.milestone} is not in project ${graph.projectGid}`);
+    }
+
+    // Longest path over incomplete tasks (Kahn's topological order)
+    const open = graph.nodes.filter(node => !node.completed);
+    const openGids = new Set(open.map(node => node.gid));
+    const edges = graph.edges.filter(edge => openGids.has(edge.from) && openGids.has(edge.to) && !inCycle(edge));
+    const incoming = new Map(open.map(node => [node.gid, 0]));
+    const outgoing = new Map(open.map(node => [node.gid, []]));
+    edges.forEach(edge => {
+        incoming.set(edge.to, incoming.get(edge.to) + 1);
+        outgoing.get(edge.from).push(edge.to);
+    });
+
+    const length = new Map(open.map(node => [node.gid, 1]));
+    const previous = new Map();
+    const queue = open.filter(node => incoming.get(node.gid) === 0).map(node => node.gid);
+    while (queue.length > 0) {
+        const gid = queue.shift();
+        outgoing.get(gid).forEach(next => {
+            if (length.get(gid) + 1 > length.get(next)) {
+                length.set(next, length.get(gid) + 1);
+                previous.set(next, gid);
+            }
+            incoming.set(next, incoming.get(next) - 1);
+            if (incoming.get(next) === 0) {
+                queue.push(next);
+            }
+        });
+    }
+
+    const latestFirst = (a, b) => (dueDate(b) || '').localeCompare(dueDate(a) || '');
+    let milestone = options.milestone ? nodes.get(options.milestone) : null;
+    if (!milestone) {
+        const milestones = open.filter(node => node.resource_subtype === 'milestone' && !node.external);
+        milestone = milestones.sort(latestFirst)[0] || null;
+    }
+
+    let end = milestone && openGids.has(milestone.gid) ? milestone.gid : null;
+    if (!end && !milestone && open.length > 0) {
+        end = [...open].sort((a, b) => length.get(b.gid) - length.get(a.gid) || latestFirst(a, b))[0].gid;
+    }
+
+    const criticalPath = [];
+    for (let gid = end; gid; gid = previous.get(gid)) {
+        criticalPath.unshift(nodes.get(gid));
+    }
+
+    const dateConflicts = [];
+    const blockedByProblems = [];
+    graph.edges.forEach(edge => {
+        const blocker = nodes.get(edge.from);
+        const task = nodes.get(edge.to);
+        if (task.completed || task.external) {
+            return;
+        }
+
+        if (dueDate(task) && dueDate(blocker) && dueDate(task) < dueDate(blocker)) {
+            dateConflicts.push({ ...task, blocker });
+        }
+
+        if (!blocker.completed) {
+            const reasons = [];
+            if (dueDate(blocker) && dueDate(blocker) < today) {
+                reasons.push(`overdue since ${dueDate(blocker)}`);
+            }
+            // Blockers from other projects are fetched without their assignee
+            if (!blocker.external && !blocker.assignee) {
+                reasons.push('unassigned');
+            }
+            if (reasons.length > 0) {
+                blockedByProblems.push({ ...task, blocker, reason: reasons.join(', ') });
+            }
+        }
+    });
+
+    return { milestone, criticalPath, dateConflicts, blockedByProblems, cycles };
+}
+
+module.exports = {
+    getProjectGraph,
+    findCycles,
+    analyzeCriticalPath,
+    localDate,
+    dueDate,
+    toDot,
+    toMermaid
+};
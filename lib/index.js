@@ -4,7 +4,14 @@
 
 module.exports = {
     ...require('./client'),
+    ...require('./limiter'),
     ...require('./users'),
     ...require('./tasks'),
+    ...require('./workspaces'),
+    ...require('./graph'),
+    ...require('./tags'),
+    ...require('./attachments'),
+    ...require('./templates'),
+    ...require('./custom-fields'),
     ...require('./display')
 };
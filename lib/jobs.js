@@ -0,0 +1,48 @@
+/**
+ * Asynchronous job helpers
+ *
+ * Some Asana operations (duplicating tasks, instantiating project templates) return a
+ * job instead of the result. The job is polled until it succeeds or fails.
+ */
+
+/**
+ * Poll a job until it finishes
+ * @param {Object} jobsApiInstance - Asana JobsApi instance
+ * @param {Object} job - Job returned by the operation ({ gid, status })
+ * @param {Object} options - Polling options
+ * @param {string} options.opt_fields - Fields to fetch on each poll (default: status)
+ * @param {string} options.description - What the job does, for error messages
+ * @param {number} options.pollIntervalMs - Delay between polls (default: 1000)
+ * @param {number} options.timeoutMs - Give up waiting after this long (default: 120000)
+ * @param {Function} logFn - Optional logging function (level, message, data)
+ * @returns {Promise<Object>} The succeeded job
+ * @throws {Error} If the job fails or does not finish in time
+ */
+async function waitForJob(jobsApiInstance, job, options = {}, logFn = null) {
+    const optFields = options.opt_fields || 'status';
+    const description = options.description || `job ${job.gid}`;
+    const pollIntervalMs = options.pollIntervalMs ?? 1000;
+    const timeoutMs = options.timeoutMs ?? 120000;
+    const startedAt = Date.now();
+
+    while (job.status !== 'succeeded') {
+        if (job.status === 'failed') {
+            throw new Error(`${description} failed (job ${job.gid})`);
+        }
+        if (Date.now() - startedAt > timeoutMs) {
+            throw new Error(`Timed out waiting for job ${job.gid}: ${description} (status: ${job.status})`);
+        }
+        if (logFn) {
+            logFn('info', 'Waiting for job', { job: job.gid, status: job.status });
+        }
+
+        await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+        job = (await jobsApiInstance.getJob(job.gid, { opt_fields: optFields })).data;
+    }
+
+    return job;
+}
+
+module.exports = {
+    waitForJob
+};
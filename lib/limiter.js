@@ -0,0 +1,150 @@
+/**
+ * Client-side request rate limiting
+ *
+ * Token bucket (requests per minute) combined with a concurrency pool, so
+ * parallel work (e.g. fanning out getTask over hundreds of GIDs) stays under
+ * Asana's quota instead of tripping 429s.
+ */
+
+/**
+ * Create a rate limiter shared by every request of a client
+ * @param {Object} options - Limiter configuration
+ * @param {number} options.requestsPerMinute - Sustained request rate (0 disables rate limiting)
+ * @param {number} options.maxConcurrent - Maximum in-flight requests (0 disables the pool)
+ * @param {number} options.burst - Bucket capacity (default: 10% of requestsPerMinute, at least 1)
+ * @param {Function} options.logFn - Optional logging function (level, message, data)
+ * @returns {Object} Limiter with schedule(fn) and getStats()
+ */
+function createRateLimiter(options = {}) {
+    const requestsPerMinute = options.requestsPerMinute || 0;
+    const maxConcurrent = options.maxConcurrent || 0;
+    const burst = options.burst || Math.max(1, Math.ceil(requestsPerMinute / 10));
+    const logFn = options.logFn || null;
+
+    const queue = [];
+    let tokens = burst;
+    let lastRefill = Date.now();
+    let active = 0;
+    let timer = null;
+
+    // Tracks the current burst of queued requests, for logging
+    let queueingSince = null;
+    let burstPeakDepth = 0;
+
+    const stats = {
+        totalRequests: 0,
+        totalQueued: 0,
+        peakQueueDepth: 0
+    };
+
+    function refill() {
+        if (!requestsPerMinute) return;
+        const now = Date.now();
+        tokens = Math.min(burst, tokens + (now - lastRefill) * requestsPerMinute / 60000);
+        lastRefill = now;
+    }
+
+    function hasToken() {
+        return !requestsPerMinute || tokens >= 1;
+    }
+
+    function hasSlot() {
+        return !maxConcurrent || active < maxConcurrent;
+    }
+
+    function run(job) {
+        if (requestsPerMinute) {
+            tokens -= 1;
+        }
+        active++;
+
+        Promise.resolve()
+            .then(job.fn)
+            .then(job.resolve, job.reject)
+            .finally(() => {
+                active--;
+                drain();
+            });
+    }
+
+    function drain() {
+        refill();
+
+        while (queue.length > 0 && hasSlot() && hasToken()) {
+            run(queue.shift());
+        }
+
+        if (queue.length === 0 && queueingSince !== null) {
+            if (logFn) {
+                logFn('info', 'Rate limiter queue drained', {
+                    waitedMs: Date.now() - queueingSince,
+                    peakQueueDepth: burstPeakDepth
+                });
+            }
+            queueingSince = null;
+            burstPeakDepth = 0;
+        }
+
+        // Out of tokens: wake up when the next one is available
+        // (when out of slots, a finishing request calls drain() instead)
+        if (queue.length > 0 && hasSlot() && !hasToken() && !timer) {
+            const waitMs = Math.ceil((1 - tokens) * 60000 / requestsPerMinute);
+            timer = setTimeout(() => {
+                timer = null;
+                drain();
+            }, waitMs);
+        }
+    }
+
+    /**
+     * Run fn once a token and a concurrency slot are available
+     * @param {Function} fn - Function returning a promise
+     * @returns {Promise} Resolves/rejects with fn's result
+     */
+    function schedule(fn) {
+        return new Promise((resolve, reject) => {
+            stats.totalRequests++;
+            queue.push({ fn, resolve, reject });
+            drain();
+
+            // Still waiting after drain: this request was queued
+            if (queue.length > 0) {
+                stats.totalQueued++;
+                stats.peakQueueDepth = Math.max(stats.peakQueueDepth, queue.length);
+                burstPeakDepth = Math.max(burstPeakDepth, queue.length);
+
+                if (queueingSince === null) {
+                    queueingSince = Date.now();
+                    if (logFn) {
+                        logFn('info', 'Rate limiter queueing requests', getStats());
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Get current limiter state
+     * @returns {Object} Queue depth, active requests, configuration and counters
+     */
+    function getStats() {
+        refill();
+        return {
+            queueDepth: queue.length,
+            active,
+            availableTokens: requestsPerMinute ? Math.floor(tokens) : null,
+            requestsPerMinute,
+            maxConcurrent,
+            ...stats
+        };
+    }
+
+    return {
+        schedule,
+        getStats
+    };
+}
+
+module.exports = {
+    createRateLimiter
+};
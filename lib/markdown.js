@@ -213,7 +213,40 @@ function prepareTaskUpdates(updates) {
     return processedUpdates;
 }
 
+/**
+ * Parse a markdown checklist into a tree of items
+ * Recognizes `- [ ] item` / `- [x] item` (also `*`, `+` and `1.` markers), nested by
+ * indentation (a tab counts as 4 spaces). Other lines (headings, prose, plain list
+ * items) are ignored, so a whole plan document can be passed in.
+ * @param {string} markdown - Markdown text
+ * @returns {Array} Items ({ name, completed, children: [...] }) in document order
+ */
+function parseChecklist(markdown) {
+    const root = { indent: -1, children: [] };
+    const stack = [root];
+
+    (markdown || '').split(/\r?\n/).forEach(line => {
+        const match = line.match(/^([ \t]*)(?:[-*+]|\d+[.)])\s+\[([ xX])\]\s+(.+?)\s*$/);
+        if (!match) {
+            return;
+        }
+
+        const indent = match[1].replace(/\t/g, '    ').length;
+        const item = { name: match[3], completed: match[2] !== ' ', children: [] };
+
+        // Attach to the closest preceding item that is indented less
+        while (stack.length > 1 && stack[stack.length - 1].indent >= indent) {
+            stack.pop();
+        }
+        stack[stack.length - 1].children.push(item);
+        stack.push({ indent, children: item.children });
+    });
+
+    return root.children;
+}
+
 module.exports = {
     markdownToAsanaHtml,
-    prepareTaskUpdates
+    prepareTaskUpdates,
+    parseChecklist
 };
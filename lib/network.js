@@ -0,0 +1,147 @@
+/**
+ * Network settings for outbound Asana requests
+ *
+ * Builds the HTTP agent used by the client: HTTPS_PROXY tunneling (CONNECT),
+ * NO_PROXY exclusions and extra CA certificates (e.g. a corporate proxy's root).
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+
+/**
+ * Get the proxy configured in the environment
+ * @returns {string|null} Proxy URL (HTTPS_PROXY, then HTTP_PROXY, either case)
+ */
+function getEnvProxy() {
+    return process.env.HTTPS_PROXY || process.env.https_proxy
+        || process.env.HTTP_PROXY || process.env.http_proxy
+        || null;
+}
+
+/**
+ * Check whether a host is excluded from proxying by NO_PROXY
+ * Entries are comma-separated hostnames or domain suffixes (`.corp.com`, `corp.com`),
+ * optionally with a port; `*` disables the proxy entirely.
+ * @param {string} hostname - Target hostname
+ * @param {number|string} port - Target port
+ * @param {string} noProxy - NO_PROXY value (default: NO_PROXY / no_proxy)
+ * @returns {boolean} True if the proxy should be bypassed
+ */
+function shouldBypassProxy(hostname, port, noProxy = process.env.NO_PROXY || process.env.no_proxy || '') {
+    const host = hostname.toLowerCase();
+
+    return noProxy.split(/[\s,]+/).filter(Boolean).some(entry => {
+        if (entry === '*') {
+            return true;
+        }
+
+        let [entryHost, entryPort] = entry.toLowerCase().split(':');
+        if (entryPort && String(port) !== entryPort) {
+            return false;
+        }
+
+        entryHost = entryHost.replace(/^\*?\./, '');
+        return host === entryHost || host.endsWith(`.${entryHost}`);
+    });
+}
+
+/**
+ * Read a CA bundle and append it to Node's default root certificates
+ * @param {string} caBundle - Path to a PEM file
+ * @returns {Array} CA list for tls options
+ */
+function loadCaBundle(caBundle) {
+    let pem;
+    try {
+        pem = fs.readFileSync(caBundle, 'utf8');
+    } catch (error) {
+        throw new Error(`Failed to read CA bundle ${caBundle}: ${error.message}`);
+    }
+    return [...tls.rootCertificates, pem];
+}
+
+/**
+ * HTTPS agent that tunnels connections through an HTTP proxy (CONNECT)
+ */
+class ProxyTunnelAgent extends https.Agent {
+    /**
+     * @param {string} proxyUrl - http://[user:pass@]host:port
+     * @param {Object} options - https.Agent options (ca, etc.)
+     */
+    constructor(proxyUrl, options = {}) {
+        super(options);
+        this.proxy = new URL(proxyUrl);
+    }
+
+    createConnection(options, callback) {
+        const target = `${options.host}:${options.port || 443}`;
+        const headers = { Host: target };
+        if (this.proxy.username) {
+            const credentials = `${decodeURIComponent(this.proxy.username)}:${decodeURIComponent(this.proxy.password)}`;
+            headers['Proxy-Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+        }
+
+        const connectRequest = http.request({
+            host: this.proxy.hostname,
+            port: this.proxy.port || 80,
+            method: 'CONNECT',
+            path: target,
+            headers
+        });
+
+        connectRequest.once('connect', (res, socket) => {
+            if (res.statusCode !== 200) {
+                socket.destroy();
+                const error = new Error(`Proxy CONNECT to ${target} failed with status ${res.statusCode}`);
+                error.code = 'ECONNREFUSED';
+                callback(error);
+                return;
+            }
+
+            callback(null, tls.connect({
+                ...options,
+                socket,
+                servername: options.servername || options.host
+            }));
+        });
+        connectRequest.once('error', callback);
+        connectRequest.end();
+    }
+}
+
+/**
+ * Create the agent used for requests to a base URL
+ * @param {string} baseUrl - Target base URL (proxy and CA apply to https URLs only)
+ * @param {Object} options - Network settings
+ * @param {string|boolean} options.proxy - Proxy URL, or false to disable (default: HTTPS_PROXY, respecting NO_PROXY)
+ * @param {string} options.noProxy - Hosts that bypass the proxy, NO_PROXY syntax (default: NO_PROXY)
+ * @param {string} options.caBundle - Path to extra CA certificates in PEM format (default: ASANA_CA_BUNDLE)
+ * @returns {Object|null} Agent, or null to use Node's default agent
+ */
+function createAgent(baseUrl, options = {}) {
+    const url = new URL(baseUrl);
+    if (url.protocol !== 'https:') {
+        return null;
+    }
+
+    const caBundle = options.caBundle || process.env.ASANA_CA_BUNDLE;
+    const agentOptions = caBundle ? { ca: loadCaBundle(caBundle) } : {};
+
+    let proxy = options.proxy === false ? null : (options.proxy || getEnvProxy());
+    if (proxy && shouldBypassProxy(url.hostname, url.port || 443, options.noProxy)) {
+        proxy = null;
+    }
+
+    if (proxy) {
+        return new ProxyTunnelAgent(proxy, agentOptions);
+    }
+    return caBundle ? new https.Agent(agentOptions) : null;
+}
+
+module.exports = {
+    getEnvProxy,
+    shouldBypassProxy,
+    createAgent
+};
@@ -0,0 +1,264 @@
+/**
+ * Named profiles for multiple Asana accounts and workspaces
+ *
+ * Profiles live in a JSON file (default: ~/.asana-node-helpers/profiles.json,
+ * override with ASANA_PROFILES_FILE):
+ *
+ * {
+ *   "current": "work",
+ *   "profiles": {
+ *     "work": { "token_env": "ASANA_WORK_KEY", "workspace": "123", "team": "456", "project": "789" },
+ *     "personal": { "token_file": "~/.asana-personal-token", "workspace": "321", "timeout_ms": 120000 },
+ *     "local": { "token": "test", "base_url": "http://localhost:3000/api/1.0" },
+ *     "corp": { "token_env": "ASANA_CORP_KEY", "proxy": "http://proxy.corp.com:8080", "ca_bundle": "~/corp-root-ca.pem" }
+ *   }
+ * }
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AsanaConfigError } = require('./client');
+
+const DEFAULT_PROFILES_FILE = path.join(os.homedir(), '.asana-node-helpers', 'profiles.json');
+
+/**
+ * Get the path of the profiles config file
+ * @returns {string} Absolute path
+ */
+function getProfilesFile() {
+    return expandHome(process.env.ASANA_PROFILES_FILE || DEFAULT_PROFILES_FILE);
+}
+
+/**
+ * Expand a leading ~ to the home directory
+ */
+function expandHome(filePath) {
+    if (filePath === '~' || filePath.startsWith('~/')) {
+        return path.join(os.homedir(), filePath.slice(1));
+    }
+    return filePath;
+}
+
+/**
+ * Load the profiles config file
+ * @returns {Object} Config with `current` and `profiles` (empty config if the file doesn't exist)
+ */
+function loadProfiles() {
+    const file = getProfilesFile();
+    if (!fs.existsSync(file)) {
+        return { current: null, profiles: {} };
+    }
+
+    try {
+        const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return {
+            current: config.current || null,
+            profiles: config.profiles || {}
+        };
+    } catch (error) {
+        throw new AsanaConfigError(`Failed to read profiles file ${file}: ${error.message}`, 'INVALID_PROFILES_FILE');
+    }
+}
+
+/**
+ * Save the profiles config file (owner read/write only, it may contain tokens)
+ * @param {Object} config - Config with `current` and `profiles`
+ */
+function saveProfiles(config) {
+    const file = getProfilesFile();
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    }
+    fs.writeFileSync(file, JSON.stringify(config, null, 2) + '\n', { encoding: 'utf8', mode: 0o600 });
+    // mode only applies to new files - tighten pre-existing ones too
+    fs.chmodSync(file, 0o600);
+}
+
+/**
+ * Read the token for a profile from its configured source
+ * Sources (first match wins): token, token_env, token_file
+ * @param {string} name - Profile name (for error messages)
+ * @param {Object} profile - Profile settings
+ * @returns {string|null} Token, or null if the profile defines no token source
+ */
+function readProfileToken(name, profile) {
+    if (profile.token) {
+        return profile.token;
+    }
+
+    if (profile.token_env) {
+        const token = process.env[profile.token_env];
+        if (!token) {
+            throw new AsanaConfigError(
+                `Profile '${name}' reads its token from ${profile.token_env}, which is not set`,
+                'MISSING_TOKEN',
+                `export ${profile.token_env}=your_api_key_here`
+            );
+        }
+        return token;
+    }
+
+    if (profile.token_file) {
+        const tokenFile = expandHome(profile.token_file);
+        try {
+            return fs.readFileSync(tokenFile, 'utf8').trim();
+        } catch (error) {
+            throw new AsanaConfigError(
+                `Profile '${name}' token file could not be read: ${error.message}`,
+                'MISSING_TOKEN'
+            );
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Resolve the active profile
+ * Selection order: explicit name (--profile), ASANA_PROFILE, `current` in the profiles file.
+ * @param {string} name - Optional profile name
+ * @returns {Object|null} { name, token, workspace, team, project, baseUrl, timeoutMs, proxy, noProxy, caBundle } or null when no profile is selected
+ */
+function resolveProfile(name = null) {
+    const config = loadProfiles();
+    const profileName = name || process.env.ASANA_PROFILE || config.current;
+
+    if (!profileName) {
+        return null;
+    }
+
+    const profile = config.profiles[profileName];
+    if (!profile) {
+        const available = Object.keys(config.profiles);
+        throw new AsanaConfigError(
+            `Unknown profile '${profileName}'`,
+            'UNKNOWN_PROFILE',
+            available.length > 0
+                ? `Available profiles: ${available.join(', ')}`
+                : `No profiles defined in ${getProfilesFile()}`
+        );
+    }
+
+    return {
+        name: profileName,
+        token: readProfileToken(profileName, profile),
+        workspace: profile.workspace || null,
+        team: profile.team || null,
+        project: profile.project || null,
+        baseUrl: profile.base_url || null,
+        timeoutMs: profile.timeout_ms || null,
+        // false turns off an HTTPS_PROXY from the environment for this profile
+        proxy: profile.proxy === false ? false : (profile.proxy || null),
+        noProxy: profile.no_proxy || null,
+        caBundle: profile.ca_bundle ? expandHome(profile.ca_bundle) : null
+    };
+}
+
+/**
+ * List configured profiles (without tokens)
+ * @returns {Array} Array of { name, current, tokenSource, workspace, team, project, baseUrl, timeoutMs, proxy, noProxy, caBundle }
+ */
+function listProfiles() {
+    const config = loadProfiles();
+    return Object.entries(config.profiles).map(([name, profile]) => {
+        let tokenSource = 'ASANA_API_KEY';
+        if (profile.token) {
+            tokenSource = 'inline';
+        } else if (profile.token_env) {
+            tokenSource = `env:${profile.token_env}`;
+        } else if (profile.token_file) {
+            tokenSource = `file:${profile.token_file}`;
+        }
+
+        return {
+            name,
+            current: name === config.current,
+            tokenSource,
+            workspace: profile.workspace || null,
+            team: profile.team || null,
+            project: profile.project || null,
+            baseUrl: profile.base_url || null,
+            timeoutMs: profile.timeout_ms || null,
+            proxy: profile.proxy === false ? false : (profile.proxy || null),
+            noProxy: profile.no_proxy || null,
+            caBundle: profile.ca_bundle || null
+        };
+    });
+}
+
+/**
+ * Make a profile the default for future commands
+ * @param {string} name - Profile name
+ */
+function useProfile(name) {
+    const config = loadProfiles();
+    if (!config.profiles[name]) {
+        throw new AsanaConfigError(`Unknown profile '${name}'`, 'UNKNOWN_PROFILE');
+    }
+    config.current = name;
+    saveProfiles(config);
+}
+
+/**
+ * Hide proxy credentials for display
+ * @param {string} proxy - Proxy URL, possibly with user:password@
+ * @returns {string} URL with the password replaced
+ */
+function redactProxy(proxy) {
+    try {
+        const url = new URL(proxy);
+        if (url.password) {
+            url.password = '***';
+        }
+        return url.toString().replace(/\/$/, '');
+    } catch (error) {
+        return proxy;
+    }
+}
+
+/**
+ * Display profiles
+ * @param {Array} profiles - Profiles from listProfiles()
+ */
+function displayProfiles(profiles) {
+    if (!profiles || profiles.length === 0) {
+        console.log(`No profiles found. Create ${getProfilesFile()} to define profiles.`);
+        return;
+    }
+
+    console.log(`Found ${profiles.length} profile(s):\n`);
+    profiles.forEach(profile => {
+        const marker = profile.current ? '* ' : '  ';
+        console.log(`${marker}${profile.name}`);
+        console.log(`    Token: ${profile.tokenSource}`);
+        console.log(`    Workspace: ${profile.workspace || 'N/A'}`);
+        console.log(`    Team: ${profile.team || 'N/A'}`);
+        console.log(`    Project: ${profile.project || 'N/A'}`);
+        if (profile.baseUrl) {
+            console.log(`    Base URL: ${profile.baseUrl}`);
+        }
+        if (profile.timeoutMs) {
+            console.log(`    Timeout: ${profile.timeoutMs}ms`);
+        }
+        if (profile.proxy !== null) {
+            console.log(`    Proxy: ${profile.proxy === false ? 'disabled' : redactProxy(profile.proxy)}`);
+        }
+        if (profile.noProxy) {
+            console.log(`    No proxy: ${profile.noProxy}`);
+        }
+        if (profile.caBundle) {
+            console.log(`    CA bundle: ${profile.caBundle}`);
+        }
+    });
+}
+
+module.exports = {
+    getProfilesFile,
+    loadProfiles,
+    resolveProfile,
+    listProfiles,
+    useProfile,
+    displayProfiles
+};
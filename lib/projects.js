@@ -4,11 +4,16 @@
 
 const fs = require('fs');
 const path = require('path');
+const { markdownToAsanaHtml } = require('./markdown');
 
 const CACHE_DIR = path.join(__dirname, '..', '.cache');
 const CACHE_FILE = path.join(CACHE_DIR, 'projects.json');
 const CACHE_DURATION_MS = 24 * 60 * 60 * 1000; // 24 hours
 
+// Fields stored in the cache (searchProjects fetches all of them so later queries can use it)
+const PROJECT_FIELDS = 'name,gid,archived,created_at,modified_at,owner.name,notes,color,public,due_date,start_on,team.name';
+const PROJECT_VIEWS = ['list', 'board', 'calendar', 'timeline'];
+
 /**
  * Ensure cache directory exists
  */
@@ -21,9 +26,10 @@ function ensureCacheDir() {
 /**
  * Load projects from cache
  * @param {string} workspace - Workspace GID
+ * @param {string} team - Team GID the cache was filtered by (null for all teams)
  * @returns {Array|null} Cached projects or null if cache is invalid/missing
  */
-function loadCache(workspace) {
+function loadCache(workspace, team = null) {
     try {
         if (!fs.existsSync(CACHE_FILE)) {
             return null;
@@ -36,6 +42,11 @@ function loadCache(workspace) {
             return null;
         }
         
+        // Check if cache is for the same team filter
+        if ((cacheData.team || null) !== (team || null)) {
+            return null;
+        }
+        
         // Check if cache is still valid
         const now = Date.now();
         if (now - cacheData.timestamp > CACHE_DURATION_MS) {
@@ -57,12 +68,14 @@ function loadCache(workspace) {
  * Save projects to cache
  * @param {string} workspace - Workspace GID
  * @param {Array} projects - Projects to cache
+ * @param {string} team - Team GID the projects were filtered by (null for all teams)
  */
-function saveCache(workspace, projects) {
+function saveCache(workspace, projects, team = null) {
     try {
         ensureCacheDir();
         const cacheData = {
             workspace: workspace,
+            team: team || null,
             timestamp: Date.now(),
             projects: projects
         };
@@ -93,6 +106,36 @@ function clearCache() {
     }
 }
 
+/**
+ * Replace a project in the cache after it was changed
+ * Archiving or unarchiving clears the cache instead, since it may have been
+ * fetched with an archived filter.
+ * @param {Object} project - Project fetched with PROJECT_FIELDS
+ */
+function updateCachedProject(project) {
+    try {
+        if (!fs.existsSync(CACHE_FILE)) {
+            return;
+        }
+
+        const cacheData = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8'));
+        const index = cacheData.projects.findIndex(p => p.gid === project.gid);
+        if (index === -1) {
+            return;
+        }
+        if (!!cacheData.projects[index].archived !== !!project.archived) {
+            clearCache();
+            return;
+        }
+
+        cacheData.projects[index] = project;
+        fs.writeFileSync(CACHE_FILE, JSON.stringify(cacheData, null, 2), 'utf8');
+    } catch (error) {
+        console.error('[Cache] Failed to update cache:', error.message);
+        clearCache();
+    }
+}
+
 /**
  * Search and filter projects in a workspace
  * @param {Object} projectsApiInstance - Asana ProjectsApi instance
@@ -112,7 +155,7 @@ async function searchProjects(projectsApiInstance, workspace, options = {}) {
         // Try to load from cache first (unless noCache flag is set)
         let allProjects = null;
         if (!options.noCache) {
-            allProjects = loadCache(workspace);
+            allProjects = loadCache(workspace, options.team);
         }
         
         // If no cache or noCache flag, fetch from API
@@ -122,14 +165,12 @@ async function searchProjects(projectsApiInstance, workspace, options = {}) {
             }
             
             // Fetch all fields for caching (so future queries can use cached data)
-            const opt_fields = 'name,gid,archived,created_at,modified_at,owner.name,notes,color,public,due_date,start_on,team.name';
-            
             const apiOptions = {
                 workspace: workspace,
                 archived: options.archived,
                 team: options.team,
                 limit: 100,
-                opt_fields: opt_fields
+                opt_fields: PROJECT_FIELDS
             };
             
             // Remove undefined values
@@ -158,7 +199,7 @@ async function searchProjects(projectsApiInstance, workspace, options = {}) {
             }
             
             // Save to cache
-            saveCache(workspace, allProjects);
+            saveCache(workspace, allProjects, options.team);
         }
         
         // Client-side name filtering (partial match)
@@ -176,6 +217,128 @@ async function searchProjects(projectsApiInstance, workspace, options = {}) {
     }
 }
 
+/**
+ * Check a project's default view
+ * @throws {Error} If the view is not one of PROJECT_VIEWS
+ */
+function validateProjectView(view) {
+    if (view !== undefined && !PROJECT_VIEWS.includes(view)) {
+        throw new Error(`Invalid view "${view}". Valid views: ${PROJECT_VIEWS.join(', ')}`);
+    }
+}
+
+/**
+ * Turn project fields from callers into API fields
+ * `notes` is markdown and sent as html_notes; `view` becomes default_view.
+ */
+function prepareProjectData(fields) {
+    const { notes, view, ...data } = fields;
+    validateProjectView(view);
+
+    if (notes !== undefined) {
+        data.html_notes = markdownToAsanaHtml(notes) || '<body></body>';
+    }
+    if (view !== undefined) {
+        data.default_view = view;
+    }
+    Object.keys(data).forEach(key => data[key] === undefined && delete data[key]);
+    return data;
+}
+
+/**
+ * Create a project
+ * A new Asana project starts with one empty "Untitled section"; when sections are
+ * given it is renamed to the first one and the others are added after it.
+ * @param {Object} projectsApiInstance - Asana ProjectsApi instance
+ * @param {Object} sectionsApiInstance - Asana SectionsApi instance (for initial sections)
+ * @param {string} workspace - Workspace GID
+ * @param {Object} projectData - Project fields
+ * @param {string} projectData.name - Project name (required)
+ * @param {string} projectData.team - Team GID (required in organizations)
+ * @param {string} projectData.notes - Description as markdown
+ * @param {string} projectData.view - Default view: list, board, calendar or timeline
+ * @param {string} projectData.color - Project color (e.g. dark-green, light-blue)
+ * @param {string} projectData.due_on - Due date (YYYY-MM-DD)
+ * @param {string} projectData.start_on - Start date (YYYY-MM-DD, needs due_on)
+ * @param {Array} projectData.sections - Names of the initial sections, in order
+ * @returns {Promise<Object>} Created project, with a `sections` array when sections were given
+ */
+async function createProject(projectsApiInstance, sectionsApiInstance, workspace, projectData) {
+    const { sections: sectionNames = [], ...fields } = projectData;
+    const data = { workspace, ...prepareProjectData(fields) };
+
+    let project;
+    try {
+        const result = await projectsApiInstance.createProject({ data }, { opt_fields: `${PROJECT_FIELDS},permalink_url` });
+        project = result.data;
+    } catch (error) {
+        console.error('Error creating project:', error.response?.body || error.message);
+        throw error;
+    }
+    // The cached list no longer has every project
+    clearCache();
+
+    if (sectionNames.length > 0) {
+        const existing = await getSections(sectionsApiInstance, project.gid, { opt_fields: 'name,gid' });
+        const sections = [];
+        let previous = null;
+        for (const [index, name] of sectionNames.entries()) {
+            const section = index === 0 && existing.length === 1
+                ? await renameSection(sectionsApiInstance, existing[0].gid, name)
+                : await createSection(sectionsApiInstance, project.gid, name, previous ? { after: previous.gid } : {});
+            sections.push({ gid: section.gid, name: section.name });
+            previous = section;
+        }
+        project.sections = sections;
+    }
+
+    return project;
+}
+
+/**
+ * Update a project
+ * @param {Object} projectsApiInstance - Asana ProjectsApi instance
+ * @param {string} projectGid - Project GID
+ * @param {Object} updates - Fields to change (name, notes as markdown, view, color, due_on, start_on, archived, ...)
+ * @returns {Promise<Object>} Updated project
+ */
+async function updateProject(projectsApiInstance, projectGid, updates) {
+    const data = prepareProjectData(updates);
+    if (Object.keys(data).length === 0) {
+        throw new Error('No project fields to update');
+    }
+
+    try {
+        const result = await projectsApiInstance.updateProject({ data }, projectGid, { opt_fields: `${PROJECT_FIELDS},permalink_url` });
+        const { permalink_url, ...cached } = result.data;
+        updateCachedProject(cached);
+        return result.data;
+    } catch (error) {
+        console.error('Error updating project:', error.response?.body || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Archive a project
+ * @param {Object} projectsApiInstance - Asana ProjectsApi instance
+ * @param {string} projectGid - Project GID
+ * @returns {Promise<Object>} Updated project
+ */
+async function archiveProject(projectsApiInstance, projectGid) {
+    return updateProject(projectsApiInstance, projectGid, { archived: true });
+}
+
+/**
+ * Unarchive a project
+ * @param {Object} projectsApiInstance - Asana ProjectsApi instance
+ * @param {string} projectGid - Project GID
+ * @returns {Promise<Object>} Updated project
+ */
+async function unarchiveProject(projectsApiInstance, projectGid) {
+    return updateProject(projectsApiInstance, projectGid, { archived: false });
+}
+
 /**
  * Get sections for a project
  * @param {Object} sectionsApiInstance - Asana SectionsApi instance
@@ -211,6 +374,228 @@ async function getSections(sectionsApiInstance, projectGid, options = {}) {
     }
 }
 
+/**
+ * Resolve a section name to its GID
+ * Numeric values are taken as GIDs; names match case-insensitively within the project.
+ * @param {Object} sectionsApiInstance - Asana SectionsApi instance
+ * @param {string} projectGid - Project GID (needed only for names)
+ * @param {string} section - Section name or GID
+ * @returns {Promise<string>} Section GID
+ * @throws {Error} If the name matches no section or several sections
+ */
+async function resolveSectionGid(sectionsApiInstance, projectGid, section) {
+    const value = String(section).trim();
+    if (/^\d+$/.test(value)) {
+        return value;
+    }
+    if (!projectGid) {
+        throw new Error(`A project is needed to look up section "${value}"`);
+    }
+
+    const sections = await getSections(sectionsApiInstance, projectGid, { opt_fields: 'name,gid' });
+    const matches = sections.filter(s => s.name.toLowerCase() === value.toLowerCase());
+    if (matches.length === 0) {
+        throw new Error(`Section not found: "${value}". Sections in project ${projectGid}: ${sections.map(s => s.name).join(', ') || 'none'}`);
+    }
+    if (matches.length > 1) {
+        throw new Error(`Section name "${value}" is ambiguous (${matches.map(s => s.gid).join(', ')}); use a GID`);
+    }
+    return matches[0].gid;
+}
+
+/**
+ * Move tasks into a section, optionally next to another task
+ * Tasks keep the given order: the first is placed at the anchor (or at the top of the
+ * section when there is none) and each following task right after the previous one.
+ * A failed move is reported and the remaining tasks are still moved.
+ * @param {Object} sectionsApiInstance - Asana SectionsApi instance
+ * @param {Array} taskGids - Task GIDs in the desired order
+ * @param {string} sectionGid - Target section GID
+ * @param {Object} options - Placement options
+ * @param {string} options.before - Place the tasks before this task (must be in the section)
+ * @param {string} options.after - Place the tasks after this task (must be in the section)
+ * @param {Function} logFn - Optional logging function (level, message, data)
+ * @returns {Promise<Object>} { moved: [gid], failed: [{ gid, error }] }
+ */
+async function moveTasksToSection(sectionsApiInstance, taskGids, sectionGid, options = {}, logFn = null) {
+    if (options.before && options.after) {
+        throw new Error('Use either before or after, not both');
+    }
+
+    const moved = [];
+    const failed = [];
+    let placement = options.before ? { insert_before: options.before } : options.after ? { insert_after: options.after } : {};
+
+    for (const taskGid of taskGids) {
+        try {
+            await sectionsApiInstance.addTaskForSection(sectionGid, { body: { data: { task: taskGid, ...placement } } });
+            moved.push(taskGid);
+            placement = { insert_after: taskGid };
+        } catch (error) {
+            const message = error.response?.body?.errors?.[0]?.message || error.message;
+            if (logFn) {
+                logFn('warn', 'Failed to move task to section', { task: taskGid, section: sectionGid, error: message });
+            }
+            failed.push({ gid: taskGid, error: message });
+        }
+    }
+
+    return { moved, failed };
+}
+
+/**
+ * Build the insert_before/insert_after part of a section request
+ * @throws {Error} If both are given
+ */
+function sectionPlacement(options, beforeKey, afterKey) {
+    if (options.before && options.after) {
+        throw new Error('Use either before or after, not both');
+    }
+    if (options.before) return { [beforeKey]: options.before };
+    if (options.after) return { [afterKey]: options.after };
+    return {};
+}
+
+/**
+ * Create a section in a project
+ * @param {Object} sectionsApiInstance - Asana SectionsApi instance
+ * @param {string} projectGid - Project GID
+ * @param {string} name - Section name
+ * @param {Object} options - Placement options (default: added at the end)
+ * @param {string} options.before - Insert before this section GID
+ * @param {string} options.after - Insert after this section GID
+ * @returns {Promise<Object>} Created section
+ */
+async function createSection(sectionsApiInstance, projectGid, name, options = {}) {
+    const data = { name, ...sectionPlacement(options, 'insert_before', 'insert_after') };
+    try {
+        const result = await sectionsApiInstance.createSectionForProject(projectGid, { body: { data }, opt_fields: 'name,gid,project.name' });
+        return result.data;
+    } catch (error) {
+        console.error('Error creating section:', error.response?.body || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Rename a section
+ * @param {Object} sectionsApiInstance - Asana SectionsApi instance
+ * @param {string} sectionGid - Section GID
+ * @param {string} name - New name
+ * @returns {Promise<Object>} Updated section
+ */
+async function renameSection(sectionsApiInstance, sectionGid, name) {
+    try {
+        const result = await sectionsApiInstance.updateSection(sectionGid, { body: { data: { name } }, opt_fields: 'name,gid,project.name' });
+        return result.data;
+    } catch (error) {
+        console.error('Error renaming section:', error.response?.body || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Move a section before or after another section of the same project
+ * @param {Object} sectionsApiInstance - Asana SectionsApi instance
+ * @param {string} sectionGid - Section GID to move
+ * @param {Object} options - Placement (one of before/after is required)
+ * @param {string} options.before - Place before this section GID
+ * @param {string} options.after - Place after this section GID
+ * @returns {Promise<Array>} The project's sections in their new order
+ */
+async function moveSection(sectionsApiInstance, sectionGid, options = {}) {
+    const placement = sectionPlacement(options, 'before_section', 'after_section');
+    if (Object.keys(placement).length === 0) {
+        throw new Error('Give a section to move before or after');
+    }
+
+    try {
+        const section = await sectionsApiInstance.getSection(sectionGid, { opt_fields: 'project' });
+        const projectGid = section.data.project.gid;
+        await sectionsApiInstance.insertSectionForProject(projectGid, { body: { data: { section: sectionGid, ...placement } } });
+        return await getSections(sectionsApiInstance, projectGid, { opt_fields: 'name,gid' });
+    } catch (error) {
+        console.error('Error moving section:', error.response?.body || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Delete a section
+ * Asana only deletes empty sections. Sections with tasks are refused unless
+ * options.moveTasksTo names another section of the same project; the tasks are
+ * moved there (keeping their order) before the section is deleted.
+ * @param {Object} sectionsApiInstance - Asana SectionsApi instance
+ * @param {Object} tasksApiInstance - Asana TasksApi instance (to list the section's tasks)
+ * @param {string} sectionGid - Section GID
+ * @param {Object} options - Delete options
+ * @param {string} options.moveTasksTo - Section GID to move remaining tasks to
+ * @param {Function} logFn - Optional logging function (level, message, data)
+ * @returns {Promise<Object>} { section: { gid, name }, movedTasks: [gid] }
+ * @throws {Error} If the section has tasks and no target is given, the target is missing or in
+ *                 another project, or a task could not be moved
+ */
+async function deleteSection(sectionsApiInstance, tasksApiInstance, sectionGid, options = {}, logFn = null) {
+    let section;
+    let taskGids = [];
+    try {
+        section = (await sectionsApiInstance.getSection(sectionGid, { opt_fields: 'name,project' })).data;
+
+        let offset = null;
+        do {
+            const opts = { limit: 100, opt_fields: 'gid' };
+            if (offset) {
+                opts.offset = offset;
+            }
+            const result = await tasksApiInstance.getTasksForSection(sectionGid, opts);
+            taskGids = taskGids.concat(result.data.map(task => task.gid));
+            offset = result._response?.next_page?.offset || null;
+        } while (offset);
+    } catch (error) {
+        console.error('Error fetching section:', error.response?.body || error.message);
+        throw error;
+    }
+
+    let movedTasks = [];
+    if (taskGids.length > 0) {
+        if (!options.moveTasksTo) {
+            throw new Error(`Section "${section.name}" still has ${taskGids.length} task(s); name a section to move them to`);
+        }
+        if (options.moveTasksTo === sectionGid) {
+            throw new Error('Cannot move tasks into the section being deleted');
+        }
+
+        let target;
+        try {
+            target = (await sectionsApiInstance.getSection(options.moveTasksTo, { opt_fields: 'project' })).data;
+        } catch (error) {
+            if (error.status === 404) {
+                throw new Error(`Section ${options.moveTasksTo} to move the tasks to was not found; "${section.name}" not deleted`);
+            }
+            console.error('Error fetching section:', error.response?.body || error.message);
+            throw error;
+        }
+        if (target.project?.gid !== section.project?.gid) {
+            throw new Error(`Section ${options.moveTasksTo} is not in the same project as "${section.name}"`);
+        }
+
+        const { moved, failed } = await moveTasksToSection(sectionsApiInstance, taskGids, options.moveTasksTo, {}, logFn);
+        if (failed.length > 0) {
+            throw new Error(`Could not move ${failed.length} task(s) out of "${section.name}" (${failed.map(f => f.gid).join(', ')}); section not deleted`);
+        }
+        movedTasks = moved;
+    }
+
+    try {
+        await sectionsApiInstance.deleteSection(sectionGid);
+    } catch (error) {
+        console.error('Error deleting section:', error.response?.body || error.message);
+        throw error;
+    }
+
+    return { section: { gid: sectionGid, name: section.name }, movedTasks };
+}
+
 /**
  * Display projects with configurable output
  * @param {Array} projects - Array of project objects
@@ -326,8 +711,19 @@ function displaySections(sections, displayOptions = {}) {
 
 module.exports = {
     searchProjects,
+    createProject,
+    updateProject,
+    archiveProject,
+    unarchiveProject,
+    PROJECT_VIEWS,
     displayProjects,
     getSections,
+    resolveSectionGid,
+    moveTasksToSection,
+    createSection,
+    renameSection,
+    moveSection,
+    deleteSection,
     displaySections,
     clearCache
 };
@@ -0,0 +1,269 @@
+/**
+ * Tag-related operations
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_DIR = path.join(__dirname, '..', '.cache');
+const CACHE_FILE = path.join(CACHE_DIR, 'tags.json');
+const CACHE_DURATION_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+const TAG_FIELDS = 'name,gid,color,notes,created_at';
+
+function isMCP() {
+    return process.argv[1]?.includes('mcp-server.js');
+}
+
+/**
+ * Load tags from cache
+ * @param {string} workspace - Workspace GID
+ * @returns {Array|null} Cached tags or null if cache is invalid/missing
+ */
+function loadTagCache(workspace) {
+    try {
+        if (!fs.existsSync(CACHE_FILE)) {
+            return null;
+        }
+
+        const cacheData = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8'));
+        if (cacheData.workspace !== workspace || Date.now() - cacheData.timestamp > CACHE_DURATION_MS) {
+            return null;
+        }
+
+        if (!isMCP()) {
+            console.error(`[Cache] Using cached tags (${cacheData.tags.length} tags)`);
+        }
+        return cacheData.tags;
+    } catch (error) {
+        console.error('[Cache] Failed to load tag cache:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Save tags to cache
+ * @param {string} workspace - Workspace GID
+ * @param {Array} tags - Tags to cache
+ */
+function saveTagCache(workspace, tags) {
+    try {
+        if (!fs.existsSync(CACHE_DIR)) {
+            fs.mkdirSync(CACHE_DIR, { recursive: true });
+        }
+        const cacheData = {
+            workspace: workspace,
+            timestamp: Date.now(),
+            tags: tags
+        };
+        fs.writeFileSync(CACHE_FILE, JSON.stringify(cacheData, null, 2), 'utf8');
+        if (!isMCP()) {
+            console.error(`[Cache] Saved ${tags.length} tags to cache`);
+        }
+    } catch (error) {
+        console.error('[Cache] Failed to save tag cache:', error.message);
+    }
+}
+
+/**
+ * Clear tags cache
+ */
+function clearTagCache() {
+    try {
+        if (fs.existsSync(CACHE_FILE)) {
+            fs.unlinkSync(CACHE_FILE);
+            if (!isMCP()) {
+                console.error('[Cache] Tag cache cleared');
+            }
+        }
+    } catch (error) {
+        console.error('[Cache] Failed to clear tag cache:', error.message);
+    }
+}
+
+/**
+ * List tags in a workspace
+ * @param {Object} tagsApiInstance - Asana TagsApi instance
+ * @param {string} workspace - Workspace GID
+ * @param {Object} options - Filter options
+ * @param {string} options.name - Tag name to search for (partial match)
+ * @param {boolean} options.noCache - Skip cache and fetch fresh data
+ * @returns {Promise<Array>} Array of matching tags
+ */
+async function listTags(tagsApiInstance, workspace, options = {}) {
+    try {
+        let allTags = options.noCache ? null : loadTagCache(workspace);
+
+        if (!allTags) {
+            if (!isMCP()) {
+                console.error('[API] Fetching tags from Asana...');
+            }
+
+            const opts = { limit: 100, opt_fields: TAG_FIELDS };
+            allTags = [];
+            let offset = null;
+
+            do {
+                if (offset) {
+                    opts.offset = offset;
+                }
+
+                const result = await tagsApiInstance.getTagsForWorkspace(workspace, opts);
+                allTags = allTags.concat(result.data);
+
+                offset = result._response?.next_page?.offset || null;
+            } while (offset);
+
+            saveTagCache(workspace, allTags);
+        }
+
+        // Client-side name filtering (partial match)
+        if (options.name) {
+            const searchLower = options.name.toLowerCase();
+            allTags = allTags.filter(tag => tag.name.toLowerCase().includes(searchLower));
+        }
+
+        return allTags;
+    } catch (error) {
+        console.error('Error fetching tags:', error.response?.body || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Create a tag in a workspace
+ * @param {Object} tagsApiInstance - Asana TagsApi instance
+ * @param {string} workspace - Workspace GID
+ * @param {Object} tagData - Tag fields (name required; color, notes optional)
+ * @returns {Promise<Object>} Created tag
+ */
+async function createTag(tagsApiInstance, workspace, tagData) {
+    try {
+        const result = await tagsApiInstance.createTagForWorkspace({ data: tagData }, workspace, { opt_fields: TAG_FIELDS });
+        // The cached list no longer has every tag
+        clearTagCache();
+        return result.data;
+    } catch (error) {
+        console.error('Error creating tag:', error.response?.body || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Resolve tag names to GIDs
+ * Numeric values are taken as GIDs; names match case-insensitively. Unknown names
+ * are looked up once more without the cache, in case the tag was created since.
+ * @param {Object} tagsApiInstance - Asana TagsApi instance
+ * @param {string} workspace - Workspace GID
+ * @param {string|Array} tags - Tag names/GIDs (array or comma-separated string)
+ * @returns {Promise<Array>} Tag GIDs in the given order
+ * @throws {Error} If a name matches no tag or several tags
+ */
+async function resolveTagGids(tagsApiInstance, workspace, tags) {
+    const values = (Array.isArray(tags) ? tags : String(tags).split(','))
+        .map(value => String(value).trim())
+        .filter(Boolean);
+    const names = values.filter(value => !/^\d+$/.test(value));
+    if (names.length === 0) {
+        return values;
+    }
+
+    const matchesFor = (allTags, name) => allTags.filter(tag => tag.name.toLowerCase() === name.toLowerCase());
+
+    let allTags = await listTags(tagsApiInstance, workspace);
+    if (names.some(name => matchesFor(allTags, name).length === 0)) {
+        allTags = await listTags(tagsApiInstance, workspace, { noCache: true });
+    }
+
+    return values.map(value => {
+        if (/^\d+$/.test(value)) {
+            return value;
+        }
+        const matches = matchesFor(allTags, value);
+        if (matches.length === 0) {
+            throw new Error(`Tag not found: "${value}"`);
+        }
+        if (matches.length > 1) {
+            throw new Error(`Tag name "${value}" is ambiguous (${matches.map(tag => tag.gid).join(', ')}); use a GID`);
+        }
+        return matches[0].gid;
+    });
+}
+
+/**
+ * Add a tag to a task
+ * @param {Object} tasksApiInstance - Asana TasksApi instance
+ * @param {string} taskGid - Task GID
+ * @param {string} tagGid - Tag GID
+ */
+async function addTagToTask(tasksApiInstance, taskGid, tagGid) {
+    try {
+        await tasksApiInstance.addTagForTask({ data: { tag: tagGid } }, taskGid);
+    } catch (error) {
+        console.error('Error adding tag to task:', error.response?.body || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Remove a tag from a task
+ * @param {Object} tasksApiInstance - Asana TasksApi instance
+ * @param {string} taskGid - Task GID
+ * @param {string} tagGid - Tag GID
+ */
+async function removeTagFromTask(tasksApiInstance, taskGid, tagGid) {
+    try {
+        await tasksApiInstance.removeTagForTask({ data: { tag: tagGid } }, taskGid);
+    } catch (error) {
+        console.error('Error removing tag from task:', error.response?.body || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Display tags
+ * @param {Array} tags - Array of tag objects
+ * @param {Object} displayOptions - Display configuration
+ * @param {string} displayOptions.format - Output format: 'list' (default), 'table', 'json'
+ */
+function displayTags(tags, displayOptions = {}) {
+    if (!tags || tags.length === 0) {
+        console.log('No tags found.');
+        return;
+    }
+
+    const { format = 'list' } = displayOptions;
+
+    if (format === 'json') {
+        console.log(JSON.stringify(tags, null, 2));
+        return;
+    }
+
+    if (format === 'table') {
+        const rows = tags.map(tag => [tag.name, tag.gid, tag.color || '']);
+        const headers = ['name', 'gid', 'color'];
+        const colWidths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => row[i].length)));
+
+        console.log(headers.map((h, i) => h.padEnd(colWidths[i])).join('  '));
+        console.log(colWidths.map(w => '-'.repeat(w)).join('  '));
+        rows.forEach(row => {
+            console.log(row.map((cell, i) => cell.padEnd(colWidths[i])).join('  '));
+        });
+        return;
+    }
+
+    console.log(`Found ${tags.length} tag(s):\n`);
+    tags.forEach((tag, index) => {
+        console.log(`${index + 1}. ${tag.name} (${tag.gid})${tag.color ? ` - ${tag.color}` : ''}`);
+    });
+}
+
+module.exports = {
+    listTags,
+    createTag,
+    resolveTagGids,
+    addTagToTask,
+    removeTagFromTask,
+    displayTags,
+    clearTagCache
+};
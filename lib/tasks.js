@@ -2,6 +2,10 @@
  * Task-related operations
  */
 
+const fs = require('fs');
+const { parseChecklist, prepareTaskUpdates } = require('./markdown');
+const { waitForJob } = require('./jobs');
+
 /**
  * Helper to expand custom_fields shorthand to include readable data
  * @param {Array} fields - Array of field names
@@ -69,7 +73,7 @@ async function getTasksForUser(tasksApiInstance, userGid = 'me', workspace, opti
 async function getTask(tasksApiInstance, taskGid, options = {}) {
     try {
         const opts = {
-            opt_fields: options.opt_fields || 'name,completed,due_on,due_at,start_on,notes,html_notes,assignee.name,assignee.gid,projects.name,projects.gid,tags.name,tags.gid,subtasks.name,subtasks.gid,subtasks.completed,parent.name,parent.gid,memberships.project.name,memberships.project.gid,memberships.section.name,memberships.section.gid,created_at,modified_at,num_hearts,num_likes,liked',
+            opt_fields: options.opt_fields || 'name,completed,due_on,due_at,start_on,notes,html_notes,assignee.name,assignee.gid,projects.name,projects.gid,tags.name,tags.gid,followers.name,followers.gid,subtasks.name,subtasks.gid,subtasks.completed,dependencies.name,dependencies.gid,dependencies.completed,dependents.name,dependents.gid,dependents.completed,parent.name,parent.gid,memberships.project.name,memberships.project.gid,memberships.section.name,memberships.section.gid,created_at,modified_at,num_hearts,num_likes,liked',
             ...options
         };
 
@@ -81,6 +85,351 @@ async function getTask(tasksApiInstance, taskGid, options = {}) {
     }
 }
 
+/**
+ * Get the subtasks of a task as a tree, recursing to a fixed depth
+ * Each node carries its own `subtasks` array; nodes at the depth limit have an
+ * empty array and `num_subtasks` tells whether more levels exist.
+ * @param {Object} tasksApiInstance - Asana TasksApi instance
+ * @param {string} taskGid - The parent task GID
+ * @param {object} options - Optional parameters
+ * @param {number} options.depth - Levels to fetch (default: 3, 1 = direct subtasks only)
+ * @param {string} options.opt_fields - Fields to fetch for every subtask
+ * @returns {Promise<Array>} Subtask nodes ({ ...fields, subtasks: [...] })
+ */
+async function getSubtaskTree(tasksApiInstance, taskGid, options = {}) {
+    const depth = options.depth === undefined ? 3 : parseInt(options.depth, 10);
+    if (!Number.isInteger(depth) || depth < 1) {
+        throw new Error(`Invalid depth: ${options.depth}. Must be a positive integer`);
+    }
+
+    // gid and num_subtasks are needed to recurse and to flag truncated branches
+    const requestedFields = (options.opt_fields || 'name,completed,assignee.name,due_on').split(',').map(f => f.trim());
+    const optFields = [...new Set(['gid', 'num_subtasks', ...requestedFields])].join(',');
+
+    async function fetchLevel(parentGid, level) {
+        const opts = { opt_fields: optFields, limit: 100 };
+        let subtasks = [];
+        let offset = null;
+
+        do {
+            const result = await tasksApiInstance.getSubtasksForTask(parentGid, opts);
+            subtasks = subtasks.concat(result.data);
+            offset = result._response?.next_page?.offset || null;
+            opts.offset = offset;
+        } while (offset);
+
+        return Promise.all(subtasks.map(async subtask => ({
+            ...subtask,
+            subtasks: level < depth && subtask.num_subtasks !== 0
+                ? await fetchLevel(subtask.gid, level + 1)
+                : []
+        })));
+    }
+
+    try {
+        return await fetchLevel(taskGid, 1);
+    } catch (error) {
+        console.error('Error fetching subtasks:', error.response?.body || error.message);
+        throw error;
+    }
+}
+
+/**
+ * List every subtask of a task (all pages)
+ */
+async function listAllSubtasks(tasksApiInstance, parentGid) {
+    const opts = { opt_fields: 'name,completed', limit: 100 };
+    let subtasks = [];
+    let offset = null;
+
+    do {
+        const result = await tasksApiInstance.getSubtasksForTask(parentGid, opts);
+        subtasks = subtasks.concat(result.data);
+        offset = result._response?.next_page?.offset || null;
+        opts.offset = offset;
+    } while (offset);
+
+    return subtasks;
+}
+
+/**
+ * Put subtasks of a task in the given order
+ * Asana doesn't guarantee that subtasks created one after another keep that order, so
+ * each one that is out of place is moved with setParentForTask. Subtasks not listed
+ * keep their place.
+ * @param {Object} tasksApiInstance - Asana TasksApi instance
+ * @param {string} parentGid - The parent task GID
+ * @param {Array} orderedGids - Subtask GIDs in the wanted order
+ * @returns {Promise<Array>} GIDs of the subtasks that were moved
+ */
+async function orderSubtasks(tasksApiInstance, parentGid, orderedGids) {
+    if (orderedGids.length < 2) {
+        return [];
+    }
+
+    const wanted = new Set(orderedGids);
+    const current = (await listAllSubtasks(tasksApiInstance, parentGid)).map(t => t.gid).filter(gid => wanted.has(gid));
+    const moved = [];
+
+    for (let i = 0; i < orderedGids.length; i++) {
+        if (current[i] === orderedGids[i]) {
+            continue;
+        }
+
+        const gid = orderedGids[i];
+        const position = i === 0 ? { insert_before: current[0] } : { insert_after: orderedGids[i - 1] };
+        await tasksApiInstance.setParentForTask({ data: { parent: parentGid, ...position } }, gid, {});
+
+        current.splice(current.indexOf(gid), 1);
+        current.splice(i, 0, gid);
+        moved.push(gid);
+    }
+
+    return moved;
+}
+
+/**
+ * Turn a markdown checklist into ordered subtasks of a task
+ * Every item is created as a subtask (`- [x]` items created completed), nested items
+ * under their parent item. With `sync`, existing subtasks are matched by name
+ * (case-insensitive) instead: unmatched items are added, checked items complete their
+ * match, and subtasks not in the checklist are left alone. Subtasks are then reordered
+ * to follow the checklist.
+ * @param {Object} tasksApiInstance - Asana TasksApi instance
+ * @param {string} taskGid - The parent task GID
+ * @param {string|Array} checklist - Markdown checklist, or items from parseChecklist()
+ * @param {object} options - Optional settings
+ * @param {boolean} options.sync - Match existing subtasks instead of always creating (default: false)
+ * @returns {Promise<Object>} Summary ({ created, completed, unchanged, moved }), each a list of { gid, name }
+ */
+async function applySubtaskChecklist(tasksApiInstance, taskGid, checklist, options = {}) {
+    const items = typeof checklist === 'string' ? parseChecklist(checklist) : checklist;
+    if (!items || items.length === 0) {
+        throw new Error('No checklist items found. Use "- [ ] item" lines, indented to nest');
+    }
+
+    const summary = { created: [], completed: [], unchanged: [], moved: [] };
+    const listSubtasks = parentGid => listAllSubtasks(tasksApiInstance, parentGid);
+
+    // Move checklist subtasks so they appear in checklist order (other subtasks keep their place)
+    async function reorder(parentGid, ordered) {
+        const moved = new Set(await orderSubtasks(tasksApiInstance, parentGid, ordered.map(t => t.gid)));
+        summary.moved.push(...ordered.filter(t => moved.has(t.gid)));
+    }
+
+    async function applyLevel(parentGid, levelItems, existing) {
+        const remaining = [...existing];
+        const ordered = [];
+
+        for (const item of levelItems) {
+            const matchIndex = remaining.findIndex(t => t.name.trim().toLowerCase() === item.name.trim().toLowerCase());
+            let subtask;
+
+            if (matchIndex > -1) {
+                // Each existing subtask matches at most one item (duplicate names pair up in order)
+                subtask = remaining.splice(matchIndex, 1)[0];
+                if (item.completed && !subtask.completed) {
+                    await tasksApiInstance.updateTask({ data: { completed: true } }, subtask.gid, {});
+                    summary.completed.push({ gid: subtask.gid, name: subtask.name });
+                } else {
+                    summary.unchanged.push({ gid: subtask.gid, name: subtask.name });
+                }
+            } else {
+                // Created one at a time so Asana keeps them in checklist order
+                const result = await tasksApiInstance.createSubtaskForTask(
+                    { data: { name: item.name, completed: item.completed } },
+                    parentGid,
+                    { opt_fields: 'name,completed' }
+                );
+                subtask = result.data;
+                summary.created.push({ gid: subtask.gid, name: subtask.name });
+            }
+
+            ordered.push({ gid: subtask.gid, name: subtask.name });
+
+            if (item.children.length > 0) {
+                const children = matchIndex > -1 ? await listSubtasks(subtask.gid) : [];
+                await applyLevel(subtask.gid, item.children, children);
+            }
+        }
+
+        await reorder(parentGid, ordered);
+    }
+
+    try {
+        const existing = options.sync ? await listSubtasks(taskGid) : [];
+        await applyLevel(taskGid, items, existing);
+    } catch (error) {
+        console.error('Error applying subtask checklist:', error.response?.body || error.message);
+        throw error;
+    }
+
+    return summary;
+}
+
+/**
+ * Normalize a GID list given as an array or a comma-separated string
+ */
+function toGidList(gids) {
+    const list = Array.isArray(gids) ? gids : String(gids || '').split(',');
+    return list.map(gid => String(gid).trim()).filter(Boolean);
+}
+
+/**
+ * Fetch every page of a task's dependencies or dependents
+ */
+async function getDependencyList(tasksApiInstance, method, taskGid, options) {
+    const opts = {
+        opt_fields: options.opt_fields || 'name,completed,assignee.name,due_on',
+        limit: 100
+    };
+    let tasks = [];
+    let offset = null;
+
+    do {
+        const result = await tasksApiInstance[method](taskGid, opts);
+        tasks = tasks.concat(result.data);
+        offset = result._response?.next_page?.offset || null;
+        opts.offset = offset;
+    } while (offset);
+
+    return tasks;
+}
+
+/**
+ * Get the tasks a task depends on (the tasks blocking it)
+ * @param {Object} tasksApiInstance - Asana TasksApi instance
+ * @param {string} taskGid - The task GID
+ * @param {object} options - Optional parameters (opt_fields)
+ * @returns {Promise<Array>} Blocking tasks
+ */
+async function getDependencies(tasksApiInstance, taskGid, options = {}) {
+    try {
+        return await getDependencyList(tasksApiInstance, 'getDependenciesForTask', taskGid, options);
+    } catch (error) {
+        console.error('Error fetching dependencies:', error.response?.body || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Get the tasks that depend on a task (the tasks it is blocking)
+ * @param {Object} tasksApiInstance - Asana TasksApi instance
+ * @param {string} taskGid - The task GID
+ * @param {object} options - Optional parameters (opt_fields)
+ * @returns {Promise<Array>} Blocked tasks
+ */
+async function getDependents(tasksApiInstance, taskGid, options = {}) {
+    try {
+        return await getDependencyList(tasksApiInstance, 'getDependentsForTask', taskGid, options);
+    } catch (error) {
+        console.error('Error fetching dependents:', error.response?.body || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Mark a task as blocked by other tasks
+ * @param {Object} tasksApiInstance - Asana TasksApi instance
+ * @param {string} taskGid - The blocked task GID
+ * @param {Array|string} dependencyGids - GIDs of the blocking tasks (array or comma-separated)
+ * @returns {Promise<Object>} Empty result
+ */
+async function addDependencies(tasksApiInstance, taskGid, dependencyGids) {
+    try {
+        const result = await tasksApiInstance.addDependenciesForTask({ data: { dependencies: toGidList(dependencyGids) } }, taskGid);
+        return result.data;
+    } catch (error) {
+        console.error('Error adding dependencies:', error.response?.body || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Remove blocking tasks from a task
+ * @param {Object} tasksApiInstance - Asana TasksApi instance
+ * @param {string} taskGid - The blocked task GID
+ * @param {Array|string} dependencyGids - GIDs of the blocking tasks to remove (array or comma-separated)
+ * @returns {Promise<Object>} Empty result
+ */
+async function removeDependencies(tasksApiInstance, taskGid, dependencyGids) {
+    try {
+        const result = await tasksApiInstance.removeDependenciesForTask({ data: { dependencies: toGidList(dependencyGids) } }, taskGid);
+        return result.data;
+    } catch (error) {
+        console.error('Error removing dependencies:', error.response?.body || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Mark other tasks as blocked by a task
+ * @param {Object} tasksApiInstance - Asana TasksApi instance
+ * @param {string} taskGid - The blocking task GID
+ * @param {Array|string} dependentGids - GIDs of the blocked tasks (array or comma-separated)
+ * @returns {Promise<Object>} Empty result
+ */
+async function addDependents(tasksApiInstance, taskGid, dependentGids) {
+    try {
+        const result = await tasksApiInstance.addDependentsForTask({ data: { dependents: toGidList(dependentGids) } }, taskGid);
+        return result.data;
+    } catch (error) {
+        console.error('Error adding dependents:', error.response?.body || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Stop a task from blocking other tasks
+ * @param {Object} tasksApiInstance - Asana TasksApi instance
+ * @param {string} taskGid - The blocking task GID
+ * @param {Array|string} dependentGids - GIDs of the blocked tasks to remove (array or comma-separated)
+ * @returns {Promise<Object>} Empty result
+ */
+async function removeDependents(tasksApiInstance, taskGid, dependentGids) {
+    try {
+        const result = await tasksApiInstance.removeDependentsForTask({ data: { dependents: toGidList(dependentGids) } }, taskGid);
+        return result.data;
+    } catch (error) {
+        console.error('Error removing dependents:', error.response?.body || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Add followers (collaborators) to a task
+ * @param {Object} tasksApiInstance - Asana TasksApi instance
+ * @param {string} taskGid - The task GID
+ * @param {Array|string} userGids - User GIDs or "me" (array or comma-separated); see resolveUserGids() for emails
+ * @returns {Promise<Object>} Task with its updated followers (name, gid)
+ */
+async function addFollowers(tasksApiInstance, taskGid, userGids) {
+    try {
+        const result = await tasksApiInstance.addFollowersForTask({ data: { followers: toGidList(userGids) } }, taskGid, { opt_fields: 'name,followers.name,followers.gid' });
+        return result.data;
+    } catch (error) {
+        console.error('Error adding followers:', error.response?.body || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Remove followers from a task
+ * @param {Object} tasksApiInstance - Asana TasksApi instance
+ * @param {string} taskGid - The task GID
+ * @param {Array|string} userGids - User GIDs or "me" (array or comma-separated)
+ * @returns {Promise<Object>} Task with its remaining followers (name, gid)
+ */
+async function removeFollowers(tasksApiInstance, taskGid, userGids) {
+    try {
+        const result = await tasksApiInstance.removeFollowerForTask({ data: { followers: toGidList(userGids) } }, taskGid, { opt_fields: 'name,followers.name,followers.gid' });
+        return result.data;
+    } catch (error) {
+        console.error('Error removing followers:', error.response?.body || error.message);
+        throw error;
+    }
+}
+
 /**
  * Get stories (comments, updates) for a task
  * @param {Object} storiesApiInstance - Asana StoriesApi instance
@@ -132,7 +481,6 @@ async function addTaskComment(storiesApiInstance, taskGid, commentData, options
         // Handle markdown conversion
         const processedData = { ...commentData };
         if (processedData.text && convertMarkdown) {
-            const { prepareTaskUpdates } = require('./markdown');
             const processed = prepareTaskUpdates({ notes: processedData.text }, convertMarkdown);
 
             if (processed.html_notes) {
@@ -170,7 +518,6 @@ async function createTask(tasksApiInstance, taskData, options = {}) {
         // Auto-convert markdown if requested and notes field is present
         if (options.convertMarkdown && processedTaskData.notes) {
             console.error('[DEBUG] Converting markdown for create, notes length:', processedTaskData.notes.length);
-            const { prepareTaskUpdates } = require('./markdown');
             const converted = prepareTaskUpdates({ notes: processedTaskData.notes });
             
             if (converted.html_notes) {
@@ -196,6 +543,72 @@ async function createTask(tasksApiInstance, taskData, options = {}) {
     }
 }
 
+/**
+ * Delete a task
+ * The task (and its subtasks) goes to the trash, where it can be restored for 30 days.
+ * @param {Object} tasksApiInstance - Asana TasksApi instance
+ * @param {string} taskGid - The task GID
+ * @returns {Promise<Object>} Empty result
+ */
+async function deleteTask(tasksApiInstance, taskGid) {
+    try {
+        const result = await tasksApiInstance.deleteTask(taskGid);
+        return result.data;
+    } catch (error) {
+        console.error('Error deleting task:', error.response?.body || error.message);
+        throw error;
+    }
+}
+
+// What Asana can copy when duplicating a task
+const DUPLICATE_INCLUDE_OPTIONS = ['assignee', 'attachments', 'dates', 'dependencies', 'followers', 'notes', 'parent', 'projects', 'subtasks', 'tags'];
+
+/**
+ * Duplicate a task and wait for the copy to be created
+ * Asana duplicates asynchronously: the endpoint returns a job, which is polled until it
+ * succeeds or fails.
+ * @param {Object} tasksApiInstance - Asana TasksApi instance
+ * @param {Object} jobsApiInstance - Asana JobsApi instance
+ * @param {string} taskGid - The task GID to copy
+ * @param {Object} options - Duplicate options
+ * @param {string} options.name - Name of the copy (default: "Copy of <name>")
+ * @param {Array|string} options.include - What to copy (array or comma-separated, see
+ *                                         DUPLICATE_INCLUDE_OPTIONS; default: everything)
+ * @param {number} options.pollIntervalMs - Delay between job polls (default: 1000)
+ * @param {number} options.timeoutMs - Give up waiting after this long (default: 120000)
+ * @param {Function} logFn - Optional logging function (level, message, data)
+ * @returns {Promise<Object>} The new task ({ gid, name })
+ */
+async function duplicateTask(tasksApiInstance, jobsApiInstance, taskGid, options = {}, logFn = null) {
+    const include = options.include ? toGidList(options.include) : DUPLICATE_INCLUDE_OPTIONS;
+    const unknown = include.filter(option => !DUPLICATE_INCLUDE_OPTIONS.includes(option));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown include option(s): ${unknown.join(', ')}. Valid options: ${DUPLICATE_INCLUDE_OPTIONS.join(', ')}`);
+    }
+
+    try {
+        let name = options.name;
+        if (!name) {
+            const original = await tasksApiInstance.getTask(taskGid, { opt_fields: 'name' });
+            name = `Copy of ${original.data.name}`;
+        }
+
+        const opt_fields = 'status,new_task.name,new_task.gid';
+        const result = await tasksApiInstance.duplicateTask({ data: { name, include: include.join(',') } }, taskGid, { opt_fields });
+        const job = await waitForJob(jobsApiInstance, result.data, {
+            opt_fields,
+            description: `Duplicating task ${taskGid}`,
+            pollIntervalMs: options.pollIntervalMs,
+            timeoutMs: options.timeoutMs
+        }, logFn);
+
+        return job.new_task;
+    } catch (error) {
+        console.error('Error duplicating task:', error.response?.body || error.message);
+        throw error;
+    }
+}
+
 /**
  * Update a task
  * @param {Object} tasksApiInstance - Asana TasksApi instance
@@ -211,7 +624,6 @@ async function updateTask(tasksApiInstance, taskGid, updates, options = {}) {
         // Auto-convert markdown if requested and notes field is present
         if (options.convertMarkdown && processedUpdates.notes) {
             console.error('[DEBUG] Converting markdown, notes length:', processedUpdates.notes.length);
-            const { prepareTaskUpdates } = require('./markdown');
             processedUpdates = prepareTaskUpdates(processedUpdates);
             console.error('[DEBUG] After conversion, html_notes exists:', !!processedUpdates.html_notes);
             if (processedUpdates.html_notes) {
@@ -362,6 +774,13 @@ async function searchTasks(tasksApiInstance, searchOptions = {}, logFn = null) {
             }
         });
 
+        // Custom field filters: custom_fields.<gid>.<operator> (see resolveCustomFieldFilters)
+        Object.keys(searchOptions)
+            .filter(key => /^custom_fields\.\d+\.(value|is_set|less_than|greater_than|starts_with|ends_with|contains)$/.test(key))
+            .forEach(key => {
+                apiOptions[key] = searchOptions[key];
+            });
+
         // Remove undefined values
         Object.keys(apiOptions).forEach(key =>
             apiOptions[key] === undefined && delete apiOptions[key]
@@ -823,17 +1242,70 @@ async function getTasksForProject(tasksApiInstance, projectGid, options = {}, lo
     return allTasks;
 }
 
+/**
+ * Read task GIDs from saved search results
+ * Accepts the files search_tasks writes with output_file: a JSON array, newline-delimited
+ * JSON, CSV or a markdown table (GID in the first column). Duplicates are dropped.
+ * @param {string} filePath - Path of the saved results
+ * @returns {Array} Task GIDs in file order
+ * @throws {Error} If the file is missing or contains no task GIDs
+ */
+function readTaskGidsFromFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`File not found: ${filePath}`);
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8').trim();
+    let gids = [];
+    if (content.startsWith('[')) {
+        gids = JSON.parse(content).map(task => String(task.gid || ''));
+    } else {
+        for (const line of content.split('\n')) {
+            const trimmed = line.trim();
+            if (trimmed.startsWith('{')) {
+                gids.push(String(JSON.parse(trimmed).gid || ''));
+                continue;
+            }
+            const match = trimmed.match(/^\|?\s*(\d+)\s*(?:[,|]|$)/);
+            if (match) {
+                gids.push(match[1]);
+            }
+        }
+    }
+
+    gids = [...new Set(gids.filter(gid => /^\d+$/.test(gid)))];
+    if (gids.length === 0) {
+        throw new Error(`No task GIDs found in ${filePath}`);
+    }
+    return gids;
+}
+
 module.exports = {
     getTasksForUser,
     getTask,
+    getSubtaskTree,
+    applySubtaskChecklist,
+    orderSubtasks,
+    getDependencies,
+    getDependents,
+    addDependencies,
+    removeDependencies,
+    addDependents,
+    removeDependents,
+    addFollowers,
+    removeFollowers,
     getTaskStories,
     addTaskComment,
     createTask,
     updateTask,
+    deleteTask,
+    duplicateTask,
+    DUPLICATE_INCLUDE_OPTIONS,
     addTaskToProject,
     removeTaskFromProject,
     searchTasks,
     displaySearchedTasks,
     extractAsanaTaskId,
+    readTaskGidsFromFile,
     getTasksForProject
 };
@@ -0,0 +1,778 @@
+/**
+ * Project templates and blueprints
+ *
+ * Projects can be created from Asana project templates (instantiated server-side, with
+ * date variables and roles) or from local blueprint files: YAML or JSON describing
+ * sections, tasks, subtasks, assignees and due dates relative to a start date.
+ *
+ *   name: Sprint release
+ *   view: board
+ *   notes: |
+ *     Release checklist (markdown)
+ *   custom_fields: [Priority]  # fields added to the project
+ *   sections:
+ *     - name: Prepare
+ *       tasks:
+ *         - name: Freeze release branch
+ *           assignee: me
+ *           due: 3            # days after the start date (+N, -N, Nd or Nw)
+ *           custom_fields:
+ *             Priority: High
+ *           subtasks:
+ *             - Tag the build
+ *   tasks:                    # tasks above the first section
+ *     - Retrospective
+ *
+ * exportBlueprint writes the same format from an existing project.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { getWorkspaceCustomFields, findCustomField, resolveCustomFieldValues, addCustomFieldToProject,
+    CUSTOM_FIELD_FIELDS, CUSTOM_FIELD_VALUE_FIELDS, customFieldValue } = require('./custom-fields');
+const { createProject, getSections, createSection, clearCache } = require('./projects');
+const { createTask, addTaskToProject, orderSubtasks, getTasksForProject, getSubtaskTree } = require('./tasks');
+const { resolveUserGids } = require('./users');
+const { waitForJob } = require('./jobs');
+const { markdownToAsanaHtml } = require('./markdown');
+const { convertHtmlToMarkdown } = require('./display');
+const { localDate, dueDate } = require('./graph');
+
+// Name Asana gives the section every new project starts with
+const DEFAULT_SECTION_NAME = 'Untitled section';
+
+// Tasks exportBlueprint reads by default (the file-output default of search_tasks and get_project_tasks)
+const DEFAULT_EXPORT_LIMIT = 1000;
+
+const TEMPLATE_FIELDS = 'name,gid,description,team.name,requested_dates.name,requested_dates.description,requested_roles.name';
+
+const PROJECT_KEYS = ['name', 'team', 'notes', 'view', 'color', 'due', 'start', 'due_on', 'start_on', 'custom_fields', 'sections', 'tasks'];
+const SECTION_KEYS = ['name', 'tasks'];
+const TASK_KEYS = ['name', 'notes', 'assignee', 'due', 'start', 'due_on', 'start_on', 'custom_fields', 'subtasks'];
+
+/**
+ * List project templates in a workspace or team
+ * @param {Object} projectTemplatesApiInstance - Asana ProjectTemplatesApi instance
+ * @param {Object} options - Where to look (one of workspace/team)
+ * @param {string} options.workspace - Workspace GID
+ * @param {string} options.team - Team GID (takes precedence over workspace)
+ * @returns {Promise<Array>} Templates with their requested dates and roles
+ */
+async function listProjectTemplates(projectTemplatesApiInstance, options = {}) {
+    try {
+        const opts = { limit: 100, opt_fields: TEMPLATE_FIELDS };
+        if (options.team) {
+            opts.team = options.team;
+        } else {
+            opts.workspace = options.workspace;
+        }
+
+        let allTemplates = [];
+        let offset = null;
+
+        do {
+            if (offset) {
+                opts.offset = offset;
+            }
+
+            const result = await projectTemplatesApiInstance.getProjectTemplates(opts);
+            allTemplates = allTemplates.concat(result.data);
+
+            offset = result._response?.next_page?.offset || null;
+        } while (offset);
+
+        return allTemplates;
+    } catch (error) {
+        console.error('Error fetching project templates:', error.response?.body || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Resolve a project template name to its GID
+ * Numeric values are taken as GIDs; names match case-insensitively.
+ * @param {Object} projectTemplatesApiInstance - Asana ProjectTemplatesApi instance
+ * @param {string} template - Template name or GID
+ * @param {Object} options - Where to look up names (workspace/team, see listProjectTemplates)
+ * @returns {Promise<string>} Template GID
+ * @throws {Error} If the name matches no template or several templates
+ */
+async function resolveProjectTemplateGid(projectTemplatesApiInstance, template, options = {}) {
+    const value = String(template).trim();
+    if (/^\d+$/.test(value)) {
+        return value;
+    }
+
+    const templates = await listProjectTemplates(projectTemplatesApiInstance, options);
+    const matches = templates.filter(t => t.name.toLowerCase() === value.toLowerCase());
+    if (matches.length === 0) {
+        throw new Error(`Project template not found: "${value}". Available templates: ${templates.map(t => t.name).join(', ') || 'none'}`);
+    }
+    if (matches.length > 1) {
+        throw new Error(`Project template name "${value}" is ambiguous (${matches.map(t => t.gid).join(', ')}); use a GID`);
+    }
+    return matches[0].gid;
+}
+
+/**
+ * Match "name → value" pairs against a template's requested dates or roles
+ * Keys can be the variable's name (case-insensitive) or GID.
+ */
+function matchRequested(requested, values, kind) {
+    return Object.entries(values || {}).map(([key, value]) => {
+        const match = requested.find(item => item.gid === key || item.name.toLowerCase() === key.toLowerCase());
+        if (!match) {
+            throw new Error(`Template has no ${kind} "${key}". Available: ${requested.map(item => item.name).join(', ') || 'none'}`);
+        }
+        return { gid: match.gid, value };
+    });
+}
+
+/**
+ * Create a project from an Asana project template
+ * Instantiation runs as a job, which is polled until the project exists.
+ * @param {Object} projectTemplatesApiInstance - Asana ProjectTemplatesApi instance
+ * @param {Object} jobsApiInstance - Asana JobsApi instance
+ * @param {Object} usersApiInstance - Asana UsersApi instance (to resolve role assignees)
+ * @param {string} templateGid - Project template GID
+ * @param {Object} options - Instantiation options
+ * @param {string} options.name - Name of the new project (required)
+ * @param {string} options.team - Team GID (default: the template's team)
+ * @param {Object} options.dates - Date variable name/GID → YYYY-MM-DD; every variable is required
+ * @param {Object} options.roles - Role name/GID → user GID, "me" or email
+ * @param {Function} logFn - Optional logging function (level, message, data)
+ * @returns {Promise<Object>} The new project ({ gid, name, permalink_url })
+ */
+async function instantiateProjectTemplate(projectTemplatesApiInstance, jobsApiInstance, usersApiInstance, templateGid, options = {}, logFn = null) {
+    if (!options.name) {
+        throw new Error('A name for the new project is required');
+    }
+
+    let template;
+    try {
+        template = (await projectTemplatesApiInstance.getProjectTemplate(templateGid, { opt_fields: TEMPLATE_FIELDS })).data;
+    } catch (error) {
+        console.error('Error fetching project template:', error.response?.body || error.message);
+        throw error;
+    }
+
+    const requestedDates = matchRequested(template.requested_dates || [], options.dates, 'date variable');
+    requestedDates.forEach(({ value }) => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            throw new Error(`Invalid date "${value}" (expected YYYY-MM-DD)`);
+        }
+    });
+    const missing = (template.requested_dates || []).filter(date => !requestedDates.some(d => d.gid === date.gid));
+    if (missing.length > 0) {
+        throw new Error(`Template "${template.name}" needs values for: ${missing.map(date => date.name).join(', ')}`);
+    }
+
+    const requestedRoles = matchRequested(template.requested_roles || [], options.roles, 'role');
+    const roleUsers = await resolveUserGids(usersApiInstance, requestedRoles.map(role => role.value));
+    requestedRoles.forEach((role, index) => {
+        role.value = roleUsers[index];
+    });
+
+    const data = { name: options.name, requested_dates: requestedDates, requested_roles: requestedRoles };
+    const team = options.team || template.team?.gid;
+    if (team) {
+        data.team = team;
+    }
+
+    try {
+        const opt_fields = 'status,new_project.name,new_project.gid,new_project.permalink_url';
+        const result = await projectTemplatesApiInstance.instantiateProject(templateGid, { body: { data }, opt_fields });
+        const job = await waitForJob(jobsApiInstance, result.data, {
+            opt_fields,
+            description: `Creating a project from template "${template.name}"`
+        }, logFn);
+
+        // The project list changed
+        clearCache();
+        return job.new_project;
+    } catch (error) {
+        console.error('Error instantiating project template:', error.response?.body || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Turn a relative date (number of days, "+N", "-N", "Nd" or "Nw") into a date
+ * @param {*} value - Relative offset
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} where - Location for error messages
+ * @returns {string} YYYY-MM-DD
+ */
+function resolveRelativeDate(value, startDate, where) {
+    const match = String(value).trim().match(/^([-+]?\d+)\s*([dw])?$/i);
+    if (!match) {
+        throw new Error(`${where}: invalid relative date "${value}" (use a number of days, e.g. 3, -2, 2w)`);
+    }
+    const days = Number(match[1]) * (match[2]?.toLowerCase() === 'w' ? 7 : 1);
+    const date = new Date(`${startDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Check an object only uses known keys
+ */
+function checkKeys(object, allowed, where) {
+    const unknown = Object.keys(object).filter(key => !allowed.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`${where}: unknown field(s) ${unknown.join(', ')} (allowed: ${allowed.join(', ')})`);
+    }
+}
+
+/**
+ * Resolve due/start (relative) and due_on/start_on (absolute) of a blueprint item
+ */
+function blueprintDates(item, startDate, where) {
+    if (item.due !== undefined && item.due_on !== undefined) {
+        throw new Error(`${where}: use either due or due_on, not both`);
+    }
+    if (item.start !== undefined && item.start_on !== undefined) {
+        throw new Error(`${where}: use either start or start_on, not both`);
+    }
+
+    const dates = {};
+    for (const [relative, absolute] of [['due', 'due_on'], ['start', 'start_on']]) {
+        if (item[relative] !== undefined && item[relative] !== null) {
+            dates[absolute] = resolveRelativeDate(item[relative], startDate, `${where}.${relative}`);
+        } else if (item[absolute]) {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(String(item[absolute]))) {
+                throw new Error(`${where}.${absolute}: invalid date "${item[absolute]}" (expected YYYY-MM-DD)`);
+            }
+            dates[absolute] = String(item[absolute]);
+        }
+    }
+
+    // Asana rejects a start date without a due date, or after it
+    if (dates.start_on && !dates.due_on) {
+        throw new Error(`${where}: a start date needs a due date`);
+    }
+    if (dates.start_on && dates.start_on > dates.due_on) {
+        throw new Error(`${where}: start date ${dates.start_on} is after due date ${dates.due_on}`);
+    }
+    return dates;
+}
+
+/**
+ * Normalize a blueprint task (a name or an object) and its subtasks
+ * Custom field values are only allowed on tasks in the project: subtasks don't have
+ * the project's fields.
+ */
+function normalizeBlueprintTask(task, startDate, where, isSubtask = false) {
+    if (typeof task === 'string' || typeof task === 'number') {
+        return { name: String(task), dates: {}, customFields: {}, subtasks: [], where };
+    }
+    if (!task || typeof task !== 'object' || Array.isArray(task)) {
+        throw new Error(`${where}: expected a task name or an object with a name`);
+    }
+    checkKeys(task, TASK_KEYS, where);
+    if (!task.name) {
+        throw new Error(`${where}: name is required`);
+    }
+    if (task.subtasks !== undefined && task.subtasks !== null && !Array.isArray(task.subtasks)) {
+        throw new Error(`${where}.subtasks: expected a list`);
+    }
+    if (task.custom_fields !== undefined && task.custom_fields !== null) {
+        if (typeof task.custom_fields !== 'object' || Array.isArray(task.custom_fields)) {
+            throw new Error(`${where}.custom_fields: expected field names with values`);
+        }
+        if (isSubtask) {
+            throw new Error(`${where}.custom_fields: custom fields can only be set on tasks in the project, not on subtasks`);
+        }
+    }
+
+    return {
+        name: String(task.name),
+        notes: task.notes === undefined || task.notes === null ? undefined : String(task.notes),
+        assignee: task.assignee === undefined || task.assignee === null ? undefined : String(task.assignee),
+        dates: blueprintDates(task, startDate, where),
+        customFields: task.custom_fields || {},
+        subtasks: (task.subtasks || []).map((subtask, index) => normalizeBlueprintTask(subtask, startDate, `${where}.subtasks[${index}]`, true)),
+        where
+    };
+}
+
+/**
+ * Read a blueprint file
+ * .json files are parsed as JSON, .yaml/.yml as YAML; other extensions try JSON first.
+ * @param {string} filePath - Blueprint path
+ * @returns {Object} Raw blueprint data
+ * @throws {Error} If the file is missing or cannot be parsed
+ */
+function loadBlueprint(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Blueprint not found: ${filePath}`);
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    const ext = path.extname(filePath).toLowerCase();
+    let blueprint;
+    try {
+        if (ext === '.json' || (!['.yaml', '.yml'].includes(ext) && content.trim().startsWith('{'))) {
+            blueprint = JSON.parse(content);
+        } else {
+            blueprint = YAML.parse(content);
+        }
+    } catch (error) {
+        throw new Error(`Could not parse blueprint ${filePath}: ${error.message}`);
+    }
+
+    if (!blueprint || typeof blueprint !== 'object' || Array.isArray(blueprint)) {
+        throw new Error(`Blueprint ${filePath} must contain an object with sections and/or tasks`);
+    }
+    return blueprint;
+}
+
+/**
+ * Serialize a blueprint for writing to a file
+ * @param {Object} blueprint - Blueprint from exportBlueprint()
+ * @param {string} format - 'yaml' (default) or 'json'
+ * @returns {string} File contents
+ */
+function stringifyBlueprint(blueprint, format = 'yaml') {
+    if (format === 'json') {
+        return `${JSON.stringify(blueprint, null, 2)}\n`;
+    }
+    // lineWidth 0 keeps long names and notes on one line instead of folding them
+    return YAML.stringify(blueprint, { lineWidth: 0 });
+}
+
+/**
+ * Validate a blueprint and resolve its dates
+ * @param {Object} blueprint - Raw blueprint (see loadBlueprint)
+ * @param {Object} options - Overrides
+ * @param {string} options.name - Project name (overrides the blueprint's name)
+ * @param {string} options.startDate - Date relative dates count from (YYYY-MM-DD, default: today in local time)
+ * @returns {Object} { name, team, notes, view, color, dates, customFields, sections: [{ name, tasks }], tasks }
+ * @throws {Error} Naming the offending field, before anything is created
+ */
+function normalizeBlueprint(blueprint, options = {}) {
+    const startDate = options.startDate || localDate();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate)) {
+        throw new Error(`Invalid start date "${startDate}" (expected YYYY-MM-DD)`);
+    }
+
+    checkKeys(blueprint, PROJECT_KEYS, 'blueprint');
+    const name = options.name || blueprint.name;
+    if (!name) {
+        throw new Error('blueprint: a project name is required (set "name" or pass one)');
+    }
+    for (const key of ['custom_fields', 'sections', 'tasks']) {
+        if (blueprint[key] !== undefined && blueprint[key] !== null && !Array.isArray(blueprint[key])) {
+            throw new Error(`blueprint.${key}: expected a list`);
+        }
+    }
+
+    const sections = (blueprint.sections || []).map((section, index) => {
+        const where = `sections[${index}]`;
+        if (typeof section === 'string') {
+            return { name: section, tasks: [] };
+        }
+        if (!section || typeof section !== 'object' || Array.isArray(section)) {
+            throw new Error(`${where}: expected a section name or an object with a name`);
+        }
+        checkKeys(section, SECTION_KEYS, where);
+        if (!section.name) {
+            throw new Error(`${where}: name is required`);
+        }
+        if (section.tasks !== undefined && section.tasks !== null && !Array.isArray(section.tasks)) {
+            throw new Error(`${where}.tasks: expected a list`);
+        }
+        return {
+            name: String(section.name),
+            tasks: (section.tasks || []).map((task, taskIndex) => normalizeBlueprintTask(task, startDate, `${where}.tasks[${taskIndex}]`))
+        };
+    });
+
+    return {
+        name: String(name),
+        team: blueprint.team ? String(blueprint.team) : undefined,
+        notes: blueprint.notes === undefined || blueprint.notes === null ? undefined : String(blueprint.notes),
+        view: blueprint.view || undefined,
+        color: blueprint.color || undefined,
+        dates: blueprintDates(blueprint, startDate, 'blueprint'),
+        customFields: (blueprint.custom_fields || []).map(String),
+        sections,
+        tasks: (blueprint.tasks || []).map((task, index) => normalizeBlueprintTask(task, startDate, `tasks[${index}]`))
+    };
+}
+
+/**
+ * Create a project from a blueprint
+ * The blueprint is validated and every assignee and custom field value resolved before
+ * anything is created. Tasks are created with createTask and placed with addTaskToProject,
+ * in blueprint order; subtasks are reordered with orderSubtasks afterwards. Top-level
+ * `tasks` go into the project's default (untitled) section, above the blueprint's sections.
+ * @param {Object} apiInstances - API instances from createClient (projects, sections, tasks, users, custom fields)
+ * @param {string} workspace - Workspace GID
+ * @param {Object} blueprint - Raw blueprint (see loadBlueprint)
+ * @param {Object} options - Creation options
+ * @param {string} options.name - Project name (overrides the blueprint's name)
+ * @param {string} options.team - Team GID (overrides the blueprint's team)
+ * @param {string} options.startDate - Date relative dates count from (YYYY-MM-DD, default: today in local time)
+ * @param {Function} logFn - Optional logging function (level, message, data)
+ * @returns {Promise<Object>} { project, sections: [{ gid, name, tasks: [{ gid, name, url }] }],
+ *                            tasks, taskSection: { gid, name } (where top-level tasks went, or null), subtaskCount }
+ * @throws {Error} If creation fails part-way, naming the incomplete project
+ */
+async function createProjectFromBlueprint(apiInstances, workspace, blueprint, options = {}, logFn = null) {
+    const { projectsApiInstance, sectionsApiInstance, tasksApiInstance, usersApiInstance, customFieldsApiInstance } = apiInstances;
+
+    const plan = normalizeBlueprint(blueprint, options);
+
+    // Resolve every assignee up front so a typo doesn't leave a half-built project
+    const allTasks = [];
+    const collect = task => {
+        allTasks.push(task);
+        task.subtasks.forEach(collect);
+    };
+    plan.sections.forEach(section => section.tasks.forEach(collect));
+    plan.tasks.forEach(collect);
+    const assignees = [...new Set(allTasks.map(task => task.assignee).filter(Boolean))];
+    const assigneeGids = new Map();
+    if (assignees.length > 0) {
+        const gids = await resolveUserGids(usersApiInstance, assignees);
+        assignees.forEach((assignee, index) => assigneeGids.set(assignee, gids[index]));
+    }
+
+    // Custom fields are looked up in the workspace; task values must use the project's fields
+    let projectFields = [];
+    if (plan.customFields.length > 0) {
+        const workspaceFields = await getWorkspaceCustomFields(customFieldsApiInstance, workspace);
+        projectFields = plan.customFields.map((field, index) => {
+            try {
+                return findCustomField(workspaceFields, field);
+            } catch (error) {
+                throw new Error(`custom_fields[${index}]: ${error.message}`);
+            }
+        });
+    }
+    for (const task of allTasks) {
+        if (Object.keys(task.customFields).length === 0) {
+            continue;
+        }
+        if (projectFields.length === 0) {
+            throw new Error(`${task.where}.custom_fields: list the fields under the blueprint's custom_fields first`);
+        }
+        try {
+            task.customFieldValues = await resolveCustomFieldValues(projectFields, task.customFields, usersApiInstance);
+        } catch (error) {
+            throw new Error(`${task.where}.custom_fields: ${error.message}`);
+        }
+    }
+
+    const project = await createProject(projectsApiInstance, sectionsApiInstance, workspace, {
+        name: plan.name,
+        team: options.team || plan.team,
+        notes: plan.notes,
+        view: plan.view,
+        color: plan.color,
+        ...plan.dates,
+        // With top-level tasks the default section is kept for them (sections are added below)
+        sections: plan.sections.length > 0 && plan.tasks.length === 0 ? plan.sections.map(section => section.name) : undefined
+    });
+    if (logFn) {
+        logFn('info', 'Created project from blueprint', { project: project.gid, name: project.name });
+    }
+
+    const taskUrl = gid => `https://app.asana.com/0/${project.gid}/${gid}`;
+    const fail = error => new Error(`Project "${project.name}" (${project.gid}) was created but is incomplete: ${error.message}`);
+
+    try {
+        for (const field of projectFields) {
+            await addCustomFieldToProject(projectsApiInstance, project.gid, field.gid);
+        }
+    } catch (error) {
+        throw fail(error);
+    }
+
+    let subtaskCount = 0;
+
+    async function createBlueprintTask(task, placement) {
+        const taskData = { name: task.name, ...task.dates, ...placement };
+        if (task.notes) {
+            taskData.html_notes = markdownToAsanaHtml(task.notes);
+        }
+        if (task.assignee) {
+            taskData.assignee = assigneeGids.get(task.assignee);
+        }
+        if (task.customFieldValues) {
+            taskData.custom_fields = task.customFieldValues;
+        }
+        if (!placement.parent) {
+            taskData.workspace = workspace;
+        }
+        const created = await createTask(tasksApiInstance, taskData);
+
+        const subtaskGids = [];
+        for (const subtask of task.subtasks) {
+            subtaskGids.push((await createBlueprintTask(subtask, { parent: created.gid })).gid);
+            subtaskCount++;
+        }
+        await orderSubtasks(tasksApiInstance, created.gid, subtaskGids);
+        return { gid: created.gid, name: task.name, url: taskUrl(created.gid) };
+    }
+
+    try {
+        let projectSections = project.sections || [];
+        let taskSection = null;
+        if (plan.tasks.length > 0) {
+            const [defaultSection] = await getSections(sectionsApiInstance, project.gid, { opt_fields: 'name,gid' });
+            taskSection = defaultSection ? { gid: defaultSection.gid, name: defaultSection.name } : null;
+            projectSections = [];
+            let previous = defaultSection;
+            for (const section of plan.sections) {
+                previous = await createSection(sectionsApiInstance, project.gid, section.name, previous ? { after: previous.gid } : {});
+                projectSections.push({ gid: previous.gid, name: previous.name });
+            }
+        }
+
+        const tasks = [];
+        for (const task of plan.tasks) {
+            const created = await createBlueprintTask(task, { projects: [project.gid] });
+            if (taskSection) {
+                await addTaskToProject(tasksApiInstance, created.gid, project.gid, taskSection.gid);
+            }
+            tasks.push(created);
+        }
+
+        const sections = [];
+        for (const [index, section] of plan.sections.entries()) {
+            const sectionGid = projectSections[index].gid;
+            const tasks = [];
+            for (const task of section.tasks) {
+                const created = await createBlueprintTask(task, { projects: [project.gid] });
+                await addTaskToProject(tasksApiInstance, created.gid, project.gid, sectionGid);
+                tasks.push(created);
+            }
+            sections.push({ gid: sectionGid, name: section.name, tasks });
+        }
+
+        return {
+            project: { gid: project.gid, name: project.name, url: project.permalink_url },
+            sections,
+            tasks,
+            taskSection,
+            subtaskCount
+        };
+    } catch (error) {
+        throw fail(error);
+    }
+}
+
+/**
+ * Days from one YYYY-MM-DD date to another
+ */
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Export a project's structure as a blueprint
+ * Walks the project's sections, tasks (in project order) and subtasks; tasks in an
+ * "Untitled section" at the top become the blueprint's top-level tasks. Notes become
+ * markdown, assignees emails, and dates offsets in days from the anchor date, so that
+ * createProjectFromBlueprint with that anchor as start date recreates the schedule.
+ * Completion, comments and attachments are not exported.
+ * @param {Object} apiInstances - API instances from createClient (projects, sections, tasks)
+ * @param {string} projectGid - Project GID
+ * @param {Object} options - Export options
+ * @param {string} options.anchor - Date offsets count from (YYYY-MM-DD; default: the project's
+ *                                  start date, else its earliest task date)
+ * @param {number} options.depth - Subtask levels to include (default: 5, 0 for none)
+ * @param {number} options.limit - Maximum number of tasks to export, not counting subtasks
+ *                                 (default: 1000, like the other list commands writing files)
+ * @param {Function} logFn - Optional logging function (level, message, data)
+ * @returns {Promise<Object>} { blueprint, anchor, taskCount, subtaskCount, truncated }
+ *                            (truncated: the project has more tasks than the limit)
+ */
+async function exportBlueprint(apiInstances, projectGid, options = {}, logFn = null) {
+    const { projectsApiInstance, sectionsApiInstance, tasksApiInstance } = apiInstances;
+
+    if (options.anchor && !/^\d{4}-\d{2}-\d{2}$/.test(options.anchor)) {
+        throw new Error(`Invalid anchor date "${options.anchor}" (expected YYYY-MM-DD)`);
+    }
+    const limit = options.limit ?? DEFAULT_EXPORT_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new Error(`Invalid limit "${options.limit}" (expected a positive whole number)`);
+    }
+    const depth = options.depth ?? 5;
+    if (!Number.isInteger(depth) || depth < 0) {
+        throw new Error(`Invalid depth "${options.depth}" (expected a whole number, 0 for no subtasks)`);
+    }
+
+    let project;
+    try {
+        const fieldSettings = CUSTOM_FIELD_FIELDS.split(',').map(field => `custom_field_settings.custom_field.${field}`);
+        const opt_fields = ['name', 'html_notes', 'default_view', 'color', 'due_on', 'start_on', 'team.gid', ...fieldSettings].join(',');
+        project = (await projectsApiInstance.getProject(projectGid, { opt_fields })).data;
+    } catch (error) {
+        console.error('Error fetching project:', error.response?.body || error.message);
+        throw error;
+    }
+
+    const taskFields = ['name', 'html_notes', 'assignee.gid', 'assignee.email', 'due_on', 'due_at', 'start_on'];
+    const sections = await getSections(sectionsApiInstance, projectGid, { opt_fields: 'name,gid' });
+    // One task past the limit tells whether the export is complete
+    const tasks = await getTasksForProject(tasksApiInstance, projectGid, {
+        fields: [...taskFields, 'num_subtasks', 'memberships.project.gid', 'memberships.section.gid', ...CUSTOM_FIELD_VALUE_FIELDS],
+        maxResults: limit + 1
+    }, logFn);
+    const truncated = tasks.length > limit;
+    if (truncated) {
+        tasks.length = limit;
+        if (logFn) {
+            logFn('warn', 'Blueprint export stopped at the task limit', { project: projectGid, limit });
+        }
+    }
+
+    let subtaskCount = 0;
+    const countSubtasks = nodes => nodes.forEach(node => {
+        subtaskCount++;
+        countSubtasks(node.subtasks);
+    });
+    for (const task of tasks) {
+        task.subtasks = task.num_subtasks === 0 || depth === 0
+            ? []
+            : await getSubtaskTree(tasksApiInstance, task.gid, { depth, opt_fields: taskFields.join(',') });
+        countSubtasks(task.subtasks);
+    }
+    if (logFn) {
+        logFn('info', 'Exporting blueprint', { project: projectGid, sections: sections.length, tasks: tasks.length, subtasks: subtaskCount });
+    }
+
+    // Anchor: the project's start date, else the earliest date anywhere in the project
+    // (due dates with a time count on their local calendar day)
+    let anchor = options.anchor || project.start_on || null;
+    if (!anchor) {
+        const dates = [];
+        const collectDates = task => {
+            dates.push(task.start_on, dueDate(task));
+            (task.subtasks || []).forEach(collectDates);
+        };
+        tasks.forEach(collectDates);
+        dates.push(project.due_on);
+        anchor = dates.filter(Boolean).sort()[0] || null;
+    }
+
+    // Only fields set up on the project are exported (values of others can't be replayed)
+    const projectFields = (project.custom_field_settings || []).map(setting => setting.custom_field);
+
+    function blueprintTask(task) {
+        const entry = { name: task.name };
+        const notes = convertHtmlToMarkdown(task.html_notes);
+        if (notes) {
+            entry.notes = notes;
+        }
+        if (task.assignee) {
+            entry.assignee = task.assignee.email || task.assignee.gid;
+        }
+        if (task.start_on) {
+            entry.start = daysBetween(anchor, task.start_on);
+        }
+        if (dueDate(task)) {
+            entry.due = daysBetween(anchor, dueDate(task));
+        }
+
+        const values = {};
+        (task.custom_fields || []).forEach(field => {
+            const value = customFieldValue(field);
+            if (value !== null && projectFields.some(f => f.gid === field.gid)) {
+                values[field.name] = value;
+            }
+        });
+        if (Object.keys(values).length > 0) {
+            entry.custom_fields = values;
+        }
+
+        if (task.subtasks?.length > 0) {
+            entry.subtasks = task.subtasks.map(blueprintTask);
+        }
+        // A bare name reads best for simple tasks
+        return Object.keys(entry).length === 1 ? task.name : entry;
+    }
+
+    const sectionOf = task => task.memberships?.find(m => m.project?.gid === projectGid)?.section?.gid;
+    const blueprint = { name: project.name };
+    if (project.team?.gid) {
+        blueprint.team = project.team.gid;
+    }
+    const projectNotes = convertHtmlToMarkdown(project.html_notes);
+    if (projectNotes) {
+        blueprint.notes = projectNotes;
+    }
+    if (project.default_view) {
+        blueprint.view = project.default_view;
+    }
+    if (project.color && project.color !== 'none') {
+        blueprint.color = project.color;
+    }
+    if (project.start_on) {
+        blueprint.start = daysBetween(anchor, project.start_on);
+    }
+    if (project.due_on) {
+        blueprint.due = daysBetween(anchor, project.due_on);
+    }
+    if (projectFields.length > 0) {
+        blueprint.custom_fields = projectFields.map(field => field.name);
+    }
+    // An untitled first section holds what blueprints call top-level tasks
+    const [defaultSection] = sections;
+    const namedSections = defaultSection?.name === DEFAULT_SECTION_NAME ? sections.slice(1) : sections;
+    blueprint.sections = namedSections.map(section => ({
+        name: section.name,
+        tasks: tasks.filter(task => sectionOf(task) === section.gid).map(blueprintTask)
+    }));
+    const unsectioned = tasks.filter(task => !namedSections.some(section => section.gid === sectionOf(task)));
+    if (unsectioned.length > 0) {
+        blueprint.tasks = unsectioned.map(blueprintTask);
+    }
+
+    return { blueprint, anchor, taskCount: tasks.length, subtaskCount, truncated };
+}
+
+/**
+ * Display project templates
+ * @param {Array} templates - Templates from listProjectTemplates
+ * @param {Object} displayOptions - Display configuration
+ * @param {string} displayOptions.format - Output format: 'list' (default), 'json'
+ */
+function displayProjectTemplates(templates, displayOptions = {}) {
+    if (!templates || templates.length === 0) {
+        console.log('No project templates found.');
+        return;
+    }
+
+    if (displayOptions.format === 'json') {
+        console.log(JSON.stringify(templates, null, 2));
+        return;
+    }
+
+    console.log(`Found ${templates.length} project template(s):\n`);
+    templates.forEach((template, index) => {
+        console.log(`${index + 1}. ${template.name} (${template.gid})${template.team?.name ? ` - ${template.team.name}` : ''}`);
+        (template.requested_dates || []).forEach(date => {
+            console.log(`   date: ${date.name}${date.description ? ` - ${date.description}` : ''}`);
+        });
+        (template.requested_roles || []).forEach(role => {
+            console.log(`   role: ${role.name}`);
+        });
+    });
+}
+
+module.exports = {
+    listProjectTemplates,
+    resolveProjectTemplateGid,
+    instantiateProjectTemplate,
+    loadBlueprint,
+    stringifyBlueprint,
+    normalizeBlueprint,
+    createProjectFromBlueprint,
+    exportBlueprint,
+    displayProjectTemplates
+};
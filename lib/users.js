@@ -33,7 +33,43 @@ async function getUser(usersApiInstance, userGid) {
     }
 }
 
+/**
+ * Resolve user references to GIDs
+ * Accepts GIDs, "me" (kept as is - the API understands it) and email addresses,
+ * which are looked up through the users API.
+ * @param {Object} usersApiInstance - Asana UsersApi instance
+ * @param {string|Array} users - User references (array or comma-separated string)
+ * @returns {Promise<Array>} User GIDs (or "me") in the given order
+ * @throws {Error} If a value is not a GID, "me" or an email, or an email matches no user
+ */
+async function resolveUserGids(usersApiInstance, users) {
+    const values = (Array.isArray(users) ? users : String(users || '').split(','))
+        .map(value => String(value).trim())
+        .filter(Boolean);
+
+    const gids = [];
+    for (const value of values) {
+        if (value === 'me' || /^\d+$/.test(value)) {
+            gids.push(value);
+        } else if (value.includes('@')) {
+            try {
+                const result = await usersApiInstance.getUser(value, { opt_fields: 'gid' });
+                gids.push(result.data.gid);
+            } catch (error) {
+                if ((error.status || error.response?.status) === 404) {
+                    throw new Error(`User not found: ${value}`);
+                }
+                throw error;
+            }
+        } else {
+            throw new Error(`Invalid user "${value}": use a GID, "me" or an email address`);
+        }
+    }
+    return gids;
+}
+
 module.exports = {
     getCurrentUser,
-    getUser
+    getUser,
+    resolveUserGids
 };
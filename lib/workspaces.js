@@ -0,0 +1,118 @@
+/**
+ * Workspace-related operations
+ */
+
+/**
+ * Get all workspaces visible to the authenticated user
+ * @param {Object} workspacesApiInstance - Asana WorkspacesApi instance
+ * @param {Object} options - Optional parameters (opt_fields, etc.)
+ * @returns {Promise<Array>} Array of workspaces
+ */
+async function getWorkspaces(workspacesApiInstance, options = {}) {
+    try {
+        const opts = {
+            opt_fields: options.opt_fields || 'name,gid,is_organization',
+            limit: 100
+        };
+
+        let allWorkspaces = [];
+        let offset = null;
+
+        do {
+            if (offset) {
+                opts.offset = offset;
+            }
+
+            const result = await workspacesApiInstance.getWorkspaces(opts);
+            allWorkspaces = allWorkspaces.concat(result.data);
+
+            offset = result._response?.next_page?.offset || null;
+        } while (offset);
+
+        return allWorkspaces;
+    } catch (error) {
+        console.error('Error fetching workspaces:', error.response?.body || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Resolve a workspace GID or name to a GID
+ * Numeric values are returned as-is; names match exactly (case-insensitive) first, then partially.
+ * @param {Object} workspacesApiInstance - Asana WorkspacesApi instance
+ * @param {string} workspace - Workspace GID or name
+ * @returns {Promise<string>} Workspace GID
+ */
+async function resolveWorkspace(workspacesApiInstance, workspace) {
+    if (!workspace) {
+        throw new Error('workspace is required');
+    }
+
+    const value = String(workspace).trim();
+    if (/^\d+$/.test(value)) {
+        return value;
+    }
+
+    const workspaces = await getWorkspaces(workspacesApiInstance);
+    const searchLower = value.toLowerCase();
+
+    const exact = workspaces.filter(ws => ws.name.toLowerCase() === searchLower);
+    if (exact.length === 1) {
+        return exact[0].gid;
+    }
+
+    const partial = workspaces.filter(ws => ws.name.toLowerCase().includes(searchLower));
+    if (exact.length === 0 && partial.length === 1) {
+        return partial[0].gid;
+    }
+
+    const candidates = exact.length > 1 ? exact : partial;
+    if (candidates.length > 1) {
+        throw new Error(
+            `Workspace name '${value}' is ambiguous. Matches: ` +
+            candidates.map(ws => `${ws.name} (${ws.gid})`).join(', ')
+        );
+    }
+
+    throw new Error(
+        `Workspace '${value}' not found. Available workspaces: ` +
+        workspaces.map(ws => `${ws.name} (${ws.gid})`).join(', ')
+    );
+}
+
+/**
+ * Display workspaces
+ * @param {Array} workspaces - Array of workspace objects
+ * @param {Object} displayOptions - Display configuration
+ * @param {string} displayOptions.format - Output format: 'list' (default) or 'json'
+ * @param {string} displayOptions.defaultWorkspace - GID of the workspace used by default (marked with *)
+ */
+function displayWorkspaces(workspaces, displayOptions = {}) {
+    if (!workspaces || workspaces.length === 0) {
+        console.log('No workspaces found.');
+        return;
+    }
+
+    const { format = 'list', defaultWorkspace = null } = displayOptions;
+
+    if (format === 'json') {
+        console.log(JSON.stringify(workspaces, null, 2));
+        return;
+    }
+
+    console.log(`Found ${workspaces.length} workspace(s):\n`);
+    workspaces.forEach((ws, index) => {
+        const marker = ws.gid === defaultWorkspace ? ' *' : '';
+        const kind = ws.is_organization ? 'organization' : 'workspace';
+        console.log(`${index + 1}. ${ws.name} (GID: ${ws.gid}, ${kind})${marker}`);
+    });
+    if (defaultWorkspace) {
+        console.log('\n* default workspace');
+    }
+}
+
+module.exports = {
+    getWorkspaces,
+    resolveWorkspace,
+    displayWorkspaces
+};
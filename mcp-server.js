@@ -69,34 +69,74 @@ const ALLOW_FILE_WRITES = process.env.ASANA_MCP_ALLOW_FILE_WRITES !== 'false' &&
 const WRITE_OPERATIONS = new Set([
     'create_task',
     'update_task',
+    'delete_task',
+    'duplicate_task',
     'add_comment',
     'add_task_to_project',
-    'remove_task_from_project'
+    'remove_task_from_project',
+    'move_tasks',
+    'create_project',
+    'update_project',
+    'archive_project',
+    'unarchive_project',
+    'create_section',
+    'rename_section',
+    'move_section',
+    'delete_section',
+    'add_dependencies',
+    'remove_dependencies',
+    'add_followers',
+    'remove_followers',
+    'create_tag',
+    'add_tags',
+    'remove_tags',
+    'upload_attachment'
 ]);
 
 // Define which tools require local file write permissions
 const FILE_WRITE_OPERATIONS = new Set([
-    'save_task_notes'
+    'save_task_notes',
+    'download_attachments'
 ]);
 
 // Import our Asana helpers
-const { initializeClient } = require('./lib/client');
-const { getCurrentUser } = require('./lib/users');
+const { initializeClient, AsanaConfigError } = require('./lib/client');
+const { getCurrentUser, resolveUserGids } = require('./lib/users');
 const {
     getTasksForUser,
     getTask,
+    getSubtaskTree,
+    applySubtaskChecklist,
+    getDependencies,
+    getDependents,
+    addDependencies,
+    removeDependencies,
+    addDependents,
+    removeDependents,
+    addFollowers,
+    removeFollowers,
     getTaskStories,
     addTaskComment,
     extractAsanaTaskId,
+    readTaskGidsFromFile,
     createTask, 
     updateTask,
+    deleteTask,
+    duplicateTask,
+    DUPLICATE_INCLUDE_OPTIONS,
     addTaskToProject,
     removeTaskFromProject,
     searchTasks,
     getTasksForProject
 } = require('./lib/tasks');
-const { searchProjects, getSections } = require('./lib/projects');
+const { searchProjects, createProject, updateProject, archiveProject, unarchiveProject, PROJECT_VIEWS, getSections, resolveSectionGid, moveTasksToSection, createSection, renameSection, moveSection, deleteSection } = require('./lib/projects');
+const { listTags, createTag, resolveTagGids, addTagToTask, removeTagFromTask } = require('./lib/tags');
+const { listAttachments, uploadAttachment, downloadAttachments } = require('./lib/attachments');
 const { convertHtmlToMarkdown } = require('./lib/display');
+const { resolveTaskCustomFields, getSearchCustomFields, resolveCustomFieldFilters } = require('./lib/custom-fields');
+const { parseChecklist } = require('./lib/markdown');
+const { resolveProfile } = require('./lib/profiles');
+const { getWorkspaces, resolveWorkspace } = require('./lib/workspaces');
 
 // Validation helpers
 function validateDateFormat(dateString, fieldName) {
@@ -112,6 +152,13 @@ function validateDateFormat(dateString, fieldName) {
     return true;
 }
 
+function validateObject(value, fieldName) {
+    if (value !== undefined && value !== null && (typeof value !== 'object' || Array.isArray(value))) {
+        throw new Error(`Invalid ${fieldName}: expected an object`);
+    }
+    return true;
+}
+
 function validateRequired(value, fieldName) {
     if (value === undefined || value === null || value === '') {
         throw new Error(`Missing required parameter: ${fieldName}`);
@@ -128,6 +175,34 @@ function validateGid(gid, fieldName) {
     return true;
 }
 
+// Read and parse the checklist / checklist_file arguments (before any write, so bad input changes nothing)
+function readChecklistArg(args) {
+    let markdown = args.checklist || null;
+    if (args.checklist_file) {
+        try {
+            markdown = fs.readFileSync(path.resolve(args.checklist_file), 'utf8');
+        } catch (error) {
+            throw new Error(`Failed to read checklist file: ${error.message}`);
+        }
+    }
+    if (!markdown) {
+        return null;
+    }
+
+    const items = parseChecklist(markdown);
+    if (items.length === 0) {
+        throw new Error('No checklist items found. Use "- [ ] item" lines, indented to nest');
+    }
+    return items;
+}
+
+function formatChecklistSummary(summary) {
+    const lines = [`Subtasks: ${summary.created.length} created, ${summary.completed.length} completed, ${summary.unchanged.length} unchanged, ${summary.moved.length} reordered`];
+    summary.created.forEach(t => lines.push(`+ ${t.name} (${t.gid})`));
+    summary.completed.forEach(t => lines.push(`✓ ${t.name} (${t.gid})`));
+    return lines.join('\n');
+}
+
 // Helper to expand custom_fields shorthand to include readable data
 function expandCustomFields(fields) {
     const expanded = [];
@@ -157,40 +232,80 @@ function expandCustomFields(fields) {
 }
 
 // Initialize Asana client
-let client, tasksApiInstance, usersApiInstance, projectsApiInstance, storiesApiInstance, sectionsApiInstance, customFieldsApiInstance;
+let client, rateLimiter, tasksApiInstance, usersApiInstance, projectsApiInstance, workspacesApiInstance, storiesApiInstance, sectionsApiInstance, customFieldsApiInstance, tagsApiInstance, attachmentsApiInstance, jobsApiInstance;
 let currentUser = null;
+let activeProfile = null;
+let defaultWorkspaceGid = null;
 
 async function initializeAsana() {
     log('info', 'Initializing Asana client');
 
-    if (!process.env.ASANA_API_KEY) {
-        log('error', 'Missing ASANA_API_KEY environment variable');
-        throw new Error('ASANA_API_KEY environment variable is required');
+    // Pass the MCP logger so retries (rate limits, transient errors) show up in mcp-server.log
+    // ASANA_PROFILE (or the profiles file's current profile) selects token and defaults
+    let apiInstances;
+    try {
+        activeProfile = resolveProfile();
+        apiInstances = initializeClient({
+            token: activeProfile?.token || undefined,
+            baseUrl: activeProfile?.baseUrl || undefined,
+            timeoutMs: activeProfile?.timeoutMs || undefined,
+            proxy: activeProfile?.proxy ?? undefined,
+            noProxy: activeProfile?.noProxy || undefined,
+            caBundle: activeProfile?.caBundle || undefined,
+            logFn: log
+        });
+    } catch (error) {
+        if (error instanceof AsanaConfigError) {
+            log('error', 'Invalid Asana client configuration', { code: error.code, error: error.message });
+        }
+        throw error;
     }
-
-    const apiInstances = initializeClient();
     client = apiInstances.client;
+    rateLimiter = apiInstances.rateLimiter;
     tasksApiInstance = apiInstances.tasksApiInstance;
     usersApiInstance = apiInstances.usersApiInstance;
     projectsApiInstance = apiInstances.projectsApiInstance;
+    workspacesApiInstance = apiInstances.workspacesApiInstance;
     storiesApiInstance = apiInstances.storiesApiInstance;
     sectionsApiInstance = apiInstances.sectionsApiInstance;
     customFieldsApiInstance = apiInstances.customFieldsApiInstance;
+    tagsApiInstance = apiInstances.tagsApiInstance;
+    attachmentsApiInstance = apiInstances.attachmentsApiInstance;
+    jobsApiInstance = apiInstances.jobsApiInstance;
     
     // Get current user for workspace context
     currentUser = await getCurrentUser(usersApiInstance);
+    // Profile workspaces may be given by name
+    defaultWorkspaceGid = activeProfile?.workspace
+        ? await resolveWorkspace(workspacesApiInstance, activeProfile.workspace)
+        : currentUser.workspaces?.[0]?.gid;
 
     log('info', 'Asana client initialized', {
         user: currentUser.name,
-        workspace: currentUser.workspaces?.[0]?.name
+        profile: activeProfile?.name || null,
+        workspace: defaultWorkspaceGid,
+        baseUrl: client.basePath,
+        timeoutMs: client.timeout,
+        proxy: client.requestAgent?.proxy ? client.requestAgent.proxy.host : null,
+        rateLimiter: rateLimiter.getStats()
     });
 
     return {
         user: currentUser,
-        workspace: currentUser.workspaces?.[0]?.gid
+        workspace: defaultWorkspaceGid
     };
 }
 
+// Resolve a tool's optional workspace argument (GID or name), defaulting to the active workspace
+async function getWorkspaceGid(workspace) {
+    return workspace ? resolveWorkspace(workspacesApiInstance, workspace) : defaultWorkspaceGid;
+}
+
+// The profile's default team, if the workspace is the profile's (a team GID is only valid in its own workspace)
+function getProfileTeam(workspaceGid) {
+    return activeProfile?.team && workspaceGid === defaultWorkspaceGid ? activeProfile.team : undefined;
+}
+
 // Create MCP server
 const server = new Server(
     {
@@ -216,12 +331,18 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                 inputSchema: {
                     type: 'object',
                     properties: {
+                        workspace: { type: 'string', description: 'Workspace GID or name (default: profile workspace, then your first workspace)' },
                         assignee_any: { type: 'string', description: 'User GID or "me" for your tasks' },
                         projects_any: { type: 'string', description: 'Comma-separated project GIDs (OR logic)' },
                         projects_all: { type: 'string', description: 'Comma-separated project GIDs (AND logic)' },
                         completed: { type: 'boolean', description: 'Filter by completion status' },
                         text: { type: 'string', description: 'Search text in task name/description' },
-                        tags_any: { type: 'string', description: 'Comma-separated tag GIDs' },
+                        tags_any: { type: 'string', description: 'Comma-separated tag names or GIDs' },
+                        custom_field_filters: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'Custom field filters by field and option name, all of which must match, e.g. ["Priority=High", "Estimate>5", "Customer^=Acme", "!Customer"]. Operators: "=" (enum, number, text), "<" and ">" (number), "^=" starts with, "$=" ends with, "*=" contains (text), "Name?" is set and "!Name" is not set (any type). Fields come from projects_any/projects_all, or the workspace when no project is given'
+                        },
                         // Due date filters
                         due_on_before: { type: 'string', description: 'Tasks due before date (YYYY-MM-DD)' },
                         due_on_after: { type: 'string', description: 'Tasks due after date (YYYY-MM-DD)' },
@@ -280,6 +401,194 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                     required: ['task_gid']
                 }
             },
+            {
+                name: 'get_subtasks',
+                description: 'Get the subtask tree of a task (e.g. an epic with stories and sub-stories). Each subtask includes a nested "subtasks" array; subtasks at the depth limit have an empty array and "num_subtasks" shows whether deeper levels exist.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        task_gid: { type: 'string', description: 'Parent task GID' },
+                        depth: { type: 'number', description: 'Levels of subtasks to fetch (default 3, 1 = direct subtasks only)' },
+                        opt_fields: { type: 'string', description: 'Comma-separated fields for every subtask. Default: "name,completed,assignee.name,due_on" (gid and num_subtasks are always included)' }
+                    },
+                    required: ['task_gid']
+                }
+            },
+            {
+                name: 'get_dependencies',
+                description: 'Get the dependency links of a task: "dependencies" are the tasks blocking it (it waits on them), "dependents" are the tasks it is blocking. Each entry includes completion state.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        task_gid: { type: 'string', description: 'Task GID' },
+                        opt_fields: { type: 'string', description: 'Comma-separated fields for each linked task. Default: "name,completed,assignee.name,due_on"' }
+                    },
+                    required: ['task_gid']
+                }
+            },
+            {
+                name: 'add_dependencies',
+                description: 'Add dependency links to a task. "dependencies" marks the task as blocked by those tasks; "dependents" marks those tasks as blocked by this task. Asana allows at most 30 dependencies plus dependents per task.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        task_gid: { type: 'string', description: 'Task GID' },
+                        dependencies: { type: 'string', description: 'Comma-separated GIDs of tasks that block this task' },
+                        dependents: { type: 'string', description: 'Comma-separated GIDs of tasks that this task blocks' }
+                    },
+                    required: ['task_gid']
+                }
+            },
+            {
+                name: 'remove_dependencies',
+                description: 'Remove dependency links from a task. "dependencies" removes blockers; "dependents" stops this task from blocking those tasks.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        task_gid: { type: 'string', description: 'Task GID' },
+                        dependencies: { type: 'string', description: 'Comma-separated GIDs of blocking tasks to remove' },
+                        dependents: { type: 'string', description: 'Comma-separated GIDs of blocked tasks to unlink' }
+                    },
+                    required: ['task_gid']
+                }
+            },
+            {
+                name: 'delete_task',
+                description: 'Delete a task and its subtasks. Deleted tasks stay in the Asana trash for 30 days. Requires confirm: true; check the task name with get_task first.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        task_gid: { type: 'string', description: 'Task GID' },
+                        confirm: { type: 'boolean', description: 'Must be true to delete the task' }
+                    },
+                    required: ['task_gid', 'confirm']
+                }
+            },
+            {
+                name: 'duplicate_task',
+                description: 'Copy a task using Asana\'s duplicate endpoint and wait until the copy exists. Returns the new task\'s name and GID.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        task_gid: { type: 'string', description: 'GID of the task to copy' },
+                        name: { type: 'string', description: 'Name of the copy (default: "Copy of <name>")' },
+                        include: { type: 'string', description: `Comma-separated parts to copy (default: all): ${DUPLICATE_INCLUDE_OPTIONS.join(', ')}` }
+                    },
+                    required: ['task_gid']
+                }
+            },
+            {
+                name: 'add_followers',
+                description: 'Add followers (collaborators) to a task so they get notified about its updates. Users can be given as GIDs, "me" or email addresses.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        task_gid: { type: 'string', description: 'Task GID' },
+                        users: { type: 'string', description: 'Comma-separated user GIDs, "me" or email addresses' }
+                    },
+                    required: ['task_gid', 'users']
+                }
+            },
+            {
+                name: 'remove_followers',
+                description: 'Remove followers from a task. Users can be given as GIDs, "me" or email addresses.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        task_gid: { type: 'string', description: 'Task GID' },
+                        users: { type: 'string', description: 'Comma-separated user GIDs, "me" or email addresses' }
+                    },
+                    required: ['task_gid', 'users']
+                }
+            },
+            {
+                name: 'list_tags',
+                description: 'List tags in a workspace with name, GID and color. Use the names or GIDs with add_tags, remove_tags or the tags_any search filter.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string', description: 'Filter by tag name (partial match, case-insensitive)' },
+                        workspace: { type: 'string', description: 'Workspace GID or name (default: profile workspace, then your first workspace)' }
+                    }
+                }
+            },
+            {
+                name: 'create_tag',
+                description: 'Create a tag in a workspace.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string', description: 'Tag name' },
+                        color: { type: 'string', description: 'Tag color (e.g. "dark-red", "light-green", "none")' },
+                        notes: { type: 'string', description: 'Tag description' },
+                        workspace: { type: 'string', description: 'Workspace GID or name (default: profile workspace, then your first workspace)' }
+                    },
+                    required: ['name']
+                }
+            },
+            {
+                name: 'add_tags',
+                description: 'Add existing tags to a task. Tags can be given by name (case-insensitive) or GID; use create_tag first for new tags.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        task_gid: { type: 'string', description: 'Task GID' },
+                        tags: { type: 'string', description: 'Comma-separated tag names or GIDs' },
+                        workspace: { type: 'string', description: 'Workspace GID or name used to look up tag names (default: profile workspace, then your first workspace)' }
+                    },
+                    required: ['task_gid', 'tags']
+                }
+            },
+            {
+                name: 'remove_tags',
+                description: 'Remove tags from a task. Tags can be given by name (case-insensitive) or GID.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        task_gid: { type: 'string', description: 'Task GID' },
+                        tags: { type: 'string', description: 'Comma-separated tag names or GIDs' },
+                        workspace: { type: 'string', description: 'Workspace GID or name used to look up tag names (default: profile workspace, then your first workspace)' }
+                    },
+                    required: ['task_gid', 'tags']
+                }
+            },
+            {
+                name: 'list_attachments',
+                description: 'List the files attached to a task with name, GID, size, host (asana, gdrive, dropbox, ...) and view URL.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        task_gid: { type: 'string', description: 'Task GID' }
+                    },
+                    required: ['task_gid']
+                }
+            },
+            {
+                name: 'upload_attachment',
+                description: 'Upload a local file (log, screenshot, ...) to a task as an attachment. Files over 100 MB are rejected.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        task_gid: { type: 'string', description: 'Task GID' },
+                        file_path: { type: 'string', description: 'Path of the file to upload (absolute or relative to workspace)' },
+                        name: { type: 'string', description: 'Attachment name shown in Asana (default: the file name)' }
+                    },
+                    required: ['task_gid', 'file_path']
+                }
+            },
+            {
+                name: 'download_attachments',
+                description: 'Download every file attached to a task into a local directory. Files hosted outside Asana (Google Drive, Dropbox, ...) are skipped. Existing files are kept unless overwrite is true.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        task_gid: { type: 'string', description: 'Task GID' },
+                        dir: { type: 'string', description: 'Target directory (absolute or relative to workspace, created if missing)' },
+                        overwrite: { type: 'boolean', description: 'Replace existing files (default: false)' }
+                    },
+                    required: ['task_gid', 'dir']
+                }
+            },
             {
                 name: 'save_task_notes',
                 description: 'Save task description to a file. Use this to: export task content for local review/editing, backup task documentation, create markdown files from Asana tasks, or analyze task descriptions offline. Extracts only the notes field (not full task metadata). Default format is markdown (recommended for readability), but also supports HTML (raw Asana format) or raw text.',
@@ -316,10 +625,13 @@ FORMATTING GUIDE:
                         html_notes_file: { type: 'string', description: 'Path to HTML file for task description (bypasses markdown conversion)' },
                         assignee: { type: 'string', description: 'User GID or "me"' },
                         projects: { type: 'string', description: 'Comma-separated project GIDs' },
-                        workspace: { type: 'string', description: 'Workspace GID for personal tasks' },
+                        workspace: { type: 'string', description: 'Workspace GID or name for personal tasks' },
                         parent: { type: 'string', description: 'Parent task GID (creates as subtask)' },
                         due_on: { type: 'string', description: 'Due date (YYYY-MM-DD)' },
-                        start_on: { type: 'string', description: 'Start date (YYYY-MM-DD)' }
+                        start_on: { type: 'string', description: 'Start date (YYYY-MM-DD)' },
+                        checklist: { type: 'string', description: 'Markdown checklist to create as ordered subtasks: "- [ ] item" lines, nested by indentation; "- [x]" items are created completed' },
+                        checklist_file: { type: 'string', description: 'Path to a markdown file containing the checklist' },
+                        custom_fields: { type: 'object', description: 'Custom field values by field name or GID, e.g. {"Priority": "High", "Estimate": 3, "Platforms": ["iOS", "Web"], "Launch date": "2026-11-20", "Reviewers": ["me"]}. Enum values are option names; people are GIDs, "me" or emails; null clears a field. Fields come from the task\'s projects (see get_project_custom_fields)' }
                     },
                     required: ['name']
                 }
@@ -346,7 +658,11 @@ FORMATTING GUIDE:
                         parent: { type: 'string', description: 'Parent task GID (move to subtask)' },
                         due_on: { type: 'string', description: 'Due date (YYYY-MM-DD)' },
                         start_on: { type: 'string', description: 'Start date (YYYY-MM-DD)' },
-                        completed: { type: 'boolean', description: 'Completion status' }
+                        completed: { type: 'boolean', description: 'Completion status' },
+                        custom_fields: { type: 'object', description: 'Custom field values by field name or GID, e.g. {"Priority": "High", "Estimate": 3, "Platforms": ["iOS", "Web"], "Launch date": "2026-11-20", "Reviewers": ["me"]}. Enum values are option names; people are GIDs, "me" or emails; null clears a field. Fields come from the task\'s projects (see get_project_custom_fields)' },
+                        checklist: { type: 'string', description: 'Markdown checklist to add as ordered subtasks: "- [ ] item" lines, nested by indentation' },
+                        checklist_file: { type: 'string', description: 'Path to a markdown file containing the checklist' },
+                        sync_subtasks: { type: 'boolean', description: 'Sync existing subtasks against the checklist (match by name): add new items, complete checked ones, leave subtasks not in the checklist alone. Default false (add every item).' }
                     },
                     required: ['task_gid']
                 }
@@ -388,13 +704,82 @@ FORMATTING GUIDE:
                     type: 'object',
                     properties: {
                         name: { type: 'string', description: 'Project name to search for' },
-                        archived: { type: 'boolean', description: 'Filter by archived status' }
+                        archived: { type: 'boolean', description: 'Filter by archived status' },
+                        workspace: { type: 'string', description: 'Workspace GID or name (default: profile workspace, then your first workspace)' }
                     }
                 }
             },
+            {
+                name: 'create_project',
+                description: 'Create a project. Notes are markdown (converted to Asana formatting). Optional initial sections replace the default "Untitled section". Returns the project GID and URL.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string', description: 'Project name' },
+                        team: { type: 'string', description: 'Team GID (required in organizations; default: profile team)' },
+                        notes: { type: 'string', description: 'Project description (markdown)' },
+                        view: { type: 'string', enum: PROJECT_VIEWS, description: 'Default view (default: list)' },
+                        color: { type: 'string', description: 'Project color, e.g. dark-green, light-blue, none' },
+                        due_on: { type: 'string', description: 'Due date (YYYY-MM-DD)' },
+                        start_on: { type: 'string', description: 'Start date (YYYY-MM-DD, needs due_on)' },
+                        sections: { type: 'string', description: 'Comma-separated initial section names, in order' },
+                        workspace: { type: 'string', description: 'Workspace GID or name (default: profile workspace, then your first workspace)' }
+                    },
+                    required: ['name']
+                }
+            },
+            {
+                name: 'update_project',
+                description: 'Update a project\'s name, description (markdown), default view, color or dates.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        project_gid: { type: 'string', description: 'Project GID' },
+                        name: { type: 'string', description: 'New project name' },
+                        notes: { type: 'string', description: 'New description (markdown); replaces the existing one' },
+                        view: { type: 'string', enum: PROJECT_VIEWS, description: 'Default view' },
+                        color: { type: 'string', description: 'Project color, e.g. dark-green, light-blue, none' },
+                        due_on: { type: 'string', description: 'Due date (YYYY-MM-DD)' },
+                        start_on: { type: 'string', description: 'Start date (YYYY-MM-DD)' }
+                    },
+                    required: ['project_gid']
+                }
+            },
+            {
+                name: 'archive_project',
+                description: 'Archive a project. Archived projects are hidden from most views but can be unarchived.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        project_gid: { type: 'string', description: 'Project GID' }
+                    },
+                    required: ['project_gid']
+                }
+            },
+            {
+                name: 'unarchive_project',
+                description: 'Restore an archived project.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        project_gid: { type: 'string', description: 'Project GID' }
+                    },
+                    required: ['project_gid']
+                }
+            },
             {
                 name: 'get_my_tasks',
                 description: 'Get your incomplete tasks (shortcut for common use case).',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        workspace: { type: 'string', description: 'Workspace GID or name (default: profile workspace, then your first workspace)' }
+                    }
+                }
+            },
+            {
+                name: 'list_workspaces',
+                description: 'List the workspaces and organizations available to you. Marks the default workspace used when a tool is called without a workspace argument.',
                 inputSchema: {
                     type: 'object',
                     properties: {}
@@ -422,6 +807,60 @@ FORMATTING GUIDE:
                     required: ['project_gid']
                 }
             },
+            {
+                name: 'create_section',
+                description: 'Create a section in a project. Added at the end unless before/after is given.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        project_gid: { type: 'string', description: 'Project GID' },
+                        name: { type: 'string', description: 'Section name' },
+                        before: { type: 'string', description: 'Insert before this section (GID or name)' },
+                        after: { type: 'string', description: 'Insert after this section (GID or name)' }
+                    },
+                    required: ['project_gid', 'name']
+                }
+            },
+            {
+                name: 'rename_section',
+                description: 'Rename a section.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        section: { type: 'string', description: 'Section GID, or name together with project_gid' },
+                        name: { type: 'string', description: 'New section name' },
+                        project_gid: { type: 'string', description: 'Project GID (needed when the section is given by name)' }
+                    },
+                    required: ['section', 'name']
+                }
+            },
+            {
+                name: 'move_section',
+                description: 'Move a section before or after another section of the same project. Returns the new section order.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        section: { type: 'string', description: 'Section GID, or name together with project_gid' },
+                        before: { type: 'string', description: 'Place before this section (GID or name)' },
+                        after: { type: 'string', description: 'Place after this section (GID or name)' },
+                        project_gid: { type: 'string', description: 'Project GID (needed when sections are given by name)' }
+                    },
+                    required: ['section']
+                }
+            },
+            {
+                name: 'delete_section',
+                description: 'Delete a section. Sections that still have tasks are refused unless move_tasks_to names another section of the same project; the tasks are moved there first.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        section: { type: 'string', description: 'Section GID, or name together with project_gid' },
+                        move_tasks_to: { type: 'string', description: 'Section (GID or name) to move remaining tasks to' },
+                        project_gid: { type: 'string', description: 'Project GID (needed when sections are given by name)' }
+                    },
+                    required: ['section']
+                }
+            },
             {
                 name: 'get_project_custom_fields',
                 description: 'Get custom fields defined for a project. Shows field names, GIDs, types, and possible values (for enum fields). Use this to discover what custom fields are available, then use field names in opt_fields like "custom_fields.FIELD_NAME.display_value" to fetch custom field values in tasks.',
@@ -492,6 +931,22 @@ FORMATTING GUIDE:
                     },
                     required: ['task_gid', 'project_gid']
                 }
+            },
+            {
+                name: 'move_tasks',
+                description: 'Move one or more tasks into a section of a project, keeping the given order. Without before/after the tasks go to the top of the section. Tasks can be listed directly or read from saved search_tasks results (output_file).',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        task_gids: { type: 'string', description: 'Comma-separated task GIDs, in the desired order' },
+                        input_file: { type: 'string', description: 'Saved search results to move (JSON, CSV or markdown written by search_tasks output_file)' },
+                        section: { type: 'string', description: 'Target section GID or name' },
+                        project_gid: { type: 'string', description: 'Project to look up a section name in (default: the first task\'s project)' },
+                        before: { type: 'string', description: 'Place the tasks before this task (must be in the section)' },
+                        after: { type: 'string', description: 'Place the tasks after this task (must be in the section)' }
+                    },
+                    required: ['section']
+                }
             }
         ]
     };
@@ -557,7 +1012,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 const defaultLimit = args.output_file ? 1000 : 100;
                 
                 const searchOptions = {
-                    workspace: currentUser.workspaces[0].gid,
+                    workspace: await getWorkspaceGid(args.workspace),
                     limit: 100,  // Fixed per-page limit (Asana's max)
                     maxResults: args.limit !== undefined ? args.limit : defaultLimit,
                     signal: abortController.signal  // Pass cancellation signal
@@ -570,7 +1025,19 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 if (args.projects_all) searchOptions['projects.all'] = args.projects_all;
                 if (args.completed !== undefined) searchOptions.completed = args.completed;
                 if (args.text) searchOptions.text = args.text;
-                if (args.tags_any) searchOptions['tags.any'] = args.tags_any;
+                if (args.tags_any) {
+                    searchOptions['tags.any'] = (await resolveTagGids(tagsApiInstance, searchOptions.workspace, args.tags_any)).join(',');
+                }
+                if (args.custom_field_filters !== undefined) {
+                    if (!Array.isArray(args.custom_field_filters)) {
+                        throw new Error('Invalid custom_field_filters: expected an array of strings');
+                    }
+                    const projectGids = [args.projects_any, args.projects_all]
+                        .filter(Boolean)
+                        .flatMap(value => value.split(',').map(gid => gid.trim()).filter(Boolean));
+                    const fields = await getSearchCustomFields(projectsApiInstance, customFieldsApiInstance, searchOptions.workspace, projectGids);
+                    Object.assign(searchOptions, resolveCustomFieldFilters(fields, args.custom_field_filters));
+                }
                 
                 // Due date filters
                 if (args.due_on_before) searchOptions['due_on.before'] = args.due_on_before;
@@ -741,8 +1208,11 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 validateRequired(args.task_gid, 'task_gid');
                 validateGid(args.task_gid, 'task_gid');
 
-                const task = await getTask(tasksApiInstance, args.task_gid);
-                const comments = await getTaskStories(storiesApiInstance, args.task_gid, { commentsOnly: true });
+                // Fetched in parallel - the shared rate limiter keeps this within quota
+                const [task, comments] = await Promise.all([
+                    getTask(tasksApiInstance, args.task_gid),
+                    getTaskStories(storiesApiInstance, args.task_gid, { commentsOnly: true })
+                ]);
                 task.commentCount = comments.length;
 
                 result = {
@@ -756,6 +1226,263 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 break;
             }
             
+            case 'get_subtasks': {
+                validateRequired(args.task_gid, 'task_gid');
+                validateGid(args.task_gid, 'task_gid');
+
+                const subtasks = await getSubtaskTree(tasksApiInstance, args.task_gid, {
+                    depth: args.depth,
+                    opt_fields: args.opt_fields
+                });
+
+                result = {
+                    content: [
+                        {
+                            type: 'text',
+                            text: JSON.stringify(subtasks, null, 2)
+                        }
+                    ]
+                };
+                break;
+            }
+
+            case 'get_dependencies': {
+                validateRequired(args.task_gid, 'task_gid');
+                validateGid(args.task_gid, 'task_gid');
+
+                const [dependencies, dependents] = await Promise.all([
+                    getDependencies(tasksApiInstance, args.task_gid, { opt_fields: args.opt_fields }),
+                    getDependents(tasksApiInstance, args.task_gid, { opt_fields: args.opt_fields })
+                ]);
+
+                result = {
+                    content: [
+                        {
+                            type: 'text',
+                            text: JSON.stringify({ dependencies, dependents }, null, 2)
+                        }
+                    ]
+                };
+                break;
+            }
+
+            case 'add_dependencies':
+            case 'remove_dependencies': {
+                validateRequired(args.task_gid, 'task_gid');
+                validateGid(args.task_gid, 'task_gid');
+                if (!args.dependencies && !args.dependents) {
+                    throw new Error('Provide dependencies and/or dependents (comma-separated task GIDs)');
+                }
+                const splitGids = (value, fieldName) => {
+                    const gids = value.split(',').map(gid => gid.trim()).filter(Boolean);
+                    gids.forEach(gid => validateGid(gid, fieldName));
+                    return gids;
+                };
+
+                const adding = name === 'add_dependencies';
+                const lines = [];
+                if (args.dependencies) {
+                    const gids = splitGids(args.dependencies, 'dependencies GID');
+                    await (adding ? addDependencies : removeDependencies)(tasksApiInstance, args.task_gid, gids);
+                    lines.push(`${adding ? 'Added' : 'Removed'} blockers: ${gids.join(', ')}`);
+                }
+                if (args.dependents) {
+                    const gids = splitGids(args.dependents, 'dependents GID');
+                    await (adding ? addDependents : removeDependents)(tasksApiInstance, args.task_gid, gids);
+                    lines.push(`${adding ? 'Now blocking' : 'No longer blocking'}: ${gids.join(', ')}`);
+                }
+
+                result = {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `Dependencies updated for task ${args.task_gid}\n${lines.join('\n')}`
+                        }
+                    ]
+                };
+                break;
+            }
+
+            case 'delete_task': {
+                validateRequired(args.task_gid, 'task_gid');
+                validateGid(args.task_gid, 'task_gid');
+                if (args.confirm !== true) {
+                    throw new Error('delete_task requires confirm: true');
+                }
+
+                const task = await getTask(tasksApiInstance, args.task_gid, { opt_fields: 'name' });
+                await deleteTask(tasksApiInstance, args.task_gid);
+
+                result = {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `Deleted task "${task.name}" (${args.task_gid})`
+                        }
+                    ]
+                };
+                break;
+            }
+
+            case 'duplicate_task': {
+                validateRequired(args.task_gid, 'task_gid');
+                validateGid(args.task_gid, 'task_gid');
+
+                const task = await duplicateTask(tasksApiInstance, jobsApiInstance, args.task_gid, {
+                    name: args.name,
+                    include: args.include
+                }, log);
+
+                result = {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `Created "${task.name}" (${task.gid}) from task ${args.task_gid}`
+                        }
+                    ]
+                };
+                break;
+            }
+
+            case 'add_followers':
+            case 'remove_followers': {
+                validateRequired(args.task_gid, 'task_gid');
+                validateGid(args.task_gid, 'task_gid');
+                validateRequired(args.users, 'users');
+
+                // Resolve every user before changing anything
+                const userGids = await resolveUserGids(usersApiInstance, args.users);
+                const adding = name === 'add_followers';
+                const task = await (adding ? addFollowers : removeFollowers)(tasksApiInstance, args.task_gid, userGids);
+                const followers = (task.followers || []).map(f => `${f.name} (${f.gid})`);
+
+                result = {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `${adding ? 'Added' : 'Removed'} follower(s) ${userGids.join(', ')} ${adding ? 'to' : 'from'} task ${args.task_gid}\nFollowers (${followers.length}): ${followers.join(', ') || 'none'}`
+                        }
+                    ]
+                };
+                break;
+            }
+
+            case 'list_tags': {
+                const tags = await listTags(tagsApiInstance, await getWorkspaceGid(args.workspace), { name: args.name });
+
+                result = {
+                    content: [
+                        {
+                            type: 'text',
+                            text: JSON.stringify(tags, null, 2)
+                        }
+                    ]
+                };
+                break;
+            }
+
+            case 'create_tag': {
+                validateRequired(args.name, 'name');
+
+                const tagData = { name: args.name };
+                if (args.color) tagData.color = args.color;
+                if (args.notes) tagData.notes = args.notes;
+                const tag = await createTag(tagsApiInstance, await getWorkspaceGid(args.workspace), tagData);
+
+                result = {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `Tag created successfully!\nGID: ${tag.gid}\nName: ${tag.name}`
+                        }
+                    ]
+                };
+                break;
+            }
+
+            case 'add_tags':
+            case 'remove_tags': {
+                validateRequired(args.task_gid, 'task_gid');
+                validateGid(args.task_gid, 'task_gid');
+                validateRequired(args.tags, 'tags');
+
+                // Resolve every name before changing anything
+                const tagGids = await resolveTagGids(tagsApiInstance, await getWorkspaceGid(args.workspace), args.tags);
+                const adding = name === 'add_tags';
+                for (const tagGid of tagGids) {
+                    await (adding ? addTagToTask : removeTagFromTask)(tasksApiInstance, args.task_gid, tagGid);
+                }
+
+                result = {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `${adding ? 'Added' : 'Removed'} tag(s) ${tagGids.join(', ')} ${adding ? 'to' : 'from'} task ${args.task_gid}`
+                        }
+                    ]
+                };
+                break;
+            }
+
+            case 'list_attachments': {
+                validateRequired(args.task_gid, 'task_gid');
+                validateGid(args.task_gid, 'task_gid');
+
+                const attachments = await listAttachments(attachmentsApiInstance, args.task_gid);
+
+                result = {
+                    content: [
+                        {
+                            type: 'text',
+                            text: JSON.stringify(attachments, null, 2)
+                        }
+                    ]
+                };
+                break;
+            }
+
+            case 'upload_attachment': {
+                validateRequired(args.task_gid, 'task_gid');
+                validateGid(args.task_gid, 'task_gid');
+                validateRequired(args.file_path, 'file_path');
+
+                const attachment = await uploadAttachment(attachmentsApiInstance, args.task_gid, path.resolve(process.cwd(), args.file_path), { name: args.name });
+
+                result = {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `Attachment uploaded successfully!\nGID: ${attachment.gid}\nName: ${attachment.name}\nSize: ${attachment.size ?? 'unknown'} bytes`
+                        }
+                    ]
+                };
+                break;
+            }
+
+            case 'download_attachments': {
+                validateRequired(args.task_gid, 'task_gid');
+                validateGid(args.task_gid, 'task_gid');
+                validateRequired(args.dir, 'dir');
+
+                const { downloaded, skipped } = await downloadAttachments(
+                    attachmentsApiInstance,
+                    args.task_gid,
+                    path.resolve(process.cwd(), args.dir),
+                    { overwrite: args.overwrite === true },
+                    log
+                );
+
+                result = {
+                    content: [
+                        {
+                            type: 'text',
+                            text: JSON.stringify({ downloaded, skipped }, null, 2)
+                        }
+                    ]
+                };
+                break;
+            }
+
             case 'save_task_notes': {
                 // Validate required parameters
                 validateRequired(args.task_gid, 'task_gid');
@@ -817,11 +1544,11 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 // Validate GIDs
                 validateGid(args.assignee, 'assignee');
                 validateGid(args.parent, 'parent');
-                validateGid(args.workspace, 'workspace');
+                validateObject(args.custom_fields, 'custom_fields');
 
                 const taskData = {
                     name: args.name,
-                    workspace: args.workspace || currentUser.workspaces[0].gid
+                    workspace: await getWorkspaceGid(args.workspace)
                 };
 
                 // Handle file input for notes
@@ -851,16 +1578,32 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                     taskData.projects = projectGids;
                 }
                 if (args.parent) taskData.parent = args.parent;
+                // Personal task unless a project was given - use the profile's default project if set
+                if (!args.projects && !args.parent && !args.workspace && activeProfile?.project) {
+                    taskData.projects = [activeProfile.project];
+                }
                 if (args.due_on) taskData.due_on = args.due_on;
                 if (args.start_on) taskData.start_on = args.start_on;
+                if (args.custom_fields && Object.keys(args.custom_fields).length > 0) {
+                    taskData.custom_fields = await resolveTaskCustomFields(tasksApiInstance, projectsApiInstance, usersApiInstance, args.custom_fields, {
+                        projects: taskData.projects
+                    });
+                }
+
+                const checklist = readChecklistArg(args);
 
                 const task = await createTask(tasksApiInstance, taskData, { convertMarkdown: true });
 
+                let text = `Task created successfully!\nName: ${task.name}\nGID: ${task.gid}\nURL: https://app.asana.com/0/0/${task.gid}`;
+                if (checklist) {
+                    text += '\n\n' + formatChecklistSummary(await applySubtaskChecklist(tasksApiInstance, task.gid, checklist));
+                }
+
                 result = {
                     content: [
                         {
                             type: 'text',
-                            text: `Task created successfully!\nName: ${task.name}\nGID: ${task.gid}\nURL: https://app.asana.com/0/0/${task.gid}`
+                            text
                         }
                     ]
                 };
@@ -877,6 +1620,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 validateDateFormat(args.start_on, 'start_on');
                 validateGid(args.assignee, 'assignee');
                 validateGid(args.parent, 'parent');
+                validateObject(args.custom_fields, 'custom_fields');
 
                 const updates = {};
 
@@ -905,14 +1649,28 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 if (args.due_on) updates.due_on = args.due_on;
                 if (args.start_on) updates.start_on = args.start_on;
                 if (args.completed !== undefined) updates.completed = args.completed;
+                if (args.custom_fields && Object.keys(args.custom_fields).length > 0) {
+                    updates.custom_fields = await resolveTaskCustomFields(tasksApiInstance, projectsApiInstance, usersApiInstance, args.custom_fields, {
+                        taskGid: args.task_gid
+                    });
+                }
 
-                const task = await updateTask(tasksApiInstance, args.task_gid, updates, { convertMarkdown: true });
+                const checklist = readChecklistArg(args);
+
+                // A checklist alone only touches subtasks
+                const task = Object.keys(updates).length > 0 || !checklist
+                    ? await updateTask(tasksApiInstance, args.task_gid, updates, { convertMarkdown: true })
+                    : await getTask(tasksApiInstance, args.task_gid, { opt_fields: 'name' });
+                const checklistSummary = checklist
+                    ? await applySubtaskChecklist(tasksApiInstance, args.task_gid, checklist, { sync: args.sync_subtasks === true })
+                    : null;
 
                 result = {
                     content: [
                         {
                             type: 'text',
-                            text: `Task updated successfully!\nName: ${task.name}\nGID: ${task.gid}`
+                            text: `Task updated successfully!\nName: ${task.name}\nGID: ${task.gid}` +
+                                (checklistSummary ? '\n\n' + formatChecklistSummary(checklistSummary) : '')
                         }
                     ]
                 };
@@ -965,12 +1723,11 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 const searchOptions = {};
                 if (args.name) searchOptions.name = args.name;
                 if (args.archived !== undefined) searchOptions.archived = args.archived;
+                const projectsWorkspace = await getWorkspaceGid(args.workspace);
+                const profileTeam = getProfileTeam(projectsWorkspace);
+                if (profileTeam) searchOptions.team = profileTeam;
 
-                const projects = await searchProjects(
-                    projectsApiInstance,
-                    currentUser.workspaces[0].gid,
-                    searchOptions
-                );
+                const projects = await searchProjects(projectsApiInstance, projectsWorkspace, searchOptions);
 
                 result = {
                     content: [
@@ -983,11 +1740,72 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 break;
             }
 
+            case 'create_project':
+            case 'update_project': {
+                const creating = name === 'create_project';
+                if (creating) {
+                    validateRequired(args.name, 'name');
+                } else {
+                    validateRequired(args.project_gid, 'project_gid');
+                    validateGid(args.project_gid, 'project_gid');
+                }
+
+                const projectFields = {};
+                ['name', 'notes', 'view', 'color', 'due_on', 'start_on'].forEach(field => {
+                    if (args[field] !== undefined) projectFields[field] = args[field];
+                });
+
+                let text;
+                if (creating) {
+                    const projectWorkspace = await getWorkspaceGid(args.workspace);
+                    projectFields.team = args.team || getProfileTeam(projectWorkspace);
+                    if (projectFields.team) validateGid(projectFields.team, 'team');
+                    if (args.sections) {
+                        projectFields.sections = args.sections.split(',').map(s => s.trim()).filter(Boolean);
+                    }
+                    const project = await createProject(projectsApiInstance, sectionsApiInstance, projectWorkspace, projectFields);
+                    text = `Created project "${project.name}" (${project.gid})\n${project.permalink_url}` +
+                        (project.sections ? `\nSections: ${project.sections.map(s => `${s.name} (${s.gid})`).join(', ')}` : '');
+                } else {
+                    const project = await updateProject(projectsApiInstance, args.project_gid, projectFields);
+                    text = `Updated project "${project.name}" (${project.gid})`;
+                }
+
+                result = {
+                    content: [
+                        {
+                            type: 'text',
+                            text
+                        }
+                    ]
+                };
+                break;
+            }
+
+            case 'archive_project':
+            case 'unarchive_project': {
+                validateRequired(args.project_gid, 'project_gid');
+                validateGid(args.project_gid, 'project_gid');
+
+                const archiving = name === 'archive_project';
+                const project = await (archiving ? archiveProject : unarchiveProject)(projectsApiInstance, args.project_gid);
+
+                result = {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `${archiving ? 'Archived' : 'Unarchived'} project "${project.name}" (${project.gid})`
+                        }
+                    ]
+                };
+                break;
+            }
+
             case 'get_my_tasks': {
                 const tasks = await getTasksForUser(
                     tasksApiInstance,
                     'me',
-                    currentUser.workspaces[0].gid,
+                    await getWorkspaceGid(args.workspace),
                     { completed: false }
                 );
 
@@ -1002,6 +1820,24 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 break;
             }
 
+            case 'list_workspaces': {
+                const workspaces = await getWorkspaces(workspacesApiInstance);
+
+                result = {
+                    content: [
+                        {
+                            type: 'text',
+                            text: JSON.stringify(
+                                workspaces.map(ws => ({ ...ws, default: ws.gid === defaultWorkspaceGid })),
+                                null,
+                                2
+                            )
+                        }
+                    ]
+                };
+                break;
+            }
+
             case 'extract_task_id': {
                 validateRequired(args.url, 'url');
 
@@ -1049,6 +1885,59 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 break;
             }
 
+            case 'create_section':
+            case 'rename_section':
+            case 'move_section':
+            case 'delete_section': {
+                if (args.project_gid) validateGid(args.project_gid, 'project_gid');
+                if (name === 'create_section') {
+                    validateRequired(args.project_gid, 'project_gid');
+                } else {
+                    validateRequired(args.section, 'section');
+                }
+                if (name === 'create_section' || name === 'rename_section') {
+                    validateRequired(args.name, 'name');
+                }
+                if (name === 'move_section' && !args.before === !args.after) {
+                    throw new Error('Provide exactly one of before or after');
+                }
+
+                const toSectionGid = ref => ref ? resolveSectionGid(sectionsApiInstance, args.project_gid, ref) : undefined;
+                let text;
+                if (name === 'create_section') {
+                    const section = await createSection(sectionsApiInstance, args.project_gid, args.name, {
+                        before: await toSectionGid(args.before),
+                        after: await toSectionGid(args.after)
+                    });
+                    text = `Created section "${section.name}" (${section.gid}) in project ${args.project_gid}`;
+                } else if (name === 'rename_section') {
+                    const section = await renameSection(sectionsApiInstance, await toSectionGid(args.section), args.name);
+                    text = `Renamed section ${section.gid} to "${section.name}"`;
+                } else if (name === 'move_section') {
+                    const sections = await moveSection(sectionsApiInstance, await toSectionGid(args.section), {
+                        before: await toSectionGid(args.before),
+                        after: await toSectionGid(args.after)
+                    });
+                    text = 'Section moved. New order:\n' + sections.map(s => `- ${s.name} (GID: ${s.gid})`).join('\n');
+                } else {
+                    const { section, movedTasks } = await deleteSection(sectionsApiInstance, tasksApiInstance, await toSectionGid(args.section), {
+                        moveTasksTo: await toSectionGid(args.move_tasks_to)
+                    }, log);
+                    text = `Deleted section "${section.name}" (${section.gid})` +
+                        (movedTasks.length > 0 ? `\nMoved ${movedTasks.length} task(s) to section ${args.move_tasks_to}: ${movedTasks.join(', ')}` : '');
+                }
+
+                result = {
+                    content: [
+                        {
+                            type: 'text',
+                            text
+                        }
+                    ]
+                };
+                break;
+            }
+
             case 'get_project_custom_fields': {
                 // Validate required parameters
                 validateRequired(args.project_gid, 'project_gid');
@@ -1328,6 +2217,56 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 break;
             }
             
+            case 'move_tasks': {
+                validateRequired(args.section, 'section');
+                if (!args.task_gids && !args.input_file) {
+                    throw new Error('Provide task_gids or input_file');
+                }
+                if (args.before && args.after) {
+                    throw new Error('Use either before or after, not both');
+                }
+                if (args.project_gid) validateGid(args.project_gid, 'project_gid');
+                if (args.before) validateGid(args.before, 'before');
+                if (args.after) validateGid(args.after, 'after');
+
+                const taskGids = (args.task_gids || '').split(',').map(gid => gid.trim()).filter(Boolean);
+                taskGids.forEach(gid => validateGid(gid, 'task_gids GID'));
+                if (args.input_file) {
+                    const inputPath = path.resolve(process.cwd(), args.input_file);
+                    taskGids.push(...readTaskGidsFromFile(inputPath).filter(gid => !taskGids.includes(gid)));
+                }
+
+                let projectGid = args.project_gid;
+                if (!projectGid && !/^\d+$/.test(args.section.trim())) {
+                    const firstTask = await getTask(tasksApiInstance, taskGids[0], { opt_fields: 'memberships.project.gid' });
+                    const projectGids = [...new Set((firstTask.memberships || []).map(m => m.project?.gid).filter(Boolean))];
+                    if (projectGids.length !== 1) {
+                        throw new Error(`Task ${taskGids[0]} is in ${projectGids.length} projects; pass project_gid to look up section "${args.section}"`);
+                    }
+                    projectGid = projectGids[0];
+                }
+
+                const sectionGid = await resolveSectionGid(sectionsApiInstance, projectGid, args.section);
+                const { moved, failed } = await moveTasksToSection(sectionsApiInstance, taskGids, sectionGid, {
+                    before: args.before,
+                    after: args.after
+                }, log);
+
+                const lines = [`Moved ${moved.length} of ${taskGids.length} task(s) to section ${sectionGid}${moved.length ? `: ${moved.join(', ')}` : ''}`];
+                failed.forEach(f => lines.push(`Failed ${f.gid}: ${f.error}`));
+
+                result = {
+                    content: [
+                        {
+                            type: 'text',
+                            text: lines.join('\n')
+                        }
+                    ],
+                    ...(failed.length > 0 && moved.length === 0 ? { isError: true } : {})
+                };
+                break;
+            }
+
             default:
                 log('error', `Unknown tool: ${name}`);
                 throw new Error(`Unknown tool: ${name}`);
@@ -1335,7 +2274,12 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
         // Log successful completion
         const duration = Date.now() - startTime;
-        log('info', `Tool completed: ${name}`, { duration: `${duration}ms` });
+        const limiterStats = rateLimiter?.getStats();
+        log('info', `Tool completed: ${name}`, {
+            duration: `${duration}ms`,
+            queueDepth: limiterStats?.queueDepth ?? 0,
+            activeRequests: limiterStats?.active ?? 0
+        });
 
         return result;
 
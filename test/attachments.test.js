@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { downloadAttachment } = require('../lib/attachments');
+const { startFakeAsana, createTestClient } = require('./helpers');
+
+const ATTACHMENT_GID = '1900000000000001';
+
+test('downloadAttachment', async (t) => {
+    const { fake, baseUrl } = await startFakeAsana();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'asana-attachments-'));
+    t.after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        return fake.close();
+    });
+
+    await t.test('writes the file', async () => {
+        fake.reset();
+        const { attachmentsApiInstance } = createTestClient(baseUrl);
+        const destination = path.join(dir, 'crash-log.txt');
+
+        const result = await downloadAttachment(attachmentsApiInstance, ATTACHMENT_GID, destination);
+
+        const expected = Buffer.from(fake.state.attachments[0].content, 'base64');
+        assert.strictEqual(result.size, expected.length);
+        assert.deepStrictEqual(fs.readFileSync(destination), expected);
+        assert.ok(!fs.existsSync(`${destination}.part`));
+    });
+
+    await t.test('times out when the download URL does not answer', async () => {
+        fake.reset();
+        const { attachmentsApiInstance } = createTestClient(baseUrl, { timeoutMs: 100 });
+        fake.addLatency(1000, { path: '/_fake/files/', count: 1 });
+        const destination = path.join(dir, 'no-answer.txt');
+
+        await assert.rejects(downloadAttachment(attachmentsApiInstance, ATTACHMENT_GID, destination), /timed out after 100ms/);
+        assert.ok(!fs.existsSync(destination));
+        assert.ok(!fs.existsSync(`${destination}.part`));
+    });
+
+    await t.test('removes the partial file when the download stalls', async () => {
+        // Sends the first bytes, then nothing
+        const storage = http.createServer((req, res) => {
+            res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+            res.write('partial');
+        });
+        await new Promise(resolve => storage.listen(0, '127.0.0.1', resolve));
+        t.after(() => {
+            storage.closeAllConnections();
+            storage.close();
+        });
+
+        const attachmentsApiInstance = {
+            apiClient: { timeout: 100 },
+            getAttachment: async () => ({
+                data: { name: 'stalled.bin', host: 'asana', download_url: `http://127.0.0.1:${storage.address().port}/stalled.bin` }
+            })
+        };
+        const destination = path.join(dir, 'stalled.bin');
+
+        await assert.rejects(downloadAttachment(attachmentsApiInstance, ATTACHMENT_GID, destination), /timed out/);
+        assert.ok(!fs.existsSync(destination));
+        assert.ok(!fs.existsSync(`${destination}.part`));
+    });
+
+    await t.test('rejects and removes the partial file when the file cannot be moved into place', async () => {
+        fake.reset();
+        const { attachmentsApiInstance } = createTestClient(baseUrl);
+        // A non-empty directory can't be replaced by the downloaded file
+        const destination = path.join(dir, 'occupied');
+        fs.mkdirSync(destination);
+        fs.writeFileSync(path.join(destination, 'keep.txt'), 'keep');
+
+        await assert.rejects(downloadAttachment(attachmentsApiInstance, ATTACHMENT_GID, destination), error => Boolean(error.code));
+        assert.ok(fs.statSync(destination).isDirectory());
+        assert.ok(!fs.existsSync(`${destination}.part`));
+    });
+
+    await t.test('downloads through the API client\'s proxy', async () => {
+        // Refuses every tunnel, after noting where it was asked to connect
+        const connects = [];
+        const proxy = http.createServer();
+        proxy.on('connect', (req, socket) => {
+            connects.push(req.url);
+            socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+        });
+        await new Promise(resolve => proxy.listen(0, '127.0.0.1', resolve));
+        t.after(() => proxy.close());
+
+        const { attachmentsApiInstance } = createTestClient('https://app.asana.com/api/1.0', {
+            proxy: `http://127.0.0.1:${proxy.address().port}`
+        });
+        attachmentsApiInstance.getAttachment = async () => ({
+            data: { name: 'report.pdf', host: 'asana', download_url: 'https://files.example.com/report.pdf' }
+        });
+        const destination = path.join(dir, 'report.pdf');
+
+        await assert.rejects(downloadAttachment(attachmentsApiInstance, ATTACHMENT_GID, destination), /CONNECT to files\.example\.com:443 failed/);
+        assert.deepStrictEqual(connects, ['files.example.com:443']);
+        assert.ok(!fs.existsSync(`${destination}.part`));
+    });
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getTask } = require('../lib/tasks');
+const { loadCassette } = require('../lib/cassette');
+const { startFakeAsana, createTestClient } = require('./helpers');
+
+const TASK_GID = '1700000000000001';
+
+// Call the raw transport with extra headers and params, as an SDK method would
+function getMe(client, queryParams, headerParams) {
+    return client.callApi(
+        '/users/{user_gid}', 'GET',
+        { user_gid: 'me' }, queryParams, headerParams, {}, null,
+        ['personalAccessToken'], [], ['application/json; charset=UTF-8'], 'Blob'
+    );
+}
+
+test('cassettes', async (t) => {
+    const { fake, baseUrl } = await startFakeAsana();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'asana-cassettes-'));
+    const file = path.join(dir, 'session.json');
+    t.after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        return fake.close();
+    });
+
+    let recordedTask;
+
+    await t.test('records every attempt, including rate-limited ones', async () => {
+        const { client, tasksApiInstance } = createTestClient(baseUrl, { token: 'secret-token', record: file });
+        fake.injectFault({ status: 429, retryAfter: 0, path: `/tasks/${TASK_GID}` });
+
+        recordedTask = await getTask(tasksApiInstance, TASK_GID);
+        await getMe(client, { opt_fields: 'name', access_token: 'secret-param' }, { Authorization: 'Bearer secret-header', Cookie: 'sid=secret-cookie' });
+
+        const cassette = loadCassette(file);
+        assert.deepStrictEqual(cassette.interactions.map(interaction => interaction.response.status), [429, 200, 200]);
+        assert.strictEqual(cassette.interactions[0].request.path, `/tasks/${TASK_GID}`);
+        assert.strictEqual(cassette.interactions[0].response.headers['retry-after'], '0');
+    });
+
+    await t.test('keeps credentials out of the cassette', () => {
+        const saved = fs.readFileSync(file, 'utf8');
+        for (const secret of ['secret-token', 'secret-header', 'secret-cookie', 'secret-param']) {
+            assert.ok(!saved.includes(secret), `${secret} was written to the cassette`);
+        }
+
+        const { request } = loadCassette(file).interactions[2];
+        assert.deepStrictEqual(request.headers, { Authorization: '[REDACTED]', Cookie: '[REDACTED]' });
+        assert.strictEqual(request.query.access_token, '[REDACTED]');
+        assert.strictEqual(request.query.opt_fields, 'name');
+    });
+
+    await t.test('replays the recorded responses without the network', async () => {
+        await fake.close();
+        const { client, tasksApiInstance } = createTestClient(baseUrl, { token: undefined, replay: file });
+
+        const task = await getTask(tasksApiInstance, TASK_GID);
+
+        assert.deepStrictEqual(task, recordedTask);
+        assert.strictEqual(client.retryStats.rateLimited, 1, 'the recorded 429 is replayed first');
+    });
+
+    await t.test('fails requests that are not in the cassette', async () => {
+        const { tasksApiInstance } = createTestClient(baseUrl, { token: undefined, replay: file });
+
+        await assert.rejects(getTask(tasksApiInstance, '1700000000000002'), error => {
+            assert.strictEqual(error.code, 'CASSETTE_MISS');
+            assert.match(error.message, /No recorded response in cassette for GET \/tasks\/1700000000000002/);
+            return true;
+        });
+    });
+});
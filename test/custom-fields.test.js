@@ -0,0 +1,212 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { promisify } = require('util');
+const { execFile } = require('child_process');
+const { resolveTaskCustomFields, parseCustomFieldFilter, resolveCustomFieldFilters } = require('../lib/custom-fields');
+const { updateTask, searchTasks } = require('../lib/tasks');
+const { loadFixture } = require('../lib/fake-server');
+const { WORKSPACE_GID, PROJECT_GID, startFakeAsana, createTestClient } = require('./helpers');
+
+// Website Redesign has Priority, Estimate, Platforms, Launch date and Reviewers; Mobile App has Customer
+const MOBILE_PROJECT_GID = '1500000000000002';
+const NO_FIELDS_PROJECT_GID = '1500000000000003';
+const TASK_GID = '1700000000000001';
+
+const FIELD = {
+    priority: '1300000000000001',
+    estimate: '1300000000000002',
+    customer: '1300000000000003',
+    platforms: '1300000000000004',
+    launchDate: '1300000000000005',
+    reviewers: '1300000000000006'
+};
+
+test('resolveTaskCustomFields', async (t) => {
+    const { fake, baseUrl } = await startFakeAsana();
+    const { tasksApiInstance, projectsApiInstance, usersApiInstance } = createTestClient(baseUrl);
+    t.after(() => fake.close());
+
+    const resolve = (values, options = { projects: [PROJECT_GID, MOBILE_PROJECT_GID] }) =>
+        resolveTaskCustomFields(tasksApiInstance, projectsApiInstance, usersApiInstance, values, options);
+
+    await t.test('resolves names and values of every field type', async () => {
+        const resolved = await resolve({
+            priority: 'high',
+            Estimate: '3.5',
+            Platforms: 'iOS, web',
+            'Launch date': '2026-11-20',
+            Reviewers: ['me', 'sam@example.com'],
+            [FIELD.customer]: 'Acme'
+        });
+
+        assert.deepStrictEqual(resolved, {
+            [FIELD.priority]: '1310000000000001',
+            [FIELD.estimate]: 3.5,
+            [FIELD.platforms]: ['1310000000000004', '1310000000000006'],
+            [FIELD.launchDate]: { date: '2026-11-20' },
+            [FIELD.reviewers]: ['me', '1100000000000002'],
+            [FIELD.customer]: 'Acme'
+        });
+    });
+
+    await t.test('clears fields with empty values', async () => {
+        assert.deepStrictEqual(await resolve({ Priority: '', Platforms: null, Reviewers: [] }), {
+            [FIELD.priority]: null,
+            [FIELD.platforms]: [],
+            [FIELD.reviewers]: []
+        });
+    });
+
+    await t.test('looks names up among an existing task\'s fields', async () => {
+        const resolved = await resolve({ Priority: 'Low', Estimate: 13 }, { taskGid: TASK_GID });
+        await updateTask(tasksApiInstance, TASK_GID, { custom_fields: resolved });
+
+        const task = fake.state.tasks.find(entry => entry.gid === TASK_GID);
+        assert.strictEqual(task.custom_fields[FIELD.priority], '1310000000000003');
+        assert.strictEqual(task.custom_fields[FIELD.estimate], 13);
+    });
+
+    await t.test('rejects an unknown field name', async () => {
+        await assert.rejects(resolve({ Severity: 'High' }), /Unknown custom field "Severity"\. Available fields: Priority, Estimate/);
+    });
+
+    await t.test('rejects an unknown enum option', async () => {
+        await assert.rejects(resolve({ Priority: 'Urgent' }), /"Urgent" is not an option of custom field "Priority"\. Options: High, Medium, Low/);
+        await assert.rejects(resolve({ Platforms: 'iOS, Desktop' }), /"Desktop" is not an option of custom field "Platforms"/);
+    });
+
+    await t.test('rejects a value that is not a number', async () => {
+        await assert.rejects(resolve({ Estimate: 'lots' }), /Custom field "Estimate" expects a number, got "lots"/);
+    });
+
+    await t.test('rejects a malformed date', async () => {
+        await assert.rejects(resolve({ 'Launch date': '20/11/2026' }), /Custom field "Launch date" expects a date \(YYYY-MM-DD\), got "20\/11\/2026"/);
+    });
+
+    await t.test('rejects people that are not users', async () => {
+        await assert.rejects(resolve({ Reviewers: 'nobody@example.com' }), /User not found: nobody@example\.com/);
+        await assert.rejects(resolve({ Reviewers: 'Sam' }), /Invalid user "Sam"/);
+    });
+
+    await t.test('needs a project with custom fields', async () => {
+        await assert.rejects(resolve({ Priority: 'High' }, { projects: [NO_FIELDS_PROJECT_GID] }), /No custom fields available/);
+    });
+});
+
+test('parseCustomFieldFilter', async (t) => {
+    await t.test('parses each operator', () => {
+        const cases = {
+            'Priority=High': { field: 'Priority', operator: '=', value: 'High' },
+            'Estimate<3': { field: 'Estimate', operator: '<', value: '3' },
+            'Estimate>5': { field: 'Estimate', operator: '>', value: '5' },
+            'Customer^=Acme': { field: 'Customer', operator: '^=', value: 'Acme' },
+            'Customer$=Inc': { field: 'Customer', operator: '$=', value: 'Inc' },
+            'Customer*=corp': { field: 'Customer', operator: '*=', value: 'corp' },
+            'Launch date?': { field: 'Launch date', isSet: true },
+            '!Customer': { field: 'Customer', isSet: false }
+        };
+        for (const [filter, expected] of Object.entries(cases)) {
+            assert.deepStrictEqual(parseCustomFieldFilter(filter), expected, filter);
+        }
+    });
+
+    await t.test('trims spaces around names, operators and values', () => {
+        assert.deepStrictEqual(parseCustomFieldFilter('  Launch date  >  2026-01-01 '), { field: 'Launch date', operator: '>', value: '2026-01-01' });
+        assert.deepStrictEqual(parseCustomFieldFilter('Customer ^= Acme'), { field: 'Customer', operator: '^=', value: 'Acme' });
+    });
+
+    await t.test('splits at the first operator', () => {
+        assert.deepStrictEqual(parseCustomFieldFilter('Customer=a=b'), { field: 'Customer', operator: '=', value: 'a=b' });
+    });
+
+    await t.test('rejects filters without an operator', () => {
+        for (const filter of ['Priority', '?', '!', '']) {
+            assert.throws(() => parseCustomFieldFilter(filter), /Invalid custom field filter/, filter);
+        }
+    });
+});
+
+test('resolveCustomFieldFilters', async (t) => {
+    const fields = loadFixture().custom_fields;
+
+    await t.test('builds search parameters from names', () => {
+        assert.deepStrictEqual(resolveCustomFieldFilters(fields, [
+            'priority=high', 'Estimate>5', 'Estimate<10', 'Customer^=Acme', 'Customer$=Inc', 'Customer*=corp', 'Launch date?', '!Reviewers'
+        ]), {
+            [`custom_fields.${FIELD.priority}.value`]: '1310000000000001',
+            [`custom_fields.${FIELD.estimate}.greater_than`]: 5,
+            [`custom_fields.${FIELD.estimate}.less_than`]: 10,
+            [`custom_fields.${FIELD.customer}.starts_with`]: 'Acme',
+            [`custom_fields.${FIELD.customer}.ends_with`]: 'Inc',
+            [`custom_fields.${FIELD.customer}.contains`]: 'corp',
+            [`custom_fields.${FIELD.launchDate}.is_set`]: true,
+            [`custom_fields.${FIELD.reviewers}.is_set`]: false
+        });
+    });
+
+    await t.test('accepts a single filter string', () => {
+        assert.deepStrictEqual(resolveCustomFieldFilters(fields, 'Estimate=2.5'), { [`custom_fields.${FIELD.estimate}.value`]: 2.5 });
+    });
+
+    await t.test('checks operators against the field type', () => {
+        assert.throws(() => resolveCustomFieldFilters(fields, 'Priority>High'), /"Priority" \(enum\) can't be searched with ">"; use =, \? or !/);
+        assert.throws(() => resolveCustomFieldFilters(fields, 'Estimate^=1'), /"Estimate" \(number\) can't be searched with "\^="/);
+        assert.throws(() => resolveCustomFieldFilters(fields, 'Customer<5'), /"Customer" \(text\) can't be searched with "<"/);
+        assert.throws(() => resolveCustomFieldFilters(fields, 'Platforms=iOS'), /"Platforms" \(multi_enum\) can only be searched with \? \(set\) or ! \(not set\)/);
+        assert.throws(() => resolveCustomFieldFilters(fields, 'Launch date>2026-01-01'), /can only be searched with \?/);
+    });
+
+    await t.test('checks values', () => {
+        assert.throws(() => resolveCustomFieldFilters(fields, 'Estimate>many'), /"Estimate" expects a number, got "many"/);
+        assert.throws(() => resolveCustomFieldFilters(fields, 'Priority=Urgent'), /"Urgent" is not an option of custom field "Priority"/);
+        assert.throws(() => resolveCustomFieldFilters(fields, 'Customer='), /has no value; use "!Customer"/);
+        assert.throws(() => resolveCustomFieldFilters(fields, 'Severity?'), /Unknown custom field "Severity"/);
+    });
+});
+
+test('searching by custom fields', async (t) => {
+    const { fake, baseUrl } = await startFakeAsana();
+    const { tasksApiInstance } = createTestClient(baseUrl);
+    t.after(() => fake.close());
+
+    // High priority tasks in the fixture: 1700000000000001 (estimate 5) and 1700000000000003 (estimate 1)
+    const searchParams = request => Object.keys(request.query).filter(key => key.startsWith('custom_fields.'));
+
+    await t.test('sends the filters to the search API', async () => {
+        fake.reset();
+        const filters = resolveCustomFieldFilters(loadFixture().custom_fields, ['Priority=High', 'Estimate>2']);
+
+        const tasks = await searchTasks(tasksApiInstance, { workspace: WORKSPACE_GID, ...filters });
+
+        assert.deepStrictEqual(tasks.map(task => task.gid), ['1700000000000001']);
+        const [search] = fake.getRequests().filter(request => request.path.endsWith('/tasks/search'));
+        assert.deepStrictEqual(searchParams(search), [`custom_fields.${FIELD.priority}.value`, `custom_fields.${FIELD.estimate}.greater_than`]);
+        assert.strictEqual(search.query[`custom_fields.${FIELD.estimate}.greater_than`], '2');
+    });
+
+    await t.test('search-tasks --cf looks fields up in the searched projects', async () => {
+        fake.reset();
+        const { stdout } = await promisify(execFile)(process.execPath, [
+            path.join(__dirname, '..', 'index.js'), 'search-tasks',
+            '--projects.any', PROJECT_GID, '--cf', 'priority=high', '--cf', 'Estimate>2', '--format', 'json'
+        ], {
+            env: {
+                ...process.env,
+                ASANA_API_KEY: 'fake-token',
+                ASANA_BASE_URL: baseUrl,
+                ASANA_PROFILE: '',
+                ASANA_PROFILES_FILE: path.join(__dirname, 'no-profiles.json'),
+                ASANA_RATE_LIMIT_RPM: '0'
+            },
+            timeout: 30000
+        });
+
+        assert.deepStrictEqual(JSON.parse(stdout).map(task => task.gid), ['1700000000000001']);
+        const requests = fake.getRequests();
+        assert.ok(requests.some(request => request.path === `/projects/${PROJECT_GID}`), 'fields come from the project');
+        const search = requests.find(request => request.path.endsWith('/tasks/search'));
+        assert.strictEqual(search.query[`custom_fields.${FIELD.priority}.value`], '1310000000000001');
+        assert.strictEqual(search.query[`custom_fields.${FIELD.estimate}.greater_than`], '2');
+    });
+});
@@ -0,0 +1,90 @@
+/**
+ * Shared setup for tests against the fake Asana API (lib/fake-server.js)
+ */
+
+const { createFakeAsanaServer, loadFixture } = require('../lib/fake-server');
+const { createClient } = require('../lib/client');
+
+const WORKSPACE_GID = '1000000000000001';
+const PROJECT_GID = '1500000000000001';
+
+/**
+ * Start a fake Asana API on a random port
+ * @param {Object} options - Options for createFakeAsanaServer() (fixture, latencyMs, ...)
+ * @returns {Promise<Object>} { fake, baseUrl, origin } - origin serves the /_fake/* control endpoints
+ */
+async function startFakeAsana(options = {}) {
+    const fake = createFakeAsanaServer(options);
+    const { baseUrl } = await fake.listen(0);
+    return { fake, baseUrl, origin: new URL(baseUrl).origin };
+}
+
+/**
+ * Create a client for the fake API with short retry delays and no client-side rate limit
+ * @param {string} baseUrl - Fake API base URL
+ * @param {Object} options - Overrides for createClient()
+ * @returns {Object} API instances from createClient()
+ */
+function createTestClient(baseUrl, options = {}) {
+    return createClient({
+        token: 'fake-token',
+        baseUrl,
+        retryBaseDelayMs: 1,
+        retryMaxDelayMs: 10,
+        requestsPerMinute: 0,
+        maxConcurrent: 0,
+        ...options
+    });
+}
+
+/**
+ * Build a fixture with extra tasks in the test workspace
+ * @param {number} count - Number of tasks to add
+ * @returns {Object} Fixture data
+ */
+function fixtureWithTasks(count) {
+    const fixture = loadFixture();
+    const start = Date.parse('2025-01-01T00:00:00.000Z');
+    for (let i = 0; i < count; i++) {
+        const createdAt = new Date(start + i * 60000).toISOString();
+        fixture.tasks.push({
+            gid: String(1800000000000001 + i),
+            name: `Bulk task ${i + 1}`,
+            workspace: WORKSPACE_GID,
+            completed: false,
+            notes: '',
+            created_at: createdAt,
+            modified_at: createdAt,
+            memberships: [],
+            tags: [],
+            followers: []
+        });
+    }
+    return fixture;
+}
+
+/**
+ * Call a /_fake/* control endpoint
+ * @param {string} origin - Fake server origin
+ * @param {string} method - HTTP method
+ * @param {string} pathname - Control path, e.g. /_fake/faults
+ * @param {Object} body - Optional JSON body
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function control(origin, method, pathname, body) {
+    const response = await fetch(`${origin}${pathname}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return response.json();
+}
+
+module.exports = {
+    WORKSPACE_GID,
+    PROJECT_GID,
+    startFakeAsana,
+    createTestClient,
+    fixtureWithTasks,
+    control
+};
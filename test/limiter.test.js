@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter } = require('../lib/limiter');
+
+// A job that runs until release() is called
+function deferredJob(started, id) {
+    let release;
+    const done = new Promise(resolve => { release = resolve; });
+    return {
+        fn: () => {
+            started.push(id);
+            return done.then(() => id);
+        },
+        release: () => release()
+    };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('createRateLimiter', async (t) => {
+    await t.test('runs at most maxConcurrent jobs, in scheduling order', async () => {
+        const limiter = createRateLimiter({ maxConcurrent: 2 });
+        const started = [];
+        const jobs = [1, 2, 3, 4, 5].map(id => deferredJob(started, id));
+        const results = jobs.map(job => limiter.schedule(job.fn));
+        await tick();
+
+        assert.deepStrictEqual(started, [1, 2]);
+        assert.strictEqual(limiter.getStats().active, 2);
+        assert.strictEqual(limiter.getStats().queueDepth, 3);
+
+        jobs[1].release();
+        await tick();
+        assert.deepStrictEqual(started, [1, 2, 3]);
+        assert.strictEqual(limiter.getStats().active, 2);
+        assert.strictEqual(limiter.getStats().queueDepth, 2);
+
+        jobs.forEach(job => job.release());
+        assert.deepStrictEqual(await Promise.all(results), [1, 2, 3, 4, 5]);
+        assert.deepStrictEqual(started, [1, 2, 3, 4, 5]);
+        await tick();
+
+        const stats = limiter.getStats();
+        assert.strictEqual(stats.active, 0);
+        assert.strictEqual(stats.queueDepth, 0);
+        assert.strictEqual(stats.totalRequests, 5);
+        assert.strictEqual(stats.totalQueued, 3);
+        assert.strictEqual(stats.peakQueueDepth, 3);
+    });
+
+    await t.test('queues requests past the burst until tokens refill', async () => {
+        // One token every 10ms, two up front
+        const limiter = createRateLimiter({ requestsPerMinute: 6000, burst: 2 });
+        const started = [];
+        const startedAt = Date.now();
+        const results = [1, 2, 3, 4].map(id => limiter.schedule(() => {
+            started.push(id);
+            return id;
+        }));
+        await tick();
+
+        assert.deepStrictEqual(started, [1, 2]);
+        assert.strictEqual(limiter.getStats().queueDepth, 2);
+        assert.strictEqual(limiter.getStats().availableTokens, 0);
+
+        assert.deepStrictEqual(await Promise.all(results), [1, 2, 3, 4]);
+        assert.deepStrictEqual(started, [1, 2, 3, 4]);
+        assert.ok(Date.now() - startedAt >= 15, 'the last two requests waited for tokens');
+        assert.strictEqual(limiter.getStats().peakQueueDepth, 2);
+    });
+
+    await t.test('passes rejections through and frees the slot', async () => {
+        const limiter = createRateLimiter({ maxConcurrent: 1 });
+        const failing = limiter.schedule(() => Promise.reject(new Error('boom')));
+        const next = limiter.schedule(() => 'next');
+
+        await assert.rejects(failing, /boom/);
+        assert.strictEqual(await next, 'next');
+        await tick();
+        assert.strictEqual(limiter.getStats().active, 0);
+    });
+
+    await t.test('logs when requests start queueing and when the queue drains', async () => {
+        const logs = [];
+        const limiter = createRateLimiter({ maxConcurrent: 1, logFn: (level, message, data) => logs.push({ message, data }) });
+        await Promise.all([1, 2, 3].map(id => limiter.schedule(() => id)));
+
+        assert.deepStrictEqual(logs.map(entry => entry.message), ['Rate limiter queueing requests', 'Rate limiter queue drained']);
+        assert.strictEqual(logs[0].data.queueDepth, 1);
+        assert.strictEqual(logs[1].data.peakQueueDepth, 2);
+    });
+});
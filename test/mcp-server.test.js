@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio.js');
+const { PROJECT_GID, startFakeAsana } = require('./helpers');
+
+test('MCP server', async (t) => {
+    const { fake, baseUrl } = await startFakeAsana();
+    t.after(() => fake.close());
+
+    const transport = new StdioClientTransport({
+        command: process.execPath,
+        args: [path.join(__dirname, '..', 'mcp-server.js')],
+        env: {
+            ...process.env,
+            ASANA_API_KEY: 'fake-token',
+            ASANA_BASE_URL: baseUrl,
+            // Keep the developer's own profiles out of the test
+            ASANA_PROFILE: '',
+            ASANA_PROFILES_FILE: path.join(__dirname, 'no-profiles.json'),
+            ASANA_RATE_LIMIT_RPM: '0',
+            MCP_LOG: 'false'
+        },
+        stderr: 'ignore'
+    });
+    const client = new Client({ name: 'asana-node-helpers-test', version: '1.0.0' });
+    await client.connect(transport);
+    t.after(() => client.close());
+
+    await t.test('lists tools', async () => {
+        const { tools } = await client.listTools();
+        const names = tools.map(tool => tool.name);
+        assert.ok(names.includes('get_task'));
+        assert.ok(names.includes('create_task'));
+    });
+
+    await t.test('get_task returns the task from the API', async () => {
+        const result = await client.callTool({ name: 'get_task', arguments: { task_gid: '1700000000000001' } });
+
+        assert.ok(!result.isError, result.content[0].text);
+        const task = JSON.parse(result.content[0].text);
+        assert.strictEqual(task.gid, '1700000000000001');
+        assert.strictEqual(task.name, 'Design new homepage');
+    });
+
+    await t.test('create_task writes through to the API', async () => {
+        const result = await client.callTool({
+            name: 'create_task',
+            arguments: { name: 'Created over MCP', projects: PROJECT_GID, custom_fields: { Priority: 'High' } }
+        });
+
+        assert.ok(!result.isError, result.content[0].text);
+        const created = fake.state.tasks.find(task => task.name === 'Created over MCP');
+        assert.ok(created, 'task exists in the fake API');
+        assert.deepStrictEqual(created.memberships.map(membership => membership.project), [PROJECT_GID]);
+        assert.strictEqual(created.custom_fields['1300000000000001'], '1310000000000001');
+    });
+
+    await t.test('reports invalid arguments as tool errors', async () => {
+        const result = await client.callTool({ name: 'get_task', arguments: { task_gid: 'not-a-gid' } });
+        assert.strictEqual(result.isError, true);
+    });
+});
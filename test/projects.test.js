@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProject, getSections, deleteSection } = require('../lib/projects');
+const { createTask, addTaskToProject } = require('../lib/tasks');
+const { WORKSPACE_GID, PROJECT_GID, startFakeAsana, createTestClient } = require('./helpers');
+
+const TEAM_GID = '1200000000000001';
+
+test('deleteSection', async (t) => {
+    const { fake, baseUrl } = await startFakeAsana();
+    const { projectsApiInstance, sectionsApiInstance, tasksApiInstance } = createTestClient(baseUrl);
+    t.after(() => fake.close());
+
+    // A project with sections Doing and Done, and two tasks in Doing
+    async function setUp() {
+        const project = await createProject(projectsApiInstance, sectionsApiInstance, WORKSPACE_GID, {
+            name: 'Board', team: TEAM_GID, sections: ['Doing', 'Done']
+        });
+        const [doing, done] = project.sections;
+        const tasks = [];
+        for (const name of ['First', 'Second']) {
+            const task = await createTask(tasksApiInstance, { name, workspace: WORKSPACE_GID });
+            await addTaskToProject(tasksApiInstance, task.gid, project.gid, doing.gid);
+            tasks.push(task.gid);
+        }
+        return { project, doing, done, tasks };
+    }
+    const sectionTasks = async gid => (await tasksApiInstance.getTasksForSection(gid, {})).data.map(task => task.gid);
+    const sectionNames = async gid => (await getSections(sectionsApiInstance, gid, { opt_fields: 'name' })).map(section => section.name);
+
+    await t.test('moves the tasks, in order, before deleting the section', async () => {
+        const { project, doing, done, tasks } = await setUp();
+        const requestsBefore = fake.getRequests().length;
+
+        const result = await deleteSection(sectionsApiInstance, tasksApiInstance, doing.gid, { moveTasksTo: done.gid });
+
+        assert.deepStrictEqual(result, { section: { gid: doing.gid, name: 'Doing' }, movedTasks: tasks });
+        assert.deepStrictEqual(await sectionTasks(done.gid), tasks);
+        assert.deepStrictEqual(await sectionNames(project.gid), ['Done']);
+
+        const writes = fake.getRequests().slice(requestsBefore).filter(request => request.method !== 'GET').map(request => `${request.method} ${request.path}`);
+        assert.deepStrictEqual(writes, [
+            `POST /sections/${done.gid}/addTask`,
+            `POST /sections/${done.gid}/addTask`,
+            `DELETE /sections/${doing.gid}`
+        ]);
+    });
+
+    await t.test('keeps the section when the target section does not exist', async () => {
+        const { project, doing, tasks } = await setUp();
+
+        await assert.rejects(
+            deleteSection(sectionsApiInstance, tasksApiInstance, doing.gid, { moveTasksTo: '1999999999999999' }),
+            /Section 1999999999999999 to move the tasks to was not found; "Doing" not deleted/
+        );
+        assert.deepStrictEqual(await sectionNames(project.gid), ['Doing', 'Done']);
+        assert.deepStrictEqual(await sectionTasks(doing.gid), tasks);
+    });
+
+    await t.test('refuses a target section in another project', async () => {
+        const { doing } = await setUp();
+        const [otherSection] = await getSections(sectionsApiInstance, PROJECT_GID, { opt_fields: 'name' });
+
+        await assert.rejects(
+            deleteSection(sectionsApiInstance, tasksApiInstance, doing.gid, { moveTasksTo: otherSection.gid }),
+            /is not in the same project as "Doing"/
+        );
+    });
+
+    await t.test('refuses to delete a section with tasks when no target is given', async () => {
+        const { project, doing } = await setUp();
+
+        await assert.rejects(
+            deleteSection(sectionsApiInstance, tasksApiInstance, doing.gid),
+            /Section "Doing" still has 2 task\(s\)/
+        );
+        assert.deepStrictEqual(await sectionNames(project.gid), ['Doing', 'Done']);
+    });
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getTask, createTask } = require('../lib/tasks');
+const { WORKSPACE_GID, startFakeAsana, createTestClient, control } = require('./helpers');
+
+const TASK_GID = '1700000000000001';
+
+test('retries', async (t) => {
+    const { fake, baseUrl, origin } = await startFakeAsana();
+    t.after(() => fake.close());
+
+    await t.test('retries a 429 injected through /_fake/faults', async () => {
+        fake.reset();
+        const { client, tasksApiInstance } = createTestClient(baseUrl);
+        await control(origin, 'POST', '/_fake/faults', { status: 429, count: 2, retry_after: 0, path: `/tasks/${TASK_GID}` });
+
+        const task = await getTask(tasksApiInstance, TASK_GID);
+
+        assert.strictEqual(task.gid, TASK_GID);
+        assert.strictEqual(fake.getRequests().filter(request => request.path === `/tasks/${TASK_GID}`).length, 3);
+        assert.strictEqual(client.retryStats.rateLimited, 2);
+    });
+
+    await t.test('retries a 429 on POST, which Asana never processed', async () => {
+        fake.reset();
+        const { tasksApiInstance } = createTestClient(baseUrl);
+        await control(origin, 'POST', '/_fake/faults', { status: 429, retry_after: 0, method: 'POST', path: '/tasks' });
+
+        const task = await createTask(tasksApiInstance, { name: 'After rate limit', workspace: WORKSPACE_GID });
+
+        assert.strictEqual(task.name, 'After rate limit');
+        assert.strictEqual(fake.state.tasks.filter(entry => entry.name === 'After rate limit').length, 1);
+    });
+
+    await t.test('retries a 5xx on GET', async () => {
+        fake.reset();
+        const { client, tasksApiInstance } = createTestClient(baseUrl);
+        await control(origin, 'POST', '/_fake/faults', { status: 503, method: 'GET', path: `/tasks/${TASK_GID}` });
+
+        const task = await getTask(tasksApiInstance, TASK_GID);
+
+        assert.strictEqual(task.gid, TASK_GID);
+        assert.strictEqual(client.retryStats.retries, 1);
+    });
+
+    await t.test('does not retry a 5xx on POST', async () => {
+        fake.reset();
+        const { client, tasksApiInstance } = createTestClient(baseUrl);
+        await control(origin, 'POST', '/_fake/faults', { status: 500, method: 'POST', path: '/tasks' });
+
+        await assert.rejects(
+            createTask(tasksApiInstance, { name: 'Not duplicated', workspace: WORKSPACE_GID }),
+            error => error.status === 500
+        );
+
+        assert.strictEqual(fake.getRequests().filter(request => request.method === 'POST' && request.path === '/tasks').length, 1);
+        assert.strictEqual(client.retryStats.retries, 0);
+    });
+
+    await t.test('gives up after maxRetries', async () => {
+        fake.reset();
+        const { tasksApiInstance } = createTestClient(baseUrl, { maxRetries: 2 });
+        fake.injectFault({ status: 429, count: 5, retryAfter: 0, path: `/tasks/${TASK_GID}` });
+
+        await assert.rejects(getTask(tasksApiInstance, TASK_GID), error => error.status === 429);
+        assert.strictEqual(fake.getRequests().filter(request => request.path === `/tasks/${TASK_GID}`).length, 3);
+    });
+});
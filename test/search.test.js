@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { searchTasks } = require('../lib/tasks');
+const { WORKSPACE_GID, startFakeAsana, createTestClient, fixtureWithTasks } = require('./helpers');
+
+test('searchTasks', async (t) => {
+    const { fake, baseUrl } = await startFakeAsana({ fixture: fixtureWithTasks(250) });
+    const { tasksApiInstance } = createTestClient(baseUrl);
+    t.after(() => fake.close());
+
+    await t.test('pages past 100 results with created_at filters', async () => {
+        fake.reset();
+        const tasks = await searchTasks(tasksApiInstance, {
+            workspace: WORKSPACE_GID,
+            maxResults: 1000
+        });
+
+        const bulk = tasks.filter(task => task.name.startsWith('Bulk task'));
+        assert.strictEqual(bulk.length, 250);
+        assert.strictEqual(new Set(tasks.map(task => task.gid)).size, tasks.length, 'no task is returned twice');
+
+        const createdAt = tasks.map(task => task.created_at);
+        assert.deepStrictEqual(createdAt, [...createdAt].sort().reverse(), 'newest first');
+
+        const searches = fake.getRequests().filter(request => request.path.endsWith('/tasks/search'));
+        assert.ok(searches.length >= 3, `expected several pages, got ${searches.length}`);
+        assert.ok(searches.slice(1).every(request => request.query['created_at.before']), 'later pages filter by created_at');
+    });
+
+    await t.test('stops at maxResults', async () => {
+        fake.reset();
+        const tasks = await searchTasks(tasksApiInstance, { workspace: WORKSPACE_GID, maxResults: 150 });
+        assert.ok(tasks.length >= 150 && tasks.length <= 200, `got ${tasks.length}`);
+    });
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTask, orderSubtasks, applySubtaskChecklist } = require('../lib/tasks');
+const { WORKSPACE_GID, startFakeAsana, createTestClient } = require('./helpers');
+
+test('orderSubtasks', async (t) => {
+    const { fake, baseUrl } = await startFakeAsana();
+    const { tasksApiInstance } = createTestClient(baseUrl);
+    t.after(() => fake.close());
+
+    const parent = await createTask(tasksApiInstance, { name: 'Parent', workspace: WORKSPACE_GID });
+    const subtasks = {};
+    for (const name of ['C', 'A', 'Other', 'B']) {
+        subtasks[name] = (await createTask(tasksApiInstance, { name, parent: parent.gid })).gid;
+    }
+    const names = async () => (await tasksApiInstance.getSubtasksForTask(parent.gid, {})).data.map(task => task.name);
+
+    await t.test('moves listed subtasks into order and leaves others in place', async () => {
+        const moved = await orderSubtasks(tasksApiInstance, parent.gid, [subtasks.A, subtasks.B, subtasks.C]);
+
+        assert.deepStrictEqual(await names(), ['A', 'B', 'C', 'Other']);
+        assert.deepStrictEqual(moved, [subtasks.A, subtasks.B]);
+    });
+
+    await t.test('does nothing when the order is already right', async () => {
+        assert.deepStrictEqual(await orderSubtasks(tasksApiInstance, parent.gid, [subtasks.A, subtasks.B, subtasks.C]), []);
+        assert.deepStrictEqual(await names(), ['A', 'B', 'C', 'Other']);
+    });
+});
+
+test('applySubtaskChecklist', async (t) => {
+    const { fake, baseUrl } = await startFakeAsana();
+    const { tasksApiInstance } = createTestClient(baseUrl);
+    t.after(() => fake.close());
+
+    const subtasksOf = async gid => (await tasksApiInstance.getSubtasksForTask(gid, { opt_fields: 'name,completed' })).data;
+    const names = list => list.map(task => task.name);
+
+    await t.test('creates nested subtasks in checklist order', async () => {
+        const parent = await createTask(tasksApiInstance, { name: 'Plan', workspace: WORKSPACE_GID });
+
+        const summary = await applySubtaskChecklist(tasksApiInstance, parent.gid, [
+            '# Launch plan',
+            '- [ ] Write brief',
+            '- [x] Book venue',
+            '- [ ] Invite guests',
+            '    - [ ] Draft list',
+            '    - [x] Send invites'
+        ].join('\n'));
+
+        const subtasks = await subtasksOf(parent.gid);
+        assert.deepStrictEqual(names(subtasks), ['Write brief', 'Book venue', 'Invite guests']);
+        assert.deepStrictEqual(subtasks.map(task => task.completed), [false, true, false]);
+        assert.deepStrictEqual(names(await subtasksOf(subtasks[2].gid)), ['Draft list', 'Send invites']);
+        assert.deepStrictEqual(names(summary.created), ['Write brief', 'Book venue', 'Invite guests', 'Draft list', 'Send invites']);
+        assert.deepStrictEqual(summary.moved, []);
+    });
+
+    await t.test('rejects a checklist without items', async () => {
+        await assert.rejects(applySubtaskChecklist(tasksApiInstance, '1700000000000001', 'Just prose'), /No checklist items found/);
+    });
+
+    await t.test('syncs existing subtasks by name', async () => {
+        const parent = await createTask(tasksApiInstance, { name: 'Release', workspace: WORKSPACE_GID });
+        const existing = {};
+        for (const name of ['Write tests', 'Deploy', 'Unrelated']) {
+            existing[name] = (await createTask(tasksApiInstance, { name, parent: parent.gid })).gid;
+        }
+        await tasksApiInstance.updateTask({ data: { completed: true } }, existing.Deploy, {});
+        const checklist = [
+            '- [ ] Deploy',
+            '- [x] write tests',
+            '- [ ] Announce',
+            '    - [ ] Blog post'
+        ].join('\n');
+
+        const summary = await applySubtaskChecklist(tasksApiInstance, parent.gid, checklist, { sync: true });
+
+        assert.deepStrictEqual(summary.completed, [{ gid: existing['Write tests'], name: 'Write tests' }]);
+        assert.deepStrictEqual(summary.unchanged, [{ gid: existing.Deploy, name: 'Deploy' }]);
+        assert.deepStrictEqual(names(summary.created), ['Announce', 'Blog post']);
+        assert.deepStrictEqual(names(summary.moved), ['Deploy']);
+
+        const subtasks = await subtasksOf(parent.gid);
+        assert.deepStrictEqual(names(subtasks), ['Deploy', 'Write tests', 'Unrelated', 'Announce']);
+        assert.deepStrictEqual(subtasks.map(task => task.completed), [true, true, false, false],
+            'checked items are completed; an unchecked item does not reopen a completed subtask');
+        assert.deepStrictEqual(names(await subtasksOf(subtasks[3].gid)), ['Blog post']);
+
+        // Nothing left to do on a second run
+        const again = await applySubtaskChecklist(tasksApiInstance, parent.gid, checklist, { sync: true });
+        assert.deepStrictEqual([again.created, again.completed, again.moved], [[], [], []]);
+        assert.deepStrictEqual(names(again.unchanged), ['Deploy', 'Write tests', 'Announce', 'Blog post']);
+    });
+
+    await t.test('reorders matched subtasks to follow the checklist', async () => {
+        const parent = await createTask(tasksApiInstance, { name: 'Reorder', workspace: WORKSPACE_GID });
+        for (const name of ['Third', 'Keep', 'First', 'Second']) {
+            await createTask(tasksApiInstance, { name, parent: parent.gid });
+        }
+
+        const summary = await applySubtaskChecklist(tasksApiInstance, parent.gid, '- [ ] First\n- [ ] Second\n- [ ] Third', { sync: true });
+
+        assert.deepStrictEqual(names(await subtasksOf(parent.gid)), ['First', 'Second', 'Third', 'Keep']);
+        assert.deepStrictEqual(names(summary.moved), ['First', 'Second']);
+        assert.deepStrictEqual(summary.created, []);
+    });
+});
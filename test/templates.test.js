@@ -0,0 +1,209 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadBlueprint, stringifyBlueprint, normalizeBlueprint, createProjectFromBlueprint, exportBlueprint } = require('../lib/templates');
+const { getSections } = require('../lib/projects');
+const { WORKSPACE_GID, startFakeAsana, createTestClient } = require('./helpers');
+
+const TEAM_GID = '1200000000000001';
+
+test('blueprint files', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'asana-blueprints-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const write = (name, content) => {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, content, 'utf8');
+        return file;
+    };
+
+    await t.test('reads YAML blueprints', () => {
+        const file = write('release.yaml', [
+            'name: Release',
+            'start: 0',
+            'sections:',
+            '  - name: Build # comment',
+            '    tasks:',
+            '      - name: "Cut branch: main"',
+            '        due: 3',
+            '        notes: |',
+            '          Line one',
+            '          Line two',
+            '        subtasks: [Tag, Push]',
+            ''
+        ].join('\n'));
+
+        assert.deepStrictEqual(loadBlueprint(file), {
+            name: 'Release',
+            start: 0,
+            sections: [{
+                name: 'Build',
+                tasks: [{ name: 'Cut branch: main', due: 3, notes: 'Line one\nLine two\n', subtasks: ['Tag', 'Push'] }]
+            }]
+        });
+    });
+
+    await t.test('reads nested sequences', () => {
+        const file = write('nested.yaml', 'name: Nested\nlist:\n  - - nested\n');
+        assert.deepStrictEqual(loadBlueprint(file).list, [['nested']]);
+    });
+
+    await t.test('reports invalid YAML', () => {
+        const file = write('broken.yaml', 'name: Broken\nsections:\n  - name: A\n   tasks: []\n');
+        assert.throws(() => loadBlueprint(file), /Could not parse blueprint .*broken\.yaml/);
+    });
+
+    await t.test('rejects duplicate keys', () => {
+        const file = write('duplicate.yaml', 'name: One\nname: Two\n');
+        assert.throws(() => loadBlueprint(file), /Could not parse blueprint/);
+    });
+
+    await t.test('round-trips exported blueprints', () => {
+        const blueprint = {
+            name: 'Website: relaunch',
+            team: '1200000000000001',
+            start: 0,
+            custom_fields: ['Priority'],
+            sections: [{
+                name: 'Backlog',
+                tasks: [{
+                    name: 'yes',
+                    notes: 'Multi\nline # not a comment\n',
+                    due: 7,
+                    custom_fields: { Priority: 'High', Estimate: 3 },
+                    subtasks: [{ name: '- leading dash' }]
+                }]
+            }]
+        };
+
+        for (const format of ['yaml', 'json']) {
+            const file = write(`export.${format}`, stringifyBlueprint(blueprint, format));
+            assert.deepStrictEqual(loadBlueprint(file), blueprint, format);
+        }
+    });
+});
+
+test('normalizeBlueprint', async (t) => {
+    await t.test('counts relative dates from today in local time', (t) => {
+        // A zone whose date differs from the UTC date right now: UTC-11 before 11:00 UTC, else UTC+14
+        const timeZone = new Date().getUTCHours() < 11 ? 'Pacific/Pago_Pago' : 'Pacific/Kiritimati';
+        const previousTz = process.env.TZ;
+        process.env.TZ = timeZone;
+        t.after(() => {
+            if (previousTz === undefined) {
+                delete process.env.TZ;
+            } else {
+                process.env.TZ = previousTz;
+            }
+        });
+
+        const today = new Date().toLocaleDateString('en-CA', { timeZone });
+        assert.notStrictEqual(today, new Date().toISOString().slice(0, 10));
+        const plan = normalizeBlueprint({ name: 'Today', tasks: [{ name: 'Due today', due: 0 }] });
+        assert.strictEqual(plan.tasks[0].dates.due_on, today);
+    });
+
+    await t.test('uses the given start date', () => {
+        const plan = normalizeBlueprint({ name: 'Dated', tasks: [{ name: 'Two weeks in', due: '2w' }] }, { startDate: '2026-12-28' });
+        assert.strictEqual(plan.tasks[0].dates.due_on, '2027-01-11');
+    });
+});
+
+test('createProjectFromBlueprint', async (t) => {
+    const { fake, baseUrl } = await startFakeAsana();
+    const apiInstances = createTestClient(baseUrl);
+    t.after(() => fake.close());
+
+    const blueprint = {
+        name: 'Launch',
+        team: TEAM_GID,
+        tasks: [{ name: 'Kickoff' }, { name: 'Write brief' }],
+        sections: [
+            { name: 'Build', tasks: [{ name: 'Implement', subtasks: ['API', 'UI', { name: 'Docs', subtasks: ['Guide', 'Reference'] }] }] },
+            { name: 'Ship', tasks: ['Release'] }
+        ]
+    };
+
+    const summary = await createProjectFromBlueprint(apiInstances, WORKSPACE_GID, blueprint, { startDate: '2026-11-02' });
+    const projectGid = summary.project.gid;
+    const { tasksApiInstance, sectionsApiInstance } = apiInstances;
+    const subtaskNames = async gid => (await tasksApiInstance.getSubtasksForTask(gid, {})).data.map(task => task.name);
+    const sectionTaskNames = async gid => (await tasksApiInstance.getTasksForSection(gid, {})).data.map(task => task.name);
+
+    await t.test('keeps the default section for top-level tasks, above the blueprint sections', async () => {
+        const sections = await getSections(sectionsApiInstance, projectGid, { opt_fields: 'name,gid' });
+        assert.deepStrictEqual(sections.map(section => section.name), ['Untitled section', 'Build', 'Ship']);
+        assert.deepStrictEqual(summary.taskSection, { gid: sections[0].gid, name: 'Untitled section' });
+        assert.deepStrictEqual(await sectionTaskNames(sections[0].gid), ['Kickoff', 'Write brief']);
+        assert.deepStrictEqual(await sectionTaskNames(sections[1].gid), ['Implement']);
+        assert.deepStrictEqual(await sectionTaskNames(sections[2].gid), ['Release']);
+    });
+
+    await t.test('creates subtasks in blueprint order', async () => {
+        const implement = summary.sections[0].tasks[0];
+        assert.deepStrictEqual(await subtaskNames(implement.gid), ['API', 'UI', 'Docs']);
+
+        const docs = (await tasksApiInstance.getSubtasksForTask(implement.gid, {})).data[2];
+        assert.deepStrictEqual(await subtaskNames(docs.gid), ['Guide', 'Reference']);
+        assert.strictEqual(summary.subtaskCount, 5);
+    });
+
+    await t.test('exports the default section as top-level tasks', async () => {
+        const { blueprint: exported } = await exportBlueprint(apiInstances, projectGid);
+        assert.deepStrictEqual(exported.tasks, ['Kickoff', 'Write brief']);
+        assert.deepStrictEqual(exported.sections.map(section => section.name), ['Build', 'Ship']);
+        assert.deepStrictEqual(exported.sections[0].tasks[0].subtasks[2], { name: 'Docs', subtasks: ['Guide', 'Reference'] });
+    });
+
+    await t.test('stops the export at the task limit', async () => {
+        const complete = await exportBlueprint(apiInstances, projectGid);
+        assert.strictEqual(complete.truncated, false);
+        assert.strictEqual(complete.taskCount, 4);
+
+        const limited = await exportBlueprint(apiInstances, projectGid, { limit: 2 });
+        assert.strictEqual(limited.truncated, true);
+        assert.strictEqual(limited.taskCount, 2);
+        assert.deepStrictEqual(limited.blueprint.tasks, ['Kickoff', 'Write brief']);
+
+        await assert.rejects(exportBlueprint(apiInstances, projectGid, { limit: 0 }), /Invalid limit/);
+    });
+
+    await t.test('exports due times on their local day', async (t) => {
+        const previousTz = process.env.TZ;
+        process.env.TZ = 'America/Los_Angeles';
+        t.after(() => {
+            if (previousTz === undefined) {
+                delete process.env.TZ;
+            } else {
+                process.env.TZ = previousTz;
+            }
+        });
+        // 18:00 on Nov 4 in Los Angeles, already Nov 5 in UTC
+        await tasksApiInstance.updateTask({ data: { due_at: '2026-11-05T02:00:00.000Z' } }, summary.tasks[0].gid, {});
+
+        const { blueprint: exported } = await exportBlueprint(apiInstances, projectGid, { anchor: '2026-11-02' });
+        assert.deepStrictEqual(exported.tasks[0], { name: 'Kickoff', due: 2 });
+    });
+
+    await t.test('exports subtasks to the given depth', async () => {
+        const shallow = await exportBlueprint(apiInstances, projectGid, { depth: 1 });
+        assert.deepStrictEqual(shallow.blueprint.sections[0].tasks[0].subtasks, ['API', 'UI', 'Docs']);
+
+        const flat = await exportBlueprint(apiInstances, projectGid, { depth: 0 });
+        assert.strictEqual(flat.subtaskCount, 0);
+        assert.strictEqual(flat.blueprint.sections[0].tasks[0], 'Implement');
+
+        for (const depth of [-1, 1.5, NaN]) {
+            await assert.rejects(exportBlueprint(apiInstances, projectGid, { depth }), /Invalid depth/);
+        }
+    });
+
+    await t.test('renames the default section when there are no top-level tasks', async () => {
+        const result = await createProjectFromBlueprint(apiInstances, WORKSPACE_GID, { name: 'Sections only', team: TEAM_GID, sections: [{ name: 'Only' }] });
+        assert.strictEqual(result.taskSection, null);
+        const sections = await getSections(sectionsApiInstance, result.project.gid, { opt_fields: 'name' });
+        assert.deepStrictEqual(sections.map(section => section.name), ['Only']);
+    });
+});